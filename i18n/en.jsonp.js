@@ -14,8 +14,55 @@ document.localeJson = {
       "home-btn-fileselect": "Select ZIM file(s)",
       "home-btn-forward": "Forward",
       "home-btn-top": "Top",
+      "home-btn-bookmark": "Bookmark this article",
+      "home-btn-bookmark-remove": "Remove bookmark",
+      "home-btn-findinpage": "Find in article (Ctrl+F)",
+      "home-search-relevance": "Relevance to the search",
+      "home-search-loadmore": "Load more results",
+      "home-search-recent": "Recent searches",
+      "home-search-recent-delete": "Forget this search",
+      "home-btn-toc": "Table of contents",
       "home-prefix-placeholder": "Search...",
       "home-prefix-tip": "You can search the contents of your ZIM archive using this search field. It will suggest article titles **starting** with the letters you type.",
+      "bookmarks": "Bookmarks",
+      "bookmarks-title": "Bookmarks",
+      "bookmarks-search-placeholder": "Search bookmarks...",
+      "bookmarks-folder-all": "All folders",
+      "bookmarks-folder-none": "Not in a folder",
+      "bookmarks-folder-filter-tip": "Show only the bookmarks in this folder",
+      "bookmarks-folder-placeholder": "Folder",
+      "bookmarks-folder-tip": "Type or choose the name of a folder in which to file this bookmark",
+      "bookmarks-empty": "You have no bookmarks yet. Use the star button at the bottom of an article to bookmark it.",
+      "bookmarks-none-found": "No bookmarks match your search.",
+      "bookmarks-error": "Unable to read bookmarks:",
+      "bookmarks-archive-notloaded": "archive not loaded",
+      "bookmarks-btn-delete": "Delete",
+      "history": "History",
+      "history-title": "Reading history",
+      "history-search-placeholder": "Search history...",
+      "history-btn-clear": "Clear history",
+      "history-btn-delete-tip": "Remove from history",
+      "history-maxage": "Keep history for:",
+      "history-maxage-tip": "Older entries are deleted automatically",
+      "history-maxage-off": "Do not keep history",
+      "history-maxage-week": "One week",
+      "history-maxage-month": "One month",
+      "history-maxage-quarter": "Three months",
+      "history-maxage-year": "One year",
+      "history-maxage-forever": "Forever",
+      "history-empty": "Your reading history is empty.",
+      "history-off": "The reading history is turned off.",
+      "history-none-found": "No articles in your history match your search.",
+      "history-error": "Unable to read the reading history:",
+      "findinpage-placeholder": "Find in article...",
+      "findinpage-input-tip": "Enter: next match; Shift+Enter: previous match; Esc: close",
+      "findinpage-btn-previous": "Previous match (Shift+Enter)",
+      "findinpage-btn-next": "Next match (Enter)",
+      "findinpage-btn-close": "Close (Esc)",
+      "findinpage-nomatches": "No matches",
+      "toc-title": "Contents",
+      "toc-btn-close": "Close the table of contents",
+      "toc-btn-toggle": "Show or hide subsections",
       "configure": "Configure",
       "configure-title": "Configuration",
       "configure-about-usage-link": "About (Usage)",
@@ -25,6 +72,33 @@ document.localeJson = {
       "configure-changed-content-note": "(Re-pick folder if there is new content on your device)",
       "configure-btn-rescan": "Rescan",
       "configure-about-rescan-tip": "Rescans your SD Cards and internal memory",
+      "configure-btn-verifychecksum": "Verify archive integrity",
+      "configure-btn-verifychecksum-tip": "Reads the whole of the loaded archive and compares it with the checksum stored in the file. Use this to check that a copied or downloaded archive is complete and undamaged. This may take several minutes for large archives.",
+      "configure-checksum-progress": "Verifying archive integrity...",
+      "configure-checksum-valid": "The archive is intact (checksum matches).",
+      "configure-checksum-invalid": "The archive is damaged: its checksum does not match! Please copy or download it again.",
+      "configure-checksum-truncated": "The archive is incomplete (truncated)! Please copy or download it again.",
+      "configure-checksum-cancelled": "Verification cancelled.",
+      "configure-checksum-error": "Unable to verify the archive:",
+      "configure-archivemetadata-header": "About this archive",
+      "configure-archivemetadata-loading": "Reading archive metadata...",
+      "configure-archivemetadata-error": "Unable to read the archive metadata:",
+      "configure-archivemetadata-copy": "Copy as JSON",
+      "configure-archivemetadata-copied": "Copied to clipboard",
+      "configure-archivemetadata-copy-failed": "Unable to copy to clipboard",
+      "configure-archivemetadata-file": "Archive file",
+      "configure-archivemetadata-metadata": "Metadata",
+      "configure-archivemetadata-counter": "Entries by MIME type",
+      "configure-archivemetadata-filename": "File name",
+      "configure-archivemetadata-version": "ZIM version",
+      "configure-archivemetadata-uuid": "UUID",
+      "configure-archivemetadata-entrycount": "Entries",
+      "configure-archivemetadata-articlecount": "Articles",
+      "configure-archivemetadata-clustercount": "Clusters",
+      "configure-archivemetadata-fulltextindex": "Full-text index",
+      "configure-archivemetadata-zimtype": "Archive type",
+      "configure-archivemetadata-yes": "Yes",
+      "configure-archivemetadata-no": "No",
       "configure-expert-enable-source-verification-tip": "Warning: Some ZIM archives from untrusted sources could run malicious code in your browser. This can be prevented by using Restricted mode, which cannot run active content from the ZIM. Highly dynamic ZIMs will probably fail in Restricted mode, but ZIMs with largely static content should work. If you trust the source of all of your ZIMs, then disabling this option will use ServiceWorker mode by default, if available.",
       "configure-expert-enable-source-verification-check-box": "<strong>Enable source verification of new files</strong> (<i>recommended</i>: you will only be prompted the first time you open a ZIM)",
       "configure-select-file-numbers": "archive(s) found in selected location. ",
@@ -88,6 +162,11 @@ document.localeJson = {
       "configure-performance-searchrange-label": "Select max number of search results:",
       "configure-performance-searchrange-valuetext": "Value",
       "configure-performance-searchrange-help": "default 25, higher values increase search time",
+      "configure-performance-searchallarchives": "<b>Search all open archives</b> (slower with many archives)",
+      "configure-performance-searchallarchives-tip": "Searches the titles of every archive opened in this session, and of the other archives you picked before (up to five archives in all), not just the selected one. Each result shows the archive it comes from, and opens in that archive.",
+      "configure-performance-filecache-label": "Size of the block cache:",
+      "configure-performance-filecache-tip": "The block cache keeps the parts of the archive that are read to find articles and titles. A larger cache speeds up searches and navigation in large archives, but uses more memory. This size is shared with the cache of the title search, which runs in the background.",
+      "configure-performance-filecache-auto": "Automatic (adapts to the memory of the device)",
       "configure-previews": "<b>Show a popover preview of <i>Wikipedia / Wkivoyage</i> articles</b> when hovering over links (<i>limited functionality in Restricted Mode</i>)",
       "configure-previews-tip": "Shows a small popup preview of Wikipedia and Wikivoyage articles when the pointer is hovered over an article link. Turn this off if it is too slow or interferes wtih display of articles on small-screen devices.",
       "configure-compatibility-panel-header": "Content injection mode",
@@ -136,6 +215,11 @@ document.localeJson = {
       "api-searchprovider-label": "Search Provider:",
       "api-searchprovider-title": "Title",
       "api-searchprovider-titleonly": "Title only",
+      "api-filecache-label": "Block cache:",
+      "api-filecache-hitrate": "hit rate",
+      "api-filecache-hits": "hits:",
+      "api-filecache-misses": "misses:",
+      "api-clustercache-label": "Cluster cache:",
       "dialog-allow-internetaccess-title": "Allow Internet access",
       "dialog-allow-internetaccess-message1": "<p>To enable the Service Worker, we",
       "dialog-allow-internetaccess-message2": "<p>We shall attempt to switch you to ServiceWorker mode (this is now the default).",
@@ -148,6 +232,18 @@ document.localeJson = {
       "dialog-article-readerror-message": "Error reading article with url:",
       "dialog-article-readerror-title": "Error reading article",
       "dialog-cancel": "Cancel",
+      "dialog-bookmark-noarticle-title": "No article displayed",
+      "dialog-bookmark-noarticle-message": "Please open an article before bookmarking it.",
+      "dialog-bookmark-error-title": "Bookmark error",
+      "dialog-bookmark-error-message": "Unable to save the bookmark:",
+      "dialog-savedarticle-notfound-title": "Article not found",
+      "dialog-savedarticle-notfound-message": "The article was not found in its archive:",
+      "dialog-savedarticle-archive-notloaded-title": "Archive not loaded",
+      "dialog-savedarticle-archive-notloaded-message": "This article is in an archive that is not loaded:",
+      "dialog-savedarticle-archive-notloaded-hint": "Please select the archive in Configuration, then open the article again.",
+      "dialog-savedarticle-archive-notloaded-select": "Select archive",
+      "dialog-clearhistory-title": "Clear history?",
+      "dialog-clearhistory-message": "This will delete your whole reading history and your recent searches. Bookmarks will be kept.",
       "dialog-ok": "Okay",
       "dialog-hide": "Don't ask again",
       "dialog-confirm": "Confirm",
@@ -192,7 +288,7 @@ document.localeJson = {
       "dialog-readzim-error-title": "Error reading archive file(s)",
       "dialog-readzim-error-message": "Error reading ZIM file",
       "dialog-reset-warning-title": "WARNING!",
-      "dialog-reset-warning-message": "This will reset the app to a freshly installed state, deleting all app caches and settings!",
+      "dialog-reset-warning-message": "This will reset the app to a freshly installed state, deleting all app caches and settings, your bookmarks and your reading history!",
       "dialog-scanstorage-error-message": "Error scanning your device storage:",
       "dialog-scanstorage-fxos-error-message": "If you're using the Firefox OS Simulator, please put the archives in a \"fake-sdcard\" directory inside your Firefox profile (e.g., ~/.mozilla/firefox/xxxx.default/extensions/fxos_2_x_simulator@mozilla.org/profile/fake-sdcard/wikipedia_en_ray_charles_2015-06.zim)",
       "dialog-scanstorage-fxos-error-title": "Error scanning Device Storage",
@@ -256,6 +352,7 @@ document.localeJson = {
       "about-search-para2": "<b>Title search</b> matches the <b>start</b> of an article title, so if you search for 'France' you will get 'France (country)', 'France (disambiguation)', 'France (film)', etc. This kind of search tries to be <b>case-insensitive</b>, but the number of case variants tried is necessarily limited. If not enough results are returned, you can increase the maximum number of search results using the slider in Configuration.",
       "about-search-para3": "<b>Alphabetical search:</b> If you type a letter of the alphabet in the search box (upper case may be most useful), it will show an alphabetical list of articles starting with that letter. This is useful for ZIM archives that have descriptive rather than semantic titles (e.g. TED Talks). You can also display a list of all titles (up to the limit set in Configuration) simply by clicking the search button without typing anything.",
       "about-search-para4": "<b>Full-text search:</b> This type of search is only available in relatively recent desktop browsers, and if the archive contains a full-text index. If it is supported, it will be used automatically, but it is slower than title search, and you may notice a delay before the results are added to the title-search results. Additionally, full-text search cannot be used if your archive is split into various chunks. To see whether it is available, look in the API panel at the bottom of the Configuration page after you have loaded a ZIM. If it says \"Xapian [fulltext]\" then it should be automatically enabled for that ZIM.",
+      "about-search-para5": "<b>Search operators:</b> You can narrow any search by adding <code>mime:</code> followed by a type of file (e.g. <code>mime:image</code>, <code>mime:pdf</code> or <code>mime:video/webm</code>), or <code>ns:</code> followed by a namespace (e.g. <code>ns:I</code> for the images of older archives), which also finds files that are not articles. Words after <code>intitle:</code> must appear somewhere in the title of each result (e.g. <code>intitle:commune paris</code>), and words in quotation marks (e.g. <code>\"paris commune\"</code>) are found by full-text search only where they occur together.",
       "about-remove-navbars": "Removing navigation bars",
       "about-remove-navbars-para1": "The default setting is for the top and bottom navigation bars to slide away when you scroll down and slide back when you scroll up. However, in some ZIM archives, e.g. PhET, it is not possible to scroll, and the navigation bars can obscure some content. In this case, in most browsers you can swipe decisively up or down on the window (with touch or with the mouse wheel/touchpad) to toggle the display of the navigation bars. In all browsers, you can also use the <code>Ctrl/Cmd</code> + <code>UpArrow</code>/<code>DownArrow</code> keys.",
       "about-image-download-para1": "Unfortunately, it is not usually possible to download and save an image from a ZIM article using the context menu (after right-clicking or long-pressing the image). One workaround is to choose \"Copy Image\" in the context menu, then paste it in any suitable software (Paint, Gimp etc, or even a Word processor), and then save it from there.",
@@ -296,6 +393,8 @@ document.localeJson = {
       "alert-update-version": "Version",
       "alert-update-available": "is ready to install. (Re-launch app to install.)",
       "alert-download-message": "<strong>Download</strong> If the download does not begin, please tap the following link:",
+      "alert-resume-message": "Reopened the article you were reading.",
+      "alert-resume-mainpage": "Go to main page instead",
       "spinner-caching": "Caching",
       "spinner-caching-assets": "Caching assets...",
       "spinner-loading": "Loading"
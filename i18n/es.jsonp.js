@@ -14,8 +14,55 @@ document.localeJson = {
       "home-btn-fileselect": "Seleccione archivo(s) ZIM",
       "home-btn-forward": "Adelante",
       "home-btn-top": "Arriba",
+      "home-btn-bookmark": "Añadir este artículo a marcadores",
+      "home-btn-bookmark-remove": "Quitar marcador",
+      "home-btn-findinpage": "Buscar en el artículo (Ctrl+F)",
+      "home-search-relevance": "Relevancia para la búsqueda",
+      "home-search-loadmore": "Cargar más resultados",
+      "home-search-recent": "Búsquedas recientes",
+      "home-search-recent-delete": "Olvidar esta búsqueda",
+      "home-btn-toc": "Índice",
       "home-prefix-placeholder": "Buscar...",
       "home-prefix-tip": "Puede buscar en el contenido de su archivo ZIM usando este campo de búsqueda. Sugerirá títulos de artículos que **empiezan** con las letras que escriba.",
+      "bookmarks": "Marcadores",
+      "bookmarks-title": "Marcadores",
+      "bookmarks-search-placeholder": "Buscar marcadores...",
+      "bookmarks-folder-all": "Todas las carpetas",
+      "bookmarks-folder-none": "Sin carpeta",
+      "bookmarks-folder-filter-tip": "Mostrar solo los marcadores de esta carpeta",
+      "bookmarks-folder-placeholder": "Carpeta",
+      "bookmarks-folder-tip": "Escriba o elija el nombre de una carpeta en la que guardar este marcador",
+      "bookmarks-empty": "Aún no tiene marcadores. Use el botón de estrella en la parte inferior de un artículo para añadirlo.",
+      "bookmarks-none-found": "Ningún marcador coincide con su búsqueda.",
+      "bookmarks-error": "No se pueden leer los marcadores:",
+      "bookmarks-archive-notloaded": "archivo no cargado",
+      "bookmarks-btn-delete": "Eliminar",
+      "history": "Historial",
+      "history-title": "Historial de lectura",
+      "history-search-placeholder": "Buscar en el historial...",
+      "history-btn-clear": "Borrar historial",
+      "history-btn-delete-tip": "Quitar del historial",
+      "history-maxage": "Conservar el historial durante:",
+      "history-maxage-tip": "Las entradas más antiguas se eliminan automáticamente",
+      "history-maxage-off": "No conservar historial",
+      "history-maxage-week": "Una semana",
+      "history-maxage-month": "Un mes",
+      "history-maxage-quarter": "Tres meses",
+      "history-maxage-year": "Un año",
+      "history-maxage-forever": "Siempre",
+      "history-empty": "Su historial de lectura está vacío.",
+      "history-off": "El historial de lectura está desactivado.",
+      "history-none-found": "Ningún artículo de su historial coincide con su búsqueda.",
+      "history-error": "No se puede leer el historial de lectura:",
+      "findinpage-placeholder": "Buscar en el artículo...",
+      "findinpage-input-tip": "Intro: siguiente coincidencia; Mayús+Intro: coincidencia anterior; Esc: cerrar",
+      "findinpage-btn-previous": "Coincidencia anterior (Mayús+Intro)",
+      "findinpage-btn-next": "Siguiente coincidencia (Intro)",
+      "findinpage-btn-close": "Cerrar (Esc)",
+      "findinpage-nomatches": "Sin coincidencias",
+      "toc-title": "Contenido",
+      "toc-btn-close": "Cerrar el índice",
+      "toc-btn-toggle": "Mostrar u ocultar subsecciones",
       "configure": "Configurar",
       "configure-title": "Configuración",
       "configure-about-usage-link": "Información (Uso)",
@@ -25,6 +72,33 @@ document.localeJson = {
       "configure-changed-content-note": "(Vuelva a seleccionar carpeta si hay contenido actualizado en su dispositivo)",
       "configure-btn-rescan": "Volver a escanear",
       "configure-about-rescan-tip": "Volver a escanear las tarjetas SD y la memoria interna",
+      "configure-btn-verifychecksum": "Verificar la integridad del archivo",
+      "configure-btn-verifychecksum-tip": "Lee todo el archivo cargado y lo compara con la suma de verificación almacenada en el fichero. Úselo para comprobar que un archivo copiado o descargado está completo y sin daños. Puede tardar varios minutos con archivos grandes.",
+      "configure-checksum-progress": "Verificando la integridad del archivo...",
+      "configure-checksum-valid": "El archivo está intacto (la suma de verificación coincide).",
+      "configure-checksum-invalid": "¡El archivo está dañado: su suma de verificación no coincide! Vuelva a copiarlo o descargarlo.",
+      "configure-checksum-truncated": "¡El archivo está incompleto (truncado)! Vuelva a copiarlo o descargarlo.",
+      "configure-checksum-cancelled": "Verificación cancelada.",
+      "configure-checksum-error": "No se pudo verificar el archivo:",
+      "configure-archivemetadata-header": "Acerca de este archivo",
+      "configure-archivemetadata-loading": "Leyendo los metadatos del archivo...",
+      "configure-archivemetadata-error": "No se pudieron leer los metadatos del archivo:",
+      "configure-archivemetadata-copy": "Copiar como JSON",
+      "configure-archivemetadata-copied": "Copiado al portapapeles",
+      "configure-archivemetadata-copy-failed": "No se pudo copiar al portapapeles",
+      "configure-archivemetadata-file": "Fichero del archivo",
+      "configure-archivemetadata-metadata": "Metadatos",
+      "configure-archivemetadata-counter": "Entradas por tipo MIME",
+      "configure-archivemetadata-filename": "Nombre del fichero",
+      "configure-archivemetadata-version": "Versión ZIM",
+      "configure-archivemetadata-uuid": "UUID",
+      "configure-archivemetadata-entrycount": "Entradas",
+      "configure-archivemetadata-articlecount": "Artículos",
+      "configure-archivemetadata-clustercount": "Clústeres",
+      "configure-archivemetadata-fulltextindex": "Índice de texto completo",
+      "configure-archivemetadata-zimtype": "Tipo de archivo",
+      "configure-archivemetadata-yes": "Sí",
+      "configure-archivemetadata-no": "No",
       "configure-expert-enable-source-verification-tip": "Advertencia: Algunos archivos ZIM de fuentes no fiables podrían ejecutar código malicioso en su navegador. Esto puede evitarse utilizando el modo Restringido, que no puede ejecutar contenido activo desde el ZIM. Los ZIM muy dinámicos probablemente fallarán en el modo Restringido, pero los ZIM con contenido mayoritariamente estático deberían funcionar. Si confía en la fuente de todos sus archivos ZIM, puede desactivar esta opción y se utlizará el modo ServiceWorker por defecto (si está disponible).",
       "configure-expert-enable-source-verification-check-box": "<strong>Activar la verificación del origen de los archivos nuevos</strong> (<i>recomendado</i>: Sólo se le pedirá la primera vez que abra un archivo ZIM)",
       "configure-select-file-numbers": "archivo(s) encontrado(s) en la ubicación seleccionada. ",
@@ -88,6 +162,11 @@ document.localeJson = {
       "configure-performance-searchrange-label": "Número máximo de resultados de búsqueda:",
       "configure-performance-searchrange-valuetext": "Valor actual",
       "configure-performance-searchrange-help": "por defecto 25, valores más altos aumentan el tiempo de búsqueda",
+      "configure-performance-searchallarchives": "<b>Buscar en todos los archivos abiertos</b> (más lento con muchos archivos)",
+      "configure-performance-searchallarchives-tip": "Busca en los títulos de todos los archivos abiertos en esta sesión y de los demás archivos que eligió antes (hasta cinco archivos en total), no solo en el seleccionado. Cada resultado indica el archivo del que procede y se abre en ese archivo.",
+      "configure-performance-filecache-label": "Tamaño de la caché de bloques:",
+      "configure-performance-filecache-tip": "La caché de bloques conserva las partes del archivo que se leen para encontrar artículos y títulos. Una caché más grande acelera las búsquedas y la navegación en archivos grandes, pero usa más memoria. Este tamaño se comparte con la caché de la búsqueda de títulos, que se ejecuta en segundo plano.",
+      "configure-performance-filecache-auto": "Automático (se adapta a la memoria del dispositivo)",
       "configure-previews": "<b>Mostrar vista previa de artículos de <i>Wikipedia / Wikivoyage</i></b> al pasar el cursor sobre los enlaces (<i>funcionalidad limitada en Modo Restringido</i>)",
       "configure-previews-tip": "Muestra una pequeña vista previa emergente de los artículos de Wikipedia y Wikivoyage cuando el puntero se pasa sobre un enlace de artículo. Desactivar si es demasiado lento o interfiere con la visualización de artículos en dispositivos de pantalla pequeña.",
       "configure-compatibility-panel-header": "Modo de inyección de contenido",
@@ -136,6 +215,11 @@ document.localeJson = {
       "api-searchprovider-label": "Proveedor de búsqueda:",
       "api-searchprovider-title": "Título",
       "api-searchprovider-titleonly": "Sólo título",
+      "api-filecache-label": "Caché de bloques:",
+      "api-filecache-hitrate": "tasa de aciertos",
+      "api-filecache-hits": "aciertos:",
+      "api-filecache-misses": "fallos:",
+      "api-clustercache-label": "Caché de clústeres:",
       "dialog-allow-internetaccess-title": "Permitir acceso a Internet",
       "dialog-allow-internetaccess-message1": "<p>Para habilitar el Service Worker,",
       "dialog-allow-internetaccess-message2": "<p>Vamos a intentar cambiar al modo ServiceWorker (ahora es el modo predeterminado).",
@@ -148,6 +232,18 @@ document.localeJson = {
       "dialog-article-readerror-message": "Error al leer el artículo con la siguiente URL:",
       "dialog-article-readerror-title": "Error al leer artículo",
       "dialog-cancel": "Cancelar",
+      "dialog-bookmark-noarticle-title": "Ningún artículo mostrado",
+      "dialog-bookmark-noarticle-message": "Abra un artículo antes de añadirlo a marcadores.",
+      "dialog-bookmark-error-title": "Error de marcador",
+      "dialog-bookmark-error-message": "No se puede guardar el marcador:",
+      "dialog-savedarticle-notfound-title": "Artículo no encontrado",
+      "dialog-savedarticle-notfound-message": "No se encontró el artículo en su archivo:",
+      "dialog-savedarticle-archive-notloaded-title": "Archivo no cargado",
+      "dialog-savedarticle-archive-notloaded-message": "Este artículo pertenece a un archivo que no está cargado:",
+      "dialog-savedarticle-archive-notloaded-hint": "Seleccione el archivo en Configuración y vuelva a abrir el artículo.",
+      "dialog-savedarticle-archive-notloaded-select": "Seleccionar archivo",
+      "dialog-clearhistory-title": "¿Borrar historial?",
+      "dialog-clearhistory-message": "Se eliminarán todo su historial de lectura y sus búsquedas recientes. Los marcadores se conservarán.",
       "dialog-ok": "OK",
       "dialog-hide": "No vuelva a preguntar",
       "dialog-confirm": "Confirmar",
@@ -192,7 +288,7 @@ document.localeJson = {
       "dialog-readzim-error-title": "Error al leer archivo(s)",
       "dialog-readzim-error-message": "Error al leer archivo",
       "dialog-reset-warning-title": "¡AVISO!",
-      "dialog-reset-warning-message": "¡Se restablecerá la aplicación al estado original, borrando todas las cachés y configuraciones!",
+      "dialog-reset-warning-message": "¡Se restablecerá la aplicación al estado original, borrando todas las cachés y configuraciones, sus marcadores y su historial de lectura!",
       "dialog-scanstorage-error-message": "Error al escanear el almacenamiento del dispositivo:",
       "dialog-scanstorage-fxos-error-message": "Si está usando el simulador de Firefox OS, por favor, ponga los archivos en un directorio \"fake-sdcard\" dentro de su perfil de Firefox (p.ej.: ~/.mozilla/firefox/xxxx.default/extensions/fxos_2_x_simulator@mozilla.org/profile/fake-sdcard/wikipedia_en_ray_charles_2015-06.zim)",
       "dialog-scanstorage-fxos-error-title": "Error al escanear almacenamiento",
@@ -256,6 +352,7 @@ document.localeJson = {
       "about-search-para2": "<b>La búsqueda por título</b> coincide con el <b>inicio</b> de un título de artículo, por lo que si busca 'Francia', obtendrá 'Francia (país)', 'Francia (desambiguación)', 'Francia (película)', etc. Este tipo de búsqueda intenta ser <b>insensible a las mayúsculas y minúsculas</b>, pero el número de variantes de mayúsculas y minúsculas que se prueban es necesariamente limitado. Si no se devuelven suficientes resultados, puede aumentar el número máximo de resultados de búsqueda utilizando el control deslizante de Configuración.",
       "about-search-para3": "<b>La búsqueda alfabética:</b> Si escribe una letra del alfabeto en el campo de búsqueda (las mayúsculas pueden ser más útiles), se mostrará una lista alfabética de artículos que empiezan por esa letra. Esto es útil para los archivos ZIM que tienen títulos descriptivos en lugar de semánticos (por ejemplo, TED Talks). También se puede mostrar una lista de todos los títulos (hasta el límite establecido en Configuración) simplemente haciendo clic en el botón de búsqueda sin escribir nada.",
       "about-search-para4": "<b>La búsqueda de texto completo:</b> Este tipo de búsqueda sólo está disponible en los navegadores de escritorio relativamente recientes, y si el archivo contiene un índice de texto completo. Si es compatible, se utilizará automáticamente, pero es más lenta que la búsqueda por título, y puede notar un retraso antes de que los resultados se añadan a los resultados de la búsqueda por título. Además, la búsqueda de texto completo no se puede utilizar si su archivo está dividido en varios fragmentos. Para ver si está disponible, mire en el panel API en la parte inferior de la página de Configuración después de haber cargado un ZIM. Si dice \"Xapian [fulltext]\", entonces debería estar habilitada automáticamente para ese ZIM.",
+      "about-search-para5": "<b>Operadores de búsqueda:</b> Puede acotar cualquier búsqueda añadiendo <code>mime:</code> seguido de un tipo de archivo (p. ej. <code>mime:image</code>, <code>mime:pdf</code> o <code>mime:video/webm</code>), o <code>ns:</code> seguido de un espacio de nombres (p. ej. <code>ns:I</code> para las imágenes de los archivos antiguos), lo que también encuentra archivos que no son artículos. Las palabras después de <code>intitle:</code> deben aparecer en el título de cada resultado (p. ej. <code>intitle:commune paris</code>), y la búsqueda de texto completo solo encuentra las palabras entre comillas (p. ej. <code>\"paris commune\"</code>) donde aparecen juntas.",
       "about-remove-navbars": "Eliminación de barras de navegación",
       "about-remove-navbars-para1": "La configuración predeterminada es que las barras de navegación superior e inferior se deslicen cuando se desplaza hacia abajo y vuelvan a aparecer cuando se desplaza hacia arriba. Sin embargo, en algunos archivos ZIM, por ejemplo, PhET, no es posible desplazarse, y las barras de navegación pueden ocultar parte del contenido. En este caso, en la mayoría de los navegadores puede deslizar decididamente hacia arriba o hacia abajo en la ventana (con el tacto o con la rueda del ratón/touchpad) para alternar la visualización de las barras de navegación. En todos los navegadores, también puede utilizar las teclas <code>Ctrl/Cmd</code> + <code>FlechaArriba</code>/<code>FlechaAbajo</code>.",
       "about-image-download-para1": "Desafortunadamente, no suele ser posible descargar y guardar una imagen de un artículo ZIM utilizando el menú contextual (después de hacer clic con el botón derecho o mantener pulsada la imagen). Una solución alternativa es elegir \"Copiar imagen\" en el menú contextual, luego pegarla en cualquier software adecuado (Paint, Gimp, etc, o incluso un procesador de textos), y luego guardarla desde allí.",
@@ -296,6 +393,8 @@ document.localeJson = {
       "alert-update-version": "Versión",
       "alert-update-available": "está lista para instalar. (Vuelva a iniciar la aplicación para instalarla.)",
       "alert-download-message": "<strong>Descargar</strong> Si no se inicia la descarga, pulse el siguiente enlace:",
+      "alert-resume-message": "Se ha vuelto a abrir el artículo que estaba leyendo.",
+      "alert-resume-mainpage": "Ir a la página principal",
       "spinner-caching": "Almacenando",
       "spinner-caching-assets": "Almacenando activos...",
       "spinner-loading": "Cargando"
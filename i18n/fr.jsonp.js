@@ -14,8 +14,55 @@ document.localeJson = {
       "home-btn-fileselect": "Sélectionner fichier(s) ZIM",
       "home-btn-forward": "Suivant",
       "home-btn-top": "Haut",
+      "home-btn-bookmark": "Ajouter cet article aux favoris",
+      "home-btn-bookmark-remove": "Retirer des favoris",
+      "home-btn-findinpage": "Rechercher dans l'article (Ctrl+F)",
+      "home-search-relevance": "Pertinence pour la recherche",
+      "home-search-loadmore": "Afficher plus de résultats",
+      "home-search-recent": "Recherches récentes",
+      "home-search-recent-delete": "Oublier cette recherche",
+      "home-btn-toc": "Table des matières",
       "home-prefix-placeholder": "Chercher...",
       "home-prefix-tip": "Vous pouvez chercher dans votre fichier ZIM via ce champ de recherche. Il vous proposera les titres d'articles qui **commençent** par les lettres que vous tapez.",
+      "bookmarks": "Favoris",
+      "bookmarks-title": "Favoris",
+      "bookmarks-search-placeholder": "Chercher dans les favoris...",
+      "bookmarks-folder-all": "Tous les dossiers",
+      "bookmarks-folder-none": "Hors dossier",
+      "bookmarks-folder-filter-tip": "Afficher uniquement les favoris de ce dossier",
+      "bookmarks-folder-placeholder": "Dossier",
+      "bookmarks-folder-tip": "Saisissez ou choisissez le nom du dossier dans lequel ranger ce favori",
+      "bookmarks-empty": "Vous n'avez pas encore de favoris. Utilisez le bouton étoile en bas d'un article pour l'ajouter aux favoris.",
+      "bookmarks-none-found": "Aucun favori ne correspond à votre recherche.",
+      "bookmarks-error": "Impossible de lire les favoris :",
+      "bookmarks-archive-notloaded": "archive non chargée",
+      "bookmarks-btn-delete": "Supprimer",
+      "history": "Historique",
+      "history-title": "Historique de lecture",
+      "history-search-placeholder": "Chercher dans l'historique...",
+      "history-btn-clear": "Effacer l'historique",
+      "history-btn-delete-tip": "Retirer de l'historique",
+      "history-maxage": "Conserver l'historique pendant :",
+      "history-maxage-tip": "Les entrées plus anciennes sont supprimées automatiquement",
+      "history-maxage-off": "Ne pas conserver d'historique",
+      "history-maxage-week": "Une semaine",
+      "history-maxage-month": "Un mois",
+      "history-maxage-quarter": "Trois mois",
+      "history-maxage-year": "Un an",
+      "history-maxage-forever": "Toujours",
+      "history-empty": "Votre historique de lecture est vide.",
+      "history-off": "L'historique de lecture est désactivé.",
+      "history-none-found": "Aucun article de votre historique ne correspond à votre recherche.",
+      "history-error": "Impossible de lire l'historique de lecture :",
+      "findinpage-placeholder": "Rechercher dans l'article...",
+      "findinpage-input-tip": "Entrée : occurrence suivante ; Maj+Entrée : occurrence précédente ; Échap : fermer",
+      "findinpage-btn-previous": "Occurrence précédente (Maj+Entrée)",
+      "findinpage-btn-next": "Occurrence suivante (Entrée)",
+      "findinpage-btn-close": "Fermer (Échap)",
+      "findinpage-nomatches": "Aucune occurrence",
+      "toc-title": "Sommaire",
+      "toc-btn-close": "Fermer la table des matières",
+      "toc-btn-toggle": "Afficher ou masquer les sous-sections",
       "configure": "Configuration",
       "configure-title": "Configuration",
       "configure-about-usage-link": "Informations (Utilisation)",
@@ -25,6 +72,33 @@ document.localeJson = {
       "configure-changed-content-note": "(Re-sélecctionnez le dossier s'il y a de nouveau contenu sur votre appareil)",
       "configure-btn-rescan": "Réanalyser",
       "configure-about-rescan-tip": "Réanalyser la carte SD et la mémoire interne",
+      "configure-btn-verifychecksum": "Vérifier l'intégrité de l'archive",
+      "configure-btn-verifychecksum-tip": "Lit l'intégralité de l'archive chargée et la compare avec la somme de contrôle enregistrée dans le fichier. Utilisez cette option pour vérifier qu'une archive copiée ou téléchargée est complète et intacte. Cela peut prendre plusieurs minutes pour les grandes archives.",
+      "configure-checksum-progress": "Vérification de l'intégrité de l'archive...",
+      "configure-checksum-valid": "L'archive est intacte (la somme de contrôle correspond).",
+      "configure-checksum-invalid": "L'archive est endommagée : sa somme de contrôle ne correspond pas ! Veuillez la copier ou la télécharger à nouveau.",
+      "configure-checksum-truncated": "L'archive est incomplète (tronquée) ! Veuillez la copier ou la télécharger à nouveau.",
+      "configure-checksum-cancelled": "Vérification annulée.",
+      "configure-checksum-error": "Impossible de vérifier l'archive :",
+      "configure-archivemetadata-header": "À propos de cette archive",
+      "configure-archivemetadata-loading": "Lecture des métadonnées de l'archive...",
+      "configure-archivemetadata-error": "Impossible de lire les métadonnées de l'archive :",
+      "configure-archivemetadata-copy": "Copier en JSON",
+      "configure-archivemetadata-copied": "Copié dans le presse-papiers",
+      "configure-archivemetadata-copy-failed": "Impossible de copier dans le presse-papiers",
+      "configure-archivemetadata-file": "Fichier de l'archive",
+      "configure-archivemetadata-metadata": "Métadonnées",
+      "configure-archivemetadata-counter": "Entrées par type MIME",
+      "configure-archivemetadata-filename": "Nom du fichier",
+      "configure-archivemetadata-version": "Version ZIM",
+      "configure-archivemetadata-uuid": "UUID",
+      "configure-archivemetadata-entrycount": "Entrées",
+      "configure-archivemetadata-articlecount": "Articles",
+      "configure-archivemetadata-clustercount": "Clusters",
+      "configure-archivemetadata-fulltextindex": "Index plein texte",
+      "configure-archivemetadata-zimtype": "Type d'archive",
+      "configure-archivemetadata-yes": "Oui",
+      "configure-archivemetadata-no": "Non",
       "configure-expert-enable-source-verification-tip": "Avertissement : Certaines archives ZIM provenant de sources non fiables peuvent exécuter du code malveillant dans votre navigateur. Vous pouvez éviter cela en utilisant le mode Restreint, qui ne peut pas exécuter de contenu actif à partir du ZIM. Les ZIM très dynamiques échoueront probablement en mode Restreint, mais les ZIM dont le contenu est essentiellement statique devraient fonctionner. Si vous faites confiance à la source de tous vos ZIM, la désactivation de cette option permet d'utiliser le mode ServiceWorker par défaut, s'il est disponible.",
       "configure-expert-enable-source-verification-check-box": "<strong>Activer la vérification de la source</strong> (<i>recommandé</i>&nbsp;: vous ne serez invité à le faire que la première fois que vous ouvrirez un ZIM)",
       "configure-select-file-numbers": "archive(s) trouvée(s) dans le lieu sélectionné. ",
@@ -88,6 +162,11 @@ document.localeJson = {
       "configure-performance-searchrange-label": "Nombre maximal de résultats de recherche&nbsp;:",
       "configure-performance-searchrange-valuetext": "Valeur actuelle",
       "configure-performance-searchrange-help": "par défaut 25, des valeurs plus élevées augmentent le temps de recherche",
+      "configure-performance-searchallarchives": "<b>Rechercher dans toutes les archives ouvertes</b> (plus lent avec de nombreuses archives)",
+      "configure-performance-searchallarchives-tip": "Recherche dans les titres de toutes les archives ouvertes pendant cette session et des autres archives que vous avez choisies auparavant (jusqu'à cinq archives en tout), et pas seulement dans l'archive sélectionnée. Chaque résultat indique l'archive dont il provient, et s'ouvre dans cette archive.",
+      "configure-performance-filecache-label": "Taille du cache de blocs&nbsp;:",
+      "configure-performance-filecache-tip": "Le cache de blocs conserve les parties de l'archive qui sont lues pour trouver les articles et les titres. Un cache plus grand accélère les recherches et la navigation dans les grandes archives, mais utilise plus de mémoire. Cette taille est partagée avec le cache de la recherche de titres, qui s'exécute en arrière-plan.",
+      "configure-performance-filecache-auto": "Automatique (s'adapte à la mémoire de l'appareil)",
       "configure-previews": "<b>Afficher un aperçu des articles <i>Wikipédia / Wikivoyage</i></b> en survolant les liens (<i>fonctionnalité limitée en Mode Restreint</i>)",
       "configure-previews-tip": "Affiche un petit aperçu en popup des articles de Wikipédia et Wikivoyage lorsque le pointeur est placé sur le lien d'article. Désactivez cette fonction si elle est trop lente ou si elle interfère avec l'affichage des articles sur les appareils à petit écran.",
       "configure-compatibility-panel-header": "Mode d'injection de contenu",
@@ -136,6 +215,11 @@ document.localeJson = {
       "api-searchprovider-label": "Moteur de recherche :",
       "api-searchprovider-title": "Titre",
       "api-searchprovider-titleonly": "Titre uniquement",
+      "api-filecache-label": "Cache de blocs :",
+      "api-filecache-hitrate": "taux de réussite",
+      "api-filecache-hits": "succès :",
+      "api-filecache-misses": "échecs :",
+      "api-clustercache-label": "Cache de clusters :",
       "dialog-allow-internetaccess-title": "Autoriser l'accès à Internet",
       "dialog-allow-internetaccess-message1": "<p>Pour activer le Service Worker, nous",
       "dialog-allow-internetaccess-message2": "<p>Nous allons essayer de passer en mode ServiceWorker (c'est maintenant le mode par défaut).",
@@ -148,6 +232,18 @@ document.localeJson = {
       "dialog-article-readerror-message": "Erreur lors de la lecture de l'article avec l'URL suivante&nbsp;:",
       "dialog-article-readerror-title": "Erreur lors de la lecture de l'article",
       "dialog-cancel": "Annuler",
+      "dialog-bookmark-noarticle-title": "Aucun article affiché",
+      "dialog-bookmark-noarticle-message": "Veuillez ouvrir un article avant de l'ajouter aux favoris.",
+      "dialog-bookmark-error-title": "Erreur de favori",
+      "dialog-bookmark-error-message": "Impossible d'enregistrer le favori :",
+      "dialog-savedarticle-notfound-title": "Article introuvable",
+      "dialog-savedarticle-notfound-message": "L'article est introuvable dans son archive :",
+      "dialog-savedarticle-archive-notloaded-title": "Archive non chargée",
+      "dialog-savedarticle-archive-notloaded-message": "Cet article appartient à une archive qui n'est pas chargée :",
+      "dialog-savedarticle-archive-notloaded-hint": "Veuillez sélectionner l'archive dans Configuration, puis rouvrir l'article.",
+      "dialog-savedarticle-archive-notloaded-select": "Sélectionner l'archive",
+      "dialog-clearhistory-title": "Effacer l'historique ?",
+      "dialog-clearhistory-message": "Tout votre historique de lecture et vos recherches récentes seront supprimés. Vos favoris seront conservés.",
       "dialog-ok": "OK",
       "dialog-hide": "Ne demandez plus",
       "dialog-confirm": "Confirmer",
@@ -192,7 +288,7 @@ document.localeJson = {
       "dialog-readzim-error-title": "Erreur&nbsp;: lecture de fichier(s)",
       "dialog-readzim-error-message": "Erreur lors de la lecture du fichier ZIM",
       "dialog-reset-warning-title": "ATTENTION&nbsp;!",
-      "dialog-reset-warning-message": "Cela réinitialisera l'application à l'état d'installation originale. Tous les caches et paramètres seront effacés&nbsp;!",
+      "dialog-reset-warning-message": "Cela réinitialisera l'application à l'état d'installation originale. Tous les caches et paramètres, vos favoris et votre historique de lecture seront effacés&nbsp;!",
       "dialog-scanstorage-error-message": "Erreur lors de l'analyse du stockage de l'appareil&nbsp;:",
       "dialog-scanstorage-fxos-error-message": "Si vous utilisez le simulateur Firefox OS, veuillez placer les archives dans un répertoire «&nbsp;fake-sdcard&nbsp;» à l'intérieur de votre profil Firefox (par exemple&nbsp;: ~/.mozilla/firefox/xxxx.default/extensions/fxos_2_x_simulator@mozilla.org/profile/fake-sdcard/wikipedia_en_ray_charles_2015-06.zim)",
       "dialog-scanstorage-fxos-error-title": "Erreur d'analyse du stockage",
@@ -256,6 +352,7 @@ document.localeJson = {
       "about-search-para2": "<b>La recherche par titre</b> correspond au <b>début</b> d'un titre d'article, de sorte que si vous cherchez «&nbsp;France&nbsp;», vous obtiendrez «&nbsp;France (pays)&nbsp;», «&nbsp;France (désambiguïsation)&nbsp;», «&nbsp;France (film)&nbsp;», etc. Ce type de recherche tente d'être <b>insensible à la casse</b>, mais le nombre de variantes de casse testées est nécessairement limité. Si vous ne trouvez pas assez de résultats, vous pouvez augmenter le nombre maximal de résultats de recherche à l'aide du curseur de la page de Configuration.",
       "about-search-para3": "<b>Recherche alphabétique:</b> Si vous tapez une lettre de l'alphabet dans le champ de recherche (les majuscules peuvent être plus utiles), une liste alphabétique des articles commençant par cette lettre s'affichera. Cette fonction est utile pour les archives du ZIM dont les titres sont plus descriptifs que sémantiques (par exemple, TED Talks). Vous pouvez également afficher une liste de tous les titres (jusqu'à la limite fixée dans la Configuration) en cliquant simplement sur le bouton de recherche sans rien taper.",
       "about-search-para4": "<b>La recherche de texte intégral</b> n'est disponible que dans les navigateurs de bureau relativement récents, et si l'archive contient un index de texte intégral. Si elle est prise en charge, elle sera utilisée automatiquement, mais elle est plus lente que la recherche par titre, et vous pouvez remarquer un délai avant que les résultats ne soient ajoutés aux résultats de la recherche par titre. De plus, la recherche de texte intégral ne peut pas être utilisée si votre fichier est découpé en pluseurs parties. Pour voir si elle est disponible, regardez dans le panneau API en bas de la page de Configuration après avoir chargé un ZIM. S'il indique «&nbsp;Xapian [fulltext]&nbsp;», alors elle devrait être activée automatiquement pour ce ZIM.",
+      "about-search-para5": "<b>Opérateurs de recherche :</b> Vous pouvez affiner toute recherche en ajoutant <code>mime:</code> suivi d'un type de fichier (par ex. <code>mime:image</code>, <code>mime:pdf</code> ou <code>mime:video/webm</code>), ou <code>ns:</code> suivi d'un espace de noms (par ex. <code>ns:I</code> pour les images des archives anciennes), ce qui trouve aussi les fichiers qui ne sont pas des articles. Les mots qui suivent <code>intitle:</code> doivent figurer dans le titre de chaque résultat (par ex. <code>intitle:commune paris</code>), et la recherche de texte intégral ne trouve les mots entre guillemets (par ex. <code>\"paris commune\"</code>) que là où ils se suivent.",
       "about-remove-navbars": "Suppression des barres de navigation",
       "about-remove-navbars-para1": "Le paramètre par défaut est que les barres de navigation supérieure et inférieure disparaissent lorsque vous faites défiler vers le bas et réapparaissent lorsque vous faites défiler vers le haut. Cependant, dans certaines archives ZIM, par exemple PhET, il n'est pas possible de faire défiler, et les barres de navigation peuvent masquer une partie du contenu. Dans ce cas, dans la plupart des navigateurs, vous pouvez faire glisser de manière décisive vers le haut ou vers le bas sur la fenêtre (avec le toucher ou avec la molette de la souris/touchpad) pour basculer l'affichage des barres de navigation. Dans tous les navigateurs, vous pouvez également utiliser les touches <code>Ctrl/Cmd</code> + <code>FlècheHaut</code>/<code>FlècheBas</code>.",
       "about-image-download-para1": "Malheureusement, il n'est généralement pas possible de télécharger et d'enregistrer une image à partir d'un article ZIM en utilisant le menu contextuel (après un clic droit ou un appui long sur l'image). Une solution de contournement consiste à choisir «&nbsp;Copier l'image&nbsp;» dans le menu contextuel, puis à la coller dans un logiciel approprié (Paint, Gimp, etc., ou même un traitement de texte), puis à l'enregistrer à partir de là.",
@@ -296,6 +393,8 @@ document.localeJson = {
       "alert-update-version": "La version",
       "alert-update-available": "est prête à être installée. (Relancez l'application pour installer.)",
       "alert-download-message": "<strong>Télécharger</strong> Si le téléchargement ne démarre pas, veuillez cliquer sur le lien suivant&nbsp;:",
+      "alert-resume-message": "L'article que vous lisiez a été rouvert.",
+      "alert-resume-mainpage": "Aller plutôt à la page principale",
       "spinner-caching": "Mise en cache :",
       "spinner-caching-assets": "Mise en cache...",
       "spinner-loading": "Chargement"
@@ -7,8 +7,43 @@ import replace from '@rollup/plugin-replace';
 import copy from 'rollup-plugin-copy';
 import terser from '@rollup/plugin-terser';
 import { minify } from 'terser';
+import { rollup } from 'rollup';
+import path from 'path';
 // import styles from "@ironkinoko/rollup-plugin-styles";
 
+// The Web Workers that the app loads as modules from www/js/lib. In the bundled app they are bundled separately, as classic Workers,
+// and written next to the bundle, and the app is redirected to them (see below)
+const workers = ['titleSearchWorker', 'decoderWorker'];
+
+const bundleWorkers = {
+    name: 'bundle-workers',
+    writeBundle: async (options) => {
+        for (const worker of workers) {
+            const bundle = await rollup({
+                input: 'www/js/lib/' + worker + '.js',
+                treeshake: 'recommended',
+                plugins: [
+                    replace({
+                        // There is no document in a Worker, so URLs are resolved relative to the script of the Worker
+                        'import.meta.url': 'self.location.href',
+                        preventAssignment: true
+                    }),
+                    babel({
+                        exclude: 'node_modules/**',
+                        babelHelpers: 'bundled'
+                    }),
+                    commonjs(),
+                    resolve({
+                        browser: true
+                    })
+                ].concat(process.env.BUILD === 'production' ? [terser()] : [])
+            });
+            await bundle.write({ file: path.join(path.dirname(options.file), worker + '.js'), format: 'iife' });
+            await bundle.close();
+        }
+    }
+};
+
 const config = {
     // The entry point for the bundler
     input: 'www/js/app.js',
@@ -18,6 +53,15 @@ const config = {
     },
     treeshake: 'recommended',
     plugins: [
+        replace({
+            // Redirect the Worker loaders to the bundled Workers, which are loaded relative to index.html, like the libzim Worker
+            ...Object.fromEntries(workers.map(worker => [
+                "new URL('" + worker + ".js', import.meta.url), { type: 'module' }",
+                "'js/" + worker + ".js'"
+            ])),
+            delimiters: ['', ''],
+            preventAssignment: true
+        }),
         babel({
             exclude: 'node_modules/**',
             babelHelpers: 'bundled'
@@ -51,7 +95,8 @@ const config = {
             { src: ['archives', 'backgroundscript.js', 'index.html', 'manifest.json', 'manifest.fx.v3.json', 'manifest.v2.json', 'manifest.webapp', 'manifest.webmanifest', 'package.json', 'LICENSE-GPLv3.txt', 'CHANGELOG.md', 'README.md', '*.pfx', '*.cjs'], dest: 'dist' }
             ],
             flatten: true
-        })
+        }),
+        bundleWorkers
     ]
 };
 if (process.env.BUILD === 'production') {
@@ -74,8 +119,8 @@ if (process.env.BUILD === 'production') {
                     transform: async (contents, filename) => {
                         const result = await minify(
                             contents.toString()
-                            // Replace the entry point with the bundle
-                                .replace(/(www[\\/]js[\\/])app.js/, '$1bundle.min.js')
+                            // Replace the entry point with the bundle, and add the bundled Workers
+                                .replace(/(["'])(www[\\/]js[\\/])app.js\1/, '$1$2bundle.min.js$1,\n    $1$2titleSearchWorker.js$1,\n    $1$2decoderWorker.js$1')
                             // Remove all the lib files that will be included in the bundle
                                 .replace(/,\s+["']www[\\/]js[\\/]lib[\\/]abstractFilesystemAccess[\s\S]+zimfile.js["']\s*/, '')
                             // Replace any references to node_modules
@@ -86,7 +131,7 @@ if (process.env.BUILD === 'production') {
                             // Alter remaining lib references
                                 .replace(/([\\/])js[\\/]lib/g, '$1js')
                             // Remove unneeded ASM/WASM binaries
-                                .replace(/["']www[\\/]js[\\/].*dec.*js["'],\s*/g, '')
+                                .replace(/["']www[\\/]js[\\/].*dec-.*js["'],\s*/g, '')
                         );
                         return result.code;
                     }
@@ -156,8 +201,8 @@ if (process.env.BUILD === 'production') {
                     dest: 'dist',
                     // Modify the Service Worker precache files
                     transform: (contents, filename) => contents.toString()
-                    // Replace the entry point with the bundle
-                        .replace(/(www\/js\/)app.js/, '$1bundle.js')
+                    // Replace the entry point with the bundle, and add the bundled Workers
+                        .replace(/(["'])(www\/js\/)app.js\1/, '$1$2bundle.js$1,\n    $1$2titleSearchWorker.js$1,\n    $1$2decoderWorker.js$1')
                     // Remove all the lib files that will be included in the bundle
                         .replace(/,\s+["']www\/js\/lib\/abstractFilesystemAccess[\s\S]+zimfile.js["']/, '')
                     // Replace any references to node_modules
@@ -168,7 +213,7 @@ if (process.env.BUILD === 'production') {
                     // Alter remaining lib references
                         .replace(/([\\/])js[\\/]lib/g, '$1js')
                     // Remove unneeded ASM/WASM binaries
-                        .replace(/['"]www[\\/]js[\\/].*dec.*js['"],\s*/g, '')
+                        .replace(/['"]www[\\/]js[\\/].*dec-.*js['"],\s*/g, '')
                 },
                 {
                     src: ['replayWorker.js'],
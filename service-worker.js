@@ -94,15 +94,23 @@ const regexpExcludedURLSchema = /^(?:file|chrome-extension|example-extension):/i
 const regexpZIMUrlWithNamespace = /(?:^|\/)([^/]+\/)([-ABCHIJMUVWX])\/(.+)/;
 
 /**
- * Pattern to parse the first offset of a "range" request header
- * NB: this only reads the first offset of the first byte range, where the spec allows several ranges, and several units.
+ * Pattern to parse the offsets of a "range" request header
+ * NB: this only reads the first byte range, where the spec allows several ranges, and several units.
  * See https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Range
  * But, in our case, we send a header to tell the browser we only accept the bytes unit.
  * I did not see multiple ranges asked by a browser.
  *
  * @type {RegExp}
  */
-const regexpByteRangeHeader = /^\s*bytes=(\d+)-/;
+const regexpByteRangeHeader = /^\s*bytes=(\d+)-(\d*)/;
+
+/**
+ * The largest number of bytes sent in reply to a range request (4MB). Browsers usually ask for a video or audio stream from a given
+ * offset to its end ("bytes=x-"), so we send it in chunks of this size, and the browser asks for the following chunks as it plays,
+ * rather than having the whole of a long video read from the archive at once
+ * @type {Integer}
+ */
+const MAX_RANGE_SIZE = 4 * 1024 * 1024;
 
 /**
  * The list of files that the app needs in order to run entirely from offline code
@@ -136,8 +144,24 @@ const precacheFiles = [
     'www/js/lib/abstractFilesystemAccess.js',
     'www/js/lib/arrayFromPolyfill.js',
     'www/js/lib/filecache.js',
+    'www/js/lib/clustercache.js',
     'www/js/lib/cache.js',
     'www/js/lib/kiwixLibrary.js',
+    'www/js/lib/md5.js',
+    'www/js/lib/archiveRegistry.js',
+    'www/js/lib/userDataStore.js',
+    'www/js/lib/bookmarks.js',
+    'www/js/lib/readingHistory.js',
+    'www/js/lib/searchHistory.js',
+    'www/js/lib/readingPositions.js',
+    'www/js/lib/archiveIndexCache.js',
+    'www/js/lib/findInPage.js',
+    'www/js/lib/tableOfContents.js',
+    'www/js/lib/inflate.js',
+    'www/js/lib/xapianReader.js',
+    'www/js/lib/searchQuery.js',
+    'www/js/lib/titleSearch.js',
+    'www/js/lib/titleSearchWorker.js',
     'www/js/lib/popovers.js',
     'www/js/lib/promisePolyfill.js',
     'www/js/lib/settingsStore.js',
@@ -147,6 +171,8 @@ const precacheFiles = [
     'www/js/lib/util.js',
     'www/js/lib/xzdec_wrapper.js',
     'www/js/lib/zstddec_wrapper.js',
+    'www/js/lib/decoderPool.js',
+    'www/js/lib/decoderWorker.js',
     'www/js/lib/zimArchive.js',
     'www/js/lib/zimArchiveLoader.js',
     'www/js/lib/zimDirEntry.js',
@@ -559,6 +585,14 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
         }
         var titleWithNameSpace = nameSpace + '/' + title;
         var zimName = prefix.replace(/\/$/, '');
+        // The range of bytes requested, if any (the end offset is exclusive, as in ZIMFile.blobRange())
+        var byteRange = null;
+        var partsOfRangeHeader = range ? regexpByteRangeHeader.exec(range) : null;
+        if (partsOfRangeHeader) {
+            var begin = parseInt(partsOfRangeHeader[1], 10);
+            var end = partsOfRangeHeader[2] ? parseInt(partsOfRangeHeader[2], 10) + 1 : Infinity;
+            byteRange = { begin: begin, end: Math.min(end, begin + MAX_RANGE_SIZE) };
+        }
 
         // console.debug('[SW] Asking app.js for ' + titleWithNameSpace + ' from ' + zimName + '...');
 
@@ -584,30 +618,36 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
                 }
 
                 var slicedData = msgPortEvent.data.content;
+                var sentRange = msgPortEvent.data.range;
+                var status = 200;
 
                 if (range && zimType === 'zimit') {
                     headers.set('Content-Range', range + '/*');
-                } else if (range && slicedData !== null) {
-                    // The browser asks for a range of bytes (usually for a video or audio stream)
-                    // In this case, we partially honor the request: if it asks for offsets x to y,
-                    // we send partial contents starting at x offset, till the end of the data (ignoring y offset)
-                    // Our backend can currently only read the whole content from the ZIM file.
-                    // So it's probably better to send all we have: hopefully it will avoid some subsequent requests of
-                    // the browser to get the following chunks (which would trigger some other complete reads in the ZIM file)
-                    // This might be improved in the future with the libzim wasm backend, that should be able to handle ranges.
-                    const partsOfRangeHeader = regexpByteRangeHeader.exec(range);
-                    const begin = partsOfRangeHeader[1];
-                    const end = contentLength - 1;
+                    status = 206;
+                } else if (sentRange && slicedData !== null) {
+                    // The browser asks for a range of bytes (usually for a video or audio stream), and app.js has read only those bytes
+                    // (or, for a file stored in a compressed cluster, those bytes and the rest of the file), so we send what it read
+                    if (sentRange.begin >= sentRange.size) {
+                        headers.set('Content-Range', 'bytes */' + sentRange.size);
+                        status = 416;
+                    } else {
+                        headers.set('Content-Range', 'bytes ' + sentRange.begin + '-' + (sentRange.end - 1) + '/' + sentRange.size);
+                        status = 206;
+                    }
+                } else if (byteRange && slicedData !== null) {
+                    // The range of bytes was not read by app.js (e.g. by the libzim backend), so we send partial contents starting at the
+                    // requested offset, till the end of the data (which hopefully avoids some requests of the browser for the following chunks)
+                    const begin = Math.min(byteRange.begin, contentLength);
                     slicedData = slicedData.slice(begin);
-
-                    headers.set('Content-Range', 'bytes ' + begin + '-' + end + '/' + contentLength);
-                    headers.set('Content-Length', end - begin + 1);
+                    headers.set('Content-Range', 'bytes ' + begin + '-' + (contentLength - 1) + '/' + contentLength);
+                    headers.set('Content-Length', contentLength - begin);
+                    status = 206;
                 }
 
                 var responseInit = {
                     // HTTP status is usually 200, but has to be 206 when partial content (range) is sent
-                    status: range ? 206 : 200,
-                    statusText: 'OK',
+                    status: status,
+                    statusText: status === 416 ? 'Range Not Satisfiable' : status === 206 ? 'Partial Content' : 'OK',
                     headers: headers
                 };
                 // Deal with a not-found dirEntry
@@ -646,7 +686,8 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
                     title: titleWithNameSpace,
                     search: uriComponent,
                     anchorTarget: anchorTarget,
-                    zimFileName: zimName
+                    zimFileName: zimName,
+                    range: byteRange
                 }, [messageChannel.port2]);
             });
         });
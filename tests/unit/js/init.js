@@ -30,6 +30,8 @@
 var params = {};
 // We need to turn off source verification so that the test files can be loaded normally without interruption
 params['sourceVerification'] = false;
+// Keep the user data (e.g. bookmarks) created by the tests apart from the app's own user data
+params['userDataIDB'] = 'kiwix-userdata-tests';
 // Test if WebP is natively supported, and if not, load a webpMachine instance. This is used in uiUtils.js.
 // eslint-disable-next-line no-unused-vars
 var webpMachine = false;
@@ -20,13 +20,29 @@
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
 
-/* global QUnit, Promise */
+/* global QUnit, Promise, params */
 
 // import '../www/js/lib/promisePolyfill.js';
 // import '../www/js/lib/arrayFromPolyfill.js';
 import '../js/init.js';
 // import '../www/js/app.js';
 import zimArchive from '../../../www/js/lib/zimArchive.js';
+import zimfile from '../../../www/js/lib/zimfile.js';
+import xapianReader from '../../../www/js/lib/xapianReader.js';
+import searchQuery from '../../../www/js/lib/searchQuery.js';
+import titleSearch from '../../../www/js/lib/titleSearch.js';
+import archiveIndexCache from '../../../www/js/lib/archiveIndexCache.js';
+import FileCache from '../../../www/js/lib/filecache.js';
+import ClusterCache from '../../../www/js/lib/clustercache.js';
+import decoderPool from '../../../www/js/lib/decoderPool.js';
+import inflate from '../../../www/js/lib/inflate.js';
+import archiveRegistry from '../../../www/js/lib/archiveRegistry.js';
+import bookmarks from '../../../www/js/lib/bookmarks.js';
+import readingHistory from '../../../www/js/lib/readingHistory.js';
+import searchHistory from '../../../www/js/lib/searchHistory.js';
+import readingPositions from '../../../www/js/lib/readingPositions.js';
+import findInPage from '../../../www/js/lib/findInPage.js';
+import tableOfContents from '../../../www/js/lib/tableOfContents.js';
 import zimDirEntry from '../../../www/js/lib/zimDirEntry.js';
 import util from '../../../www/js/lib/util.js';
 import uiUtil from '../../../www/js/lib/uiUtil.js';
@@ -125,6 +141,25 @@ var runTests = function () {
         assert.equal(util.allCaseFirstLetters(testString5).indexOf('$￥€“«Xριστός» †¡ἀνέστη!”') >= 0, true, 'First non-punctuation/non-currency Unicode letter should be uppercase, second (with breath mark) lowercase');
         assert.equal(util.allCaseFirstLetters(testString6, 'full').indexOf('ΚΑΛΆ ΝΕΡΆ ΜΑΓΝΗΣΊΑ ŽIŽEK') >= 0, true, 'All Unicode letters should be uppercase');
     });
+    QUnit.test('check removal of accents and other diacritics', function (assert) {
+        assert.equal(util.removeDiacritics('São Paulo'), 'Sao Paulo', 'The tilde should be removed');
+        assert.equal(util.removeDiacritics('Zürich Łódź'), 'Zurich Łodz', 'The diaeresis and the acute accent should be removed, but not the stroke, which is part of the letter');
+        assert.equal(util.removeDiacritics('Αθήνα Ёлка'), 'Αθηνα Елка', 'Greek and Cyrillic letters should lose their diacritics');
+        assert.ok(util.getAccentedLetters('u').indexOf('ü') >= 0 && util.getAccentedLetters('U').indexOf('Ú') >= 0, 'The accented forms of a letter should be listed');
+        assert.ok(util.getAccentedLetters('ε').indexOf('έ') >= 0 && util.getAccentedLetters('е').indexOf('ё') >= 0, 'The accented forms of Greek and Cyrillic letters should be listed');
+        assert.deepEqual(util.getAccentedLetters('q'), [], 'A letter without accented forms should have none');
+    });
+    QUnit.test('check conversion of binary data to a data URI', function (assert) {
+        var data = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+        var dataURI = util.uint8ArrayToDataURI(data, 'image/png');
+        assert.equal(dataURI, 'data:image/png;base64,iVBORw==', 'The data should be base64-encoded');
+        assert.deepEqual(Array.from(util.dataURItoUint8Array(dataURI)), Array.from(data), 'The data URI should convert back to the same data');
+    });
+    QUnit.test('check interleaving of search results from several archives', function (assert) {
+        var merged = util.interleaveArrays([['a1', 'a2', 'a3'], ['b1'], ['c1', 'c2']], 10);
+        assert.deepEqual(merged, ['a1', 'b1', 'c1', 'a2', 'c2', 'a3'], 'The elements should be taken from each array in turn');
+        assert.deepEqual(util.interleaveArrays([['a1', 'a2'], ['b1', 'b2']], 3), ['a1', 'b1', 'a2'], 'The result should not exceed the maximum length');
+    });
     QUnit.test('check removal of parameters in URL', function (assert) {
         var baseUrl = "A/Che cosa è l'amore?.html";
         var testUrls = [
@@ -143,6 +178,51 @@ var runTests = function () {
     QUnit.test('ZIM archive is ready', function (assert) {
         assert.ok(localZimArchive.isReady() === true, 'ZIM archive should be set as ready');
     });
+    QUnit.test('verify checksum of split ZIM archive', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        var lastProgress = 0;
+        localZimArchive.file.verifyChecksum(function (bytesRead, totalBytes) {
+            lastProgress = bytesRead / totalBytes;
+        }).then(function (result) {
+            assert.equal(result.status, 'valid', 'The checksum of the split archive should be valid');
+            assert.equal(result.computed, '2fd295b21af387ac10d1b2c4dc16875b', 'The computed MD5 should match the known checksum');
+            assert.equal(result.expected, result.computed, 'The stored checksum should match the computed checksum');
+            assert.equal(lastProgress, 1, 'Progress should be reported up to 100%');
+            done();
+        });
+    });
+    QUnit.test('cancel checksum verification', function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        localZimArchive.file.verifyChecksum(null, { cancelled: true }).then(function (result) {
+            assert.equal(result.status, 'cancelled', 'The verification should report that it was cancelled');
+            assert.equal(result.computed, null, 'No checksum should be computed for a cancelled verification');
+            done();
+        });
+    });
+    QUnit.test('check the block cache can be resized and counts its hits and misses', function (assert) {
+        var done = assert.async();
+        assert.expect(5);
+        FileCache.setCacheSize(4);
+        var stats = FileCache.getStats();
+        assert.equal(stats.capacity * stats.blockSize, 4 * 1048576, 'The cache should hold 4MB of blocks');
+        assert.ok(stats.blocks <= stats.capacity, 'The cache should not hold more blocks than its capacity');
+        // Read a part of the archive twice (it is in a single block)
+        var begin = localZimArchive.file.checksumPos - 100;
+        var reads = stats.hits + stats.misses;
+        FileCache.read(localZimArchive.file, begin, begin + 50).then(function () {
+            var misses = FileCache.getStats().misses;
+            var hits = FileCache.getStats().hits;
+            assert.equal(hits + misses, reads + 1, 'The block read should be counted as a hit or a miss');
+            return FileCache.read(localZimArchive.file, begin, begin + 50).then(function () {
+                assert.equal(FileCache.getStats().misses, misses, 'The second read should not be a miss');
+                assert.ok(FileCache.getStats().hits > hits, 'The second read should be a hit');
+                FileCache.setCacheSize('auto');
+                done();
+            });
+        });
+    });
 
     QUnit.module('ZIM metadata');
     QUnit.test('read ZIM language', function (assert) {
@@ -163,6 +243,480 @@ var runTests = function () {
         };
         localZimArchive.getMetadata('zzz', callbackFunction);
     });
+    QUnit.test('read ZIM UUID from header', function (assert) {
+        assert.equal(localZimArchive.file.uuid, 'f4b02dd5-c092-e894-419e-265c2310b88d', 'The UUID should be read from the archive header');
+    });
+    QUnit.test('read all ZIM metadata', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        localZimArchive.getAllMetadata().then(function (metadata) {
+            assert.deepEqual(Object.keys(metadata), ['Counter', 'Creator', 'Date', 'Description', 'Language', 'Publisher', 'Title'],
+                'All the entries in the M namespace should be listed');
+            assert.equal(metadata.Language, 'eng', 'The Language metadata should be "eng"');
+            assert.equal(zimArchive.parseCounter(metadata.Counter)['text/html'], 85, 'The Counter should list 85 HTML entries');
+            done();
+        });
+    });
+    QUnit.test('read ZIM illustration from legacy favicon', function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        localZimArchive.getIllustration().then(function (illustration) {
+            assert.ok(/^data:image\/png;base64,iVBORw0KGgo/.test(illustration), 'The illustration should be a PNG data URI');
+            assert.equal(localZimArchive.illustration, illustration, 'The illustration should be cached in the archive');
+            done();
+        });
+    });
+    QUnit.test('parse Counter metadata with MIME type parameters', function (assert) {
+        var counter = zimArchive.parseCounter('text/html=12;text/html;raw=true=3;image/png=2');
+        assert.deepEqual(counter, { 'text/html': 12, 'text/html;raw=true': 3, 'image/png': 2 }, 'MIME types with parameters should be parsed');
+    });
+
+    QUnit.module('archive registry');
+    QUnit.test('derive the original domain of a Wikimedia archive from its filename', function (assert) {
+        assert.deepEqual(archiveRegistry.getArchiveDomains(localZimArchive), ['en.wikipedia.org'], 'The domain should be en.wikipedia.org');
+    });
+    QUnit.test('register and retrieve an open archive', function (assert) {
+        archiveRegistry.register(localZimArchive);
+        assert.equal(archiveRegistry.get('wikipedia_en_ray_charles_2015-06.zim'), localZimArchive, 'The archive should be found by its filename');
+        assert.equal(archiveRegistry.get('missing.zim'), null, 'An archive that is not open should not be found');
+    });
+    QUnit.test('resolve links to the original website into an open archive', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        archiveRegistry.register(localZimArchive);
+        archiveRegistry.resolveUrl('https://en.m.wikipedia.org/A_Fool_for_You.html').then(function (resolved) {
+            assert.equal(resolved.archive, localZimArchive, 'The link should be resolved in the archive scraped from its domain');
+            assert.equal(resolved.dirEntry.getTitleOrUrl(), 'A Fool for You', 'The linked article should be found');
+            return archiveRegistry.resolveUrl('https://example.com/A_Fool_for_You.html');
+        }).then(function (resolved) {
+            assert.equal(resolved, null, 'A link to another domain should not be resolved');
+            done();
+        });
+    });
+    QUnit.test('count the archives that can still be opened without closing another', function (assert) {
+        archiveRegistry.register(localZimArchive);
+        var freePlaces = archiveRegistry.getFreePlaces();
+        assert.ok(freePlaces >= 0 && freePlaces < 5, 'The registered archive should take one of the five places');
+        archiveRegistry.remove('wikipedia_en_ray_charles_2015-06.zim');
+        assert.equal(archiveRegistry.getFreePlaces(), freePlaces + 1, 'Removing the archive should free its place');
+        archiveRegistry.register(localZimArchive);
+    });
+    QUnit.test('open an archive in the background without changing the search provider or ZIM type of the selected archive', function (assert) {
+        var done = assert.async();
+        var searchProvider = params.searchProvider;
+        var zimType = params.zimType;
+        params.searchProvider = 'selected';
+        params.zimType = 'selected';
+        var backgroundArchive = new zimArchive.ZIMArchive(zimArchiveFiles, null, function (archive) {
+            assert.equal(archive, backgroundArchive, 'The archive should be ready');
+            assert.equal(archive.zimType, 'open', 'The archive should have its own ZIM type');
+            assert.equal(params.searchProvider, 'selected', 'The search provider should not change');
+            assert.equal(params.zimType, 'selected', 'The ZIM type of the selected archive should not change');
+            assert.notOk(archive.hasLibzimWorker(), 'The archive should not take the libzim Worker');
+            params.searchProvider = searchProvider;
+            params.zimType = zimType;
+            done();
+        }, null, true);
+    });
+
+    QUnit.module('bookmarks');
+    QUnit.test('add, find and remove a bookmark', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        bookmarks.clear().then(function () {
+            return bookmarks.add({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/A_Fool_for_You.html', title: 'A Fool for You' });
+        }).then(function () {
+            return bookmarks.find('wikipedia_en_ray_charles_2015-06.zim', 'A/A_Fool_for_You.html');
+        }).then(function (bookmark) {
+            assert.equal(bookmark.title, 'A Fool for You', 'The bookmark should be found');
+            assert.equal(bookmark.folder, '', 'A new bookmark should not be in a folder');
+            return bookmarks.find('other.zim', 'A/A_Fool_for_You.html');
+        }).then(function (bookmark) {
+            assert.equal(bookmark, null, 'The same article in another archive should not be bookmarked');
+            return bookmarks.remove(bookmarks.getBookmarkId('wikipedia_en_ray_charles_2015-06.zim', 'A/A_Fool_for_You.html'));
+        }).then(function () {
+            return bookmarks.find('wikipedia_en_ray_charles_2015-06.zim', 'A/A_Fool_for_You.html');
+        }).then(function (bookmark) {
+            assert.equal(bookmark, null, 'The removed bookmark should no longer be found');
+            done();
+        });
+    });
+    QUnit.test('file bookmarks in folders and search them', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        bookmarks.clear().then(function () {
+            return Promise.all([
+                bookmarks.add({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/A_Fool_for_You.html', title: 'A Fool for You' }),
+                bookmarks.add({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/Ray_Charles.html', title: 'Ray Charles' })
+            ]);
+        }).then(function (added) {
+            return bookmarks.setFolder(added[1].id, ' Musicians ');
+        }).then(function () {
+            return bookmarks.getFolders();
+        }).then(function (folders) {
+            assert.deepEqual(folders, ['Musicians'], 'The folder name should be listed without surrounding spaces');
+            return bookmarks.search('', 'Musicians');
+        }).then(function (found) {
+            assert.deepEqual(found.map(function (bookmark) { return bookmark.title; }), ['Ray Charles'], 'Only the bookmark in the folder should be listed');
+            return bookmarks.search('fool');
+        }).then(function (found) {
+            assert.deepEqual(found.map(function (bookmark) { return bookmark.title; }), ['A Fool for You'], 'The search should be case-insensitive');
+            return bookmarks.search('', '');
+        }).then(function (found) {
+            assert.equal(found.length, 1, 'One bookmark should not be in a folder');
+            return bookmarks.clear();
+        }).then(done);
+    });
+
+    QUnit.module('reading history');
+    QUnit.test('log each article once per day and search the history', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        readingHistory.clear().then(function () {
+            return readingHistory.record({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/A_Fool_for_You.html', title: 'A Fool for You' });
+        }).then(function () {
+            return readingHistory.record({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/Ray_Charles.html', title: 'Ray Charles' });
+        }).then(function () {
+            return readingHistory.record({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/A_Fool_for_You.html', title: 'A Fool for You' });
+        }).then(function () {
+            return readingHistory.search('');
+        }).then(function (entries) {
+            assert.equal(entries.length, 2, 'An article read twice on the same day should be logged once');
+            assert.equal(entries[0].title, 'A Fool for You', 'The most recently read article should be listed first');
+            return readingHistory.search('RAY');
+        }).then(function (entries) {
+            assert.deepEqual(entries.map(function (entry) { return entry.title; }), ['Ray Charles'], 'The search should be case-insensitive');
+            return readingHistory.clear();
+        }).then(done);
+    });
+    QUnit.test('group the history by day and archive', function (assert) {
+        var entry = function (day, zimFileName, title) {
+            return { id: readingHistory.getEntryId(day, zimFileName, 'A/' + title), day: day, zimFileName: zimFileName, archiveTitle: zimFileName, title: title };
+        };
+        var groups = readingHistory.groupByDayAndArchive([
+            entry('2024-03-02', 'a.zim', 'Three'), entry('2024-03-02', 'b.zim', 'Two'), entry('2024-03-02', 'a.zim', 'One'), entry('2024-03-01', 'b.zim', 'Zero')
+        ]);
+        assert.deepEqual(groups.map(function (group) { return group.day; }), ['2024-03-02', '2024-03-01'], 'There should be one group per day');
+        assert.deepEqual(groups[0].archives.map(function (group) { return group.zimFileName; }), ['a.zim', 'b.zim'], 'Each day should have one group per archive');
+        assert.deepEqual(groups[0].archives[0].entries.map(function (entry) { return entry.title; }), ['Three', 'One'], 'Each archive should list its entries in order');
+    });
+    QUnit.test('expire old entries from the history', function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        readingHistory.clear().then(function () {
+            return readingHistory.record({ zimFileName: 'wikipedia_en_ray_charles_2015-06.zim', zimUrl: 'A/Ray_Charles.html', title: 'Ray Charles' });
+        }).then(function () {
+            return readingHistory.expire(7);
+        }).then(function (deleted) {
+            assert.equal(deleted, 0, 'A recent entry should be kept');
+            return readingHistory.expire(0);
+        }).then(function (deleted) {
+            assert.equal(deleted, 1, 'All entries should be deleted when no history is kept');
+        }).then(done);
+    });
+
+    QUnit.module('reading positions');
+    QUnit.test('remember the last-read article of the most recently read archives', function (assert) {
+        var max = readingPositions.MAX_READING_POSITIONS;
+        readingPositions.saveReadingPosition('wikipedia_en_ray_charles_2015-06.zim', 'A/Ray_Charles.html', 1234.4);
+        assert.deepEqual(readingPositions.getReadingPositions()['wikipedia_en_ray_charles_2015-06.zim'], { zimUrl: 'A/Ray_Charles.html', scrollY: 1234 },
+            'The article and its (rounded) scroll offset should be remembered');
+        for (var i = 0; i < max; i++) {
+            readingPositions.saveReadingPosition('archive' + i + '.zim', 'A/Article' + i + '.html', i);
+        }
+        var positions = readingPositions.getReadingPositions();
+        assert.equal(Object.keys(positions).length, max, 'Only ' + max + ' archives should be remembered');
+        assert.notOk(positions['wikipedia_en_ray_charles_2015-06.zim'], 'The least recently read archive should be forgotten');
+        readingPositions.saveReadingPosition('archive0.zim', 'A/Other.html', 0);
+        assert.equal(Object.keys(readingPositions.getReadingPositions()).pop(), 'archive0.zim', 'An archive read again should become the most recent');
+    });
+
+    QUnit.module('recent searches');
+    QUnit.test('remember the searches made in each archive, most recent first', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        // The searches are given their times, so that their order does not depend on the clock
+        var time = Date.now();
+        searchHistory.clear().then(function () {
+            return searchHistory.record('wikipedia_en_ray_charles_2015-06.zim', 'Ray', time - 3000);
+        }).then(function () {
+            return searchHistory.record('wikipedia_en_ray_charles_2015-06.zim', 'blues  intitle:soundtrack ', time - 2000);
+        }).then(function () {
+            return searchHistory.record('other.zim', 'Ray', time - 1000);
+        }).then(function () {
+            return searchHistory.record('wikipedia_en_ray_charles_2015-06.zim', 'Ray', time);
+        }).then(function () {
+            return searchHistory.list('wikipedia_en_ray_charles_2015-06.zim');
+        }).then(function (entries) {
+            assert.deepEqual(entries.map(function (entry) { return entry.text; }), ['Ray', 'blues intitle:soundtrack'],
+                'Each archive should list its own searches once, most recent first, with their spacing tidied up');
+            return searchHistory.remove(entries[0].id);
+        }).then(function () {
+            return searchHistory.list('wikipedia_en_ray_charles_2015-06.zim');
+        }).then(function (entries) {
+            assert.deepEqual(entries.map(function (entry) { return entry.text; }), ['blues intitle:soundtrack'], 'A deleted search should be forgotten');
+            return searchHistory.list('other.zim');
+        }).then(function (entries) {
+            assert.equal(entries.length, 1, 'Deleting a search should not affect the other archives');
+            return searchHistory.clear();
+        }).then(done);
+    });
+    QUnit.module('find in page');
+    QUnit.test('highlight and clear the matches of a string in an article', function (assert) {
+        var doc = document.implementation.createHTMLDocument('Find test');
+        doc.body.innerHTML = '<p>Ray Charles sang <b>Hit the Road Jack</b>. Charles and <i>ray</i></p><script>var ray = 1;</script>';
+        var originalText = doc.body.textContent;
+        var matches = findInPage.highlightMatches(doc, 'ray');
+        assert.equal(matches.length, 2, 'Both matches should be found, ignoring case and the text of scripts');
+        assert.equal(matches[1].parentNode.nodeName, 'I', 'A match inside formatting should be highlighted in place');
+        assert.equal(findInPage.highlightMatches(doc, 'the Road').length, 1, 'A new search should replace the previous highlights');
+        findInPage.clearHighlights(doc);
+        assert.equal(doc.querySelectorAll('mark').length, 0, 'No highlights should be left');
+        assert.equal(doc.body.textContent, originalText, 'The text of the article should be unchanged');
+    });
+    QUnit.test('highlight matches in text whose length changes when it is lowercased', function (assert) {
+        var doc = document.implementation.createHTMLDocument('Find test');
+        doc.body.innerHTML = '<p>İstanbul and Bursa, İzmir and Ankara</p>';
+        var matches = findInPage.highlightMatches(doc, 'and');
+        assert.equal(matches.length, 2, 'Both matches should be found');
+        assert.deepEqual(matches.map(function (mark) {
+            return mark.textContent;
+        }), ['and', 'and'], 'The highlights should not be shifted by the letters before them');
+        assert.equal(findInPage.highlightMatches(doc, 'İzmir').length, 1, 'A query with such a letter should be found');
+        assert.equal(findInPage.highlightMatches(doc, 'a.d').length, 0, 'The characters of a query should not be read as a pattern');
+    });
+    QUnit.test('step through the matches of a string in an article', function (assert) {
+        var doc = document.implementation.createHTMLDocument('Find test');
+        doc.body.innerHTML = '<p>blues, blues and more blues</p>';
+        var matches = findInPage.highlightMatches(doc, 'blues');
+        assert.equal(findInPage.selectMatch(matches, 1), 1, 'The second match should be selected');
+        assert.equal(doc.querySelectorAll('mark.kiwixFindActive').length, 1, 'Only one match should be current');
+        assert.equal(findInPage.selectMatch(matches, 3), 0, 'Moving past the last match should wrap around to the first');
+        assert.equal(findInPage.selectMatch(matches, -1), 2, 'Moving before the first match should wrap around to the last');
+        assert.equal(findInPage.selectMatch([], 0), -1, 'There should be no current match if nothing was found');
+    });
+
+    QUnit.module('table of contents');
+    QUnit.test('list the headings of an article', function (assert) {
+        var doc = document.implementation.createHTMLDocument('TOC test');
+        doc.body.innerHTML = '<h1>Ray Charles</h1><h2><span class="mw-headline" id="Early_life">Early life</span><span class="mw-editsection">[edit]</span></h2>' +
+            '<h3>Childhood</h3><h2> </h2><h5>Notes</h5><h4>Later  years</h4>';
+        var headings = tableOfContents.getHeadings(doc);
+        assert.deepEqual(headings.map(function (heading) { return heading.level + ':' + heading.text; }), ['2:Early life', '3:Childhood', '4:Later years'],
+            'Only the non-empty h2, h3 and h4 headings should be listed, without the text of MediaWiki edit links');
+        assert.equal(headings[0].id, 'Early_life', 'A MediaWiki heading should take the id of its headline');
+        assert.ok(headings[1].id && doc.getElementById(headings[1].id) === headings[1].element, 'A heading without an id should be given one');
+    });
+    QUnit.test('nest the sections of an article and find the section being read', function (assert) {
+        var tree = tableOfContents.buildTree([2, 3, 4, 3, 2, 4].map(function (level) { return { level: level }; }));
+        var outline = function (entries) {
+            return entries.map(function (entry) { return entry.children.length ? [entry.index, outline(entry.children)] : entry.index; });
+        };
+        assert.deepEqual(outline(tree), [[0, [[1, [2]], 3]], [4, [5]]], 'Each section should contain its subsections');
+        assert.equal(tableOfContents.findActiveIndex([-300, -20, 150, 900], 100), 1, 'The last heading scrolled past should be active');
+        assert.equal(tableOfContents.findActiveIndex([150, 900], 100), -1, 'No heading should be active before the first section');
+    });
+
+    QUnit.module('full-text search without libzim');
+    QUnit.test('decode the data formats of a Xapian index', function (assert) {
+        var deflated = new Uint8Array([243, 206, 44, 207, 172, 208, 81, 240, 70, 162, 20, 1]);
+        assert.equal(utf8.parse(inflate.inflateRaw(deflated)), 'Kiwix, Kiwix, Kiwix!', 'Raw DEFLATE data should be decompressed');
+        [1, 31, 32, 300, 70000].forEach(function (docid) {
+            assert.equal(xapianReader.decodeSortableUint(xapianReader.encodeSortableUint(docid), 0), docid, 'Docid ' + docid + ' should survive encoding');
+        });
+        assert.ok(xapianReader.encodeSortableUint(300) < xapianReader.encodeSortableUint(70000), 'Encoded docids should sort in numerical order');
+    });
+    QUnit.test('search the full-text index of an archive with JavaScript', function (assert) {
+        var done = assert.async();
+        var zimFile;
+        assert.expect(6);
+        makeBlobRequest('tests/zims/tonedear/tonedear.com_en_2024-09.zim', 'tonedear.com_en_2024-09.zim').then(function (blob) {
+            return zimfile.fromFileArray([blob]);
+        }).then(function (file) {
+            zimFile = file;
+            return zimFile.setListings([{ path: 'X/fulltext/xapian', ptrName: 'fullTextIndex', countName: 'fullTextIndexSize' }]);
+        }).then(function () {
+            assert.equal(typeof zimFile.fullTextIndex, 'number', 'The offset of the full-text index should be found');
+            return new xapianReader.XapianDatabase(zimFile, zimFile.fullTextIndex).open();
+        }).then(function (xapianIndex) {
+            assert.equal(xapianIndex.getDocumentCount(), 12, 'The index should contain 12 documents');
+            return Promise.all([xapianIndex.search('chord identification', 5), xapianIndex.search('melodic dicta', 5),
+                xapianIndex.search('ear', 5), xapianIndex.search('ear', 2, 3)]);
+        }).then(function (results) {
+            // The index contains the stems of words ("identif", "melod", "dictat"), which the searches should still match
+            assert.equal(results[0].entries[0].path, 'tonedear.com/ear-training/chord-identification', 'The most relevant article should be found first');
+            assert.equal(results[1].entries[0].path, 'tonedear.com/ear-training/melodic-dictation-practice', 'A partly typed word should be matched');
+            assert.equal(results[0].entries[0].score, 100, 'The relevance of the most relevant article should be 100%');
+            assert.deepEqual(results[3].entries, results[2].entries.slice(3), 'A later page of results should continue the first page');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error searching the full-text index: ' + err);
+            done();
+        });
+    });
+    QUnit.test('make and display the snippets of search results', function (assert) {
+        var html = '<html><head><title>Intervals</title></head><body><script>var training;</script><p>Ear training &amp; more.</p>' +
+            '<p>Identify &lt;chords&gt; by ear.</p></body></html>';
+        var text = xapianReader.getTextFromHtml(html);
+        assert.equal(text, 'Ear training & more. Identify <chords> by ear.', 'Only the displayed text of the article should be kept');
+        assert.equal(xapianReader.makeSnippet(text, 'train chord'), 'Ear <b>training</b> &amp; more. Identify &lt;<b>chords</b>&gt; by ear.',
+            'Words that start with the words of the search should be highlighted, and the text should be escaped');
+        var longText = 'Lorem ipsum dolor sit amet. '.repeat(20) + 'Chord identification is the last lesson.';
+        var snippet = xapianReader.makeSnippet(longText, 'chord');
+        assert.ok(/^\.\.\..*<b>Chord<\/b> identification is the last lesson\.$/.test(snippet), 'The snippet should show the passage that matches');
+        assert.ok(snippet.length < 250, 'The snippet should be short');
+        var element = document.createElement('div');
+        uiUtil.displaySearchSnippet(element, 'Ear <b>training</b> &amp; <img src="x" onerror="alert(1)">more');
+        assert.equal(element.innerHTML, 'Ear <mark>training</mark> &amp; more', 'Only the text and the highlights of the snippet should be displayed');
+    });
+
+    QUnit.module('search operators');
+    QUnit.test('parse the operators of a search', function (assert) {
+        var query = searchQuery.parse('ns:I mime:image  flag of');
+        assert.equal(query.namespace, 'I', 'The namespace should be parsed');
+        assert.equal(query.mimeType, 'image', 'The MIME type should be parsed');
+        assert.equal(query.prefix, 'flag of', 'The operators should be removed from the text to search for');
+        query = searchQuery.parse('blues intitle:"Soundtrack Album" "ray charles"');
+        assert.deepEqual(query.titleTerms, ['soundtrack album'], 'The words that titles must contain should be parsed');
+        assert.equal(query.prefix, 'blues ray charles', 'Titles should be searched for without intitle: and quotation marks');
+        assert.equal(query.fullText, 'blues "Soundtrack Album" "ray charles"', 'Full-text search should keep the phrases');
+        assert.equal(searchQuery.parse('ns:Cat ').prefix, 'ns:Cat ', 'Text that is not an operator should be searched for as typed');
+        assert.ok(searchQuery.matchesMimeType('image/svg+xml', 'svg'), 'A subtype should match');
+        assert.ok(searchQuery.matchesMimeType('text/html; charset=utf-8', 'text/html'), 'A full MIME type should match');
+        assert.notOk(searchQuery.matchesMimeType('application/pdf', 'image'), 'A different type should not match');
+    });
+
+    QUnit.module('extended clusters');
+    // The synthetic archive extended-clusters.zim has an uncompressed extended cluster (0), an xz-compressed extended cluster (1)
+    // and an xz-compressed standard cluster (2). Its entries are listed in the order of their URLs.
+    var readExtendedClustersArchive = function () {
+        return makeBlobRequest('tests/zims/extended-clusters/extended-clusters.zim', 'extended-clusters.zim').then(function (blob) {
+            return zimfile.fromFileArray([blob]);
+        }).then(function (file) {
+            return Promise.all([0, 1, 2, 3, 4].map(function (index) {
+                return file.dirEntryByUrlIndex(index).then(function (dirEntry) {
+                    return file.blob(dirEntry.cluster, dirEntry.blob).then(function (data) {
+                        return { dirEntry: dirEntry, text: utf8.parse(data) };
+                    });
+                });
+            })).then(function (entries) {
+                return { file: file, entries: entries };
+            });
+        });
+    };
+    QUnit.test('check the blobs of an uncompressed extended cluster are read with 8-byte offsets', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        readExtendedClustersArchive().then(function (archive) {
+            assert.equal(archive.entries[3].text, 'First blob of an uncompressed extended cluster', 'The first blob should be read');
+            assert.equal(archive.entries[4].text, 'Second blob of an uncompressed extended cluster', 'The second blob should be read');
+            var dirEntry = archive.entries[4].dirEntry;
+            return archive.file.blob(dirEntry.cluster, dirEntry.blob, true).then(function (meta) {
+                assert.equal(meta.size, 47, 'The size of the blob should be given by its metadata');
+            });
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading the extended cluster: ' + err);
+            done();
+        });
+    });
+    QUnit.test('check the blobs of a compressed extended cluster are read with 8-byte offsets', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        readExtendedClustersArchive().then(function (archive) {
+            assert.equal(archive.entries[0].text, '<html><head><title>Compressed</title></head><body><p>First blob of a compressed extended cluster</p></body></html>',
+                'The first blob should be read');
+            assert.equal(archive.entries[1].text, '<html><head><title>Second</title></head><body><p>Second blob of a compressed extended cluster</p></body></html>',
+                'The second blob should be read');
+            assert.equal(archive.entries[2].text, '<html><head><title>Standard</title></head><body><p>Blob of a compressed standard cluster</p></body></html>',
+                'The blob of a standard cluster in the same archive should still be read with 4-byte offsets');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading the extended cluster: ' + err);
+            done();
+        });
+    });
+
+    QUnit.module('old and new namespaces');
+    // The synthetic archives in tests/zims/namespaces have the same fruits: old-namespaces.zim (minor version 0) has articles in A and an
+    // image in I, and its header gives the main page; new-namespaces.zim (minor version 1) has all of them in C, title listings of
+    // all the entries (v0) and of the front articles (v1), and the main page is given by W/mainPage (its header gives none)
+    var openNamespacesArchive = function (name) {
+        return makeBlobRequest('tests/zims/namespaces/' + name, name).then(function (blob) {
+            return new Promise(function (resolve) {
+                // The archive is ready once its listings have been read
+                var archive = new zimArchive.ZIMArchive([blob], null, function () {
+                    resolve(archive);
+                });
+            });
+        });
+    };
+    var findTitles = function (titleIndex, contentNamespace, prefix) {
+        return new Promise(function (resolve) {
+            titleSearch.findDirEntriesWithPrefixCaseSensitive(titleIndex, contentNamespace, prefix, { size: 10, found: 0 }, function (result, countReport, interim) {
+                if (interim) return;
+                resolve(result.dirEntries.map(function (dirEntry) {
+                    return dirEntry.namespace + '/' + dirEntry.url;
+                }));
+            });
+        });
+    };
+    QUnit.test('check the articles and the main page of an archive with the old namespaces are found', function (assert) {
+        var done = assert.async();
+        var archive;
+        assert.expect(3);
+        openNamespacesArchive('old-namespaces.zim').then(function (result) {
+            archive = result;
+            assert.equal(archive.getContentNamespace(), 'A', 'The articles should be in the A namespace');
+            return findTitles(archive.file, 'A', 'Ap');
+        }).then(function (paths) {
+            assert.deepEqual(paths, ['A/Apple.html', 'A/Apricot.html'], 'Title search should only find the articles');
+            return archive.getMainPageDirEntry();
+        }).then(function (dirEntry) {
+            assert.equal(dirEntry.namespace + '/' + dirEntry.url, 'A/Main_Page.html', 'The main page should be given by the header');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading the archive with the old namespaces: ' + err);
+            done();
+        });
+    });
+    QUnit.test('check the front articles and the main page of an archive with the new namespaces are found', function (assert) {
+        var done = assert.async();
+        var archive;
+        assert.expect(6);
+        openNamespacesArchive('new-namespaces.zim').then(function (result) {
+            archive = result;
+            assert.equal(archive.getContentNamespace(), 'C', 'The content should be in the C namespace');
+            assert.equal(archive.file.articleCount, 3, 'The front articles should be counted from the v1 listing');
+            return findTitles(archive.file, 'C', 'Ap');
+        }).then(function (paths) {
+            assert.deepEqual(paths, ['C/Apple', 'C/Apricot'], 'Title search should only find the front articles');
+            return archive.getMainPageDirEntry();
+        }).then(function (dirEntry) {
+            assert.equal(dirEntry.namespace + '/' + dirEntry.url, 'W/mainPage', 'The main page should be given by W/mainPage');
+            assert.ok(dirEntry.isRedirect(), 'W/mainPage should redirect to the main page');
+            return new Promise(function (resolve) {
+                archive.resolveRedirect(dirEntry, resolve);
+            });
+        }).then(function (dirEntry) {
+            assert.equal(dirEntry.namespace + '/' + dirEntry.url, 'C/Main_Page', 'The main page should be found');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading the archive with the new namespaces: ' + err);
+            done();
+        });
+    });
+    QUnit.test('check title search only finds articles in an archive with the new namespaces but without a v1 listing', function (assert) {
+        var done = assert.async();
+        assert.expect(1);
+        openNamespacesArchive('new-namespaces.zim').then(function (archive) {
+            // We search without the v1 listing, in the v0 listing of all the entries, which also lists the image C/Apple.png
+            var info = titleSearch.TitleIndex.getInfo(archive.file);
+            info.articlePtrPos = null;
+            info.articleCount = null;
+            return findTitles(new titleSearch.TitleIndex(archive.file._files, info), 'C', 'Ap');
+        }).then(function (paths) {
+            assert.deepEqual(paths, ['C/Apple', 'C/Apricot'], 'Title search should not find the image');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error searching the archive with the new namespaces: ' + err);
+            done();
+        });
+    });
 
     QUnit.module('zim_direntry_search_and_read');
     QUnit.test("check DirEntry.fromStringId 'A Fool for You'", function (assert) {
@@ -212,6 +766,125 @@ var runTests = function () {
         };
         localZimArchive.findDirEntriesWithPrefix({ prefix: 'blues brothers', size: 5 }, callbackFunction, true);
     });
+    QUnit.test("check findDirEntriesWithPrefix 'ns:I mime:ogg m/Beatles'", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        var query = searchQuery.parse('ns:I mime:ogg m/Beatles');
+        var callbackFunction = function (dirEntryList) {
+            assert.equal(dirEntryList.length, 1, 'Only the Ogg file should be found, not the JPEG image');
+            assert.equal(dirEntryList[0].namespace + '/' + dirEntryList[0].url, 'I/m/Beatles_eleanor_rigby.ogg', 'The media file should be found');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: query.prefix, query: query, size: 5 }, callbackFunction, true);
+    });
+    QUnit.test("check findDirEntriesWithPrefix 'mime:image m/Beatles' finds images outside the content namespace", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        var query = searchQuery.parse('mime:image m/Beatles');
+        var callbackFunction = function (dirEntryList) {
+            assert.equal(dirEntryList.length, 1, 'Only the JPEG image should be found, not the Ogg file');
+            assert.equal(dirEntryList[0].namespace + '/' + dirEntryList[0].url, 'I/m/Beatles-singles-the-long-and-winding-road-1.jpg',
+                'The image should be found in the I namespace');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: query.prefix, query: query, size: 5 }, callbackFunction, true);
+    });
+    QUnit.test("check findDirEntriesWithPrefix 'blues intitle:soundtrack'", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        var query = searchQuery.parse('blues intitle:soundtrack');
+        var callbackFunction = function (dirEntryList) {
+            assert.equal(dirEntryList.length, 1, 'Article list with 1 result');
+            assert.equal(dirEntryList[0].getTitleOrUrl(), 'Blues Brothers (soundtrack)', 'The title should contain the word after intitle:');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: query.prefix, query: query, size: 5 }, callbackFunction, true);
+    });
+    QUnit.test('check the title index can be searched without a ZIMFile (as in the title search Worker)', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        var titleIndex = new titleSearch.TitleIndex(localZimArchive.file._files, titleSearch.TitleIndex.getInfo(localZimArchive.file));
+        var search = { size: 5, found: 0 };
+        var interimResults = 0;
+        titleSearch.findDirEntriesWithPrefixCaseSensitive(titleIndex, 'A', 'Ray Charles (', search, function (result, countReport, interim) {
+            if (interim) {
+                interimResults++;
+                return;
+            }
+            assert.deepEqual(result.dirEntries.map(function (dirEntry) { return dirEntry.getTitleOrUrl(); }),
+                ['Ray Charles (album)', 'Ray Charles (musician, born 1930)', 'Ray Charles (or, Hallelujah I Love Her So)'], 'The titles should be found in order');
+            assert.equal(interimResults, 3, 'Each result should be reported as it is found');
+            assert.equal(result.dirEntries[0].getMimetype(), 'text/html', 'The MIME type of a result should be known');
+            done();
+        });
+    });
+    QUnit.test('check the titles sampled by a search let the next searches read fewer titles', function (assert) {
+        var done = assert.async();
+        assert.expect(3);
+        var titleIndex = new titleSearch.TitleIndex(localZimArchive.file._files, titleSearch.TitleIndex.getInfo(localZimArchive.file));
+        titleIndex.titleSamples = {};
+        var reads = 0;
+        var dirEntryByTitleIndex = titleIndex.dirEntryByTitleIndex;
+        titleIndex.dirEntryByTitleIndex = function (index, allEntries) {
+            reads++;
+            return dirEntryByTitleIndex.call(titleIndex, index, allEntries);
+        };
+        var titlesOf = function (result) {
+            return result.dirEntries.map(function (dirEntry) { return dirEntry.getTitleOrUrl(); });
+        };
+        var firstTitles;
+        var firstReads;
+        titleSearch.findDirEntriesWithPrefixCaseSensitive(titleIndex, 'A', 'Ray Charles (', { size: 5, found: 0 }, function (result, countReport, interim) {
+            if (!interim) firstTitles = titlesOf(result);
+        }).then(function () {
+            firstReads = reads;
+            reads = 0;
+            assert.ok(titleIndex.titleSamplesChanged, 'Titles should have been sampled by the binary search');
+            return titleSearch.findDirEntriesWithPrefixCaseSensitive(titleIndex, 'A', 'Ray Charles (', { size: 5, found: 0 }, function (result, countReport, interim) {
+                if (!interim) assert.deepEqual(titlesOf(result), firstTitles, 'The same titles should be found again');
+            });
+        }).then(function () {
+            assert.ok(reads < firstReads, 'The second search should read fewer titles (' + reads + ' instead of ' + firstReads + ')');
+            done();
+        });
+    });
+    QUnit.test('check the cached index of an archive is used when the archive is opened again', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        var file = localZimArchive.file;
+        archiveIndexCache.save(file).then(function () {
+            return zimfile.fromFileArray(file._files.slice());
+        }).then(function (reopened) {
+            assert.equal(reopened.articlePtrPos, file.articlePtrPos, 'The position of the article list should be cached');
+            assert.equal(reopened.articleCount, file.articleCount, 'The article count should be cached');
+            assert.deepEqual(Array.from(reopened.mimeTypes), Array.from(file.mimeTypes), 'The MIME type list should be cached');
+            return archiveIndexCache.get(file.uuid, file.entryCount + 1, file.urlPtrPos);
+        }).then(function (archiveIndex) {
+            assert.strictEqual(archiveIndex, null, 'The cached index should not be used for an archive with other entries');
+            done();
+        });
+    });
+    QUnit.test("check findDirEntriesWithPrefix 'génius' finds titles without accents", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        var callbackFunction = function (dirEntryList) {
+            assert.equal(dirEntryList.length, 3, 'Article list with 3 results');
+            assert.equal(dirEntryList[0].getTitleOrUrl(), 'Genius & Friends', 'First result should be \'Genius & Friends\'');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: 'génius', size: 5 }, callbackFunction, true);
+    });
+    QUnit.test("check findDirEntriesWithPrefix 'Ray Charles' does not look for titles with accents", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        var search = { prefix: 'Ray Charles', size: 50 };
+        var callbackFunction = function (dirEntryList) {
+            assert.equal(dirEntryList.length, 17, 'Article list with 17 results');
+            assert.equal(search.accentChecks, 0, 'A prefix without accents that finds titles should not be searched with accents');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix(search, callbackFunction, true);
+    });
     QUnit.test("article '(The Night Time Is) The Right Time' correctly redirects to 'Night Time Is the Right Time'", function (assert) {
         var done = assert.async();
         assert.expect(6);
@@ -349,6 +1022,45 @@ var runTests = function () {
             }
         });
     });
+    QUnit.test("Ranges of the media file 'm/Beatles_eleanor_rigby.ogg' can be read without reading the whole file", function (assert) {
+        var done = assert.async();
+        var dirEntry, data;
+        assert.expect(6);
+        localZimArchive.getDirEntryByPath('I/m/Beatles_eleanor_rigby.ogg').then(function (result) {
+            dirEntry = result;
+            return dirEntry.readData();
+        }).then(function (result) {
+            data = result;
+            // The file is in an uncompressed cluster, so only the requested bytes are read (the second range bypasses the block cache)
+            return Promise.all([dirEntry.readDataRange(1000, 1100), dirEntry.readDataRange(4096, 54096),
+                dirEntry.readDataRange(134310, 200000), dirEntry.readDataRange(200000, 300000)]);
+        }).then(function (ranges) {
+            assert.deepEqual([ranges[0].begin, ranges[0].end, ranges[0].size], [1000, 1100, 134320], 'The offsets of the range and the size of the file should be given');
+            assert.equal(ranges[0].data.toString(), data.slice(1000, 1100).toString(), 'The bytes of a small range should be read');
+            assert.equal(ranges[1].data.toString(), data.slice(4096, 54096).toString(), 'The bytes of a large range should be read');
+            assert.deepEqual([ranges[2].end, ranges[2].data.length], [134320, 10], 'A range should end at the end of the file');
+            assert.deepEqual([ranges[3].begin, ranges[3].data.length], [134320, 0], 'A range beyond the end of the file should be empty');
+            return localZimArchive.readBinaryFileRange(dirEntry, 0, 4, function (fileDirEntry, range) {
+                assert.equal(utf8.parse(range.data), 'OggS', 'The range should be given to the callback');
+            });
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading ranges of the media file: ' + err);
+            done();
+        });
+    });
+    QUnit.test("A range of the stylesheet '-/s/style.css' (in a compressed cluster) is read to the end of the file", function (assert) {
+        var done = assert.async();
+        assert.expect(2);
+        localZimArchive.getDirEntryByPath('-/s/style.css').then(function (dirEntry) {
+            return dirEntry.readDataRange(1000, 1100);
+        }).then(function (range) {
+            assert.deepEqual([range.begin, range.end, range.size], [1000, 104495, 104495], 'The whole of the file after the start of the range should be given');
+            assert.equal(range.data.length, 103495, 'The bytes after the start of the range should be read');
+        }).then(done, function (err) {
+            assert.ok(false, 'Error reading a range of the stylesheet: ' + err);
+            done();
+        });
+    });
     QUnit.test("Split article 'A/Ray_Charles.html' can be loaded", function (assert) {
         var done = assert.async();
         assert.expect(7);
@@ -369,6 +1081,81 @@ var runTests = function () {
             }
         });
     });
+    QUnit.test('check the first blobs of all the clusters can be read at the same time', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        // A copy of the archive with another name has its own entries in the cluster cache, so its clusters are decompressed by this test
+        var files = zimArchiveFiles.map(function (blob) {
+            var copy = blob.slice();
+            copy.name = 'parallel-' + blob.name;
+            return copy;
+        });
+        var misses = ClusterCache.getStats().misses;
+        zimfile.fromFileArray(files).then(function (file) {
+            var clusters = [];
+            for (var i = 0; i < file.clusterCount; i++) clusters.push(i);
+            // The compressed clusters are decompressed in parallel in the decoder Workers
+            return Promise.all(clusters.map(function (cluster) {
+                return file.blob(cluster, 0);
+            })).then(function (parallelBlobs) {
+                assert.equal(parallelBlobs.length, file.clusterCount, 'A blob should be read from each cluster');
+                assert.ok(ClusterCache.getStats().misses > misses, 'The compressed clusters should have been decompressed');
+                assert.ok(decoderPool.getSize() > 0, 'The clusters should have been decompressed in the decoder Workers');
+                // Read them again from the original archive, one after the other
+                return clusters.reduce(function (previous, cluster) {
+                    return previous.then(function (blobs) {
+                        return localZimArchive.file.blob(cluster, 0).then(function (blob) {
+                            return blobs.concat([blob]);
+                        });
+                    });
+                }, Promise.resolve([])).then(function (sequentialBlobs) {
+                    assert.deepEqual(parallelBlobs, sequentialBlobs, 'The blobs read at the same time should be the same as those read one by one');
+                    done();
+                });
+            });
+        });
+    });
+    QUnit.test('check a compressed cluster is decompressed once for several reads of its blobs', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        var file = localZimArchive.file;
+        localZimArchive.getDirEntryByPath('A/Ray_Charles.html').then(function (dirEntry) {
+            var stats = ClusterCache.getStats();
+            return Promise.all([file.blob(dirEntry.cluster, dirEntry.blob), file.blob(dirEntry.cluster, dirEntry.blob)]).then(function (blobs) {
+                var newStats = ClusterCache.getStats();
+                assert.equal(newStats.hits + newStats.misses, stats.hits + stats.misses + 2, 'Both reads should go through the cluster cache');
+                assert.ok(newStats.misses <= stats.misses + 1, 'The cluster should be decompressed at most once');
+                assert.deepEqual(blobs[1], blobs[0], 'Both reads should return the same data');
+                // Changing the data read must not change the cached cluster
+                blobs[0][0] = 0;
+                return file.blob(dirEntry.cluster, dirEntry.blob).then(function (data) {
+                    assert.equal(data[0], blobs[1][0], 'Each read should return a copy of the cached data');
+                    done();
+                });
+            });
+        });
+    });
+    QUnit.test('check a cluster too large to be cached is only decompressed once', function (assert) {
+        var done = assert.async();
+        assert.expect(4);
+        var decompressions = 0;
+        // A decompress function resolves to null when the cluster is too large to be cached
+        var decompress = function () {
+            decompressions++;
+            return Promise.resolve(null);
+        };
+        var file = { id: 'uncacheable-test' };
+        var stats = ClusterCache.getStats();
+        ClusterCache.read(file, 0, decompress).then(function (data) {
+            assert.equal(data, null, 'The cluster should not be cached');
+            return ClusterCache.read(file, 0, decompress);
+        }).then(function (data) {
+            assert.equal(data, null, 'The cluster should still not be cached');
+            assert.equal(decompressions, 1, 'The cluster should not be decompressed again');
+            assert.equal(ClusterCache.getStats().misses, stats.misses + 1, 'Only the first read should count as a miss');
+            done();
+        });
+    });
 
     QUnit.module('zim_random_and_main_article');
     QUnit.test('check that a random article is found', function (assert) {
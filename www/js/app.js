@@ -30,12 +30,24 @@
 // import bootstrap from '../css/bootstrap.min.css' assert { type: "css" };
 import '../../node_modules/@fortawesome/fontawesome-free/js/all.js';
 import zimArchiveLoader from './lib/zimArchiveLoader.js';
+import zimArchive from './lib/zimArchive.js';
+import archiveRegistry from './lib/archiveRegistry.js';
+import bookmarks from './lib/bookmarks.js';
+import readingHistory from './lib/readingHistory.js';
+import searchHistory from './lib/searchHistory.js';
+import readingPositions from './lib/readingPositions.js';
+import findInPage from './lib/findInPage.js';
+import tableOfContents from './lib/tableOfContents.js';
+import searchQuery from './lib/searchQuery.js';
 import uiUtil from './lib/uiUtil.js';
 import popovers from './lib/popovers.js';
 import settingsStore from './lib/settingsStore.js';
 import abstractFilesystemAccess from './lib/abstractFilesystemAccess.js';
 import translateUI from './lib/translateUI.js';
 import kiwixLibrary from './lib/kiwixLibrary.js';
+import util from './lib/util.js';
+import FileCache from './lib/filecache.js';
+import ClusterCache from './lib/clustercache.js';
 
 if (params.abort) {
     // If the app was loaded only to pass a message from the remote code, then we exit immediately
@@ -65,11 +77,42 @@ var selectedArchive = null;
 
 // An object to hold the current search and its state (allows cancellation of search across modules)
 appstate['search'] = {
-    prefix: '', // A field to hold the original search string
+    text: '', // A field to hold the original search string
+    prefix: '', // The string to search for (the original search string without any operators such as mime: or ns:)
+    query: null, // The original search string parsed into the string to search for and its operators (see searchQuery.js)
     status: '', // The status of the search: ''|'init'|'interim'|'cancelled'|'complete'
     type: '' // The type of the search: 'basic'|'full' (set automatically in search algorithm)
 };
 
+// A cancellation token for any archive checksum verification in progress (see verifyArchiveChecksum())
+appstate['checksumVerification'] = null;
+
+// Illustrations (as data URIs) of the archives opened so far, keyed by archive name, for display in the list of archives
+appstate['archiveIllustrations'] = {};
+if (params.storeType === 'local_storage') {
+    try {
+        appstate.archiveIllustrations = JSON.parse(settingsStore.getItem('archiveIllustrations')) || {};
+    } catch (err) {
+        console.warn('Unable to parse the stored archive illustrations', err);
+    }
+}
+
+// The archive whose details are displayed in the "About this archive" panel, and the report that was compiled for it
+appstate['archiveMetadata'] = { archive: null, report: null };
+
+// The current search of the find-in-page bar: the document searched, the string found, its highlighted matches, the index of the
+// current match, and the timeout used to search as the user types
+appstate['findInPage'] = { doc: null, query: '', matches: [], current: -1, timeout: null };
+
+// The table of contents of the displayed article: the article's window, its headings, the index of the heading of the section
+// being read, the timeout used to throttle the highlighting of that section, and whether the user has opened the sidebar
+appstate['tableOfContents'] = { window: null, headings: [], active: -1, timeout: null, isOpen: false };
+
+// A flag set when an archive is loaded, so that the article the user was last reading in it is reopened instead of its main page
+appstate['resumeReading'] = false;
+// The last-read article of the selected archive, and how far it had been scrolled, while it is being reopened (see resumeReadingOrGoToMainArticle())
+appstate['pendingReadingPosition'] = null;
+
 // A Boolean to store the update status of the PWA version (currently only used with Firefox Extension)
 appstate['pwaUpdateNeeded'] = false; // This will be set to true if the Service Worker has an update waiting
 
@@ -80,6 +123,9 @@ const region = document.getElementById('search-article');
 
 switchHomeKeyToFocusSearchBar();
 
+// Apply the user's size of the block cache used to read the directory entries of archives
+FileCache.setCacheSize(params.fileCacheSize);
+
 // We check here if we have to warn the user that we switched to ServiceWorkerMode
 // This is only needed if the ServiceWorker mode is available, or we are in an Extension that supports Service Workers
 // outside of the extension environment, AND the user's settings are stuck on jQuery mode, AND the user has not already been
@@ -186,6 +232,16 @@ document.addEventListener('DOMContentLoaded', function () {
     abstractFilesystemAccess.loadPreviousZimFile();
 });
 window.addEventListener('resize', resizeIFrame);
+// Save the reading position when the app is closed or hidden, in case the user has not stopped scrolling for long enough for it to be saved
+window.addEventListener('pagehide', function () {
+    clearTimeout(readingPositionTimeout);
+    saveReadingPosition(readingPositionWindow);
+});
+document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState !== 'hidden') return;
+    clearTimeout(readingPositionTimeout);
+    saveReadingPosition(readingPositionWindow);
+});
 
 // Define behavior of HTML elements
 var searchArticlesFocused = false;
@@ -193,7 +249,7 @@ const searchArticle = document.getElementById('searchArticles')
 searchArticle.addEventListener('click', function () {
     var prefix = document.getElementById('prefix').value;
     // Do not initiate the same search if it is already in progress
-    if (prefix !== '' && appstate.search.prefix === prefix && !/^(cancelled|complete)$/.test(appstate.search.status)) return;
+    if (prefix !== '' && appstate.search.text === prefix && !/^(cancelled|complete)$/.test(appstate.search.status)) return;
     document.getElementById('welcomeText').style.display = 'none';
     document.querySelector('.kiwix-alert').style.display = 'none';
     document.getElementById('searchingArticles').style.display = '';
@@ -285,6 +341,16 @@ prefixElement.addEventListener('keydown', function (e) {
         document.getElementById('articleContent').focus();
         keyPressHandled = true;
     }
+    // If user presses Delete while a recent search is selected, forget it
+    // IE11 returns "Del" and the other browsers "Delete"; regex below matches both
+    if (/^Del(ete)?$/.test(e.key)) {
+        var selectedRecentSearch = document.querySelector('#articleList .recentSearch.hover');
+        if (selectedRecentSearch) {
+            e.preventDefault();
+            keyPressHandled = true;
+            removeRecentSearch(selectedRecentSearch);
+        }
+    }
     // Arrow-key selection code adapted from https://stackoverflow.com/a/14747926/9727685
     // IE11 produces "Down" instead of "ArrowDown" and "Up" instead of "ArrowUp"
     if (/^((Arrow)?Down|(Arrow)?Up|Enter)$/.test(e.key)) {
@@ -298,6 +364,9 @@ prefixElement.addEventListener('keydown', function (e) {
         // If user presses Enter, read the dirEntry
         if (/Enter/.test(e.key)) {
             if (activeElement.classList.contains('hover')) {
+                if (activeElement.id === 'articleListLoadMore') return loadMoreSearchResults();
+                if (activeElement.classList.contains('recentSearch')) return repeatRecentSearch(activeElement);
+                recordRecentSearch();
                 var dirEntryId = activeElement.getAttribute('dirEntryId');
                 findDirEntryFromDirEntryIdAndLaunchArticleRead(decodeURIComponent(dirEntryId));
                 return;
@@ -331,19 +400,21 @@ prefixElement.addEventListener('keyup', function (e) {
         if (keyPressHandled) { keyPressHandled = false; } else { onKeyUpPrefix(e); }
     }
 });
-// Restore the search results if user goes back into prefix field
+// Restore the search results if user goes back into prefix field, or list the recent searches if it is empty
 prefixElement.addEventListener('focus', function () {
     if (document.getElementById('prefix').value !== '') {
         region.style.overflowY = 'auto';
         const footerHeight = document.getElementById('footer').getBoundingClientRect().height;
         region.style.height = window.innerHeight - footerHeight + 'px';
         document.getElementById('articleListWithHeader').style.display = '';
+    } else {
+        showRecentSearches();
     }
 });
 // Hide the search results if user moves out of prefix field
 prefixElement.addEventListener('blur', function () {
     if (!searchArticlesFocused) {
-        appstate.search.status = 'cancelled';
+        cancelSearch();
         region.style.overflowY = 'hidden';
         region.style.height = 'auto';
         uiUtil.spinnerDisplay(false);
@@ -363,6 +434,15 @@ document.getElementById('btnRandomArticle').addEventListener('click', function (
 document.getElementById('btnRescanDeviceStorage').addEventListener('click', function () {
     searchForArchivesInStorage();
 });
+document.getElementById('btnVerifyChecksum').addEventListener('click', function () {
+    verifyArchiveChecksum();
+});
+document.getElementById('btnCancelChecksum').addEventListener('click', function () {
+    if (appstate.checksumVerification) appstate.checksumVerification.cancelled = true;
+});
+document.getElementById('btnCopyArchiveMetadata').addEventListener('click', function () {
+    copyArchiveMetadata();
+});
 // Bottom bar :
 document.getElementById('btnBack').addEventListener('click', function (event) {
     event.preventDefault();
@@ -377,6 +457,41 @@ document.getElementById('btnHomeBottom').addEventListener('click', function (eve
     event.preventDefault();
     document.getElementById('btnHome').click();
 });
+document.getElementById('btnBookmark').addEventListener('click', function (event) {
+    event.preventDefault();
+    toggleBookmarkOfCurrentArticle();
+});
+document.getElementById('btnFindInPage').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (document.getElementById('findInPageBar').style.display === 'none') openFindInPageBar();
+    else closeFindInPageBar();
+});
+document.getElementById('findInPageInput').addEventListener('input', function () {
+    // Wait until the user pauses typing, because highlighting the matches in a long article is slow
+    clearTimeout(appstate.findInPage.timeout);
+    appstate.findInPage.timeout = setTimeout(runFindInPage, 300);
+});
+document.getElementById('findInPageInput').addEventListener('keydown', function (event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        stepFindInPage(event.shiftKey ? -1 : 1);
+    }
+});
+document.getElementById('btnFindPrevious').addEventListener('click', function () {
+    stepFindInPage(-1);
+});
+document.getElementById('btnFindNext').addEventListener('click', function () {
+    stepFindInPage(1);
+});
+document.getElementById('btnFindClose').addEventListener('click', closeFindInPageBar);
+window.addEventListener('keydown', handleFindInPageKeys);
+document.getElementById('btnToc').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (!appstate.tableOfContents.headings.length) return;
+    if (document.getElementById('tocSidebar').style.display === 'none') openTocSidebar();
+    else closeTocSidebar();
+});
+document.getElementById('btnTocClose').addEventListener('click', closeTocSidebar);
 document.getElementById('btnTop').addEventListener('click', function (event) {
     event.preventDefault();
     var articleContent = document.getElementById('articleContent');
@@ -388,6 +503,8 @@ document.getElementById('btnHome').addEventListener('click', function (event) {
     // Highlight the selected section in the navbar
     event.preventDefault();
     document.getElementById('liHomeNav').setAttribute('class', 'active');
+    document.getElementById('liBookmarksNav').setAttribute('class', '');
+    document.getElementById('liHistoryNav').setAttribute('class', '');
     document.getElementById('liConfigureNav').setAttribute('class', '');
     document.getElementById('liAboutNav').setAttribute('class', '');
     var navbarCollapse = document.querySelector('.navbar-collapse');
@@ -408,14 +525,83 @@ document.getElementById('btnHome').addEventListener('click', function (event) {
     var articleContent = document.getElementById('articleContent');
     var articleContentDoc = articleContent ? articleContent.contentDocument : null;
     while (articleContentDoc.firstChild) articleContentDoc.removeChild(articleContentDoc.firstChild);
+    // Any article that was being reopened has been abandoned
+    appstate.pendingReadingPosition = null;
+    uiUtil.hideResumeAlert();
     if (selectedArchive !== null && selectedArchive.isReady()) {
         document.getElementById('welcomeText').style.display = 'none';
-        goToMainArticle();
+        if (appstate.resumeReading) resumeReadingOrGoToMainArticle();
+        else goToMainArticle();
     }
+    appstate.resumeReading = false;
     // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
     setTimeout(resizeIFrame, 400);
 });
 
+document.getElementById('btnBookmarks').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (uiUtil.fromSection() === 'bookmarks') {
+        uiUtil.returnToCurrentPage();
+    } else {
+        // Highlight the selected section in the navbar
+        document.getElementById('liHomeNav').setAttribute('class', '');
+        document.getElementById('liBookmarksNav').setAttribute('class', 'active');
+        document.getElementById('liHistoryNav').setAttribute('class', '');
+        document.getElementById('liConfigureNav').setAttribute('class', '');
+        document.getElementById('liAboutNav').setAttribute('class', '');
+        var navbarCollapse = document.querySelector('.navbar-collapse');
+        navbarCollapse.classList.remove('show');
+        // Show the selected content in the page
+        uiUtil.tabTransitionToSection('bookmarks', params.showUIAnimations);
+        refreshBookmarksList();
+        // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
+        setTimeout(resizeIFrame, 400);
+    }
+});
+document.getElementById('bookmarksSearch').addEventListener('input', function () {
+    refreshBookmarksList();
+});
+document.getElementById('bookmarksFolderFilter').addEventListener('change', function () {
+    refreshBookmarksList();
+});
+document.getElementById('btnHistory').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (uiUtil.fromSection() === 'history') {
+        uiUtil.returnToCurrentPage();
+    } else {
+        // Highlight the selected section in the navbar
+        document.getElementById('liHomeNav').setAttribute('class', '');
+        document.getElementById('liBookmarksNav').setAttribute('class', '');
+        document.getElementById('liHistoryNav').setAttribute('class', 'active');
+        document.getElementById('liConfigureNav').setAttribute('class', '');
+        document.getElementById('liAboutNav').setAttribute('class', '');
+        var navbarCollapse = document.querySelector('.navbar-collapse');
+        navbarCollapse.classList.remove('show');
+        // Show the selected content in the page
+        uiUtil.tabTransitionToSection('history', params.showUIAnimations);
+        refreshHistoryList();
+        // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
+        setTimeout(resizeIFrame, 400);
+    }
+});
+document.getElementById('historySearch').addEventListener('input', function () {
+    refreshHistoryList();
+});
+document.getElementById('historyMaxAgeSelect').addEventListener('change', function () {
+    params.historyMaxAge = Number(this.value);
+    settingsStore.setItem('historyMaxAge', this.value, Infinity);
+    expireReadingHistory().then(refreshHistoryList);
+});
+document.getElementById('btnClearHistory').addEventListener('click', function () {
+    uiUtil.systemAlert(translateUI.t('dialog-clearhistory-message') || 'This will delete your whole reading history and your recent searches. Bookmarks will be kept.',
+        translateUI.t('dialog-clearhistory-title') || 'Clear history?', true).then(function (response) {
+        if (response) {
+            Promise.all([readingHistory.clear(), searchHistory.clear()]).then(refreshHistoryList).catch(function (err) {
+                console.error('Unable to clear the reading history and the recent searches', err);
+            });
+        }
+    });
+});
 document.getElementById('btnConfigure').addEventListener('click', function (event) {
     event.preventDefault();
     if (uiUtil.fromSection() === 'config') {
@@ -423,6 +609,8 @@ document.getElementById('btnConfigure').addEventListener('click', function (even
     } else {
         // Highlight the selected section in the navbar
         document.getElementById('liHomeNav').setAttribute('class', '');
+        document.getElementById('liBookmarksNav').setAttribute('class', '');
+        document.getElementById('liHistoryNav').setAttribute('class', '');
         document.getElementById('liConfigureNav').setAttribute('class', 'active');
         document.getElementById('liAboutNav').setAttribute('class', '');
         var navbarCollapse = document.querySelector('.navbar-collapse');
@@ -431,6 +619,7 @@ document.getElementById('btnConfigure').addEventListener('click', function (even
         uiUtil.tabTransitionToSection('config', params.showUIAnimations);
         refreshAPIStatus();
         refreshCacheStatus();
+        refreshArchiveMetadata();
         uiUtil.checkUpdateStatus(appstate);
         // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
         setTimeout(resizeIFrame, 400);
@@ -443,6 +632,8 @@ document.getElementById('btnAbout').addEventListener('click', function (event) {
     } else {
         // Highlight the selected section in the navbar
         document.getElementById('liHomeNav').setAttribute('class', '');
+        document.getElementById('liBookmarksNav').setAttribute('class', '');
+        document.getElementById('liHistoryNav').setAttribute('class', '');
         document.getElementById('liConfigureNav').setAttribute('class', '');
         document.getElementById('liAboutNav').setAttribute('class', 'active');
         var navbarCollapse = document.querySelector('.navbar-collapse');
@@ -471,7 +662,7 @@ document.getElementById('useCanvasElementsCheck').addEventListener('change', fun
     }
 });
 document.getElementById('btnReset').addEventListener('click', function () {
-    uiUtil.systemAlert((translateUI.t('dialog-reset-warning-message') || 'This will reset the app to a freshly installed state, deleting all app caches and settings!'),
+    uiUtil.systemAlert((translateUI.t('dialog-reset-warning-message') || 'This will reset the app to a freshly installed state, deleting all app caches and settings, your bookmarks and your reading history!'),
         (translateUI.t('dialog-reset-warning-title') || 'WARNING!'), true).then(function (response) {
         if (response) {
             settingsStore.reset();
@@ -575,6 +766,11 @@ document.getElementById('useHomeKeyToFocusSearchBarCheck').addEventListener('cha
             translateUI.t('dialog-warning') || 'Warning');
     }
 });
+document.getElementById('searchAllArchivesCheck').addEventListener('change', function (e) {
+    params.searchAllArchives = e.target.checked;
+    settingsStore.setItem('searchAllArchives', params.searchAllArchives, Infinity);
+    if (params.searchAllArchives && selectedArchive) openPreviouslyUsedArchives();
+});
 document.querySelectorAll('input[type="checkbox"][name=openExternalLinksInNewTabs]').forEach(function (element) {
     element.addEventListener('change', function () {
         params.openExternalLinksInNewTabs = !!this.checked;
@@ -614,6 +810,12 @@ document.getElementById('titleSearchRange').addEventListener('change', function
     params.maxSearchResultsSize = e.target.value;
     titleSearchRangeVal.textContent = e.target.value;
 });
+document.getElementById('fileCacheSizeSelect').addEventListener('change', function (e) {
+    settingsStore.setItem('fileCacheSize', e.target.value, Infinity);
+    params.fileCacheSize = e.target.value;
+    FileCache.setCacheSize(params.fileCacheSize);
+    refreshFileCacheStatus();
+});
 document.getElementById('titleSearchRange').addEventListener('input', function (e) {
     titleSearchRangeVal.textContent = e.target.value;
 });
@@ -639,6 +841,8 @@ setTimeout(function () {
     console.log('Checking for updates to the PWA...');
     uiUtil.checkUpdateStatus(appstate);
 }, 7000);
+// Delete old entries from the reading history once the app has settled
+setTimeout(expireReadingHistory, 10000);
 
 // Adds an event listener to kiwix logo and bottom navigation bar which gets triggered when these elements are dragged.
 // Returning false prevents their dragging (which can cause some unexpected behavior)
@@ -699,6 +903,16 @@ async function verifyLoadedArchive (archive) {
     verifyScraper.classList.add('archive-metadata');
     verifyScraper.innerText = metadataLabels.scraper + (archive.scraper || '-');
 
+    const illustration = await archive.getIllustration();
+    if (illustration) {
+        const verifyIllustration = document.createElement('img');
+        verifyIllustration.id = 'confirm-archive-illustration';
+        verifyIllustration.classList.add('archiveIllustration');
+        verifyIllustration.src = illustration;
+        verifyIllustration.alt = '';
+        metadataBox.append(verifyIllustration);
+    }
+
     const verifyWarning = document.createElement('p');
     verifyWarning.id = 'modal-archive-metadata-warning';
     verifyWarning.innerHTML = translateUI.t('dialog-metadata-warning') || 'Warning: above data can be spoofed!';
@@ -850,6 +1064,8 @@ function refreshAPIStatus () {
         decompAPIStatusDiv.innerHTML = (translateUI.t('api-decompressor-label') || 'Decompressor API:') + ' ' + apiName;
         // Update Search Provider
         uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+        // Update the use of the block and cluster caches (this is kept up to date while the panel is displayed)
+        refreshFileCacheStatus();
         // Update PWA origin
         var pwaOriginStatusDiv = document.getElementById('pwaOriginStatus');
         pwaOriginStatusDiv.className = 'apiAvailable';
@@ -863,6 +1079,54 @@ function refreshAPIStatus () {
     }, 250);
 }
 
+// The timeout that keeps the block cache statistics of the API panel up to date
+var fileCacheStatusTimeout = null;
+
+/**
+ * Describes the use of a cache in the API panel
+ * @param {String} label The name of the cache
+ * @param {Number} bytes The number of bytes held by the cache
+ * @param {Number} maxBytes The maximum number of bytes held by the cache
+ * @param {Number} hits The number of reads that found their data in the cache
+ * @param {Number} misses The number of reads that did not
+ * @returns {String} The description of the use of the cache
+ */
+function describeCacheStatus (label, bytes, maxBytes, hits, misses) {
+    var megabytes = function (bytes) {
+        return Math.round(bytes / 104857.6) / 10;
+    };
+    var reads = hits + misses;
+    return label + ' ' + megabytes(bytes) + ' / ' + megabytes(maxBytes) + ' MB, ' + (translateUI.t('api-filecache-hitrate') || 'hit rate') + ' ' +
+        (reads ? Math.round(hits / reads * 1000) / 10 + '%' : '-') + ' [ ' + (translateUI.t('api-filecache-hits') || 'hits:') + ' ' +
+        hits + ' / ' + (translateUI.t('api-filecache-misses') || 'misses:') + ' ' + misses + ' ]';
+}
+
+/**
+ * Displays the size and the hit rate of the block caches used to read the directory entries of archives (see filecache.js), counting
+ * together the caches of the main thread and of the title search Worker, and of the cache of decompressed clusters (see clustercache.js)
+ * in the API panel, and refreshes them every second while the Configuration is displayed
+ */
+function refreshFileCacheStatus () {
+    clearTimeout(fileCacheStatusTimeout);
+    var stats = FileCache.getStats();
+    var workerStats = zimArchive.getTitleSearchCacheStats();
+    if (workerStats) {
+        ['hits', 'misses', 'blocks', 'capacity'].forEach(function (key) {
+            stats[key] += workerStats[key];
+        });
+    }
+    var fileCacheStatusDiv = document.getElementById('fileCacheStatus');
+    fileCacheStatusDiv.textContent = describeCacheStatus(translateUI.t('api-filecache-label') || 'Block cache:',
+        stats.blocks * stats.blockSize, stats.capacity * stats.blockSize, stats.hits, stats.misses);
+    fileCacheStatusDiv.className = 'apiAvailable';
+    stats = ClusterCache.getStats();
+    var clusterCacheStatusDiv = document.getElementById('clusterCacheStatus');
+    clusterCacheStatusDiv.textContent = describeCacheStatus(translateUI.t('api-clustercache-label') || 'Cluster cache:',
+        stats.bytes, stats.maxBytes, stats.hits, stats.misses);
+    clusterCacheStatusDiv.className = 'apiAvailable';
+    if (uiUtil.fromSection() === 'config') fileCacheStatusTimeout = setTimeout(refreshFileCacheStatus, 1000);
+}
+
 /**
  * Queries Service Worker if possible to determine cache capability and returns an object with cache attributes
  * If Service Worker is not available, the attributes of the memory cache are returned instead
@@ -974,8 +1238,15 @@ function initServiceWorkerMessaging () {
             // Check that the zimFileId in the messageChannel event data is the same as the one in the currently open archive
             // Because the SW broadcasts its request to all open tabs or windows, we need to check that the request is for this instance
             if (event.data.zimFileName !== selectedArchive.file.name && !videoException) {
-                // Do nothing if the request is not for this instance
-                // console.debug('SW request does not match this instance', '[zimFileName:' + event.data.zimFileName + ' !== ' + selectedArchive.file.name + ']');
+                // The request may be for another archive that is still open in this instance (e.g. if the user navigated back to one of its articles)
+                const otherArchive = archiveRegistry.get(event.data.zimFileName);
+                // Do nothing if the request is not for this instance, or if the archive has not been trusted
+                if (!otherArchive || params.sourceVerification && !settingsStore.getItem('trustedZimFiles').includes(otherArchive.file.name)) {
+                    // console.debug('SW request does not match this instance', '[zimFileName:' + event.data.zimFileName + ' !== ' + selectedArchive.file.name + ']');
+                    return;
+                }
+                // DEV: The libzim Worker can only hold one archive, so we always use the JS backend for archives that are not selected
+                handleMessageChannelMessage(event, otherArchive);
             } else {
                 if (videoException) {
                     // DEV: This is a hack to allow YouTube videos to play in Zimit archives:
@@ -983,7 +1254,7 @@ function initServiceWorkerMessaging () {
                     // Until we find a way to tell where it is coming from, we allow the request through on all controlled clients and try to load the content
                     console.warn('>>> Allowing passthrough of SW request to process Zimit video <<<');
                 }
-                if (params.useLibzim) handleMessageChannelByLibzim(event);
+                if (params.useLibzim && selectedArchive.hasLibzimWorker()) handleMessageChannelByLibzim(event);
                 else handleMessageChannelMessage(event);
             }
         } else if (event.data.msg_type) {
@@ -1456,7 +1727,7 @@ window.onpopstate = function (event) {
             goToArticle(title);
         } else if (titleSearch && titleSearch !== '') {
             document.getElementById('prefix').value = titleSearch;
-            if (titleSearch !== appstate.search.prefix) {
+            if (titleSearch !== appstate.search.text) {
                 searchDirEntriesFromPrefix(titleSearch);
             } else {
                 document.getElementById('prefix').focus();
@@ -1487,6 +1758,7 @@ function populateDropDownListOfArchives (archiveDirectories) {
     }
     // Store the list of archives in the Settings Store, to avoid rescanning at each start
     settingsStore.setItem('listOfArchives', archiveDirectories.join('|'), Infinity);
+    applyArchiveIllustrations();
     document.getElementById('archiveList').addEventListener('change', setLocalArchiveFromArchiveList);
     if (comboArchiveList.options.length > 0) {
         var lastSelectedArchive = settingsStore.getItem('lastSelectedArchive');
@@ -1511,6 +1783,67 @@ function populateDropDownListOfArchives (archiveDirectories) {
     }
 }
 
+/**
+ * Decorates the entries in the list of archives with the illustrations of any archives that have previously been opened,
+ * and displays the illustration of the selected archive next to the list
+ * DEV: Only some browsers (e.g. Firefox) display background images in select options, hence the separate image
+ */
+function applyArchiveIllustrations () {
+    var comboArchiveList = document.getElementById('archiveList');
+    var listIllustration = document.getElementById('archiveListIllustration');
+    var getArchiveName = function (path) {
+        return path.replace(/^.*?([^/]+\.zim)\w?\w?$/i, '$1');
+    };
+    Array.prototype.forEach.call(comboArchiveList.options, function (option) {
+        var illustration = option.value ? appstate.archiveIllustrations[getArchiveName(option.value)] : null;
+        option.classList.toggle('archiveOptionWithIllustration', !!illustration);
+        option.style.backgroundImage = illustration ? 'url("' + illustration + '")' : '';
+    });
+    var selectedIllustration = comboArchiveList.value ? appstate.archiveIllustrations[getArchiveName(comboArchiveList.value)] : null;
+    if (!selectedIllustration && selectedArchive && selectedArchive.file) selectedIllustration = selectedArchive.illustration;
+    listIllustration.src = selectedIllustration || '';
+    listIllustration.style.display = selectedIllustration ? '' : 'none';
+}
+
+/**
+ * Reads the illustration of a newly loaded archive, remembers it for the list of archives, and displays it
+ * @param {ZIMArchive} archive The archive whose illustration should be read
+ */
+function setArchiveIllustration (archive) {
+    archive.getIllustration().then(function (illustration) {
+        // Do not store large illustrations, as they would use too much of the Settings Store's quota
+        if (illustration && illustration.length <= 32768 && appstate.archiveIllustrations[archive.file.name] !== illustration) {
+            appstate.archiveIllustrations[archive.file.name] = illustration;
+            var names = Object.keys(appstate.archiveIllustrations);
+            // Only remember the illustrations of the 20 most recently added archives
+            names.slice(0, Math.max(0, names.length - 20)).forEach(function (name) {
+                delete appstate.archiveIllustrations[name];
+            });
+            if (params.storeType === 'local_storage') {
+                settingsStore.setItem('archiveIllustrations', JSON.stringify(appstate.archiveIllustrations), Infinity);
+            }
+        }
+        if (archive !== selectedArchive) return;
+        applyArchiveIllustrations();
+        updateWindowTitleAndIcon();
+    });
+}
+
+/**
+ * Sets the title and icon of the app's window (or tab) to reflect the displayed article and the archive it comes from
+ * @param {String} articleTitle The title of the displayed article (optional)
+ */
+function updateWindowTitleAndIcon (articleTitle) {
+    var archiveTitle = selectedArchive ? selectedArchive.title || selectedArchive.name : '';
+    document.title = [articleTitle, archiveTitle].filter(Boolean).join(' | ') || 'Kiwix';
+    var illustration = selectedArchive ? selectedArchive.illustration : null;
+    document.querySelectorAll('link[rel="icon"]').forEach(function (link) {
+        // Remember the app's own icons, so that they can be restored for archives without an illustration
+        if (!link.dataset.appIcon) link.dataset.appIcon = link.getAttribute('href');
+        link.href = illustration || link.dataset.appIcon;
+    });
+}
+
 /**
  * Sets the localArchive from the selected archive in the drop-down list
  */
@@ -1831,6 +2164,55 @@ function setLocalArchiveFromFileList (files) {
     });
 }
 
+/**
+ * The filenames of the archives being opened in the background by openPreviouslyUsedArchives()
+ * @type {Set<String>}
+ */
+var archivesOpeningInBackground = new Set();
+
+/**
+ * Opens in the background the other archives that the user picked before (those listed in the dropdown of archives), so that a search
+ * of all archives also searches their titles. The archives are kept open without being selected, up to the number of archives that
+ * can be open at once. Only archives that can be read without asking the user are opened: those in a file or folder that the user
+ * has already allowed the app to read (File System Access API), or in the files picked in this session (webkitdirectory).
+ */
+function openPreviouslyUsedArchives () {
+    var filenames = (settingsStore.getItem('zimFilenames') || '').split('|').filter(function (filename) {
+        // For split archives, only list the first part (as in the dropdown), and skip archives that are already open
+        return /\.zim(aa)?$/i.test(filename) && !archiveRegistry.get(filename.replace(/(\.zim)aa$/i, '$1')) &&
+            !archivesOpeningInBackground.has(filename);
+    }).slice(0, Math.max(0, archiveRegistry.getFreePlaces() - archivesOpeningInBackground.size));
+    filenames.forEach(function (filename) {
+        var getFiles;
+        if (params.isFileSystemApiSupported) {
+            getFiles = abstractFilesystemAccess.getSelectedZimFromCache(filename, true);
+        } else if (webKitFileList !== null) {
+            getFiles = Promise.resolve(abstractFilesystemAccess.getSelectedZimFromWebkitList(webKitFileList, filename));
+        } else {
+            return;
+        }
+        archivesOpeningInBackground.add(filename);
+        getFiles.then(function (files) {
+            // Files are matched by the start of their name, so keep only the parts of this archive
+            var name = filename.replace(/(\.zim)aa$/i, '$1');
+            files = files.filter(function (file) {
+                return file.name.replace(/(\.zim)\w\w$/i, '$1') === name;
+            });
+            if (!files.length) throw new Error('File not found');
+            zimArchiveLoader.loadArchiveFromFiles(files, function (archive) {
+                archivesOpeningInBackground.delete(filename);
+                if (!archiveRegistry.get(archive.file.name) && archiveRegistry.getFreePlaces()) archiveRegistry.register(archive);
+            }, function (message) {
+                archivesOpeningInBackground.delete(filename);
+                console.warn('Could not open the archive ' + filename + ' in the background: ' + message);
+            }, true);
+        }).catch(function (err) {
+            archivesOpeningInBackground.delete(filename);
+            console.debug('The archive ' + filename + ' was not opened in the background: ' + err.message);
+        });
+    });
+}
+
 /**
  * Functions to be run immediately after the archive is loaded
  *
@@ -1879,11 +2261,820 @@ async function archiveReadyCallback (archive) {
     if (params.contentInjectionMode === 'serviceworker') {
         initServiceWorkerMessaging();
     }
-    // The archive is set: go back to home page to start searching
+    // Keep the archive open alongside any others, so that links and SW requests can be routed to it after another archive is selected
+    archiveRegistry.register(archive);
+    // Open the other archives that the user picked before, so that their titles can be searched too
+    if (params.searchAllArchives) openPreviouslyUsedArchives();
+    // Display the archive's illustration in the list of archives and in the app's window (read in the background)
+    setArchiveIllustration(archive);
+    // Stop any verification of a previously loaded archive, and offer verification of the new one
+    if (appstate.checksumVerification) appstate.checksumVerification.cancelled = true;
+    document.getElementById('archiveChecksumStatus').textContent = '';
+    document.getElementById('archiveChecksumDiv').style.display = '';
+    // The archive is set: go back to home page to start searching, and reopen the article the user was reading in this archive
+    appstate.resumeReading = true;
     document.getElementById('btnHome').click();
     document.getElementById('downloadInstruction').style.display = 'none';
 }
 
+/**
+ * Makes another open archive the selected archive, without reloading it or returning to its landing page. This is used
+ * when an article from that archive is displayed, e.g. after following a link into it or navigating back to one of its articles.
+ * @param {ZIMArchive} archive The open archive to select
+ */
+function switchSelectedArchive (archive) {
+    if (archive === selectedArchive) return;
+    console.debug('Switching the selected archive to ' + archive.file.name);
+    selectedArchive = archive;
+    if (!selectedArchive.cssCache) selectedArchive.cssCache = new Map();
+    params.zimType = archive.zimType;
+    appstate.wikimediaZimLoaded = /wikipedia|wikivoyage|mdwiki|wiktionary/i.test(archive.file.name);
+    appstate.isReplayWorkerAvailable = null;
+    appstate.search.prefix = '';
+    // Stop any verification of the previously selected archive
+    if (appstate.checksumVerification) appstate.checksumVerification.cancelled = true;
+    document.getElementById('archiveChecksumStatus').textContent = '';
+    setArchiveIllustration(archive);
+}
+
+/**
+ * Follows a link to the original website of an open archive (e.g. a Wikipedia link in a Wiktionary article) inside that archive,
+ * instead of opening it externally. If the linked entry is not found in the archive, the link is treated as an external link.
+ * @param {Event} event The click event on the link
+ * @param {Element} clickedAnchor The clicked anchor
+ * @returns {Boolean} True if the link was handled (it points to the domain of an open archive), false otherwise
+ */
+function openLinkInOpenArchive (event, clickedAnchor) {
+    if (!archiveRegistry.findArchiveForUrl(clickedAnchor.href, selectedArchive)) return false;
+    event.preventDefault();
+    event.stopPropagation();
+    var href = clickedAnchor.href;
+    // Popup blockers only let us open a window while the click is being handled, so if the link would be opened without a warning,
+    // we open the window now, and only send it to the link if the link is not found in the open archive
+    var newWindow = params.hideExternalLinkWarning ? window.open('', '_blank') : null;
+    archiveRegistry.resolveUrl(href, selectedArchive).catch(function (err) {
+        console.error('Error looking up ' + href + ' in the open archives', err);
+        return null;
+    }).then(function (resolved) {
+        if (!resolved) {
+            console.debug('Link ' + href + ' was not found in any open archive');
+            // As in uiUtil.warnAndOpenExternalLinkInNewTab, querystrings in the external links of Zimit2 archives are overencoded
+            if (newWindow) newWindow.location.href = params.zimType === 'zimit2' ? decodeURIComponent(href) : href;
+            else uiUtil.warnAndOpenExternalLinkInNewTab(null, clickedAnchor);
+            return;
+        }
+        if (newWindow) newWindow.close();
+        console.debug('Opening ' + href + ' in archive ' + resolved.archive.file.name);
+        anchorParameter = clickedAnchor.hash.replace(/^#/, '');
+        switchSelectedArchive(resolved.archive);
+        params.isLandingPage = false;
+        readArticle(resolved.dirEntry);
+    });
+    return true;
+}
+
+/**
+ * Verifies the integrity of the currently loaded archive against the MD5 checksum stored in it, and reports
+ * progress and the result in the Configuration page. The verification can be cancelled with btnCancelChecksum.
+ */
+function verifyArchiveChecksum () {
+    if (!selectedArchive || !selectedArchive.file) {
+        uiUtil.systemAlert(translateUI.t('dialog-archive-notset-message') || 'Archive not set: please select an archive',
+            translateUI.t('dialog-archive-notset-title') || 'No archive selected');
+        return;
+    }
+    var btnVerify = document.getElementById('btnVerifyChecksum');
+    var btnCancel = document.getElementById('btnCancelChecksum');
+    var status = document.getElementById('archiveChecksumStatus');
+    var progressMessage = translateUI.t('configure-checksum-progress') || 'Verifying archive integrity...';
+    var cancelToken = { cancelled: false };
+    appstate.checksumVerification = cancelToken;
+    btnVerify.disabled = true;
+    btnCancel.style.display = '';
+    status.classList.remove('apiAvailable', 'apiBroken');
+    status.textContent = progressMessage;
+    selectedArchive.file.verifyChecksum(function (bytesRead, totalBytes) {
+        status.textContent = progressMessage + ' ' + Math.floor(bytesRead / totalBytes * 100) + '%';
+    }, cancelToken).then(function (result) {
+        console.debug('Archive checksum verification: ' + result.status, result);
+        var messages = {
+            valid: translateUI.t('configure-checksum-valid') || 'The archive is intact (checksum matches).',
+            invalid: translateUI.t('configure-checksum-invalid') || 'The archive is damaged: its checksum does not match! Please copy or download it again.',
+            truncated: translateUI.t('configure-checksum-truncated') || 'The archive is incomplete (truncated)! Please copy or download it again.',
+            cancelled: translateUI.t('configure-checksum-cancelled') || 'Verification cancelled.'
+        };
+        status.textContent = messages[result.status];
+        if (result.status === 'valid') status.classList.add('apiAvailable');
+        else if (result.status !== 'cancelled') status.classList.add('apiBroken');
+    }).catch(function (err) {
+        console.error('Error verifying archive checksum', err);
+        status.textContent = (translateUI.t('configure-checksum-error') || 'Unable to verify the archive:') + ' ' + err;
+        status.classList.add('apiBroken');
+    }).then(function () {
+        // Only reset the UI if another verification has not started in the meantime
+        if (appstate.checksumVerification !== cancelToken) return;
+        appstate.checksumVerification = null;
+        btnVerify.disabled = false;
+        btnCancel.style.display = 'none';
+    });
+}
+
+/**
+ * Populates the "About this archive" panel in Configuration with the header fields and all the metadata of the loaded archive
+ */
+function refreshArchiveMetadata () {
+    var metadataDiv = document.getElementById('archiveMetadataDiv');
+    var content = document.getElementById('archiveMetadataContent');
+    if (!selectedArchive || !selectedArchive.file) {
+        metadataDiv.style.display = 'none';
+        return;
+    }
+    metadataDiv.style.display = '';
+    // Only read the metadata again if a different archive has been loaded since the panel was last populated
+    if (appstate.archiveMetadata.archive === selectedArchive) return;
+    var archive = selectedArchive;
+    appstate.archiveMetadata = { archive: archive, report: null };
+    document.getElementById('archiveMetadataCopyStatus').textContent = '';
+    content.textContent = translateUI.t('configure-archivemetadata-loading') || 'Reading archive metadata...';
+    archive.getAllMetadata().then(function (metadata) {
+        // Another archive may have been loaded while we were reading the metadata
+        if (appstate.archiveMetadata.archive !== archive) return;
+        var file = archive.file;
+        var report = {
+            file: {
+                name: file.name,
+                version: file.majorVersion + '.' + file.minorVersion,
+                uuid: file.uuid,
+                entryCount: file.entryCount,
+                articleCount: file.articleCount,
+                clusterCount: file.clusterCount,
+                fullTextIndex: !!file.fullTextIndex,
+                zimType: archive.zimType
+            },
+            metadata: {},
+            counter: zimArchive.parseCounter(metadata.Counter)
+        };
+        var metadataRows = [];
+        Object.keys(metadata).forEach(function (key) {
+            var value = metadata[key];
+            if (typeof value === 'string') {
+                report.metadata[key] = value;
+                metadataRows.push([key, value]);
+            } else {
+                // Binary metadata (illustrations) are summarized in the report, and displayed as images in the panel
+                report.metadata[key] = '[' + value.length + ' bytes]';
+                var img = document.createElement('img');
+                img.src = URL.createObjectURL(new Blob([value], { type: 'image/png' }));
+                img.alt = key;
+                img.onload = function () {
+                    URL.revokeObjectURL(img.src);
+                };
+                metadataRows.push([key, img]);
+            }
+        });
+        appstate.archiveMetadata.report = report;
+        var yes = translateUI.t('configure-archivemetadata-yes') || 'Yes';
+        var no = translateUI.t('configure-archivemetadata-no') || 'No';
+        content.textContent = '';
+        content.appendChild(createArchiveMetadataTable(translateUI.t('configure-archivemetadata-file') || 'Archive file', [
+            [translateUI.t('configure-archivemetadata-filename') || 'File name', report.file.name],
+            [translateUI.t('configure-archivemetadata-version') || 'ZIM version', report.file.version],
+            [translateUI.t('configure-archivemetadata-uuid') || 'UUID', report.file.uuid],
+            [translateUI.t('configure-archivemetadata-entrycount') || 'Entries', report.file.entryCount],
+            [translateUI.t('configure-archivemetadata-articlecount') || 'Articles', report.file.articleCount],
+            [translateUI.t('configure-archivemetadata-clustercount') || 'Clusters', report.file.clusterCount],
+            [translateUI.t('configure-archivemetadata-fulltextindex') || 'Full-text index', report.file.fullTextIndex ? yes : no],
+            [translateUI.t('configure-archivemetadata-zimtype') || 'Archive type', report.file.zimType]
+        ]));
+        content.appendChild(createArchiveMetadataTable(translateUI.t('configure-archivemetadata-metadata') || 'Metadata', metadataRows));
+        var counterTypes = Object.keys(report.counter);
+        if (counterTypes.length) {
+            content.appendChild(createArchiveMetadataTable(translateUI.t('configure-archivemetadata-counter') || 'Entries by MIME type',
+                counterTypes.map(function (mimetype) {
+                    return [mimetype, report.counter[mimetype]];
+                })
+            ));
+        }
+    }).catch(function (err) {
+        console.error('Error reading archive metadata', err);
+        content.textContent = (translateUI.t('configure-archivemetadata-error') || 'Unable to read the archive metadata:') + ' ' + err;
+        // Allow a retry the next time the Configuration page is opened
+        appstate.archiveMetadata.archive = null;
+    });
+}
+
+/**
+ * Creates a captioned two-column table for the "About this archive" panel
+ * DEV: Metadata can be spoofed, so values are always inserted as text (or as a pre-built element), never as HTML
+ * @param {String} caption The caption of the table
+ * @param {Array<Array>} rows An array of [label, value] pairs, where the value is a String, a Number, or an Element
+ * @returns {Element} The table element
+ */
+function createArchiveMetadataTable (caption, rows) {
+    var table = document.createElement('table');
+    table.className = 'table table-sm archiveMetadataTable';
+    table.createCaption().textContent = caption;
+    var tbody = table.createTBody();
+    rows.forEach(function (row) {
+        var tr = tbody.insertRow();
+        var th = document.createElement('th');
+        th.textContent = row[0];
+        tr.appendChild(th);
+        var td = tr.insertCell();
+        if (row[1] instanceof Element) {
+            td.appendChild(row[1]);
+        } else {
+            td.textContent = row[1] === null || row[1] === undefined ? '-' : row[1];
+        }
+    });
+    return table;
+}
+
+/**
+ * Copies the report displayed in the "About this archive" panel to the clipboard as JSON (e.g. for support tickets)
+ */
+function copyArchiveMetadata () {
+    var report = appstate.archiveMetadata.report;
+    var copyStatus = document.getElementById('archiveMetadataCopyStatus');
+    if (!report) return;
+    var json = JSON.stringify(report, null, 2);
+    var copied = navigator.clipboard && navigator.clipboard.writeText ? navigator.clipboard.writeText(json)
+        : new Promise(function (resolve, reject) {
+            // Fallback for browsers without the asynchronous Clipboard API
+            var textArea = document.createElement('textarea');
+            textArea.value = json;
+            document.body.appendChild(textArea);
+            textArea.select();
+            var success = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            if (success) resolve();
+            else reject(new Error('Copy command was not executed'));
+        });
+    copied.then(function () {
+        copyStatus.textContent = translateUI.t('configure-archivemetadata-copied') || 'Copied to clipboard';
+    }).catch(function (err) {
+        console.error('Unable to copy archive metadata to clipboard', err);
+        copyStatus.textContent = translateUI.t('configure-archivemetadata-copy-failed') || 'Unable to copy to clipboard';
+    });
+}
+
+/**
+ * Bookmarks the article that is currently displayed, or removes its bookmark if it has already been bookmarked
+ */
+function toggleBookmarkOfCurrentArticle () {
+    var zimUrl = appstate.expectedArticleURLToBeDisplayed;
+    if (!selectedArchive || !zimUrl) {
+        uiUtil.systemAlert(translateUI.t('dialog-bookmark-noarticle-message') || 'Please open an article before bookmarking it.',
+            translateUI.t('dialog-bookmark-noarticle-title') || 'No article displayed');
+        return;
+    }
+    var archive = selectedArchive;
+    bookmarks.find(archive.file.name, zimUrl).then(function (bookmark) {
+        if (bookmark) return bookmarks.remove(bookmark.id);
+        return archive.getDirEntryByPath(zimUrl).catch(function () {
+            return null;
+        }).then(function (dirEntry) {
+            var doc = articleContainer.contentDocument;
+            return bookmarks.add({
+                zimFileName: archive.file.name,
+                archiveTitle: archive.title || archive.name,
+                zimUrl: zimUrl,
+                dirEntryId: dirEntry ? dirEntry.toStringId() : '',
+                title: doc && doc.title ? doc.title : dirEntry ? dirEntry.getTitleOrUrl() : zimUrl
+            });
+        });
+    }).then(refreshBookmarkButton).catch(function (err) {
+        console.error('Unable to update the bookmark of ' + zimUrl, err);
+        uiUtil.systemAlert((translateUI.t('dialog-bookmark-error-message') || 'Unable to save the bookmark:') + ' ' + err,
+            translateUI.t('dialog-bookmark-error-title') || 'Bookmark error');
+    });
+}
+
+/**
+ * Shows whether the article that is currently displayed has been bookmarked in the bookmark button of the footer
+ */
+function refreshBookmarkButton () {
+    var button = document.getElementById('btnBookmark');
+    var zimUrl = appstate.expectedArticleURLToBeDisplayed;
+    var showState = function (isBookmarked) {
+        // Font Awesome replaces the icon with an SVG, so we replace the whole icon rather than change its class
+        button.innerHTML = isBookmarked ? '<i class="fas fa-star"></i>' : '<i class="far fa-star"></i>';
+        button.title = isBookmarked ? translateUI.t('home-btn-bookmark-remove') || 'Remove bookmark'
+            : translateUI.t('home-btn-bookmark') || 'Bookmark this article';
+    };
+    if (!selectedArchive || !zimUrl) {
+        showState(false);
+        return;
+    }
+    bookmarks.find(selectedArchive.file.name, zimUrl).then(function (bookmark) {
+        showState(!!bookmark);
+    }).catch(function (err) {
+        console.error('Unable to read bookmarks', err);
+        showState(false);
+    });
+}
+
+// Counts the refreshes of the list of bookmarks, so that the results of an earlier search do not overwrite those of a later one
+var bookmarksListRefreshes = 0;
+
+/**
+ * Lists the bookmarks that match the search string and folder selected in the Bookmarks section
+ */
+function refreshBookmarksList () {
+    var refresh = ++bookmarksListRefreshes;
+    var query = document.getElementById('bookmarksSearch').value;
+    var folderFilter = document.getElementById('bookmarksFolderFilter');
+    var folder = folderFilter.value === '*' ? null : folderFilter.value;
+    var list = document.getElementById('bookmarksList');
+    var message = document.getElementById('bookmarksMessage');
+    Promise.all([bookmarks.search(query, folder), bookmarks.getFolders()]).then(function (results) {
+        if (refresh !== bookmarksListRefreshes) return;
+        var foundBookmarks = results[0];
+        populateBookmarkFolders(results[1]);
+        while (list.firstChild) list.removeChild(list.firstChild);
+        if (!foundBookmarks.length) {
+            message.textContent = query || folder !== null ? translateUI.t('bookmarks-none-found') || 'No bookmarks match your search.'
+                : translateUI.t('bookmarks-empty') || 'You have no bookmarks yet. Use the star button at the bottom of an article to bookmark it.';
+        } else {
+            message.textContent = '';
+        }
+        foundBookmarks.forEach(function (bookmark) {
+            list.appendChild(createBookmarkItem(bookmark));
+        });
+    }).catch(function (err) {
+        console.error('Unable to read bookmarks', err);
+        message.textContent = (translateUI.t('bookmarks-error') || 'Unable to read bookmarks:') + ' ' + err;
+    });
+}
+
+/**
+ * Lists the bookmark folders in the folder filter, and in the suggestions for the folder of each bookmark
+ * @param {Array<String>} folders The names of the folders
+ */
+function populateBookmarkFolders (folders) {
+    var folderFilter = document.getElementById('bookmarksFolderFilter');
+    var selectedFolder = folderFilter.value;
+    var datalist = document.getElementById('bookmarksFolderList');
+    // The first two options (all folders, and bookmarks not in a folder) are permanent
+    while (folderFilter.options.length > 2) folderFilter.remove(2);
+    while (datalist.firstChild) datalist.removeChild(datalist.firstChild);
+    folders.forEach(function (folder) {
+        folderFilter.add(new Option(folder, folder));
+        datalist.appendChild(new Option(folder, folder));
+    });
+    folderFilter.value = selectedFolder;
+    // The selected folder may have been emptied
+    if (folderFilter.selectedIndex < 0) folderFilter.value = '*';
+}
+
+/**
+ * Creates the element that represents a bookmark in the list of bookmarks
+ * @param {Bookmark} bookmark The bookmark
+ * @returns {Element} The list item
+ */
+function createBookmarkItem (bookmark) {
+    var isArchiveLoaded = !!archiveRegistry.get(bookmark.zimFileName);
+    var item = document.createElement('div');
+    item.className = 'list-group-item d-flex align-items-center bookmarkItem';
+    if (!isArchiveLoaded) item.classList.add('bookmarkArchiveNotLoaded');
+    var description = document.createElement('div');
+    description.className = 'flex-grow-1';
+    var link = document.createElement('a');
+    link.href = '#';
+    // Bookmark details come from archives, so we only insert them as text
+    link.textContent = bookmark.title;
+    link.addEventListener('click', function (event) {
+        event.preventDefault();
+        openSavedArticle(bookmark);
+    });
+    var details = document.createElement('small');
+    details.className = 'd-block text-muted';
+    details.textContent = bookmark.archiveTitle + ' – ' + new Date(bookmark.timestamp).toLocaleDateString() +
+        (isArchiveLoaded ? '' : ' (' + (translateUI.t('bookmarks-archive-notloaded') || 'archive not loaded') + ')');
+    description.appendChild(link);
+    description.appendChild(details);
+    var folderInput = document.createElement('input');
+    folderInput.className = 'form-control form-control-sm bookmarkFolderInput';
+    folderInput.setAttribute('list', 'bookmarksFolderList');
+    folderInput.placeholder = translateUI.t('bookmarks-folder-placeholder') || 'Folder';
+    folderInput.title = translateUI.t('bookmarks-folder-tip') || 'Type or choose the name of a folder in which to file this bookmark';
+    folderInput.value = bookmark.folder;
+    folderInput.addEventListener('change', function () {
+        bookmarks.setFolder(bookmark.id, folderInput.value).then(refreshBookmarksList);
+    });
+    var btnDelete = document.createElement('button');
+    btnDelete.type = 'button';
+    btnDelete.className = 'btn btn-outline-danger btn-sm';
+    btnDelete.textContent = translateUI.t('bookmarks-btn-delete') || 'Delete';
+    btnDelete.addEventListener('click', function () {
+        bookmarks.remove(bookmark.id).then(function () {
+            refreshBookmarksList();
+            refreshBookmarkButton();
+        });
+    });
+    item.appendChild(description);
+    item.appendChild(folderInput);
+    item.appendChild(btnDelete);
+    return item;
+}
+
+/**
+ * Opens a bookmarked article, or an article in the reading history, in its archive. If the archive is not loaded, the user is
+ * offered the option of selecting it.
+ * @param {Bookmark|HistoryEntry} savedArticle The bookmark or history entry of the article to open
+ */
+function openSavedArticle (savedArticle) {
+    var archive = archiveRegistry.get(savedArticle.zimFileName);
+    if (!archive) {
+        var archiveName = document.createElement('b');
+        archiveName.textContent = savedArticle.zimFileName;
+        uiUtil.systemAlert('<p>' + (translateUI.t('dialog-savedarticle-archive-notloaded-message') || 'This article is in an archive that is not loaded:') +
+            ' ' + archiveName.outerHTML + '</p><p>' + (translateUI.t('dialog-savedarticle-archive-notloaded-hint') ||
+            'Please select the archive in Configuration, then open the article again.') + '</p>',
+        translateUI.t('dialog-savedarticle-archive-notloaded-title') || 'Archive not loaded', true, null,
+        translateUI.t('dialog-savedarticle-archive-notloaded-select') || 'Select archive').then(function (response) {
+            if (response) document.getElementById('btnConfigure').click();
+        });
+        return;
+    }
+    switchSelectedArchive(archive);
+    uiUtil.returnToCurrentPage();
+    if (savedArticle.dirEntryId) {
+        findDirEntryFromDirEntryIdAndLaunchArticleRead(savedArticle.dirEntryId);
+        return;
+    }
+    archive.getDirEntryByPath(savedArticle.zimUrl).then(function (dirEntry) {
+        if (!dirEntry) throw new Error(savedArticle.zimUrl + ' not found');
+        params.isLandingPage = false;
+        readArticle(dirEntry);
+    }).catch(function (err) {
+        console.error('Unable to open ' + savedArticle.zimUrl, err);
+        uiUtil.systemAlert((translateUI.t('dialog-savedarticle-notfound-message') || 'The article was not found in its archive:') + ' ' + savedArticle.zimUrl,
+            translateUI.t('dialog-savedarticle-notfound-title') || 'Article not found');
+    });
+}
+
+/**
+ * Logs the article that has just been displayed in the reading history, unless the user has chosen not to keep a history
+ * @param {String} title The title of the displayed article
+ * @param {DirEntry} dirEntry The DirEntry of the article, if known (it is not known in ServiceWorker mode)
+ */
+function recordArticleInHistory (title, dirEntry) {
+    var zimUrl = appstate.expectedArticleURLToBeDisplayed;
+    if (!params.historyMaxAge || !selectedArchive || !zimUrl) return;
+    readingHistory.record({
+        zimFileName: selectedArchive.file.name,
+        archiveTitle: selectedArchive.title || selectedArchive.name,
+        zimUrl: zimUrl,
+        dirEntryId: dirEntry ? dirEntry.toStringId() : '',
+        title: title
+    }).catch(function (err) {
+        console.error('Unable to record ' + zimUrl + ' in the reading history', err);
+    });
+}
+
+// Counts the refreshes of the reading history, so that the results of an earlier search do not overwrite those of a later one
+var historyListRefreshes = 0;
+
+/**
+ * Lists the entries of the reading history that match the search string in the History section, grouped by day and by archive
+ */
+function refreshHistoryList () {
+    var refresh = ++historyListRefreshes;
+    var query = document.getElementById('historySearch').value;
+    var list = document.getElementById('historyList');
+    var message = document.getElementById('historyMessage');
+    readingHistory.search(query).then(function (entries) {
+        if (refresh !== historyListRefreshes) return;
+        while (list.firstChild) list.removeChild(list.firstChild);
+        if (!entries.length) {
+            message.textContent = query ? translateUI.t('history-none-found') || 'No articles in your history match your search.'
+                : !params.historyMaxAge ? translateUI.t('history-off') || 'The reading history is turned off.'
+                    : translateUI.t('history-empty') || 'Your reading history is empty.';
+        } else {
+            message.textContent = '';
+        }
+        readingHistory.groupByDayAndArchive(entries).forEach(function (dayGroup) {
+            var dayHeading = document.createElement('h4');
+            dayHeading.className = 'pt-3';
+            // Parse the day as a local date (new Date('YYYY-MM-DD') would be midnight UTC)
+            var dayParts = dayGroup.day.split('-');
+            dayHeading.textContent = new Date(dayParts[0], dayParts[1] - 1, dayParts[2]).toLocaleDateString(undefined,
+                { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            list.appendChild(dayHeading);
+            dayGroup.archives.forEach(function (archiveGroup) {
+                list.appendChild(createHistoryArchiveGroup(archiveGroup));
+            });
+        });
+    }).catch(function (err) {
+        console.error('Unable to read the reading history', err);
+        message.textContent = (translateUI.t('history-error') || 'Unable to read the reading history:') + ' ' + err;
+    });
+}
+
+/**
+ * Creates the element that lists the entries of the reading history for one archive on one day
+ * @param {HistoryArchiveGroup} archiveGroup The archive and its entries
+ * @returns {Element} The element
+ */
+function createHistoryArchiveGroup (archiveGroup) {
+    var isArchiveLoaded = !!archiveRegistry.get(archiveGroup.zimFileName);
+    var group = document.createElement('div');
+    group.className = 'historyArchiveGroup';
+    if (!isArchiveLoaded) group.classList.add('historyArchiveNotLoaded');
+    var archiveHeading = document.createElement('h6');
+    archiveHeading.className = 'text-muted pt-2';
+    // History details come from archives, so we only insert them as text
+    archiveHeading.textContent = archiveGroup.archiveTitle +
+        (isArchiveLoaded ? '' : ' (' + (translateUI.t('bookmarks-archive-notloaded') || 'archive not loaded') + ')');
+    var entryList = document.createElement('div');
+    entryList.className = 'list-group';
+    archiveGroup.entries.forEach(function (entry) {
+        var item = document.createElement('div');
+        item.className = 'list-group-item d-flex align-items-center';
+        var time = document.createElement('small');
+        time.className = 'text-muted mr-3';
+        time.textContent = new Date(entry.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        var link = document.createElement('a');
+        link.href = '#';
+        link.className = 'flex-grow-1';
+        link.textContent = entry.title;
+        link.addEventListener('click', function (event) {
+            event.preventDefault();
+            openSavedArticle(entry);
+        });
+        var btnDelete = document.createElement('button');
+        btnDelete.type = 'button';
+        btnDelete.className = 'btn btn-outline-secondary btn-sm';
+        btnDelete.title = translateUI.t('history-btn-delete-tip') || 'Remove from history';
+        btnDelete.innerHTML = '<i class="fas fa-times"></i>';
+        btnDelete.addEventListener('click', function () {
+            readingHistory.remove(entry.id).then(refreshHistoryList);
+        });
+        item.appendChild(time);
+        item.appendChild(link);
+        item.appendChild(btnDelete);
+        entryList.appendChild(item);
+    });
+    group.appendChild(archiveHeading);
+    group.appendChild(entryList);
+    return group;
+}
+
+/**
+ * Deletes the entries of the reading history and the recent searches that are older than the user has chosen to keep
+ * @returns {Promise} A Promise that resolves when the expired entries have been deleted
+ */
+function expireReadingHistory () {
+    return Promise.all([readingHistory.expire(params.historyMaxAge), searchHistory.expire(params.historyMaxAge)]).then(function (deleted) {
+        if (deleted[0]) console.debug('Deleted ' + deleted[0] + ' expired entries from the reading history');
+        if (deleted[1]) console.debug('Deleted ' + deleted[1] + ' expired recent searches');
+    }).catch(function (err) {
+        console.error('Unable to delete expired entries from the reading history', err);
+    });
+}
+
+/**
+ * Gets the document of the displayed article (for Zimit archives, the document of the replay iframe)
+ * @returns {Document} The document, or null if it cannot be accessed
+ */
+function getArticleDocument () {
+    var doc = articleContainer.contentDocument;
+    var replayIframe = doc ? doc.getElementById('replay_iframe') : null;
+    return replayIframe ? replayIframe.contentDocument : doc;
+}
+
+/**
+ * Opens the find-in-page bar and gives it the focus
+ */
+function openFindInPageBar () {
+    var input = document.getElementById('findInPageInput');
+    document.getElementById('findInPageBar').style.display = '';
+    uiUtil.showSlidingUIElements();
+    input.focus();
+    input.select();
+}
+
+/**
+ * Closes the find-in-page bar and removes the highlights from the article
+ */
+function closeFindInPageBar () {
+    clearTimeout(appstate.findInPage.timeout);
+    findInPage.clearHighlights(appstate.findInPage.doc);
+    appstate.findInPage = { doc: null, query: '', matches: [], current: -1, timeout: null };
+    document.getElementById('findInPageCount').textContent = '';
+    document.getElementById('findInPageBar').style.display = 'none';
+    articleContainer.contentWindow.focus();
+}
+
+/**
+ * Highlights the matches of the find-in-page string in the displayed article, and scrolls to the first one
+ */
+function runFindInPage () {
+    var query = document.getElementById('findInPageInput').value;
+    var doc = getArticleDocument();
+    clearTimeout(appstate.findInPage.timeout);
+    // Remove the highlights from a previous article (the current article's highlights are removed by highlightMatches)
+    if (appstate.findInPage.doc !== doc) findInPage.clearHighlights(appstate.findInPage.doc);
+    var matches = findInPage.highlightMatches(doc, query);
+    appstate.findInPage = { doc: doc, query: query, matches: matches, current: findInPage.selectMatch(matches, 0), timeout: null };
+    refreshFindInPageCount();
+}
+
+/**
+ * Moves to the next or previous match of the find-in-page string, searching the article again if the string or the article has changed
+ * @param {Integer} direction 1 to move to the next match, -1 to move to the previous match
+ */
+function stepFindInPage (direction) {
+    var state = appstate.findInPage;
+    if (state.doc !== getArticleDocument() || state.query !== document.getElementById('findInPageInput').value) {
+        runFindInPage();
+        return;
+    }
+    state.current = findInPage.selectMatch(state.matches, state.current + direction);
+    refreshFindInPageCount();
+}
+
+/**
+ * Displays the number of matches of the find-in-page string, and which of them is the current match
+ */
+function refreshFindInPageCount () {
+    var state = appstate.findInPage;
+    document.getElementById('findInPageCount').textContent = !state.query ? ''
+        : state.matches.length ? state.current + 1 + '/' + state.matches.length
+            : translateUI.t('findinpage-nomatches') || 'No matches';
+}
+
+/**
+ * Forgets the matches of the find-in-page string when another article is displayed, and listens for the find-in-page keyboard
+ * shortcuts in the new article's window (the user can search the new article by pressing Enter in the find-in-page bar)
+ * @param {Window} articleWindow The window of the new article
+ */
+function resetFindInPage (articleWindow) {
+    clearTimeout(appstate.findInPage.timeout);
+    appstate.findInPage = { doc: null, query: '', matches: [], current: -1, timeout: null };
+    refreshFindInPageCount();
+    if (articleWindow) articleWindow.addEventListener('keydown', handleFindInPageKeys);
+}
+
+/**
+ * Handles the keyboard shortcuts of the find-in-page bar, in the app's window and in the article's window
+ * @param {KeyboardEvent} event The keydown event
+ */
+function handleFindInPageKeys (event) {
+    var isBarOpen = document.getElementById('findInPageBar').style.display !== 'none';
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && /^f$/i.test(event.key)) {
+        // Only intercept the browser's own find function when an article is displayed
+        if (uiUtil.fromSection() !== 'home' || !selectedArchive) return;
+        event.preventDefault();
+        openFindInPageBar();
+    } else if (isBarOpen && (event.key === 'F3' || (event.ctrlKey || event.metaKey) && /^g$/i.test(event.key))) {
+        event.preventDefault();
+        stepFindInPage(event.shiftKey ? -1 : 1);
+    } else if (isBarOpen && /^Esc(ape)?$/.test(event.key)) {
+        closeFindInPageBar();
+    }
+}
+
+/**
+ * Builds the table of contents of the article that has just been loaded, and keeps its active section highlighted as the user scrolls
+ * @param {Window} articleWindow The window of the loaded article (for Zimit archives, articleLoadedSW() is given the replay iframe, so
+ *     this is the window of the replay iframe)
+ */
+function refreshTableOfContents (articleWindow) {
+    var toc = appstate.tableOfContents;
+    var tocList = document.getElementById('tocList');
+    var btnToc = document.getElementById('btnToc');
+    clearTimeout(toc.timeout);
+    while (tocList.firstChild) tocList.removeChild(tocList.firstChild);
+    // The same window may be given again (e.g. in jQuery mode, where the iframe is reused), so we never listen to it twice
+    if (toc.window) toc.window.removeEventListener('scroll', highlightActiveTocEntryOnScroll);
+    toc.window = articleWindow;
+    toc.headings = articleWindow ? tableOfContents.getHeadings(articleWindow.document) : [];
+    toc.active = -1;
+    toc.timeout = null;
+    // An outline is only useful if the article has several sections
+    if (toc.headings.length < 2) {
+        toc.headings = [];
+        btnToc.classList.add('disabled');
+        document.getElementById('tocSidebar').style.display = 'none';
+        return;
+    }
+    btnToc.classList.remove('disabled');
+    tableOfContents.buildTree(toc.headings).forEach(function (entry) {
+        tocList.appendChild(createTocItem(entry));
+    });
+    if (toc.isOpen) openTocSidebar();
+    highlightActiveTocEntry();
+    articleWindow.addEventListener('scroll', highlightActiveTocEntryOnScroll);
+}
+
+/**
+ * Highlights the entry of the section that the user has scrolled to in the table of contents
+ */
+function highlightActiveTocEntryOnScroll () {
+    var toc = appstate.tableOfContents;
+    // Throttle the highlighting, because measuring the positions of the headings forces a layout
+    if (toc.timeout) return;
+    toc.timeout = setTimeout(function () {
+        toc.timeout = null;
+        highlightActiveTocEntry();
+    }, 100);
+}
+
+/**
+ * Creates the list item of an entry of the table of contents, with the items of its subsections in a collapsible sublist
+ * @param {TocEntry} entry The entry
+ * @returns {Element} The list item
+ */
+function createTocItem (entry) {
+    var item = document.createElement('li');
+    item.className = 'tocLevel' + entry.heading.level;
+    var link = document.createElement('a');
+    link.href = '#' + entry.heading.id;
+    link.dataset.tocIndex = entry.index;
+    // Headings come from the article, so we only insert them as text
+    link.textContent = entry.heading.text;
+    link.addEventListener('click', function (event) {
+        event.preventDefault();
+        entry.heading.element.scrollIntoView();
+        // On narrow screens the sidebar covers the article, so we get it out of the way
+        if (window.innerWidth < 768) closeTocSidebar();
+    });
+    if (entry.children.length) {
+        var toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'tocToggle';
+        toggle.title = translateUI.t('toc-btn-toggle') || 'Show or hide subsections';
+        toggle.innerHTML = '<i class="fas fa-caret-down"></i>';
+        toggle.addEventListener('click', function () {
+            item.classList.toggle('collapsed');
+        });
+        item.appendChild(toggle);
+    }
+    item.appendChild(link);
+    if (entry.children.length) {
+        var sublist = document.createElement('ul');
+        entry.children.forEach(function (child) {
+            sublist.appendChild(createTocItem(child));
+        });
+        item.appendChild(sublist);
+    }
+    return item;
+}
+
+/**
+ * Highlights the entry of the section that is being read in the table of contents, expanding the sections that contain it
+ */
+function highlightActiveTocEntry () {
+    var toc = appstate.tableOfContents;
+    if (!toc.window || !toc.headings.length) return;
+    var tops = toc.headings.map(function (heading) {
+        return heading.element.getBoundingClientRect().top;
+    });
+    // A section counts as being read once its heading is in the top quarter of the window
+    var active = tableOfContents.findActiveIndex(tops, toc.window.innerHeight / 4);
+    if (active === toc.active) return;
+    toc.active = active;
+    var tocList = document.getElementById('tocList');
+    Array.prototype.slice.call(tocList.querySelectorAll('a.active')).forEach(function (link) {
+        link.classList.remove('active');
+    });
+    var activeLink = tocList.querySelector('a[data-toc-index="' + active + '"]');
+    if (!activeLink) return;
+    activeLink.classList.add('active');
+    for (var item = activeLink.parentNode; item !== tocList; item = item.parentNode) {
+        if (item.nodeName === 'LI') item.classList.remove('collapsed');
+    }
+    if (document.getElementById('tocSidebar').style.display !== 'none') {
+        // Older browsers do not support the options object
+        try {
+            activeLink.scrollIntoView({ block: 'nearest' });
+        } catch (err) {
+            activeLink.scrollIntoView(false);
+        }
+    }
+}
+
+/**
+ * Opens the table of contents sidebar beside the article
+ */
+function openTocSidebar () {
+    appstate.tableOfContents.isOpen = true;
+    document.getElementById('tocSidebar').style.display = '';
+    uiUtil.fitTocSidebar();
+    document.getElementById('btnToc').classList.add('active');
+}
+
+/**
+ * Closes the table of contents sidebar
+ */
+function closeTocSidebar () {
+    appstate.tableOfContents.isOpen = false;
+    document.getElementById('tocSidebar').style.display = 'none';
+    document.getElementById('btnToc').classList.remove('active');
+}
+
 /**
  * Sets the localArchive from the File selects populated by user
  */
@@ -1948,29 +3139,43 @@ function onKeyUpPrefix () {
     }
     window.timeoutKeyUpPrefix = window.setTimeout(function () {
         var prefix = document.getElementById('prefix').value;
-        if (prefix && prefix.length > 0 && prefix !== appstate.search.prefix) {
+        if (prefix && prefix.length > 0 && prefix !== appstate.search.text) {
             document.getElementById('searchArticles').click();
+        } else if (!prefix) {
+            // The user has cleared the search field
+            showRecentSearches();
         }
     }, 500);
 }
 
 /**
  * Search the index for DirEntries with title that start with the given prefix (implemented
- * with a binary search inside the index file)
+ * with a binary search inside the index file). Any operators in the prefix (mime:, ns:, intitle: and quoted phrases) are
+ * separated from the string to search for, and restrict the results
  * @param {String} prefix The string that must appear at the start of any title searched for
  */
 function searchDirEntriesFromPrefix (prefix) {
     if (selectedArchive !== null && selectedArchive.isReady()) {
         // Cancel the old search (zimArchive search object will receive this change)
-        appstate.search.status = 'cancelled';
+        cancelSearch();
         // Initiate a new search object and point appstate.search to it (the zimArchive search object will continue to point to the old object)
         // DEV: Technical explanation: the appstate.search is a pointer to an underlying object assigned in memory, and we are here defining a new object
         // in memory {prefix: prefix, status: 'init', .....}, and pointing appstate.search to it; the old search object that was passed to selectedArchive
         // (zimArchive.js) continues to exist in the scope of the functions initiated by the previous search until all Promises have returned
-        appstate.search = { prefix: prefix, status: 'init', type: '', size: params.maxSearchResultsSize };
+        var query = searchQuery.parse(prefix);
+        appstate.search = { text: prefix, prefix: query.prefix, query: query, status: 'init', type: '', size: params.maxSearchResultsSize };
         var activeContent = document.getElementById('activeContent');
         if (activeContent) activeContent.style.display = 'none';
-        selectedArchive.findDirEntriesWithPrefix(appstate.search, populateListOfArticles);
+        var openArchives = params.searchAllArchives ? archiveRegistry.getAll().filter(function (archive) {
+            return archive.isReady();
+        }) : [];
+        if (openArchives.length > 1) {
+            searchAllOpenArchives(appstate.search, openArchives);
+        } else {
+            // Remember the archive searched, so that more results can be loaded from it even if another archive is selected meanwhile
+            appstate.search.archive = selectedArchive;
+            selectedArchive.findDirEntriesWithPrefix(appstate.search, populateListOfArticles);
+        }
     } else {
         uiUtil.spinnerDisplay(false);
         // We have to remove the focus from the search field,
@@ -1983,6 +3188,63 @@ function searchDirEntriesFromPrefix (prefix) {
     }
 }
 
+/**
+ * Cancels the current search, including the search in each archive if it searches several archives, and the searches of the title
+ * index that it started in the title search Worker
+ */
+function cancelSearch () {
+    [appstate.search].concat(appstate.search.archiveSearches || []).forEach(function (search) {
+        search.status = 'cancelled';
+        zimArchive.cancelTitleSearches(search);
+    });
+}
+
+/**
+ * Searches the titles of several open archives for the prefix of the given search, and reports the results of all the archives together,
+ * taking each archive's results in turn so that the best matches of every archive are listed near the top. Each result is tagged with the
+ * filename of its archive (in a zimFileName property). Cancelling the given search with cancelSearch() also cancels the search in every archive.
+ * The archives, their searches and their results are kept in the search (in archives, archiveSearches and archiveResults), so that more
+ * full-text results can be loaded from each archive.
+ * @param {Object} search The appstate.search object
+ * @param {Array<ZIMArchive>} archives The archives to search
+ */
+function searchAllOpenArchives (search, archives) {
+    // List the results of the selected archive first
+    archives.sort(function (a, b) {
+        return (b === selectedArchive) - (a === selectedArchive);
+    });
+    var results = archives.map(function () {
+        return [];
+    });
+    var completed = archives.map(function () {
+        return false;
+    });
+    search.type = 'all archives';
+    search.allArchives = true;
+    search.archives = archives;
+    search.archiveSearches = [];
+    search.archiveResults = results;
+    archives.forEach(function (archive, i) {
+        // Each archive needs its own search object, because findDirEntriesWithPrefix records the progress of the search in it
+        var archiveSearch = { prefix: search.prefix, query: search.query, status: 'init', type: '', size: search.size };
+        search.archiveSearches.push(archiveSearch);
+        archive.findDirEntriesWithPrefix(archiveSearch, function (dirEntries, reportingSearch) {
+            if (reportingSearch.status === 'cancelled') return;
+            dirEntries.forEach(function (dirEntry) {
+                dirEntry.zimFileName = archive.file.name;
+            });
+            results[i] = dirEntries;
+            if (reportingSearch.status === 'complete') completed[i] = true;
+            search.status = ~completed.indexOf(false) ? 'interim' : 'complete';
+            search.moreFullTextResults = search.archiveSearches.some(function (archiveSearch) {
+                return archiveSearch.moreFullTextResults;
+            });
+            // All the results are kept, so that those that are not listed yet can be listed when the user loads more results
+            populateListOfArticles(util.interleaveArrays(results, Infinity), search);
+        });
+    });
+}
+
 /**
  * Display the list of articles with the given array of DirEntry
  * @param {Array} dirEntryArray The array of dirEntries returned from the binary search
@@ -1994,12 +3256,14 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
     var stillSearching = reportingSearch.status === 'interim';
     var articleListHeaderMessageDiv = document.getElementById('articleListHeaderMessage');
     var nbDirEntry = dirEntryArray ? dirEntryArray.length : 0;
+    // The number of results to list grows as the user loads more of them
+    var maxResults = reportingSearch.size || params.maxSearchResultsSize;
 
     var message;
     if (stillSearching) {
         message = 'Searching [' + reportingSearch.type + ']... found: ' + nbDirEntry;
-    } else if (nbDirEntry >= params.maxSearchResultsSize) {
-        message = 'First ' + params.maxSearchResultsSize + ' articles found (refine your search).';
+    } else if (nbDirEntry >= maxResults) {
+        message = 'First ' + maxResults + ' articles found (refine your search).';
     } else {
         message = 'Finished. ' + (nbDirEntry || 'No') + ' articles found' + (
             reportingSearch.type === 'basic' ? ': try fewer words for full search.' : '.'
@@ -2010,7 +3274,7 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
 
     var articleListDiv = document.getElementById('articleList');
     var articleListDivHtml = '';
-    var listLength = dirEntryArray.length < params.maxSearchResultsSize ? dirEntryArray.length : params.maxSearchResultsSize;
+    var listLength = dirEntryArray.length < maxResults ? dirEntryArray.length : maxResults;
     for (var i = 0; i < listLength; i++) {
         var dirEntry = dirEntryArray[i];
         // NB We use encodeURIComponent rather than encodeURI here because we know that any question marks in the title are not querystrings,
@@ -2018,37 +3282,274 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
         // inside double quotes (in the final HTML string), given that dirEntryStringId may contain bare apostrophes
         // Info: encodeURIComponent encodes all characters except  A-Z a-z 0-9 - _ . ! ~ * ' ( )
         var dirEntryStringId = encodeURIComponent(dirEntry.toStringId());
-        articleListDivHtml += '<a href="#" dirEntryId="' + dirEntryStringId +
+        // Results from a search of all open archives also record the archive in which to open them
+        var zimFileNameAttribute = reportingSearch.allArchives ? '" data-zimfilename="' + encodeURIComponent(dirEntry.zimFileName) : '';
+        articleListDivHtml += '<a href="#" dirEntryId="' + dirEntryStringId + zimFileNameAttribute +
             '" class="list-group-item">' + dirEntry.getTitleOrUrl() + '</a>';
     }
 
     // innerHTML required for this line
     articleListDiv.innerHTML = articleListDivHtml;
+    if (reportingSearch.allArchives) addArchiveBadgesToListOfArticles(articleListDiv);
+    addSnippetsToListOfArticles(articleListDiv, dirEntryArray, reportingSearch);
     // We have to use mousedown below instead of click as otherwise the prefix blur event fires first
     // and prevents this event from firing; note that touch also triggers mousedown
     document.querySelectorAll('#articleList a').forEach(function (link) {
         link.addEventListener('mousedown', function (e) {
             // Cancel search immediately
-            appstate.search.status = 'cancelled';
+            cancelSearch();
             handleTitleClick(e);
             return false;
         });
     });
+    reportingSearch.results = dirEntryArray;
+    if (!stillSearching && (reportingSearch.moreFullTextResults || nbDirEntry > maxResults)) {
+        var loadMore = document.createElement('a');
+        loadMore.href = '#';
+        loadMore.id = 'articleListLoadMore';
+        loadMore.className = 'list-group-item text-center';
+        loadMore.textContent = translateUI.t('home-search-loadmore') || 'Load more results';
+        loadMore.addEventListener('mousedown', function (e) {
+            // Keep the focus in the search field, which hides the results when it loses focus
+            e.preventDefault();
+            loadMoreSearchResults();
+        });
+        articleListDiv.appendChild(loadMore);
+    }
     if (!stillSearching) uiUtil.spinnerDisplay(false);
     document.getElementById('articleListWithHeader').style.display = '';
 }
 
+/**
+ * Lists the next page of results of the current search below the results already listed. Results that were found but not yet listed
+ * are listed first, and the next page of full-text search results is requested if they do not fill the page (the title search is not
+ * repeated). For a search of all open archives, the next page is requested from each archive that may have more results, and the new
+ * results are listed after those already found.
+ */
+function loadMoreSearchResults () {
+    var search = appstate.search;
+    if (search.status !== 'complete' || !search.results) return;
+    search.size += params.maxSearchResultsSize;
+    if (search.results.length >= search.size || !search.moreFullTextResults) {
+        populateListOfArticles(search.results, search);
+        return;
+    }
+    search.status = 'interim';
+    search.type = 'fulltext';
+    uiUtil.spinnerDisplay(true);
+    populateListOfArticles(search.results, search);
+    if (!search.allArchives) {
+        search.archive.findDirEntriesFromFullTextSearch(search, search.results, search.fullTextStart).then(function (dirEntries) {
+            if (search.status === 'cancelled') return;
+            search.status = 'complete';
+            populateListOfArticles(dirEntries, search);
+        });
+        return;
+    }
+    var newResults = search.archives.map(function () {
+        return [];
+    });
+    Promise.all(search.archiveSearches.map(function (archiveSearch, i) {
+        if (!archiveSearch.moreFullTextResults) return null;
+        var archive = search.archives[i];
+        var found = search.archiveResults[i].length;
+        return archive.findDirEntriesFromFullTextSearch(archiveSearch, search.archiveResults[i], archiveSearch.fullTextStart).then(function (dirEntries) {
+            newResults[i] = dirEntries.slice(found);
+            newResults[i].forEach(function (dirEntry) {
+                dirEntry.zimFileName = archive.file.name;
+            });
+        });
+    })).then(function () {
+        if (search.status === 'cancelled') return;
+        search.status = 'complete';
+        search.moreFullTextResults = search.archiveSearches.some(function (archiveSearch) {
+            return archiveSearch.moreFullTextResults;
+        });
+        // The results already found keep their places, so that the listed results do not move
+        populateListOfArticles(search.results.concat(util.interleaveArrays(newResults, Infinity)), search);
+    });
+}
+
+/**
+ * Remembers the current search among the recent searches of the selected archive (when the user opens one of its results), unless
+ * the user has chosen not to keep a history
+ */
+function recordRecentSearch () {
+    if (!params.historyMaxAge || !selectedArchive || !appstate.search.text) return;
+    searchHistory.record(selectedArchive.file.name, appstate.search.text).catch(function (err) {
+        console.error('Unable to record the search among the recent searches', err);
+    });
+}
+
+// Counts the displays of the recent searches, so that an earlier display does not overwrite a later one
+var recentSearchesDisplays = 0;
+
+/**
+ * Lists the recent searches of the selected archive below the (empty) search field, most recent first. The user can select them
+ * with the arrow keys like search results, search for one of them again, or forget it with its delete button or the Delete key.
+ */
+function showRecentSearches () {
+    var display = ++recentSearchesDisplays;
+    var articleListWithHeader = document.getElementById('articleListWithHeader');
+    if (!params.historyMaxAge || !selectedArchive || !selectedArchive.isReady()) return;
+    // Cancel any search in progress, so that its results do not replace the list (and so that its text can be searched for again)
+    cancelSearch();
+    appstate.search = { text: '', prefix: '', query: null, status: '', type: '' };
+    searchHistory.list(selectedArchive.file.name, params.maxSearchResultsSize).then(function (entries) {
+        if (display !== recentSearchesDisplays || prefixElement.value || document.activeElement !== prefixElement) return;
+        var articleListDiv = document.getElementById('articleList');
+        articleListDiv.innerHTML = '';
+        if (!entries.length) {
+            articleListWithHeader.style.display = 'none';
+            return;
+        }
+        document.getElementById('articleListHeaderMessage').textContent = translateUI.t('home-search-recent') || 'Recent searches';
+        entries.forEach(function (entry) {
+            var link = document.createElement('a');
+            link.href = '#';
+            link.className = 'list-group-item recentSearch';
+            link.dataset.id = entry.id;
+            link.dataset.text = entry.text;
+            link.textContent = entry.text;
+            var deleteButton = document.createElement('span');
+            deleteButton.className = 'recentSearchDelete';
+            deleteButton.setAttribute('role', 'button');
+            deleteButton.title = translateUI.t('home-search-recent-delete') || 'Forget this search';
+            deleteButton.innerHTML = '&times;';
+            link.appendChild(deleteButton);
+            // We use mousedown, and keep the focus in the search field, because the list is hidden when the field loses the focus
+            link.addEventListener('mousedown', function (e) {
+                e.preventDefault();
+                if (e.target === deleteButton) removeRecentSearch(link);
+                else repeatRecentSearch(link);
+            });
+            articleListDiv.appendChild(link);
+        });
+        articleListWithHeader.style.display = '';
+    }).catch(function (err) {
+        console.error('Unable to read the recent searches', err);
+    });
+}
+
+/**
+ * Searches again for a recent search listed below the search field
+ * @param {Element} link The link of the recent search in the list
+ */
+function repeatRecentSearch (link) {
+    prefixElement.value = link.dataset.text;
+    document.getElementById('searchArticles').click();
+}
+
+/**
+ * Forgets a recent search listed below the search field, and selects the next one in the list (if it was selected)
+ * @param {Element} link The link of the recent search in the list
+ */
+function removeRecentSearch (link) {
+    var nextLink = link.classList.contains('hover') ? link.nextElementSibling || link.previousElementSibling : null;
+    searchHistory.remove(link.dataset.id).then(function () {
+        link.parentNode.removeChild(link);
+        if (nextLink) nextLink.classList.add('hover');
+        if (!document.querySelector('#articleList .recentSearch')) document.getElementById('articleListWithHeader').style.display = 'none';
+    }).catch(function (err) {
+        console.error('Unable to forget the recent search', err);
+    });
+}
+
 /**
  * Handles the click on the title of an article in search results
  * @param {Event} event The click event to handle
  * @returns {Boolean} Always returns false for JQuery event handling
  */
 function handleTitleClick (event) {
-    var dirEntryId = decodeURIComponent(event.target.getAttribute('dirEntryId'));
+    var link = event.target.closest('a');
+    recordRecentSearch();
+    var dirEntryId = decodeURIComponent(link.getAttribute('dirEntryId'));
+    // A result from a search of all open archives is opened in its own archive
+    if (link.dataset.zimfilename) {
+        var archive = archiveRegistry.get(decodeURIComponent(link.dataset.zimfilename));
+        if (archive) switchSelectedArchive(archive);
+    }
     findDirEntryFromDirEntryIdAndLaunchArticleRead(dirEntryId);
     return false;
 }
 
+/**
+ * Adds a badge with the title of its archive to each link in a list of results from a search of all open archives
+ * @param {Element} articleListDiv The element containing the list of results
+ */
+function addArchiveBadgesToListOfArticles (articleListDiv) {
+    articleListDiv.querySelectorAll('a[data-zimfilename]').forEach(function (link) {
+        var archive = archiveRegistry.get(decodeURIComponent(link.dataset.zimfilename));
+        if (!archive) return;
+        var badge = document.createElement('span');
+        badge.className = 'badge badge-secondary archiveBadge';
+        // Metadata are not trusted, so we only insert them as text
+        badge.textContent = archive.title || archive.name || archive.file.name.replace(/\.zim\w{0,2}$/i, '');
+        link.appendChild(badge);
+    });
+}
+
+// Watches the results of the listed full-text search whose snippets have not been made yet, so that snippets are only made for the results
+// that the user scrolls into view
+var snippetObserver = null;
+
+/**
+ * Adds the relevance and the snippet of each article found by full-text search below its link in a list of results, so that users can
+ * tell apart articles with similar titles. Only the JavaScript reader of the full-text index gives relevances: the libzim Worker does not
+ * return scores, so the results found with libzim have no relevance. Snippets that were not provided by the search are made from the text
+ * of the articles once the search is complete, one article at a time and only when the result is scrolled into view (so not at all in
+ * browsers without IntersectionObserver), and the list is updated as they are made (unless another search has started meanwhile).
+ * @param {Element} articleListDiv The element containing the list of results
+ * @param {Array<DirEntry>} dirEntryArray The results, in the order of the links in the list
+ * @param {Object} reportingSearch The reporting search object
+ */
+function addSnippetsToListOfArticles (articleListDiv, dirEntryArray, reportingSearch) {
+    // The previous list has been replaced, so its snippets no longer need to be made
+    if (snippetObserver) snippetObserver.disconnect();
+    snippetObserver = null;
+    var snippetsToMake = new Map();
+    articleListDiv.querySelectorAll('a').forEach(function (link, i) {
+        var dirEntry = dirEntryArray[i];
+        if (!dirEntry || dirEntry.score === undefined) return;
+        if (dirEntry.score !== null) {
+            var score = document.createElement('span');
+            score.className = 'badge badge-light searchScore';
+            score.title = translateUI.t('home-search-relevance') || 'Relevance to the search';
+            score.textContent = dirEntry.score + '%';
+            link.appendChild(score);
+        }
+        var snippet = document.createElement('div');
+        snippet.className = 'searchSnippet';
+        link.appendChild(snippet);
+        if (dirEntry.snippet) uiUtil.displaySearchSnippet(snippet, dirEntry.snippet);
+        else if (dirEntry.snippet === undefined) snippetsToMake.set(snippet, dirEntry);
+    });
+    if (reportingSearch.status !== 'complete' || !snippetsToMake.size || typeof IntersectionObserver === 'undefined') return;
+    var snippetsMade = Promise.resolve();
+    var observer = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            var dirEntry = snippetsToMake.get(entry.target);
+            snippetsMade = snippetsMade.then(function () {
+                if (observer !== snippetObserver || appstate.search !== reportingSearch || reportingSearch.status === 'cancelled') return;
+                var archive = dirEntry.zimFileName ? archiveRegistry.get(dirEntry.zimFileName) : selectedArchive;
+                if (!archive) return;
+                return archive.getSearchSnippet(dirEntry, reportingSearch.prefix).then(function (snippet) {
+                    dirEntry.snippet = snippet;
+                    if (snippet) uiUtil.displaySearchSnippet(entry.target, snippet);
+                }).catch(function (err) {
+                    console.warn('Could not make a snippet of ' + dirEntry.url, err);
+                });
+            });
+        });
+    });
+    snippetObserver = observer;
+    snippetsToMake.forEach(function (dirEntry, element) {
+        observer.observe(element);
+    });
+}
+
 /**
  * Creates an instance of DirEntry from given dirEntryId (including resolving redirects),
  * and call the function to read the corresponding article
@@ -2226,7 +3727,11 @@ function filterClickEvent (event) {
     }
     // Remove any Kiwix Popovers that may be hanging around
     popovers.removeKiwixPopoverDivs(event.target.ownerDocument);
-    if (params.contentInjectionMode === 'jquery' || !params.openExternalLinksInNewTabs && !clickedAnchor.newcontainer) return;
+    if (params.contentInjectionMode === 'jquery') return;
+    // Links to the original website of an open archive are followed inside that archive (jQuery mode handles these in parseAnchorsJQuery)
+    if (clickedAnchor && !clickedAnchor.newcontainer && /^http/i.test(clickedAnchor.getAttribute('href')) &&
+      !appstate.isReplayWorkerAvailable && openLinkInOpenArchive(event, clickedAnchor)) return;
+    if (!params.openExternalLinksInNewTabs && !clickedAnchor.newcontainer) return;
     if (clickedAnchor) {
         // This prevents any popover from being displayed when the user clicks on a link
         clickedAnchor.articleisloading = true;
@@ -2306,6 +3811,12 @@ function articleLoadedSW (iframeArticleContent) {
         }
     }
     resizeIFrame();
+    updateWindowTitleAndIcon(iframeArticleContent.contentDocument ? iframeArticleContent.contentDocument.title : '');
+    refreshBookmarkButton();
+    recordArticleInHistory(iframeArticleContent.contentDocument ? iframeArticleContent.contentDocument.title : '');
+    trackReadingPosition(iframeArticleContent.contentWindow);
+    resetFindInPage(iframeArticleContent.contentWindow);
+    refreshTableOfContents(iframeArticleContent.contentWindow);
 
     var iframeWindow = iframeArticleContent.contentWindow;
     if (iframeWindow) {
@@ -2606,26 +4117,30 @@ function handleUnsupportedReplayWorker (unhandledDirEntry) {
  * It tries to read the content in the backend, and sends it back to the ServiceWorker
  *
  * @param {Event} event The event object of the message channel
+ * @param {ZIMArchive} archive The open archive from which to read the content (defaults to the selected archive)
  */
-function handleMessageChannelMessage (event) {
+function handleMessageChannelMessage (event, archive) {
     // We received a message from the ServiceWorker
     // The ServiceWorker asks for some content
+    archive = archive || selectedArchive;
     var title = event.data.title;
-    if (appstate.isReplayWorkerAvailable) {
+    if (appstate.isReplayWorkerAvailable && archive === selectedArchive) {
         // Zimit ZIMs store assets with the querystring, so we need to add it. ReplayWorker handles encoding.
         title = title + event.data.search;
-    } else if (params.zimType === 'zimit') {
+    } else if (archive.zimType === 'zimit') {
         // Zimit classic ZIMs store assets encoded with the querystring, so we need to add it
         title = encodeURI(title) + event.data.search;
     }
     var messagePort = event.ports[0];
+    // The range of bytes asked for by the browser, usually for a video or audio stream (Zimit archives handle their ranges themselves)
+    var range = archive.zimType === 'open' ? event.data.range : null;
     var readFile = function (dirEntry) {
         if (dirEntry === null) {
             console.warn('Title ' + title.replace(/^(.{1,160}).*/, '$1...') + ' not found in archive.');
             // DEV: We send null for the content, so that the ServiceWorker knows that the article was not found (as opposed to being merely empty)
-            messagePort.postMessage({ action: 'giveContent', title: title, content: null, zimType: selectedArchive.zimType });
+            messagePort.postMessage({ action: 'giveContent', title: title, content: null, zimType: archive.zimType });
         } else if (dirEntry.isRedirect()) {
-            selectedArchive.resolveRedirect(dirEntry, function (resolvedDirEntry) {
+            archive.resolveRedirect(dirEntry, function (resolvedDirEntry) {
                 var redirectURL = resolvedDirEntry.namespace + '/' + resolvedDirEntry.url;
                 // Ask the ServiceWorker to send an HTTP redirect to the browser.
                 // We could send the final content directly, but it is necessary to let the browser know in which directory it ends up.
@@ -2633,9 +4148,22 @@ function handleMessageChannelMessage (event) {
                 // the relative links in the HTML content would fail. See #312
                 messagePort.postMessage({ action: 'sendRedirect', title: title, redirectUrl: redirectURL });
             });
+        } else if (range) {
+            // We read only the requested bytes, so that a long video is not read whole, and send their offsets and the size of the file
+            // (the Promise is returned, so that a failed read is answered below, instead of leaving the ServiceWorker waiting)
+            return archive.readBinaryFileRange(dirEntry, range.begin, range.end, function (fileDirEntry, blobRange) {
+                messagePort.postMessage({
+                    action: 'giveContent',
+                    title: title,
+                    content: blobRange.data,
+                    mimetype: fileDirEntry.getMimetype(),
+                    zimType: archive.zimType,
+                    range: { begin: blobRange.begin, end: blobRange.end, size: blobRange.size }
+                });
+            });
         } else {
             // Let's read the content in the ZIM file
-            selectedArchive.readBinaryFile(dirEntry, function (fileDirEntry, content) {
+            return archive.readBinaryFile(dirEntry, function (fileDirEntry, content) {
                 var mimetype = fileDirEntry.getMimetype();
                 // Show the spinner
                 var shortTitle = dirEntry.getTitleOrUrl().replace(/^.*?([^/]{3,18})[^/]*\/?$/, '$1 ...');
@@ -2648,6 +4176,8 @@ function handleMessageChannelMessage (event) {
                     // Test for an HTML or XHTML article: note that some ZIMs have odd MIME type formatting like 'text/html;raw=true',
                     // or simply `html`, so this has to be as generic as possible
                     if (/\bx?html/i.test(mimetype)) {
+                        // An article from another open archive is being displayed, so it becomes the selected archive
+                        if (archive !== selectedArchive) switchSelectedArchive(archive);
                         // Calculate the current article's ZIM baseUrl to use when attaching popovers
                         appstate.baseUrl = encodeURI(dirEntry.namespace + '/' + dirEntry.url.replace(/[^/]+$/, ''));
                         appstate.expectedArticleURLToBeDisplayed = dirEntry.namespace + '/' + dirEntry.url;
@@ -2657,13 +4187,14 @@ function handleMessageChannelMessage (event) {
                 }
                 // Let's send the content to the ServiceWorker
                 var buffer = content.buffer ? content.buffer : content;
-                var message = { action: 'giveContent', title: title, content: buffer, mimetype: mimetype, zimType: selectedArchive.zimType };
+                var message = { action: 'giveContent', title: title, content: buffer, mimetype: mimetype, zimType: archive.zimType };
                 messagePort.postMessage(message);
             });
         }
     };
-    selectedArchive.getDirEntryByPath(title).then(readFile).catch(function () {
-        messagePort.postMessage({ action: 'giveContent', title: title, content: new Uint8Array(), zimType: selectedArchive.zimType });
+    archive.getDirEntryByPath(title).then(readFile).catch(function (err) {
+        console.error('Error reading ' + title + ' for the ServiceWorker', err);
+        messagePort.postMessage({ action: 'giveContent', title: title, content: new Uint8Array(), zimType: archive.zimType });
     });
 }
 
@@ -2861,6 +4392,9 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
         uiUtil.applyAppTheme(params.appTheme);
         // Allow back/forward in browser history
         pushBrowserHistoryState(dirEntry.namespace + '/' + dirEntry.url);
+        updateWindowTitleAndIcon(iframeContentDocument.title || dirEntry.getTitleOrUrl());
+        refreshBookmarkButton();
+        recordArticleInHistory(iframeContentDocument.title || dirEntry.getTitleOrUrl(), dirEntry);
 
         parseAnchorsJQuery();
         loadImagesJQuery();
@@ -2877,6 +4411,9 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
             if (target) target.scrollIntoView();
             anchorParameter = '';
         }
+        trackReadingPosition(iframeArticleContent.contentWindow);
+        resetFindInPage(iframeArticleContent.contentWindow);
+        refreshTableOfContents(iframeArticleContent.contentWindow);
         if (iframeArticleContent.contentWindow) {
             // Configure home key press to focus #prefix only if the feature is in active state
             if (params.useHomeKeyToFocusSearchBar) { iframeArticleContent.contentWindow.addEventListener('keydown', focusPrefixOnHomeKey); }
@@ -2930,10 +4467,11 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
                     newHref = href.replace(anchor.protocol + '//' + zimitDomain + '/', '');
                 }
                 if (newHref === href) {
-                    // It's an external URL : we should open it in a new tab
+                    // It's an external URL : we should open it in a new tab, unless it links to the original website of an open archive
                     anchor.addEventListener('click', function (event) {
                         // Find the closest enclosing A tag
                         var clickedAnchor = uiUtil.closestAnchorEnclosingElement(event.target);
+                        if (openLinkInOpenArchive(event, clickedAnchor)) return;
                         uiUtil.warnAndOpenExternalLinkInNewTab(event, clickedAnchor);
                     });
                     return;
@@ -3295,6 +4833,84 @@ function goToRandomArticle () {
     }
 }
 
+/**
+ * Remembers the article displayed from the selected archive and how far it has been scrolled, so that reading can be resumed
+ * when the archive is next opened
+ * @param {Window} articleWindow The window of the displayed article
+ */
+function saveReadingPosition (articleWindow) {
+    var zimUrl = appstate.expectedArticleURLToBeDisplayed;
+    // Do not overwrite the position that is about to be restored with the position of an article that is still loading
+    if (!selectedArchive || !zimUrl || !articleWindow || appstate.pendingReadingPosition) return;
+    readingPositions.saveReadingPosition(selectedArchive.file.name, zimUrl, articleWindow.pageYOffset);
+}
+
+// The window of the displayed article (for Zimit archives, the window of the replay iframe), and the timeout used to save its scroll offset
+var readingPositionWindow = null;
+var readingPositionTimeout = null;
+
+/**
+ * Saves the reading position once the user has stopped scrolling the article for a second
+ * @param {Event} event The scroll event of the article's window
+ */
+function saveReadingPositionOnScroll (event) {
+    var articleWindow = event.currentTarget;
+    clearTimeout(readingPositionTimeout);
+    readingPositionTimeout = setTimeout(function () {
+        saveReadingPosition(articleWindow);
+    }, 1000);
+}
+
+/**
+ * Saves the reading position in an article that has just been loaded, or scrolls the article back to the saved position if the
+ * article was reopened to resume reading, and keeps the position up to date as the user scrolls
+ * @param {Window} articleWindow The window of the loaded article
+ */
+function trackReadingPosition (articleWindow) {
+    if (!articleWindow) return;
+    readingPositionWindow = articleWindow;
+    var position = appstate.pendingReadingPosition;
+    appstate.pendingReadingPosition = null;
+    if (position && position.zimUrl === appstate.expectedArticleURLToBeDisplayed) {
+        // Give the article time to lay out before scrolling
+        setTimeout(function () {
+            articleWindow.scrollTo(0, position.scrollY);
+        }, 250);
+    } else {
+        // The user has moved on from the resumed article
+        uiUtil.hideResumeAlert();
+        saveReadingPosition(articleWindow);
+    }
+    articleWindow.addEventListener('scroll', saveReadingPositionOnScroll);
+}
+
+/**
+ * Reopens the article that was being read when the selected archive was last open, or the main page if there is none
+ */
+function resumeReadingOrGoToMainArticle () {
+    var position = readingPositions.getReadingPositions()[selectedArchive.file.name];
+    var archive = selectedArchive;
+    if (!position) {
+        goToMainArticle();
+        return;
+    }
+    document.getElementById('searchingArticles').style.display = '';
+    archive.getDirEntryByPath(position.zimUrl).then(function (dirEntry) {
+        if (archive !== selectedArchive) return;
+        if (!dirEntry) throw new Error(position.zimUrl + ' was not found');
+        appstate.pendingReadingPosition = position;
+        params.isLandingPage = false;
+        readArticle(dirEntry);
+        uiUtil.displayResumeAlert(function () {
+            appstate.pendingReadingPosition = null;
+            goToMainArticle();
+        });
+    }).catch(function (err) {
+        console.warn('Unable to reopen the last-read article of ' + archive.file.name, err);
+        if (archive === selectedArchive) goToMainArticle();
+    });
+}
+
 function goToMainArticle () {
     document.getElementById('searchingArticles').style.display = '';
     selectedArchive.getMainPageDirEntry(function (dirEntry) {
@@ -39,6 +39,9 @@
  * @property {boolean} slideAway - A boolean indicating whether to slide away the header and footer when scrolling.
  * @property {boolean} showUIAnimations - A boolean indicating whether to show UI animations.
  * @property {number} maxSearchResultsSize - The maximum number of article titles to return.
+ * @property {number|string} fileCacheSize - The size in MB of the block cache used to read the directory entries of archives, or 'auto' to adapt it to the memory of the device.
+ * @property {boolean} searchAllArchives - A boolean indicating whether title searches should include all open archives, not just the selected one.
+ * @property {number} historyMaxAge - The number of days for which the reading history is kept (0 to keep no history, Infinity to keep it forever).
  * @property {boolean} assetsCache - A boolean indicating whether to cache assets.
  * @property {boolean} appCache - A boolean indicating whether to cache the PWA's code.
  * @property {string} appTheme - A parameter to set the app theme and, if necessary, the CSS theme for article content.
@@ -54,6 +57,7 @@
  * @property {string} altLibraryUrl - The alternative URL of the Kiwix library in non-supported browsers.
  * @property {string} cacheAPI - Name of the prefix used to identify the cache in Cache API
  * @property {string} cacheIDB - Name of the Indexed DB database
+ * @property {string} userDataIDB - Name of the Indexed DB database that holds user data such as bookmarks
  * @property {boolean} isFileSystemApiSupported - A boolean indicating whether the FileSystem API is supported.
  * @property {boolean} isWebkitDirApiSupported - A boolean indicating whether the Webkit Directory API is supported.
  * @property {boolean} useLibzim - A boolean indicating whether to use the libzim to load zim files.
@@ -105,6 +109,12 @@ params['appCache'] = getSetting('appCache') !== false;
 params['appTheme'] = getSetting('appTheme') || 'light'; // Currently implemented: light|dark|dark_invert|dark_mwInvert|auto|auto_invert|auto_mwInvert|
 // A global parameter to turn on/off the use of Keyboard HOME Key to focus search bar
 params['useHomeKeyToFocusSearchBar'] = getSetting('useHomeKeyToFocusSearchBar') === true;
+// A parameter to search titles in all open archives instead of only in the selected archive (defaults to false)
+params['searchAllArchives'] = getSetting('searchAllArchives') === true;
+// The size of the block cache in MB, or 'auto' to adapt it to the memory of the device (see filecache.js)
+params['fileCacheSize'] = getSetting('fileCacheSize') || 'auto';
+// The number of days for which the reading history is kept (defaults to 90; 0 turns the history off, Infinity keeps it forever)
+params['historyMaxAge'] = getSetting('historyMaxAge') === null ? 90 : Number(getSetting('historyMaxAge'));
 // A global parameter to turn on/off opening external links in new tab (for ServiceWorker mode)
 params['openExternalLinksInNewTabs'] = getSetting('openExternalLinksInNewTabs') !== false;
 // A global language override
@@ -129,6 +139,7 @@ params['kiwixDownloadMirrors'] = ['https://ftp.fau.de/kiwix/zim/', 'https://mirr
     'https://laotzu.ftp.acc.umu.se/mirror/kiwix.org/zim/', 'https://saimei.ftp.acc.umu.se/mirror/kiwix.org/zim/'];
 params['cacheAPI'] = 'kiwix-js'; // Sets name of the prefix used to identify the cache in Cache API
 params['cacheIDB'] = 'kiwix-zim'; // Sets name of the Indexed DB database
+params['userDataIDB'] = 'kiwix-userdata'; // Sets name of the Indexed DB database for bookmarks and other user data
 params['isFileSystemApiSupported'] = typeof window.showOpenFilePicker === 'function'; // Sets a boolean indicating whether the FileSystem API is supported
 params['isWebkitDirApiSupported'] = 'webkitdirectory' in document.createElement('input'); // Sets a Boolean indicating whether the Webkit Directory API is supported
 params['sourceVerification'] = params.contentInjectionMode === 'serviceworker' ? (getSetting('sourceVerification') === null ? true : getSetting('sourceVerification')) : false; // Sets a boolean indicating weather a user trusts the source of zim files
@@ -195,6 +206,9 @@ document.getElementById('slideAwayCheck').checked = params.slideAway;
 document.getElementById('showUIAnimationsCheck').checked = params.showUIAnimations;
 document.getElementById('titleSearchRange').value = params.maxSearchResultsSize;
 document.getElementById('titleSearchRangeVal').textContent = params.maxSearchResultsSize;
+document.getElementById('searchAllArchivesCheck').checked = params.searchAllArchives;
+document.getElementById('fileCacheSizeSelect').value = params.fileCacheSize;
+document.getElementById('historyMaxAgeSelect').value = params.historyMaxAge;
 document.getElementById('appThemeSelect').value = params.appTheme;
 document.getElementById('useHomeKeyToFocusSearchBarCheck').checked = params.useHomeKeyToFocusSearchBar;
 document.getElementById('openExternalLinksInNewTabsCheck').checked = params.openExternalLinksInNewTabs;
@@ -175,9 +175,11 @@ async function selectFileFromPickerViaFileSystemApi () {
 /**
  * Gets the selected zim file from the IndexedDB
  * @param {string} selectedFilename The name of the file to get back from DB
+ * @param {boolean} noPrompt Optional: if true, the user is not asked for permission to read the file, and the Promise is rejected
+ *     if permission has not already been granted (a prompt needs a user gesture)
  * @returns {Promise<Array<File>>} The selected File Object from cache
  */
-function getSelectedZimFromCache (selectedFilename) {
+function getSelectedZimFromCache (selectedFilename, noPrompt) {
     return new Promise((resolve, reject) => {
         cache.idxDB('zimFiles', async function (fileOrDirHandle) {
             if (!fileOrDirHandle) {
@@ -185,6 +187,7 @@ function getSelectedZimFromCache (selectedFilename) {
             }
             // Request permission if not already granted
             if ((await fileOrDirHandle.queryPermission()) !== 'granted') {
+                if (noPrompt) return reject(new Error('Permission not granted'));
                 try {
                     await fileOrDirHandle.requestPermission();
                 } catch (error) {
@@ -0,0 +1,135 @@
+/**
+ * archiveIndexCache.js : Keeps the values that are calculated from an archive when it is opened (the offsets of its directory
+ * listings and its MIME type list), and the titles sampled from its title index by searches, so that the archive opens and can be
+ * searched with far fewer reads the next time. This matters for very large archives on slow storage such as SD cards.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import userDataStore from './userDataStore.js';
+
+/**
+ * The cached index of an archive
+ *
+ * @typedef ArchiveIndex
+ * @property {String} uuid The UUID of the archive (the key of the entry)
+ * @property {String} name The name of the archive
+ * @property {Number} timestamp The time when the entry was last saved, in milliseconds since the epoch
+ * @property {Integer} entryCount The number of entries of the archive, which is checked with its urlPtrPos to make sure that the entry
+ *     belongs to the same archive (a UUID should be unique, but some tools could copy it)
+ * @property {Integer} urlPtrPos The position of the directory pointerlist ordered by URL
+ * @property {Integer} articlePtrPos The position of the list of articles ordered by title (see ZIMFile.setListings())
+ * @property {Integer} articleCount The number of articles
+ * @property {Integer|String} fullTextIndex The position of the full-text index, or its path
+ * @property {Integer} fullTextIndexSize The size of the full-text index
+ * @property {Array<Array>} mimeTypes The MIME type list, as an array of [number, MIME type] pairs
+ * @property {Object} titleSamples The titles sampled from the title pointerlists (see titleSearch.js)
+ */
+
+var store = new userDataStore.UserDataStore('archiveIndexes', 'uuid');
+
+// The number of archives whose index is kept (the least recently opened are forgotten first)
+var MAX_CACHED_ARCHIVES = 10;
+
+// The delay before the titles sampled by searches are saved, so that they are saved once for several searches
+var SAVE_DELAY = 5000;
+
+// The timeouts of the saves that have been scheduled, keyed by UUID
+var scheduledSaves = {};
+
+/**
+ * Gets the cached index of an archive, if it has one
+ * @param {String} uuid The UUID of the archive
+ * @param {Integer} entryCount The number of entries of the archive (from its header)
+ * @param {Integer} urlPtrPos The position of the URL pointerlist of the archive (from its header)
+ * @returns {Promise<ArchiveIndex>} A Promise for the cached index, or for null if there is none (or if it cannot be read)
+ */
+function get (uuid, entryCount, urlPtrPos) {
+    return store.get(uuid).then(function (archiveIndex) {
+        if (!archiveIndex || archiveIndex.entryCount !== entryCount || archiveIndex.urlPtrPos !== urlPtrPos) return null;
+        return archiveIndex;
+    }).catch(function (err) {
+        console.warn('Unable to read the cached index of the archive', err);
+        return null;
+    });
+}
+
+/**
+ * Saves the index of an archive, and forgets the indexes of the archives that have not been opened for the longest time if there are
+ * too many of them
+ * @param {ZIMFile} file The ZIM file of the archive
+ * @returns {Promise} A Promise that resolves when the index has been saved (it does not reject)
+ */
+function save (file) {
+    clearTimeout(scheduledSaves[file.uuid]);
+    delete scheduledSaves[file.uuid];
+    file.titleSamplesChanged = false;
+    return store.put({
+        uuid: file.uuid,
+        name: file.name,
+        timestamp: Date.now(),
+        entryCount: file.entryCount,
+        urlPtrPos: file.urlPtrPos,
+        articlePtrPos: file.articlePtrPos,
+        articleCount: file.articleCount,
+        fullTextIndex: file.fullTextIndex,
+        fullTextIndexSize: file.fullTextIndexSize,
+        mimeTypes: Array.from(file.mimeTypes),
+        titleSamples: file.titleSamples || {}
+    }).then(function () {
+        return store.getAll();
+    }).then(function (archiveIndexes) {
+        archiveIndexes.sort(function (a, b) {
+            return b.timestamp - a.timestamp;
+        });
+        return Promise.all(archiveIndexes.slice(MAX_CACHED_ARCHIVES).map(function (archiveIndex) {
+            return store.delete(archiveIndex.uuid);
+        }));
+    }).catch(function (err) {
+        console.warn('Unable to save the index of the archive', err);
+    });
+}
+
+/**
+ * Saves the index of an archive after a delay, unless a save is already scheduled
+ * @param {ZIMFile} file The ZIM file of the archive
+ */
+function scheduleSave (file) {
+    if (scheduledSaves[file.uuid]) return;
+    scheduledSaves[file.uuid] = setTimeout(function () {
+        save(file);
+    }, SAVE_DELAY);
+}
+
+/**
+ * Forgets the indexes of all the archives
+ * @returns {Promise} A Promise that resolves when the indexes have been deleted
+ */
+function clear () {
+    return store.clear();
+}
+
+export default {
+    get: get,
+    save: save,
+    scheduleSave: scheduleSave,
+    clear: clear
+};
@@ -0,0 +1,193 @@
+/**
+ * archiveRegistry.js: Keeps track of the ZIM archives loaded in this session, so that several archives can be open at once,
+ * and resolves links to the original websites of loaded archives into entries in those archives
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * The maximum number of archives kept open. Each archive holds its own file cache, so when this is exceeded,
+ * the archive that was least recently registered is closed
+ * @type {Integer}
+ */
+var MAX_LOADED_ARCHIVES = 5;
+
+/**
+ * The loaded archives, keyed by the archive's filename (ZIMFile.name), in order of registration
+ * @type {Map<String, ZIMArchive>}
+ */
+var archives = new Map();
+
+// Wikimedia (and WikiMed) archives are named <project>_<language>_<selection>, e.g. wikipedia_en_all_maxi
+var regexpWikimediaName = /^(wikipedia|wiktionary|wikivoyage|wikibooks|wikinews|wikiquote|wikisource|wikiversity|mdwiki)_([a-z]{2,3}(?:-[a-z]+)?)_/i;
+
+/**
+ * Adds an archive to the registry (or moves it to the end of the registry if it is already there)
+ * @param {ZIMArchive} archive The ready-to-use archive
+ */
+function register (archive) {
+    var name = archive.file.name;
+    archives.delete(name);
+    archives.set(name, archive);
+    if (archives.size > MAX_LOADED_ARCHIVES) {
+        var oldest = archives.keys().next().value;
+        console.debug('Closing archive ' + oldest + ' because more than ' + MAX_LOADED_ARCHIVES + ' archives are open');
+        archives.delete(oldest);
+    }
+}
+
+/**
+ * Gets a loaded archive by its filename
+ * @param {String} name The filename of the archive (for split archives, without the last two letters of the extension)
+ * @returns {ZIMArchive|null} The archive, or null if it is not loaded
+ */
+function get (name) {
+    return archives.get(name) || null;
+}
+
+/**
+ * Lists all the loaded archives
+ * @returns {Array<ZIMArchive>} The archives, in order of registration
+ */
+function getAll () {
+    return Array.from(archives.values());
+}
+
+/**
+ * Counts the archives that can still be registered without closing any open archive
+ * @returns {Integer} The number of free places in the registry
+ */
+function getFreePlaces () {
+    return Math.max(0, MAX_LOADED_ARCHIVES - archives.size);
+}
+
+/**
+ * Removes an archive from the registry
+ * @param {String} name The filename of the archive
+ */
+function remove (name) {
+    archives.delete(name);
+}
+
+/**
+ * Lists the web domains from which an archive's content was scraped, based on its Source and Relation metadata, or for
+ * Wikimedia archives on the archive's Name. These are used to redirect links to the original website into the archive.
+ * @param {ZIMArchive} archive The archive
+ * @returns {Array<String>} The lowercase domains (which may be empty)
+ */
+function getArchiveDomains (archive) {
+    var domains = [];
+    [archive.source, archive.relation].forEach(function (uri) {
+        var domain = /^(?:[a-z][a-z0-9+.-]*:\/\/)?([^/?#:\s]+\.[^/?#:\s]+)/i.exec(uri || '');
+        if (domain) domains.push(domain[1].toLowerCase());
+    });
+    var wikimedia = regexpWikimediaName.exec(archive.name || archive.file.name.replace(/^.*[/\\]/, ''));
+    if (wikimedia) {
+        var project = wikimedia[1].toLowerCase();
+        domains.push(project === 'mdwiki' ? 'mdwiki.org' : wikimedia[2].toLowerCase() + '.' + project + '.org');
+    }
+    return domains;
+}
+
+/**
+ * Finds the loaded archive (if any) whose original website is the domain of the given URL
+ * @param {String} href The absolute URL of the link
+ * @param {ZIMArchive} preferredArchive An archive to try first (usually the selected archive), so that same-domain links stay in it
+ * @returns {ZIMArchive|null} The matching archive, or null if no loaded archive was scraped from that domain
+ */
+function findArchiveForUrl (href, preferredArchive) {
+    var url;
+    try {
+        url = new URL(href);
+    } catch (err) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    var hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    // Mobile versions of Wikimedia sites have the same content
+    var mobileHostname = hostname.replace(/\.m\.(?=[^.]+\.org$)/, '.');
+    var candidates = getAll().reverse();
+    if (preferredArchive && archives.has(preferredArchive.file.name)) {
+        candidates.splice(candidates.indexOf(preferredArchive), 1);
+        candidates.unshift(preferredArchive);
+    }
+    for (var i = 0; i < candidates.length; i++) {
+        var domains = getArchiveDomains(candidates[i]).map(function (domain) {
+            return domain.replace(/^www\./, '');
+        });
+        if (~domains.indexOf(hostname) || ~domains.indexOf(mobileHostname)) return candidates[i];
+    }
+    return null;
+}
+
+/**
+ * Calculates the ZIM path in an archive of a URL on the archive's original website. MediaWiki article URLs (/wiki/Title)
+ * are mapped to the article's title, and Zimit archives keep the domain in the path.
+ * @param {ZIMArchive} archive The archive scraped from the URL's domain
+ * @param {String} href The absolute URL of the link
+ * @returns {String} The ZIM path (with namespace) at which the linked content is expected to be found
+ */
+function getZimPathForUrl (archive, href) {
+    var url = new URL(href);
+    var cns = archive.getContentNamespace();
+    var path;
+    if (/zimit/.test(archive.zimType)) {
+        // Classic Zimit archives with a C namespace have a further A/ prefix (see readArticle in app.js)
+        path = (archive.zimType === 'zimit' && cns === 'C' ? 'A/' : '') + url.hostname + url.pathname;
+    } else {
+        path = url.pathname.replace(/^\/wiki\//, '').replace(/^\//, '');
+        try {
+            path = decodeURIComponent(path);
+        } catch (err) {
+            // Leave a malformed path as it is
+        }
+    }
+    return cns + '/' + path;
+}
+
+/**
+ * Resolves a link to the original website of a loaded archive into the linked entry in that archive
+ * @param {String} href The absolute URL of the link
+ * @param {ZIMArchive} preferredArchive An archive to try first (usually the selected archive)
+ * @returns {Promise<Object>} A Promise for an object { archive, dirEntry }, or for null if the link cannot be resolved in any loaded archive
+ */
+function resolveUrl (href, preferredArchive) {
+    var archive = findArchiveForUrl(href, preferredArchive);
+    if (!archive) return Promise.resolve(null);
+    return archive.getDirEntryByPath(getZimPathForUrl(archive, href)).then(function (dirEntry) {
+        return dirEntry ? { archive: archive, dirEntry: dirEntry } : null;
+    }).catch(function (err) {
+        console.warn('Unable to resolve ' + href + ' in archive ' + archive.file.name, err);
+        return null;
+    });
+}
+
+export default {
+    register: register,
+    get: get,
+    getAll: getAll,
+    getFreePlaces: getFreePlaces,
+    remove: remove,
+    getArchiveDomains: getArchiveDomains,
+    findArchiveForUrl: findArchiveForUrl,
+    getZimPathForUrl: getZimPathForUrl,
+    resolveUrl: resolveUrl
+};
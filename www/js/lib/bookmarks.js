@@ -0,0 +1,159 @@
+/**
+ * bookmarks.js : Saves articles for later reading. Each bookmark records the archive and ZIM URL of the article, so that it can be
+ * opened again when its archive is loaded, and the article's DirEntry string ID, so that it can be opened without a lookup.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import userDataStore from './userDataStore.js';
+
+/**
+ * A saved article
+ *
+ * @typedef Bookmark
+ * @property {String} id The unique key of the bookmark (see getBookmarkId())
+ * @property {String} zimFileName The filename of the archive containing the article
+ * @property {String} archiveTitle The title of the archive, to display when the archive is not loaded
+ * @property {String} zimUrl The ZIM URL of the article, including its namespace
+ * @property {String} dirEntryId The string ID of the article's DirEntry (see DirEntry.toStringId())
+ * @property {String} title The title of the article
+ * @property {String} folder The folder in which the bookmark is filed (an empty string if it is not in a folder)
+ * @property {Number} timestamp The time at which the bookmark was added, in milliseconds since the epoch
+ */
+
+var store = new userDataStore.UserDataStore('bookmarks', 'id');
+
+/**
+ * Calculates the key of the bookmark of an article (an article can only be bookmarked once)
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} zimUrl The ZIM URL of the article
+ * @returns {String} The key of the bookmark
+ */
+function getBookmarkId (zimFileName, zimUrl) {
+    return zimFileName + '/' + zimUrl;
+}
+
+/**
+ * Bookmarks an article, or updates the existing bookmark of the article
+ * @param {Object} details The zimFileName, archiveTitle, zimUrl, dirEntryId, title and (optionally) folder of the bookmark
+ * @returns {Promise<Bookmark>} A Promise for the stored bookmark
+ */
+function add (details) {
+    return store.put({
+        id: getBookmarkId(details.zimFileName, details.zimUrl),
+        zimFileName: details.zimFileName,
+        archiveTitle: details.archiveTitle || details.zimFileName,
+        zimUrl: details.zimUrl,
+        dirEntryId: details.dirEntryId || '',
+        title: details.title || details.zimUrl,
+        folder: details.folder || '',
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Gets the bookmark of an article, if it has been bookmarked
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} zimUrl The ZIM URL of the article
+ * @returns {Promise<Bookmark>} A Promise for the bookmark, or for null if the article is not bookmarked
+ */
+function find (zimFileName, zimUrl) {
+    return store.get(getBookmarkId(zimFileName, zimUrl));
+}
+
+/**
+ * Deletes a bookmark
+ * @param {String} id The key of the bookmark
+ * @returns {Promise} A Promise that resolves when the bookmark has been deleted
+ */
+function remove (id) {
+    return store.delete(id);
+}
+
+/**
+ * Files a bookmark in a folder
+ * @param {String} id The key of the bookmark
+ * @param {String} folder The name of the folder (an empty string to remove the bookmark from any folder)
+ * @returns {Promise<Bookmark>} A Promise for the updated bookmark, or for null if the bookmark no longer exists
+ */
+function setFolder (id, folder) {
+    return store.get(id).then(function (bookmark) {
+        if (!bookmark) return null;
+        bookmark.folder = folder.trim();
+        return store.put(bookmark);
+    });
+}
+
+/**
+ * Lists bookmarks, most recent first, optionally filtered by folder and by a search string
+ * @param {String} query Only bookmarks whose title, ZIM URL or archive title contain this string (case-insensitive) are listed
+ * @param {String} folder Only bookmarks in this folder are listed (null or undefined to list the bookmarks in all folders)
+ * @returns {Promise<Array<Bookmark>>} A Promise for the matching bookmarks
+ */
+function search (query, folder) {
+    var lcQuery = (query || '').trim().toLocaleLowerCase();
+    return store.getAll().then(function (bookmarks) {
+        return bookmarks.filter(function (bookmark) {
+            if (folder !== null && folder !== undefined && bookmark.folder !== folder) return false;
+            if (!lcQuery) return true;
+            return [bookmark.title, bookmark.zimUrl, bookmark.archiveTitle].some(function (field) {
+                return ~field.toLocaleLowerCase().indexOf(lcQuery);
+            });
+        }).sort(function (a, b) {
+            return b.timestamp - a.timestamp;
+        });
+    });
+}
+
+/**
+ * Lists the folders that contain bookmarks
+ * @returns {Promise<Array<String>>} A Promise for the names of the folders, in alphabetical order
+ */
+function getFolders () {
+    return store.getAll().then(function (bookmarks) {
+        var folders = [];
+        bookmarks.forEach(function (bookmark) {
+            if (bookmark.folder && folders.indexOf(bookmark.folder) < 0) folders.push(bookmark.folder);
+        });
+        return folders.sort(function (a, b) {
+            return a.localeCompare(b);
+        });
+    });
+}
+
+/**
+ * Deletes all bookmarks
+ * @returns {Promise} A Promise that resolves when all bookmarks have been deleted
+ */
+function clear () {
+    return store.clear();
+}
+
+export default {
+    getBookmarkId: getBookmarkId,
+    add: add,
+    find: find,
+    remove: remove,
+    setFolder: setFolder,
+    search: search,
+    getFolders: getFolders,
+    clear: clear
+};
@@ -0,0 +1,184 @@
+/**
+ * clustercache.js: Cache for the decompressed data of compressed clusters.
+ * Reading a blob from a compressed cluster means decompressing the cluster from its start, so without this cache, an article
+ * with many images stored in the same cluster would decompress that cluster again for every image. The cache is shared by the
+ * xz and zstandard decompressors, is bounded by the number of bytes it holds, and discards the least recently used clusters.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * The maximum number of bytes of decompressed data held by the cache (32MB)
+ * @constant
+ * @type {Number}
+ */
+const MAX_CACHE_BYTES = 32 * 1048576;
+
+/**
+ * The largest cluster that is cached: larger clusters would evict most of the cache, so their blobs are read without it (8MB)
+ * @constant
+ * @type {Number}
+ */
+const MAX_CLUSTER_BYTES = MAX_CACHE_BYTES / 4;
+
+/**
+ * A Cluster Cache employing a Least Recently Used caching strategy, bounded by the size of its entries
+ * @typedef {Object} ClusterCache
+ * @property {Number} maxBytes The maximum number of bytes held by the cache
+ * @property {Number} bytes The number of bytes held by the cache
+ * @property {Map} cache A map to store the cache keys and the decompressed data
+ * @property {Map} pending A map of the Promises for the clusters that are being decompressed, so that concurrent reads of blobs
+ *     of the same cluster (e.g. the images of an article) wait for a single decompression
+ * @property {Set} uncacheable The keys of the clusters that are too large to be cached (see isCacheable()), so that their blobs
+ *     are read directly, without trying to decompress the whole cluster again
+ */
+
+/**
+ * Creates a new cache holding at most <maxBytes> bytes of decompressed data
+ * @param {Number} maxBytes The maximum number of bytes held by the cache
+ */
+function ClusterCache (maxBytes) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.cache = new Map();
+    this.pending = new Map();
+    this.uncacheable = new Set();
+}
+
+/**
+ * Tries to retrieve the data of a cluster. If it is present, the entry is moved to the bottom of the cache (bottom = most recent)
+ * @param {String} key The cluster cache entry key (file.id + ':' + cluster number)
+ * @returns {Int8Array|Uint8Array|undefined} The decompressed data of the cluster or undefined
+ */
+ClusterCache.prototype.get = function (key) {
+    var entry = this.cache.get(key);
+    if (!entry) return entry;
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry;
+};
+
+/**
+ * Stores the data of a cluster, and discards the least recently used clusters until the cache holds no more than maxBytes
+ * @param {String} key The key under which to store the data (file.id + ':' + cluster number)
+ * @param {Int8Array|Uint8Array} data The decompressed data of the cluster
+ */
+ClusterCache.prototype.store = function (key, data) {
+    var entry = this.cache.get(key);
+    if (entry) {
+        this.cache.delete(key);
+        this.bytes -= entry.length;
+    }
+    this.cache.set(key, data);
+    this.bytes += data.length;
+    var that = this;
+    // The least recently used clusters are at the top of the Map
+    this.cache.forEach(function (v, k, map) {
+        if (that.bytes <= that.maxBytes || k === key) return;
+        map.delete(k);
+        that.bytes -= v.length;
+    });
+};
+
+/**
+ * The cache of decompressed clusters
+ * @type {ClusterCache}
+ */
+var cache = new ClusterCache(MAX_CACHE_BYTES);
+
+// The numbers of clusters found in the cache (hits) and decompressed (misses)
+var hits = 0;
+var misses = 0;
+
+/**
+ * Gets the decompressed data of a cluster from the cache, or decompresses it and stores it in the cache
+ * @param {Object} file The ZIM archive of the cluster
+ * @param {Integer} cluster The number of the cluster
+ * @param {Function} decompress A function that returns a Promise for the decompressed data of the cluster, or for null if the
+ *     cluster should not be cached (see isCacheable())
+ * @returns {Promise<Int8Array|Uint8Array>} A Promise for the decompressed data (which must not be modified), or for null if the
+ *     cluster is too large to be cached (which is only counted as a miss the first time)
+ */
+var read = function (file, cluster, decompress) {
+    var key = file.id + ':' + cluster;
+    if (cache.uncacheable.has(key)) return Promise.resolve(null);
+    var data = cache.get(key);
+    if (data) {
+        hits++;
+        return Promise.resolve(data);
+    }
+    var pending = cache.pending.get(key);
+    if (pending) {
+        hits++;
+        return pending;
+    }
+    misses++;
+    pending = decompress().then(function (data) {
+        cache.pending.delete(key);
+        if (data) cache.store(key, data);
+        else cache.uncacheable.add(key);
+        return data;
+    }, function (err) {
+        cache.pending.delete(key);
+        throw err;
+    });
+    cache.pending.set(key, pending);
+    return pending;
+};
+
+/**
+ * Checks whether a cluster is small enough to be cached
+ * @param {Number} size The size of the decompressed data of the cluster
+ * @returns {Boolean} True if the cluster can be cached
+ */
+var isCacheable = function (size) {
+    return size <= MAX_CLUSTER_BYTES;
+};
+
+/**
+ * Statistics of the use of the cache
+ * @typedef {Object} ClusterCacheStats
+ * @property {Number} hits The number of reads of clusters that were found in the cache (or that were being decompressed)
+ * @property {Number} misses The number of reads of clusters that had to be decompressed
+ * @property {Number} clusters The number of clusters in the cache
+ * @property {Number} bytes The number of bytes held by the cache
+ * @property {Number} maxBytes The maximum number of bytes held by the cache
+ */
+
+/**
+ * Gets statistics of the use of the cache
+ * @returns {ClusterCacheStats} The statistics
+ */
+var getStats = function () {
+    return {
+        hits: hits,
+        misses: misses,
+        clusters: cache.cache.size,
+        bytes: cache.bytes,
+        maxBytes: cache.maxBytes
+    };
+};
+
+export default {
+    read: read,
+    isCacheable: isCacheable,
+    getStats: getStats
+};
@@ -0,0 +1,192 @@
+/**
+ * decoderPool.js : A small pool of Web Workers that run the xz and zstandard decoders, so that independent clusters can be
+ * decompressed at the same time, and without blocking the user interface. Each decoder can only decompress one cluster at a time,
+ * so without the pool, every read of a compressed cluster waits for the previous one to finish. See decoderWorker.js for the Workers.
+ *
+ * The Workers do not read the archive themselves: they ask the main thread for the compressed data of the cluster as they need it,
+ * so that the data are read with the same reader as on the main thread (see ZIMFile.blob()).
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+/* global params */
+
+'use strict';
+
+/**
+ * The maximum number of Workers in the pool: one less than the number of logical processors (so that one is left for the user
+ * interface), but at least one and no more than four (each Worker has its own copy of the decoders, which take memory)
+ * @constant
+ * @type {Integer}
+ */
+const MAX_WORKERS = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+    ? Math.max(1, Math.min(4, navigator.hardwareConcurrency - 1)) : 2;
+
+/**
+ * A decompression to be done by the pool
+ * @typedef DecoderJob
+ * @property {Integer} id The id of the job, which identifies its messages
+ * @property {String} type The type of decoder: 'xz' or 'zstd'
+ * @property {Function} reader The function that reads the compressed data of the cluster (see ZIMFile.blob())
+ * @property {Integer} offset The offset in the decompressed cluster of the data to decompress
+ * @property {Integer} length The number of bytes to decompress
+ * @property {Function} fallback A function that decompresses the data on the main thread, if the Workers cannot do it
+ * @property {Function} resolve The function that resolves the Promise for the decompressed data
+ * @property {Function} reject The function that rejects the Promise for the decompressed data
+ */
+
+/**
+ * @type {Array<Object>|Boolean} The Workers of the pool, each with the job it is running (or null), or false if Workers cannot
+ *     be used to decompress clusters
+ */
+var workers = [];
+
+// The jobs that are waiting for a Worker
+var queue = [];
+
+// The number of jobs given to the pool, which gives each job its id
+var jobCount = 0;
+
+/**
+ * Runs a job on the main thread
+ * @param {DecoderJob} job The job
+ */
+function runOnMainThread (job) {
+    job.fallback().then(job.resolve, job.reject);
+}
+
+/**
+ * Stops using Workers, for example because the browser cannot run module Workers, and runs the jobs in progress and those that
+ * are waiting on the main thread instead
+ * DEV: the bundled builds of the app load a bundled classic Worker instead of the module Worker (see rollup.config.js)
+ * @param {Error} err The reason why the Workers cannot be used
+ */
+function disableWorkers (err) {
+    if (!workers) return;
+    console.warn('The decoder Workers cannot be used, so clusters will be decompressed on the main thread', err);
+    var jobs = queue;
+    workers.forEach(function (poolWorker) {
+        poolWorker.worker.terminate();
+        if (poolWorker.job) jobs.push(poolWorker.job);
+    });
+    workers = false;
+    queue = [];
+    jobs.forEach(runOnMainThread);
+}
+
+/**
+ * Gives a job to a Worker, and gives the Worker the next job that is waiting when it has finished
+ * @param {Object} poolWorker The Worker, with the job it is running
+ * @param {DecoderJob} job The job
+ */
+function runJob (poolWorker, job) {
+    poolWorker.job = job;
+    poolWorker.worker.postMessage({ action: 'decompress', id: job.id, type: job.type, offset: job.offset, length: job.length });
+}
+
+/**
+ * Handles the messages of a Worker
+ * @param {Object} poolWorker The Worker, with the job it is running
+ * @param {Object} data The data of the message
+ */
+function handleMessage (poolWorker, data) {
+    var job = poolWorker.job;
+    if (!job || data.id !== job.id) return;
+    if (data.action === 'read') {
+        // The Worker needs more compressed data
+        job.reader(data.offset, data.size).then(function (compressed) {
+            if (poolWorker.job === job) poolWorker.worker.postMessage({ action: 'data', id: job.id, data: compressed });
+        }).catch(function (err) {
+            poolWorker.worker.postMessage({ action: 'data', id: job.id, error: err.message || String(err) });
+        });
+        return;
+    }
+    if (data.action === 'done') {
+        // Report the decoder used by the Worker in the API Status Panel, as the decoders do on the main thread
+        params.decompressorAPI.decompressorLastUsed = data.decompressorLastUsed;
+        params.decompressorAPI.assemblerMachineType = data.assemblerMachineType;
+        job.resolve(data.data);
+    } else {
+        // If the decoder could not be loaded in the Worker, or the decompression failed, we try on the main thread
+        console.warn('A cluster could not be decompressed in a decoder Worker, so it will be decompressed on the main thread', data.error);
+        runOnMainThread(job);
+    }
+    poolWorker.job = null;
+    if (queue.length) runJob(poolWorker, queue.shift());
+}
+
+/**
+ * Starts a new Worker for the pool
+ * @returns {Object} The Worker, with the job it is running (null), or null if it could not be started
+ */
+function startWorker () {
+    var poolWorker = { worker: null, job: null };
+    try {
+        poolWorker.worker = new Worker(new URL('decoderWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        disableWorkers(err);
+        return null;
+    }
+    poolWorker.worker.addEventListener('message', function (event) {
+        handleMessage(poolWorker, event.data);
+    });
+    poolWorker.worker.addEventListener('error', function (err) {
+        disableWorkers(err);
+    });
+    workers.push(poolWorker);
+    return poolWorker;
+}
+
+/**
+ * Decompresses data from a cluster in a Worker of the pool, or on the main thread if Workers cannot be used. The pool starts its
+ * Workers the first time that they are needed.
+ * @param {String} type The type of decoder: 'xz' or 'zstd'
+ * @param {Function} reader The function that reads the compressed data of the cluster (see ZIMFile.blob())
+ * @param {Integer} offset The offset in the decompressed cluster of the data to decompress
+ * @param {Integer} length The number of bytes to decompress
+ * @param {Function} fallback A function that returns a Promise for the data decompressed on the main thread
+ * @returns {Promise<Int8Array>} A Promise for the decompressed data
+ */
+function decompress (type, reader, offset, length, fallback) {
+    return new Promise(function (resolve, reject) {
+        var job = { id: ++jobCount, type: type, reader: reader, offset: offset, length: length, fallback: fallback, resolve: resolve, reject: reject };
+        if (workers && typeof Worker === 'undefined') disableWorkers(new Error('Web Workers are not supported'));
+        if (!workers) return runOnMainThread(job);
+        var poolWorker = workers.filter(function (w) {
+            return !w.job;
+        })[0];
+        if (!poolWorker && workers.length < MAX_WORKERS) poolWorker = startWorker();
+        if (!workers) return runOnMainThread(job);
+        if (poolWorker) runJob(poolWorker, job);
+        else queue.push(job);
+    });
+}
+
+/**
+ * Gets the number of Workers that have been started
+ * @returns {Integer} The number of Workers, or 0 if Workers cannot be used
+ */
+function getSize () {
+    return workers ? workers.length : 0;
+}
+
+export default {
+    decompress: decompress,
+    getSize: getSize
+};
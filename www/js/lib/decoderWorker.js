@@ -0,0 +1,78 @@
+/**
+ * decoderWorker.js : A Web Worker (loaded as a module) of the decoder pool (see decoderPool.js), which decompresses clusters with
+ * the xz and zstandard decoders.
+ *
+ * The Worker decompresses one cluster at a time. It receives messages with the id of a job and an action:
+ *   - 'decompress': decompresses <length> bytes from <offset> in a cluster with the given type of decoder ('xz' or 'zstd'), and
+ *     replies with a 'done' message with the decompressed data (or with an 'error' message). As it needs the compressed data of the
+ *     cluster, it sends 'read' messages with the offset and size of the data to read from the cluster;
+ *   - 'data': the compressed data (or the error) read by the main thread for a 'read' message.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+/* global self */
+
+'use strict';
+
+import xz from './xzdec_wrapper.js';
+import zstd from './zstddec_wrapper.js';
+
+// The decoders record which of them was used, and whether they are WASM or ASM, in params, as on the main thread. They only do so
+// once they have been instantiated or used, which is after this has been set. This is sent to the main thread with each decompressed
+// cluster, for the API Status Panel.
+self.params = { decompressorAPI: {} };
+
+// The function that resolves or rejects the Promise for the compressed data requested from the main thread
+var pendingRead = null;
+
+self.addEventListener('message', function (event) {
+    var id = event.data.id;
+    if (event.data.action === 'data') {
+        var read = pendingRead;
+        pendingRead = null;
+        if (read) read(event.data);
+        return;
+    }
+    if (event.data.action !== 'decompress') return;
+    var reader = function (offset, size) {
+        return new Promise(function (resolve, reject) {
+            pendingRead = function (data) {
+                if (data.error) reject(new Error(data.error));
+                else resolve(data.data);
+            };
+            self.postMessage({ action: 'read', id: id, offset: offset, size: size });
+        });
+    };
+    var decoder = event.data.type === 'xz' ? xz : zstd;
+    decoder.ready.then(function () {
+        return new decoder.Decompressor(reader).readSlice(event.data.offset, event.data.length);
+    }).then(function (data) {
+        if (!data) throw new Error('The cluster could not be decompressed');
+        self.postMessage({
+            action: 'done',
+            id: id,
+            data: data,
+            decompressorLastUsed: self.params.decompressorAPI.decompressorLastUsed,
+            assemblerMachineType: self.params.decompressorAPI.assemblerMachineType
+        }, [data.buffer]);
+    }).catch(function (err) {
+        self.postMessage({ action: 'error', id: id, error: err.message || String(err) });
+    });
+});
@@ -24,7 +24,20 @@
 
 'use strict';
 
-const MAX_CACHE_SIZE = 4000;
+/**
+ * The default number of blocks in the cache (16MB of blocks)
+ * @constant
+ * @type {Number}
+ */
+const DEFAULT_CACHE_SIZE = 4000;
+
+/**
+ * The smallest and largest number of blocks in the cache when its size adapts to the memory of the device (4MB and 32MB of blocks)
+ * @constant
+ * @type {Number}
+ */
+const MIN_ADAPTIVE_CACHE_SIZE = 1000;
+const MAX_ADAPTIVE_CACHE_SIZE = 8000;
 
 /**
  * The maximum blocksize to read or store via the block cache (bytes)
@@ -41,14 +54,13 @@ const BLOCK_SIZE = 4096;
  */
 
 /**
- * Creates a new cache with max size limit of MAX_CACHE_SIZE blocks
+ * Creates a new cache with max size limit of <capacity> blocks
  * LRUCache implemnentation with Map adapted from https://markmurray.co/blog/lru-cache/
+ * @param {Number} capacity The maximum number of blocks in the cache
  */
-function LRUCache () {
-    /** CACHE TUNING **/
-    // console.log('Creating cache of size ' + MAX_CACHE_SIZE + ' * ' + BLOCK_SIZE + ' bytes');
+function LRUCache (capacity) {
     // Initialize persistent Cache properties
-    this.capacity = MAX_CACHE_SIZE;
+    this.capacity = capacity;
     this.cache = new Map();
 }
 
@@ -70,7 +82,7 @@ LRUCache.prototype.get = function (key) {
 };
 
 /**
- * Stores a value in the cache by id and prunes the least recently used entry if the cache is larger than MAX_CACHE_SIZE
+ * Stores a value in the cache by id and prunes the least recently used entry if the cache is larger than its capacity
  * @param {String} key The key under which to store the value (file.id + ':' + byte offset from start of ZIM archive)
  * @param {Uint8Array} value The value to store in the cache
  */
@@ -91,7 +103,7 @@ LRUCache.prototype.store = function (key, value) {
             var firstKey = this.cache.keys().next().value;
             this.cache.delete(firstKey);
         } else {
-            // IE11 doesn't support the keys iterator, so we have to do a forEach loop through all 4000 entries
+            // IE11 doesn't support the keys iterator, so we have to do a forEach loop through all the entries
             // to get the oldest values. To prevent excessive iterations, we delete 25% at a time.
             var q = Math.floor(0.25 * this.capacity);
             var c = 0;
@@ -105,16 +117,87 @@ LRUCache.prototype.store = function (key, value) {
     }
 };
 
+/**
+ * Changes the maximum number of entries in the cache, discarding the least recently used entries if there are too many
+ * @param {Number} capacity The new maximum number of entries
+ */
+LRUCache.prototype.resize = function (capacity) {
+    this.capacity = capacity;
+    var excess = this.cache.size - capacity;
+    if (excess <= 0) return;
+    var map = this.cache;
+    // The least recently used entries are at the top of the Map (the forEach loop also works in IE11, which has no keys iterator)
+    map.forEach(function (v, k) {
+        if (excess-- > 0) map.delete(k);
+    });
+};
+
+/**
+ * Calculates the size of a cache that adapts to the memory of the device. Browsers that report the memory of the device (in GB,
+ * rounded to a power of 2) get a cache that grows with it, and the others get the default cache.
+ * @returns {Number} The number of blocks in the cache
+ */
+function getAdaptiveCacheSize () {
+    var deviceMemory = typeof navigator !== 'undefined' && navigator.deviceMemory;
+    if (!deviceMemory) return DEFAULT_CACHE_SIZE;
+    // The default cache suits a device with 4GB of memory
+    var size = Math.round(DEFAULT_CACHE_SIZE * deviceMemory / 4);
+    return Math.min(MAX_ADAPTIVE_CACHE_SIZE, Math.max(MIN_ADAPTIVE_CACHE_SIZE, size));
+}
+
 /**
  * A new Block Cache
  * @type {BlockCache}
  */
-var cache = new LRUCache();
+var cache = new LRUCache(getAdaptiveCacheSize());
+
+// The numbers of blocks found in the cache (hits) and read from the archive (misses) since the cache was created or resized
+var hits = 0;
+var misses = 0;
 
-/** CACHE TUNING **/
-// DEV: Uncomment this block and blocks below marked 'CACHE TUNING' to measure Cache hit and miss rates for different Cache sizes
-// var hits = 0;
-// var misses = 0;
+// Whether the size set by the user is shared with the cache of another thread (see setCacheSize())
+var isShared = false;
+
+/**
+ * Sets the size of the cache from the user's setting. NB the cache of each Worker that reads archives is separate, so it must be set in
+ * the Worker too, and the size set by the user is then shared between the cache of the main thread and that of the Worker.
+ * @param {Number|String} size The size of the cache in MB, or 'auto' to adapt the size of the cache to the memory of the device
+ * @param {Boolean} shared True if the size is shared with the cache of another thread (each cache then gets half of it), false if it
+ *     is not, or undefined to keep the previous setting
+ */
+var setCacheSize = function (size, shared) {
+    if (shared !== undefined) isShared = shared;
+    var capacity = size === 'auto' || !(size > 0) ? getAdaptiveCacheSize() : Math.round(size * 1048576 / BLOCK_SIZE);
+    if (isShared) capacity = Math.round(capacity / 2);
+    if (capacity === cache.capacity) return;
+    cache.resize(capacity);
+    hits = 0;
+    misses = 0;
+};
+
+/**
+ * Statistics of the use of the cache
+ * @typedef {Object} CacheStats
+ * @property {Number} hits The number of blocks found in the cache
+ * @property {Number} misses The number of blocks that had to be read from the archive
+ * @property {Number} blocks The number of blocks in the cache
+ * @property {Number} capacity The maximum number of blocks in the cache
+ * @property {Number} blockSize The size of a block in bytes
+ */
+
+/**
+ * Gets statistics of the use of the cache (of the thread that calls it)
+ * @returns {CacheStats} The statistics
+ */
+var getStats = function () {
+    return {
+        hits: hits,
+        misses: misses,
+        blocks: cache.cache.size,
+        capacity: cache.capacity,
+        blockSize: BLOCK_SIZE
+    };
+};
 
 /**
  * Read a certain byte range in the given file, breaking the range into chunks that go through the cache
@@ -136,8 +219,7 @@ var read = function (file, begin, end) {
         var block = cache.get(file.id + ':' + id);
         if (block === undefined) {
             // Data not in cache, so read from archive
-            /** CACHE TUNING **/
-            // misses++;
+            misses++;
             // DEV: This is a self-calling function, i.e. the function is called with an argument of <id> which then
             // becomes the <offset> parameter
             readRequests.push(function (offset) {
@@ -147,18 +229,10 @@ var read = function (file, begin, end) {
                 });
             }(id));
         } else {
-            /** CACHE TUNING **/
-            // hits++;
+            hits++;
             blocks[id] = block;
         }
     }
-    /** CACHE TUNING **/
-    // if (misses + hits > 2000) {
-    //     console.log('** Block cache hit rate: ' + Math.round(hits / (hits + misses) * 1000) / 10 + '% [ hits:' + hits +
-    //         ' / misses:' + misses + ' ] Size: ' + cache.cache.size);
-    //     hits = 0;
-    //     misses = 0;
-    // }
     // Wait for all the blocks to be read either from the cache or from the archive
     return Promise.all(readRequests).then(function () {
         var result = new Uint8Array(end - begin);
@@ -175,5 +249,7 @@ var read = function (file, begin, end) {
 };
 
 export default {
-    read: read
+    read: read,
+    setCacheSize: setCacheSize,
+    getStats: getStats
 };
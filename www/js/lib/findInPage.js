@@ -0,0 +1,132 @@
+/**
+ * findInPage.js : Finds and highlights text in the document of the displayed article, for browsers and frameworks in which the
+ * browser's own find function cannot search inside the article iframe
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+// The class of the elements that highlight the matches, and the class of the current match
+var MATCH_CLASS = 'kiwixFindMatch';
+var ACTIVE_CLASS = 'kiwixFindActive';
+
+// The id of the stylesheet that is added to the article to style the highlights
+var STYLE_ID = 'kiwixFindStyle';
+
+// Text in these elements is not displayed, so it is not searched
+var regexpHiddenElements = /^(?:SCRIPT|STYLE|NOSCRIPT|TEMPLATE|TEXTAREA|SELECT)$/;
+
+/**
+ * Adds the stylesheet for the highlights to the document, if it has not already been added
+ * @param {Document} doc The document of the article
+ */
+function addHighlightStyle (doc) {
+    if (doc.getElementById(STYLE_ID)) return;
+    var style = doc.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = 'mark.' + MATCH_CLASS + ' { background-color: #ffeb3b; color: black; padding: 0; }\n' +
+        'mark.' + MATCH_CLASS + '.' + ACTIVE_CLASS + ' { background-color: #ff9632; outline: 2px solid #ff9632; }';
+    (doc.head || doc.documentElement).appendChild(style);
+}
+
+/**
+ * Removes all the highlights added by highlightMatches() from the document, restoring its original text nodes
+ * @param {Document} doc The document of the article
+ */
+function clearHighlights (doc) {
+    if (!doc || !doc.body) return;
+    Array.prototype.slice.call(doc.querySelectorAll('mark.' + MATCH_CLASS)).forEach(function (mark) {
+        var parent = mark.parentNode;
+        while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+        parent.removeChild(mark);
+        // Merge the text nodes that were split by the highlight, so that later searches can match across them
+        parent.normalize();
+    });
+}
+
+/**
+ * Highlights all the occurrences of a string in the text of the document (the search is case-insensitive). Any previous
+ * highlights are removed first.
+ * @param {Document} doc The document of the article
+ * @param {String} query The string to find
+ * @returns {Array<Element>} The elements that highlight the matches, in document order
+ */
+function highlightMatches (doc, query) {
+    clearHighlights(doc);
+    var matches = [];
+    if (!doc || !doc.body || !query) return matches;
+    // We match on the original text, because lowercasing can change the length of a string (e.g. 'İ'), and so the offsets of the matches
+    var regexpQuery = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    // Collect the text nodes first, because wrapping the matches changes the tree that the TreeWalker is walking
+    var textNodes = [];
+    var walker = doc.createTreeWalker(doc.body, 4 /* NodeFilter.SHOW_TEXT */, {
+        acceptNode: function (node) {
+            for (var parent = node.parentNode; parent && parent !== doc.body; parent = parent.parentNode) {
+                if (regexpHiddenElements.test(parent.nodeName.toUpperCase())) return 2; // NodeFilter.FILTER_REJECT
+            }
+            return 1; // NodeFilter.FILTER_ACCEPT
+        }
+    });
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(function (node) {
+        var found = regexpQuery.exec(node.nodeValue);
+        while (found) {
+            // Split off the text after the match, then the match itself, and wrap the match
+            var match = node.splitText(found.index);
+            node = match.splitText(found[0].length);
+            var mark = doc.createElement('mark');
+            mark.className = MATCH_CLASS;
+            match.parentNode.insertBefore(mark, match);
+            mark.appendChild(match);
+            matches.push(mark);
+            found = regexpQuery.exec(node.nodeValue);
+        }
+    });
+    if (matches.length) addHighlightStyle(doc);
+    return matches;
+}
+
+/**
+ * Marks one of the matches as the current match, and scrolls it into view
+ * @param {Array<Element>} matches The matches returned by highlightMatches()
+ * @param {Integer} index The index of the match to make current (it wraps around at both ends of the array)
+ * @returns {Integer} The index of the current match, or -1 if there are no matches
+ */
+function selectMatch (matches, index) {
+    if (!matches.length) return -1;
+    index = (index % matches.length + matches.length) % matches.length;
+    matches.forEach(function (mark, i) {
+        if (i === index) mark.classList.add(ACTIVE_CLASS);
+        else mark.classList.remove(ACTIVE_CLASS);
+    });
+    // Older browsers do not support the options object
+    try {
+        matches[index].scrollIntoView({ block: 'center' });
+    } catch (err) {
+        matches[index].scrollIntoView();
+    }
+    return index;
+}
+
+export default {
+    highlightMatches: highlightMatches,
+    clearHighlights: clearHighlights,
+    selectMatch: selectMatch
+};
@@ -0,0 +1,205 @@
+/**
+ * inflate.js : A small decoder for raw DEFLATE data (RFC 1951), for browsers that do not support DecompressionStream. It is used to
+ * read the compressed entries of Xapian full-text indexes, which are small, so it favours compactness over speed.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+// The base values and numbers of extra bits of the length codes (257 to 285) and of the distance codes
+var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097,
+    6145, 8193, 12289, 16385, 24577];
+var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// The order in which the lengths of the code length codes are stored in a dynamic block
+var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * A canonical Huffman code, stored as the number of codes of each length and the symbols in code order
+ * @param {Array<Integer>} lengths The length of the code of each symbol (0 if the symbol is not used)
+ */
+function HuffmanTree (lengths) {
+    this.counts = new Uint16Array(16);
+    this.symbols = new Uint16Array(lengths.length);
+    var offsets = new Uint16Array(16);
+    var i;
+    for (i = 0; i < lengths.length; i++) this.counts[lengths[i]]++;
+    this.counts[0] = 0;
+    for (i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + this.counts[i - 1];
+    for (i = 0; i < lengths.length; i++) {
+        if (lengths[i]) this.symbols[offsets[lengths[i]]++] = i;
+    }
+}
+
+var fixedLiteralTree;
+var fixedDistanceTree;
+
+/**
+ * Builds the fixed Huffman codes defined by the specification, the first time that they are needed
+ */
+function buildFixedTrees () {
+    var lengths = [];
+    for (var i = 0; i < 288; i++) lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+    fixedLiteralTree = new HuffmanTree(lengths);
+    lengths = [];
+    for (i = 0; i < 30; i++) lengths.push(5);
+    fixedDistanceTree = new HuffmanTree(lengths);
+}
+
+/**
+ * Reads a stream of bits from a byte array, least significant bit first, and writes the decompressed bytes to a growing buffer
+ * @param {Uint8Array} input The compressed data
+ */
+function Inflater (input) {
+    this.input = input;
+    this.position = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.output = new Uint8Array(Math.max(256, input.length * 4));
+    this.length = 0;
+}
+
+Inflater.prototype.readBits = function (count) {
+    while (this.bitCount < count) {
+        if (this.position >= this.input.length) throw new Error('Unexpected end of compressed data');
+        this.bitBuffer |= this.input[this.position++] << this.bitCount;
+        this.bitCount += 8;
+    }
+    var value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+};
+
+Inflater.prototype.readSymbol = function (tree) {
+    // Huffman codes are stored most significant bit first, so the code is built up one bit at a time
+    var code = 0;
+    var first = 0;
+    var index = 0;
+    for (var length = 1; length < 16; length++) {
+        code |= this.readBits(1);
+        var count = tree.counts[length];
+        if (code - first < count) return tree.symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+};
+
+Inflater.prototype.writeByte = function (byte) {
+    if (this.length === this.output.length) {
+        var larger = new Uint8Array(this.output.length * 2);
+        larger.set(this.output);
+        this.output = larger;
+    }
+    this.output[this.length++] = byte;
+};
+
+Inflater.prototype.inflateStoredBlock = function () {
+    // Stored blocks start on a byte boundary
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    var length = this.input[this.position] | this.input[this.position + 1] << 8;
+    this.position += 4;
+    if (this.position + length > this.input.length) throw new Error('Unexpected end of compressed data');
+    for (var i = 0; i < length; i++) this.writeByte(this.input[this.position++]);
+};
+
+Inflater.prototype.inflateHuffmanBlock = function (literalTree, distanceTree) {
+    for (;;) {
+        var symbol = this.readSymbol(literalTree);
+        if (symbol < 256) {
+            this.writeByte(symbol);
+        } else if (symbol === 256) {
+            return;
+        } else {
+            symbol -= 257;
+            var length = LENGTH_BASE[symbol] + this.readBits(LENGTH_EXTRA[symbol]);
+            var distanceCode = this.readSymbol(distanceTree);
+            var distance = DISTANCE_BASE[distanceCode] + this.readBits(DISTANCE_EXTRA[distanceCode]);
+            if (distance > this.length) throw new Error('Invalid distance in compressed data');
+            for (var i = 0; i < length; i++) this.writeByte(this.output[this.length - distance]);
+        }
+    }
+};
+
+Inflater.prototype.readDynamicTrees = function () {
+    var literalCount = this.readBits(5) + 257;
+    var distanceCount = this.readBits(5) + 1;
+    var codeLengthCount = this.readBits(4) + 4;
+    var codeLengths = [];
+    var i;
+    for (i = 0; i < 19; i++) codeLengths.push(0);
+    for (i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = this.readBits(3);
+    var codeLengthTree = new HuffmanTree(codeLengths);
+    var lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        var symbol = this.readSymbol(codeLengthTree);
+        var repeat = 0;
+        var value = 0;
+        if (symbol < 16) {
+            lengths.push(symbol);
+            continue;
+        } else if (symbol === 16) {
+            if (!lengths.length) throw new Error('Invalid code lengths in compressed data');
+            value = lengths[lengths.length - 1];
+            repeat = 3 + this.readBits(2);
+        } else if (symbol === 17) {
+            repeat = 3 + this.readBits(3);
+        } else {
+            repeat = 11 + this.readBits(7);
+        }
+        while (repeat--) lengths.push(value);
+    }
+    return [new HuffmanTree(lengths.slice(0, literalCount)), new HuffmanTree(lengths.slice(literalCount, literalCount + distanceCount))];
+};
+
+/**
+ * Decompresses raw DEFLATE data (without a zlib or gzip header)
+ * @param {Uint8Array} data The compressed data
+ * @returns {Uint8Array} The decompressed data
+ */
+function inflateRaw (data) {
+    var inflater = new Inflater(data);
+    var isFinalBlock;
+    do {
+        isFinalBlock = inflater.readBits(1);
+        var type = inflater.readBits(2);
+        if (type === 0) {
+            inflater.inflateStoredBlock();
+        } else if (type === 1) {
+            if (!fixedLiteralTree) buildFixedTrees();
+            inflater.inflateHuffmanBlock(fixedLiteralTree, fixedDistanceTree);
+        } else if (type === 2) {
+            var trees = inflater.readDynamicTrees();
+            inflater.inflateHuffmanBlock(trees[0], trees[1]);
+        } else {
+            throw new Error('Invalid block type in compressed data');
+        }
+    } while (!isFinalBlock);
+    return inflater.output.subarray(0, inflater.length);
+}
+
+export default {
+    inflateRaw: inflateRaw
+};
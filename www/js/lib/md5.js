@@ -0,0 +1,169 @@
+/**
+ * md5.js : An incremental MD5 digest, used to verify the integrity of ZIM archives
+ * Implements the algorithm described in RFC 1321 (https://www.ietf.org/rfc/rfc1321.txt)
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+// Per-round shift amounts
+var S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// Per-round additive constants, derived from the integer part of abs(sin(i + 1)) * 2^32
+var K = new Int32Array(64);
+for (var k = 0; k < 64; k++) {
+    K[k] = (Math.abs(Math.sin(k + 1)) * 4294967296) | 0;
+}
+
+/**
+ * Creates an incremental MD5 digest. Data can be fed in any number of chunks with update(), so that
+ * large (or split) archives can be hashed without holding them in memory
+ */
+function MD5 () {
+    this._state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this._block = new Uint8Array(64);
+    this._blockLength = 0;
+    this._words = new Int32Array(16);
+    this._length = 0;
+}
+
+/**
+ * Processes one 64-byte block of data
+ * @param {Uint8Array} data The array containing the block
+ * @param {Integer} offset The offset of the block in the array
+ */
+MD5.prototype._transform = function (data, offset) {
+    var x = this._words;
+    for (var i = 0; i < 16; i++) {
+        var j = offset + i * 4;
+        x[i] = data[j] | (data[j + 1] << 8) | (data[j + 2] << 16) | (data[j + 3] << 24);
+    }
+    var a = this._state[0];
+    var b = this._state[1];
+    var c = this._state[2];
+    var d = this._state[3];
+    var f, g, tmp;
+    for (i = 0; i < 64; i++) {
+        if (i < 16) {
+            f = (b & c) | (~b & d);
+            g = i;
+        } else if (i < 32) {
+            f = (d & b) | (~d & c);
+            g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+            f = b ^ c ^ d;
+            g = (3 * i + 5) % 16;
+        } else {
+            f = c ^ (b | ~d);
+            g = (7 * i) % 16;
+        }
+        tmp = d;
+        d = c;
+        c = b;
+        f = (f + a + K[i] + x[g]) | 0;
+        b = (b + ((f << S[i]) | (f >>> (32 - S[i])))) | 0;
+        a = tmp;
+    }
+    this._state[0] += a;
+    this._state[1] += b;
+    this._state[2] += c;
+    this._state[3] += d;
+};
+
+/**
+ * Adds a chunk of data to the digest
+ * @param {Uint8Array} data The data to add
+ * @returns {MD5} The digest object, so that calls can be chained
+ */
+MD5.prototype.update = function (data) {
+    var pos = 0;
+    var len = data.length;
+    this._length += len;
+    // Complete any partially filled block left over from the previous chunk
+    if (this._blockLength) {
+        var fill = Math.min(64 - this._blockLength, len);
+        this._block.set(data.subarray(0, fill), this._blockLength);
+        this._blockLength += fill;
+        pos = fill;
+        if (this._blockLength < 64) return this;
+        this._transform(this._block, 0);
+        this._blockLength = 0;
+    }
+    // Process whole blocks directly from the source array
+    for (; pos + 64 <= len; pos += 64) {
+        this._transform(data, pos);
+    }
+    // Keep the remainder for the next chunk
+    if (pos < len) {
+        this._block.set(data.subarray(pos), 0);
+        this._blockLength = len - pos;
+    }
+    return this;
+};
+
+/**
+ * Completes the digest. The object should not be updated after calling this function.
+ * @returns {Uint8Array} The 16-byte MD5 digest
+ */
+MD5.prototype.digest = function () {
+    // Pad with a single 1 bit, then zeros, leaving 8 bytes for the message length in bits (little-endian)
+    var bitLength = this._length * 8;
+    var padLength = this._blockLength < 56 ? 56 - this._blockLength : 120 - this._blockLength;
+    var padding = new Uint8Array(padLength + 8);
+    padding[0] = 0x80;
+    // DEV: We cannot use bitwise operators on the full length, as archives can exceed 2^32 bits
+    var lowBits = bitLength % 4294967296;
+    var highBits = Math.floor(bitLength / 4294967296);
+    for (var i = 0; i < 4; i++) {
+        padding[padLength + i] = (lowBits >>> (8 * i)) & 0xff;
+        padding[padLength + 4 + i] = (highBits >>> (8 * i)) & 0xff;
+    }
+    this.update(padding);
+    var result = new Uint8Array(16);
+    for (i = 0; i < 4; i++) {
+        for (var j = 0; j < 4; j++) {
+            result[i * 4 + j] = (this._state[i] >>> (8 * j)) & 0xff;
+        }
+    }
+    return result;
+};
+
+/**
+ * Converts a digest (or any byte array) to a lowercase hexadecimal string
+ * @param {Uint8Array} bytes The bytes to convert
+ * @returns {String} The hexadecimal representation of the bytes
+ */
+function toHex (bytes) {
+    var hex = '';
+    for (var i = 0; i < bytes.length; i++) {
+        hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return hex;
+}
+
+export default {
+    MD5: MD5,
+    toHex: toHex
+};
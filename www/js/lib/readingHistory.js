@@ -0,0 +1,202 @@
+/**
+ * readingHistory.js : A persistent log of the articles the user has read, which (unlike the browser's history) survives a restart
+ * of the app. Each article is logged once per day: reading it again on the same day only updates the time of the visit.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import userDataStore from './userDataStore.js';
+
+/**
+ * A visit to an article
+ *
+ * @typedef HistoryEntry
+ * @property {String} id The unique key of the entry (see getEntryId())
+ * @property {String} day The local date of the visit, in the form YYYY-MM-DD
+ * @property {String} zimFileName The filename of the archive containing the article
+ * @property {String} archiveTitle The title of the archive, to display when the archive is not loaded
+ * @property {String} zimUrl The ZIM URL of the article, including its namespace
+ * @property {String} dirEntryId The string ID of the article's DirEntry (see DirEntry.toStringId())
+ * @property {String} title The title of the article
+ * @property {Number} timestamp The time of the (latest) visit on that day, in milliseconds since the epoch
+ */
+
+/**
+ * The entries of the history for one archive on one day
+ *
+ * @typedef HistoryArchiveGroup
+ * @property {String} zimFileName The filename of the archive
+ * @property {String} archiveTitle The title of the archive
+ * @property {Array<HistoryEntry>} entries The entries, most recent first
+ */
+
+/**
+ * The entries of the history for one day
+ *
+ * @typedef HistoryDayGroup
+ * @property {String} day The local date, in the form YYYY-MM-DD
+ * @property {Array<HistoryArchiveGroup>} archives The entries of each archive read on that day, most recently read archive first
+ */
+
+var store = new userDataStore.UserDataStore('history', 'id');
+
+// The number of milliseconds in a day
+var DAY = 86400000;
+
+/**
+ * Gets the local date of a time, in the form YYYY-MM-DD (which sorts in chronological order)
+ * @param {Number} timestamp The time, in milliseconds since the epoch
+ * @returns {String} The date
+ */
+function getDay (timestamp) {
+    var date = new Date(timestamp);
+    return date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).slice(-2) + '-' + ('0' + date.getDate()).slice(-2);
+}
+
+/**
+ * Calculates the key of the history entry of an article on a given day
+ * @param {String} day The local date of the visit (see getDay())
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} zimUrl The ZIM URL of the article
+ * @returns {String} The key of the entry
+ */
+function getEntryId (day, zimFileName, zimUrl) {
+    return day + '/' + zimFileName + '/' + zimUrl;
+}
+
+/**
+ * Logs a visit to an article
+ * @param {Object} details The zimFileName, archiveTitle, zimUrl, dirEntryId and title of the article
+ * @returns {Promise<HistoryEntry>} A Promise for the stored entry
+ */
+function record (details) {
+    var timestamp = Date.now();
+    var day = getDay(timestamp);
+    return store.put({
+        id: getEntryId(day, details.zimFileName, details.zimUrl),
+        day: day,
+        zimFileName: details.zimFileName,
+        archiveTitle: details.archiveTitle || details.zimFileName,
+        zimUrl: details.zimUrl,
+        dirEntryId: details.dirEntryId || '',
+        title: details.title || details.zimUrl,
+        timestamp: timestamp
+    });
+}
+
+/**
+ * Lists the entries of the history, most recent first, optionally filtered by a search string
+ * @param {String} query Only entries whose title, ZIM URL or archive title contain this string (case-insensitive) are listed
+ * @returns {Promise<Array<HistoryEntry>>} A Promise for the matching entries
+ */
+function search (query) {
+    var lcQuery = (query || '').trim().toLocaleLowerCase();
+    return store.getAll().then(function (entries) {
+        return entries.filter(function (entry) {
+            if (!lcQuery) return true;
+            return [entry.title, entry.zimUrl, entry.archiveTitle].some(function (field) {
+                return ~field.toLocaleLowerCase().indexOf(lcQuery);
+            });
+        }).sort(function (a, b) {
+            return b.timestamp - a.timestamp;
+        });
+    });
+}
+
+/**
+ * Groups history entries by day, and within each day by archive, for display as a timeline
+ * @param {Array<HistoryEntry>} entries The entries, most recent first (as returned by search())
+ * @returns {Array<HistoryDayGroup>} The groups, most recent day first
+ */
+function groupByDayAndArchive (entries) {
+    var days = [];
+    entries.forEach(function (entry) {
+        var dayGroup = days.length && days[days.length - 1].day === entry.day ? days[days.length - 1] : null;
+        if (!dayGroup) {
+            dayGroup = { day: entry.day, archives: [] };
+            days.push(dayGroup);
+        }
+        var archiveGroup = dayGroup.archives.find(function (group) {
+            return group.zimFileName === entry.zimFileName;
+        });
+        if (!archiveGroup) {
+            archiveGroup = { zimFileName: entry.zimFileName, archiveTitle: entry.archiveTitle, entries: [] };
+            dayGroup.archives.push(archiveGroup);
+        }
+        archiveGroup.entries.push(entry);
+    });
+    return days;
+}
+
+/**
+ * Deletes an entry from the history
+ * @param {String} id The key of the entry
+ * @returns {Promise} A Promise that resolves when the entry has been deleted
+ */
+function remove (id) {
+    return store.delete(id);
+}
+
+/**
+ * Deletes the entries that are older than the given number of days
+ * @param {Number} maxAge The number of days for which entries are kept (Infinity to keep them forever, 0 to delete them all)
+ * @returns {Promise<Number>} A Promise for the number of entries that were deleted
+ */
+function expire (maxAge) {
+    if (maxAge === Infinity) return Promise.resolve(0);
+    if (!maxAge) {
+        return store.getAll().then(function (entries) {
+            return store.clear().then(function () {
+                return entries.length;
+            });
+        });
+    }
+    var oldest = Date.now() - maxAge * DAY;
+    return store.getAll().then(function (entries) {
+        var expired = entries.filter(function (entry) {
+            return entry.timestamp < oldest;
+        });
+        return Promise.all(expired.map(function (entry) {
+            return store.delete(entry.id);
+        })).then(function () {
+            return expired.length;
+        });
+    });
+}
+
+/**
+ * Deletes the whole history
+ * @returns {Promise} A Promise that resolves when the history has been deleted
+ */
+function clear () {
+    return store.clear();
+}
+
+export default {
+    getDay: getDay,
+    getEntryId: getEntryId,
+    record: record,
+    search: search,
+    groupByDayAndArchive: groupByDayAndArchive,
+    remove: remove,
+    expire: expire,
+    clear: clear
+};
@@ -0,0 +1,75 @@
+/**
+ * readingPositions.js : Remembers the last-read article of each recently read archive and how far it was scrolled, so that reading
+ * can be resumed when the archive is next opened
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import settingsStore from './settingsStore.js';
+
+/**
+ * The last-read article of an archive
+ *
+ * @typedef ReadingPosition
+ * @property {String} zimUrl The ZIM URL of the article
+ * @property {Integer} scrollY How far the article was scrolled, in pixels
+ */
+
+// The maximum number of archives for which the last-read article is remembered
+var MAX_READING_POSITIONS = 10;
+
+/**
+ * Gets the last-read article and scroll offset of each recently read archive
+ * @returns {Object<String, ReadingPosition>} The reading positions, keyed by archive filename (least recently read first)
+ */
+function getReadingPositions () {
+    try {
+        return JSON.parse(settingsStore.getItem('lastReadArticles')) || {};
+    } catch (err) {
+        console.warn('The stored reading positions could not be read', err);
+        return {};
+    }
+}
+
+/**
+ * Remembers the article read in an archive and how far it has been scrolled. Only the positions of the MAX_READING_POSITIONS
+ * most recently read archives are kept.
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} zimUrl The ZIM URL of the article
+ * @param {Number} scrollY How far the article has been scrolled, in pixels
+ */
+function saveReadingPosition (zimFileName, zimUrl, scrollY) {
+    var positions = getReadingPositions();
+    // Move the archive to the end of the list, so that the least recently read archives are forgotten first
+    delete positions[zimFileName];
+    positions[zimFileName] = { zimUrl: zimUrl, scrollY: Math.round(scrollY || 0) };
+    var names = Object.keys(positions);
+    names.slice(0, Math.max(0, names.length - MAX_READING_POSITIONS)).forEach(function (name) {
+        delete positions[name];
+    });
+    settingsStore.setItem('lastReadArticles', JSON.stringify(positions), Infinity);
+}
+
+export default {
+    MAX_READING_POSITIONS: MAX_READING_POSITIONS,
+    getReadingPositions: getReadingPositions,
+    saveReadingPosition: saveReadingPosition
+};
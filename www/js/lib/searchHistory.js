@@ -0,0 +1,139 @@
+/**
+ * searchHistory.js : Remembers the searches that the user has made in each archive, so that they can be offered again when the user
+ * returns to the search field. A search is remembered when the user opens one of its results.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import userDataStore from './userDataStore.js';
+
+/**
+ * A search made in an archive
+ *
+ * @typedef RecentSearch
+ * @property {String} id The unique key of the entry (see getEntryId())
+ * @property {String} zimFileName The filename of the archive that was searched
+ * @property {String} text The search as typed (including any operators)
+ * @property {Number} timestamp The time of the (latest) search, in milliseconds since the epoch
+ */
+
+var store = new userDataStore.UserDataStore('searches', 'id');
+
+// The number of searches remembered for each archive (the oldest are forgotten first)
+var MAX_SEARCHES_PER_ARCHIVE = 50;
+
+// The number of milliseconds in a day
+var DAY = 86400000;
+
+/**
+ * Calculates the key of the entry of a search in an archive
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} text The search
+ * @returns {String} The key of the entry
+ */
+function getEntryId (zimFileName, text) {
+    return zimFileName + '/' + text;
+}
+
+/**
+ * Lists the searches made in an archive, most recent first
+ * @param {String} zimFileName The filename of the archive
+ * @param {Integer} limit The maximum number of searches to list (all of them if it is not given)
+ * @returns {Promise<Array<RecentSearch>>} A Promise for the searches
+ */
+function list (zimFileName, limit) {
+    return store.getAll().then(function (entries) {
+        entries = entries.filter(function (entry) {
+            return entry.zimFileName === zimFileName;
+        }).sort(function (a, b) {
+            return b.timestamp - a.timestamp;
+        });
+        return limit ? entries.slice(0, limit) : entries;
+    });
+}
+
+/**
+ * Remembers a search made in an archive. Searching again for the same text only updates the time of the search.
+ * @param {String} zimFileName The filename of the archive
+ * @param {String} text The search as typed (its spacing is tidied up, and empty searches are not remembered)
+ * @param {Number} timestamp The time of the search in milliseconds (optional, defaults to now)
+ * @returns {Promise<RecentSearch>} A Promise for the stored entry, or for null if the search was empty
+ */
+function record (zimFileName, text, timestamp) {
+    text = (text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return Promise.resolve(null);
+    var entry = { id: getEntryId(zimFileName, text), zimFileName: zimFileName, text: text, timestamp: timestamp || Date.now() };
+    return store.put(entry).then(function () {
+        return list(zimFileName);
+    }).then(function (entries) {
+        return Promise.all(entries.slice(MAX_SEARCHES_PER_ARCHIVE).map(function (oldEntry) {
+            return store.delete(oldEntry.id);
+        }));
+    }).then(function () {
+        return entry;
+    });
+}
+
+/**
+ * Forgets a search
+ * @param {String} id The key of the entry
+ * @returns {Promise} A Promise that resolves when the entry has been deleted
+ */
+function remove (id) {
+    return store.delete(id);
+}
+
+/**
+ * Forgets the searches that are older than the given number of days
+ * @param {Number} maxAge The number of days for which searches are kept (Infinity to keep them forever, 0 to forget them all)
+ * @returns {Promise<Number>} A Promise for the number of searches that were forgotten
+ */
+function expire (maxAge) {
+    if (maxAge === Infinity) return Promise.resolve(0);
+    var oldest = maxAge ? Date.now() - maxAge * DAY : Infinity;
+    return store.getAll().then(function (entries) {
+        var expired = entries.filter(function (entry) {
+            return entry.timestamp < oldest;
+        });
+        return Promise.all(expired.map(function (entry) {
+            return store.delete(entry.id);
+        })).then(function () {
+            return expired.length;
+        });
+    });
+}
+
+/**
+ * Forgets all the searches
+ * @returns {Promise} A Promise that resolves when the searches have been deleted
+ */
+function clear () {
+    return store.clear();
+}
+
+export default {
+    getEntryId: getEntryId,
+    list: list,
+    record: record,
+    remove: remove,
+    expire: expire,
+    clear: clear
+};
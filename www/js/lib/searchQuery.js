@@ -0,0 +1,130 @@
+/**
+ * searchQuery.js : Parses the operators that can be typed in the search field (mime:, ns:, intitle: and quoted phrases), and filters the
+ * search results with them
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * A search, with its operators separated from the text to search for
+ *
+ * @typedef SearchQuery
+ * @property {String} text The search as typed
+ * @property {String} prefix The text to search for at the start of titles (without the operators and quotation marks)
+ * @property {String} fullText The text to search for with full-text search, which includes the words of intitle: (quoted phrases keep
+ *     their quotation marks, so that libzim matches the words of a phrase only where they occur together)
+ * @property {String} namespace The namespace to which results are restricted (ns:), or null
+ * @property {String} mimeType The MIME type, or the type or subtype of MIME type, to which results are restricted (mime:), or null
+ * @property {Array<String>} titleTerms The lowercase words or phrases that the titles of results must contain (intitle:)
+ */
+
+// An operator at the start of a word, with its value, which may be a quoted phrase (the closing quotation mark may not be typed yet)
+var regexpOperators = /(^|\s)(mime|ns|intitle):(?:"([^"]*)"?|(\S*))/gi;
+
+/**
+ * Removes the operators from a search, or replaces them
+ * @param {String} text The search
+ * @param {Function} replace A function that is called with the name of each operator (in lowercase), its value and the text of the
+ *     operator as typed, and that returns the text with which to replace the operator
+ * @returns {String} The search without the operators (its spacing is only tidied up if it contained operators, so that a plain search
+ *     is done exactly as typed)
+ */
+function replaceOperators (text, replace) {
+    var replaced = text.replace(regexpOperators, function (match, space, operator, phrase, word) {
+        var value = phrase !== undefined ? phrase : word;
+        operator = operator.toLowerCase();
+        // Namespaces are a single character
+        if (!value || operator === 'ns' && value.length !== 1) return match;
+        return space + replace(operator, value, match.substring(space.length + operator.length + 1));
+    });
+    if (replaced === text) return text;
+    replaced = replaced.replace(/^\s+/, '').replace(/\s{2,}/g, ' ');
+    // A space typed at the end means that the last word is complete, but a space left by removing an operator does not
+    return /\s$/.test(text) ? replaced : replaced.replace(/\s+$/, '');
+}
+
+/**
+ * Parses a search as typed in the search field. Text that only looks like an operator (for example "ns:" followed by more than one
+ * character) is searched for as it is.
+ * @param {String} text The search
+ * @returns {SearchQuery} The parsed search
+ */
+function parse (text) {
+    var query = { text: text, namespace: null, mimeType: null, titleTerms: [] };
+    query.prefix = replaceOperators(text, function (operator, value) {
+        if (operator === 'mime') query.mimeType = value.toLowerCase();
+        else if (operator === 'ns') query.namespace = value;
+        else query.titleTerms.push(value.replace(/\s+/g, ' ').trim().toLocaleLowerCase());
+        return '';
+    }).replace(/"/g, '');
+    // The words of intitle: are also searched for in the text of articles
+    query.fullText = replaceOperators(text, function (operator, value, typed) {
+        return operator === 'intitle' ? typed : '';
+    });
+    return query;
+}
+
+/**
+ * Checks whether a MIME type matches the value of a mime: operator, which may be a full MIME type (e.g. "application/pdf"), the start
+ * of one (e.g. "image/"), or a type or subtype (e.g. "image", "pdf" or "svg", which matches "image/svg+xml")
+ * @param {String} mimeType The MIME type
+ * @param {String} filter The lowercase value of the operator
+ * @returns {Boolean} True if the MIME type matches
+ */
+function matchesMimeType (mimeType, filter) {
+    mimeType = (mimeType || '').toLowerCase().replace(/\s*;.*$/, '');
+    if (~filter.indexOf('/')) return mimeType.indexOf(filter) === 0;
+    return mimeType.split(/[/+]/).indexOf(filter) >= 0;
+}
+
+/**
+ * Checks whether a search result satisfies the operators of a search
+ * @param {DirEntry} dirEntry The Directory Entry of the result
+ * @param {SearchQuery} query The parsed search (if it is undefined, every result matches)
+ * @returns {Boolean} True if the result satisfies every operator
+ */
+function matches (dirEntry, query) {
+    if (!query) return true;
+    if (query.namespace && dirEntry.namespace !== query.namespace) return false;
+    // Redirects have no MIME type of their own
+    if (query.mimeType && (dirEntry.isRedirect() || !matchesMimeType(dirEntry.getMimetype(), query.mimeType))) return false;
+    var title = dirEntry.getTitleOrUrl().toLocaleLowerCase();
+    return query.titleTerms.every(function (term) {
+        return ~title.indexOf(term);
+    });
+}
+
+/**
+ * Checks whether a search has operators that restrict results to a namespace or to MIME types, which cannot be found in the list of
+ * articles, but only in the list of all the entries of the archive
+ * @param {SearchQuery} query The parsed search
+ * @returns {Boolean} True if the search has such operators
+ */
+function needsAllEntries (query) {
+    return !!query && !!(query.namespace || query.mimeType);
+}
+
+export default {
+    parse: parse,
+    matchesMimeType: matchesMimeType,
+    matches: matches,
+    needsAllEntries: needsAllEntries
+};
@@ -111,7 +111,7 @@ function reset (object) {
                 });
             } else {
                 // For Firefox, we can only delete databases we know the names of
-                var dbNames = [params.cacheIDB, 'collDB'];
+                var dbNames = [params.cacheIDB, params.userDataIDB, 'collDB'];
                 dbNames.forEach(function (dbName) {
                     var deleteRequest = indexedDB.deleteDatabase(dbName);
                     deleteRequest.onsuccess = function () {
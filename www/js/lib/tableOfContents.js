@@ -0,0 +1,101 @@
+/**
+ * tableOfContents.js : Builds an outline of the displayed article from its headings, for display in the table of contents sidebar
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * A heading of the article
+ *
+ * @typedef TocHeading
+ * @property {String} id The id of the heading element (one is assigned if the heading had none)
+ * @property {Integer} level The level of the heading (2 to 4)
+ * @property {String} text The text of the heading
+ * @property {Element} element The heading element
+ */
+
+/**
+ * An entry of the table of contents, with the entries of its subsections
+ *
+ * @typedef TocEntry
+ * @property {TocHeading} heading The heading of the section
+ * @property {Integer} index The index of the heading in the list of headings
+ * @property {Array<TocEntry>} children The entries of the subsections
+ */
+
+/**
+ * Lists the h2, h3 and h4 headings of an article, in document order. Headings without an id are given one, so that they can
+ * be linked to.
+ * @param {Document} doc The document of the article
+ * @returns {Array<TocHeading>} The headings
+ */
+function getHeadings (doc) {
+    var headings = [];
+    if (!doc || !doc.body) return headings;
+    Array.prototype.slice.call(doc.body.querySelectorAll('h2, h3, h4')).forEach(function (element) {
+        // MediaWiki puts the text of the heading in a .mw-headline span, alongside the text of the [edit] links
+        var headline = element.querySelector('.mw-headline');
+        var text = (headline || element).textContent.replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        if (!element.id) element.id = headline && headline.id ? headline.id : 'kiwix-toc-' + headings.length;
+        headings.push({ id: element.id, level: parseInt(element.nodeName.replace(/^h/i, ''), 10), text: text, element: element });
+    });
+    return headings;
+}
+
+/**
+ * Nests the headings of an article so that each section contains the entries of its subsections
+ * @param {Array<TocHeading>} headings The headings, in document order
+ * @returns {Array<TocEntry>} The entries of the top-level sections
+ */
+function buildTree (headings) {
+    var root = { heading: { level: 1 }, children: [] };
+    var stack = [root];
+    headings.forEach(function (heading, index) {
+        // Close the sections that are at the same or a deeper level than this heading
+        while (stack.length > 1 && stack[stack.length - 1].heading.level >= heading.level) stack.pop();
+        var entry = { heading: heading, index: index, children: [] };
+        stack[stack.length - 1].children.push(entry);
+        stack.push(entry);
+    });
+    return root.children;
+}
+
+/**
+ * Finds the section that is being read: the last heading that has been scrolled past the given position
+ * @param {Array<Number>} tops The distance of each heading from the top of the viewport, in document order
+ * @param {Number} position The distance from the top of the viewport at which a heading counts as scrolled past
+ * @returns {Integer} The index of the heading, or -1 if the reader has not reached the first heading
+ */
+function findActiveIndex (tops, position) {
+    var active = -1;
+    for (var i = 0; i < tops.length; i++) {
+        if (tops[i] > position) break;
+        active = i;
+    }
+    return active;
+}
+
+export default {
+    getHeadings: getHeadings,
+    buildTree: buildTree,
+    findActiveIndex: findActiveIndex
+};
@@ -0,0 +1,379 @@
+/**
+ * titleSearch.js : Searches the title index of a ZIM archive for the titles that start with a prefix. This module does not use the
+ * DOM, so that the search can run in a Web Worker (see titleSearchWorker.js), with a TitleIndex to read the archive, as well as on
+ * the main thread, with the archive's ZIMFile.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import util from './util.js';
+import zimDirEntry from './zimDirEntry.js';
+import FileCache from './filecache.js';
+import searchQuery from './searchQuery.js';
+
+// The maximum number of entries that a search with operators scans for each variant of the prefix
+var MAX_FILTERED_SCAN = 10000;
+
+// The maximum number of ways of writing a prefix with other accents that are searched for, and the maximum number of binary searches
+// made to find them in the whole of a search (with all the case variants of its prefix)
+var MAX_ACCENTED_VARIANTS = 3;
+var MAX_ACCENT_CHECKS = 100;
+
+// The maximum number of titles sampled from each title pointerlist (see addTitleSample())
+var MAX_TITLE_SAMPLES = 1024;
+
+/**
+ * The title of an entry at a known index of a title pointerlist
+ *
+ * @typedef TitleSample
+ * @property {Integer} index The index of the entry in the pointerlist
+ * @property {String} namespace The namespace of the entry
+ * @property {String} title The title (or URL) of the entry
+ */
+
+/**
+ * The properties of a ZIMFile that are needed to search its title index, which can be sent to a Worker
+ *
+ * @typedef TitleIndexInfo
+ * @property {Integer} id The numeric ZIM id of the archive (used to label the blocks of the FileCache)
+ * @property {Integer} minorVersion The minor version of the ZIM format (1 for archives with the new namespaces)
+ * @property {Integer} entryCount The total number of entries in the URL pointerlist
+ * @property {Integer} articleCount The number of article titles in the v1 article-only pointerlist, or null
+ * @property {Integer} urlPtrPos The position of the directory pointerlist ordered by URL
+ * @property {Integer} titlePtrPos The position of the legacy v0 pointerlist ordered by title
+ * @property {Integer} articlePtrPos The position of the v1 article-only pointerlist ordered by title, or null
+ * @property {Map} mimeTypes The archive's MIME type list
+ * @property {Object} titleSamples The titles sampled from each title pointerlist, keyed by the position of the list (see addTitleSample())
+ */
+
+/**
+ * A reader of the directory of a ZIM archive (its pointerlists and Directory Entries), which can search its titles like a ZIMFile,
+ * but which can be used in a Worker. It cannot read the content of the archive.
+ * DEV: its methods mirror those of ZIMFile, which cannot be loaded in a Worker because zimfile.js loads the decompressors
+ * @param {Array<File>} files The files of the archive, in order
+ * @param {TitleIndexInfo} info The properties of the archive's ZIMFile
+ */
+function TitleIndex (files, info) {
+    this._files = files;
+    this.id = info.id;
+    this.minorVersion = info.minorVersion;
+    this.entryCount = info.entryCount;
+    this.articleCount = info.articleCount;
+    this.urlPtrPos = info.urlPtrPos;
+    this.titlePtrPos = info.titlePtrPos;
+    this.articlePtrPos = info.articlePtrPos;
+    this.mimeTypes = info.mimeTypes;
+    this.titleSamples = info.titleSamples;
+    this.titleSamplesChanged = false;
+}
+
+/**
+ * Gets the properties of a ZIMFile that a TitleIndex needs
+ * @param {ZIMFile} file The ZIM file
+ * @returns {TitleIndexInfo} The properties
+ */
+TitleIndex.getInfo = function (file) {
+    return {
+        id: file.id,
+        minorVersion: file.minorVersion,
+        entryCount: file.entryCount,
+        articleCount: file.articleCount,
+        urlPtrPos: file.urlPtrPos,
+        titlePtrPos: file.titlePtrPos,
+        articlePtrPos: file.articlePtrPos,
+        mimeTypes: file.mimeTypes,
+        titleSamples: file.titleSamples
+    };
+};
+
+TitleIndex.prototype._readSlice = function (offset, size) {
+    return FileCache.read(this, offset, offset + size);
+};
+
+TitleIndex.prototype._readSplitSlice = function (begin, end) {
+    return util.readSplitSlice(this._files, begin, end);
+};
+
+TitleIndex.prototype._readInteger = function (offset, size) {
+    return this._readSlice(offset, size).then(function (data) {
+        return util.readIntegerFrom(data, 0, size);
+    });
+};
+
+TitleIndex.prototype.dirEntry = function (offset) {
+    var that = this;
+    return this._readSlice(offset, zimDirEntry.MAX_SUPPORTED_DIRENTRY_SIZE).then(function (data) {
+        return zimDirEntry.DirEntry.fromData(that, offset, data);
+    });
+};
+
+TitleIndex.prototype.dirEntryByUrlIndex = function (index) {
+    var that = this;
+    return this._readInteger(this.urlPtrPos + index * 8, 8).then(function (dirEntryPos) {
+        return that.dirEntry(dirEntryPos);
+    });
+};
+
+TitleIndex.prototype.dirEntryByTitleIndex = function (index, allEntries) {
+    var that = this;
+    var ptrList = allEntries ? this.titlePtrPos : this.articlePtrPos || this.titlePtrPos;
+    return this._readInteger(ptrList + index * 4, 4).then(function (urlIndex) {
+        return that.dirEntryByUrlIndex(urlIndex);
+    });
+};
+
+/**
+ * Gets the titles sampled from a title pointerlist of an archive (see addTitleSample()), creating the list of samples if necessary
+ * @param {ZIMFile|TitleIndex} file The ZIM file
+ * @param {Boolean} allEntries If true, get the samples of the legacy v0 list, which lists the entries of every namespace
+ * @returns {Array<TitleSample>} The samples, in the order of the pointerlist
+ */
+function getTitleSamples (file, allEntries) {
+    // The samples are kept by the position of their list, because the v1 list of a legacy archive is only calculated after it is opened
+    var ptrList = allEntries ? file.titlePtrPos : file.articlePtrPos || file.titlePtrPos;
+    file.titleSamples = file.titleSamples || {};
+    file.titleSamples[ptrList] = file.titleSamples[ptrList] || [];
+    return file.titleSamples[ptrList];
+}
+
+/**
+ * Remembers the title of an entry read during a binary search of a title pointerlist. The first entries read are those at the top of
+ * the tree of the binary search, which every search reads, and the later ones are those of the parts of the list that are most often
+ * searched, so the samples let later searches (which may be in a later session, see archiveIndexCache.js) skip many reads.
+ * @param {ZIMFile|TitleIndex} file The ZIM file
+ * @param {Array<TitleSample>} samples The samples of the pointerlist (see getTitleSamples())
+ * @param {Integer} index The index of the entry in the pointerlist
+ * @param {DirEntry} dirEntry The entry
+ */
+function addTitleSample (file, samples, index, dirEntry) {
+    if (samples.length >= MAX_TITLE_SAMPLES) return;
+    var position = 0;
+    while (position < samples.length && samples[position].index < index) position++;
+    if (samples[position] && samples[position].index === index) return;
+    samples.splice(position, 0, { index: index, namespace: dirEntry.namespace, title: dirEntry.getTitleOrUrl() });
+    file.titleSamplesChanged = true;
+}
+
+/**
+ * Checks whether an entry of the v0 listing of an archive with the new namespaces may be an article, by its MIME type
+ * @param {DirEntry} dirEntry The Directory Entry
+ * @returns {Boolean} True if the entry is an HTML page, or a redirect (which has no MIME type of its own)
+ */
+function isArticle (dirEntry) {
+    return dirEntry.isRedirect() || /^text\/html\b/i.test(dirEntry.getMimetype());
+}
+
+/**
+ * Look for dirEntries with title starting with the given prefix (case-sensitive), or with the prefix written with other accents or
+ * diacritics (e.g. "Zürich" for "Zurich", or "Sao Paulo" for "São Paulo")
+ *
+ * @param {ZIMFile|TitleIndex} file The ZIM file whose title index is searched
+ * @param {String} contentNamespace The namespace of the articles of the archive ('A' or 'C')
+ * @param {String} prefix The case-sensitive value against which dirEntry titles (or url) will be compared
+ * @param {Object} search The appstate.search object (for comparison, so that we can cancel long binary searches)
+ * @param {callbackDirEntryList} callback The function to call with the array of dirEntries with titles that begin with prefix
+ * @param {Boolean} accented If true, only look for the titles that start with the prefix written with other accents
+ * @returns {Promise} A Promise that resolves when the search is complete (and the callback has been called with the final list)
+ */
+function findDirEntriesWithPrefixCaseSensitive (file, contentNamespace, prefix, search, callback, accented) {
+    // A search restricted to a namespace or to MIME types lists the entries of every namespace (v0), from the start of the namespace
+    var allEntries = searchQuery.needsAllEntries(search.query);
+    // Results that must satisfy operators may be few and far between, so we limit the number of entries scanned
+    var isFiltered = allEntries || !!search.query && search.query.titleTerms.length > 0;
+    // The namespace that is scanned (see getNamespaces() below)
+    var cns = allEntries && search.query.namespace || contentNamespace;
+    // Search v1 article listing if available, otherwise fallback to v0
+    var articleCount = allEntries ? file.entryCount : file.articleCount || file.entryCount;
+    var samples = getTitleSamples(file, allEntries);
+    // Without a v1 listing of its front articles, an archive with the new namespaces can only be searched in its v0 listing, in which
+    // the 'C' namespace also holds the images, stylesheets, etc., so we only keep the entries that are (or may redirect to) articles
+    var frontArticlesOnly = !allEntries && !file.articlePtrPos && file.minorVersion > 0;
+    var compare = function (variant, ns, title) {
+        // DEV: This search is redundant if we managed to populate articlePtrLst and articleCount, but it only takes two instructions and
+        // provides maximum compatibility with rare ZIMs where attempts to find first and last article (in zimArchive.js) may have failed
+        if (ns < cns) return 1;
+        if (ns > cns) return -1;
+        // We should now be in namespace A (old format ZIM) or C (new format ZIM)
+        return variant <= title ? -1 : 1;
+    };
+    var findFirstIndex = function (variant) {
+        // The titles already sampled narrow down the part of the index that has to be read
+        var begin = 0;
+        var end = articleCount;
+        for (var j = 0; j < samples.length && samples[j].index < articleCount; j++) {
+            if (compare(variant, samples[j].namespace, samples[j].title) > 0) {
+                begin = samples[j].index + 1;
+            } else {
+                end = samples[j].index;
+                break;
+            }
+        }
+        // The samples may leave nothing to read, in which case binarySearch() returns the index instead of a Promise
+        return Promise.resolve(util.binarySearch(begin, end, function (i) {
+            return file.dirEntryByTitleIndex(i, allEntries).then(function (dirEntry) {
+                if (search.status === 'cancelled') return 0;
+                addTitleSample(file, samples, i, dirEntry);
+                return compare(variant, dirEntry.namespace, dirEntry.getTitleOrUrl());
+            });
+        }, true));
+    };
+    var findTitleFrom = function (variant) {
+        return findFirstIndex(variant).then(function (index) {
+            if (index >= articleCount) return null;
+            return file.dirEntryByTitleIndex(index, allEntries).then(function (dirEntry) {
+                return dirEntry.namespace === cns ? dirEntry.getTitleOrUrl() : null;
+            });
+        });
+    };
+    var vDirEntries = [];
+    var scanTitles = function (variant) {
+        return findFirstIndex(variant).then(function (firstIndex) {
+            var addDirEntries = function (index, lastTitle, lastNamespace) {
+                if (search.status === 'cancelled' || search.found >= search.size || index >= articleCount ||
+                lastTitle && !~lastTitle.indexOf(variant) || lastNamespace && lastNamespace !== cns ||
+                isFiltered && index - firstIndex >= MAX_FILTERED_SCAN) {
+                    // DEV: Diagnostics to be removed before merge
+                    if (vDirEntries.length) {
+                        console.debug('Scanned ' + (index - firstIndex) + ' titles for "' + variant +
+                            '" (found ' + vDirEntries.length + ' match' + (vDirEntries.length === 1 ? ')' : 'es)'));
+                    }
+                    return {
+                        dirEntries: vDirEntries,
+                        nextStart: index
+                    };
+                }
+                return file.dirEntryByTitleIndex(index, allEntries).then(function (dirEntry) {
+                    search.scanCount++;
+                    var title = dirEntry.getTitleOrUrl();
+                    // Only return dirEntries with titles that actually begin with prefix, and that satisfy the operators of the search
+                    if (dirEntry.namespace === cns && title.indexOf(variant) === 0 && searchQuery.matches(dirEntry, search.query) &&
+                        (!frontArticlesOnly || isArticle(dirEntry))) {
+                        vDirEntries.push(dirEntry);
+                        // Report interim result
+                        callback([dirEntry], false, true);
+                    }
+                    return addDirEntries(index + 1, title, dirEntry.namespace);
+                });
+            };
+            return addDirEntries(firstIndex);
+        });
+    };
+    // A search for MIME types in no particular namespace is made in every namespace of the v0 list, because the media are not in the
+    // content namespace of archives with the old namespaces (but in I or -)
+    var getNamespaces = function () {
+        if (!allEntries || search.query.namespace) return Promise.resolve([cns]);
+        var namespaces = [];
+        var addNamespacesFrom = function (index) {
+            if (index >= articleCount || search.status === 'cancelled') return namespaces;
+            return file.dirEntryByTitleIndex(index, true).then(function (dirEntry) {
+                namespaces.push(dirEntry.namespace);
+                // Find the first entry of the next namespace
+                return util.binarySearch(index + 1, articleCount, function (i) {
+                    return file.dirEntryByTitleIndex(i, true).then(function (nextDirEntry) {
+                        return nextDirEntry.namespace > dirEntry.namespace ? -1 : 1;
+                    });
+                }, true);
+            }).then(addNamespacesFrom);
+        };
+        return Promise.resolve(addNamespacesFrom(0));
+    };
+    // Remember the prefixes that have been scanned, so that the same titles are not found again with other accents
+    search.scannedPrefixes = search.scannedPrefixes || [];
+    var scannedPrefixes = search.scannedPrefixes.slice();
+    if (!accented) search.scannedPrefixes.push(prefix);
+    var scanNamespace = function () {
+        if (!accented) return scanTitles(prefix);
+        return findAccentedVariantsOfPrefix(prefix, findTitleFrom, search).then(function (variants) {
+            return variants.reduce(function (previous, variant) {
+                return previous.then(function (result) {
+                    if (~scannedPrefixes.indexOf(variant) || search.status === 'cancelled' || search.found >= search.size) return result;
+                    if (!~search.scannedPrefixes.indexOf(variant)) search.scannedPrefixes.push(variant);
+                    return scanTitles(variant);
+                });
+            }, Promise.resolve({ dirEntries: vDirEntries }));
+        });
+    };
+    return getNamespaces().then(function (namespaces) {
+        return namespaces.reduce(function (previous, namespace) {
+            return previous.then(function (result) {
+                if (search.status === 'cancelled' || search.found >= search.size) return result;
+                cns = namespace;
+                return scanNamespace();
+            });
+        }, Promise.resolve({ dirEntries: vDirEntries }));
+    }).then(callback);
+}
+
+/**
+ * Finds the ways of writing a prefix with other accents or diacritics (of the Latin, Greek and Cyrillic scripts) that start some titles,
+ * e.g. "Zürich" for "Zurich". The accents are first removed from the prefix, and then its letters are tried with every accent, one
+ * at a time, but only as long as some titles start with the letters tried so far, so that few binary searches are needed.
+ *
+ * @param {String} prefix The prefix
+ * @param {Function} findTitleFrom A function that returns a Promise for the first title that sorts after the given string (or null)
+ * @param {Object} search The appstate.search object (so that we can stop if it is cancelled)
+ * @returns {Promise<Array<String>>} A Promise for the variants of the prefix (which may include the prefix)
+ */
+function findAccentedVariantsOfPrefix (prefix, findTitleFrom, search) {
+    var base = util.removeDiacritics(prefix);
+    var variants = [];
+    search.accentChecks = search.accentChecks || 0;
+    var hasTitlesStartingWith = function (variant) {
+        search.accentChecks++;
+        return findTitleFrom(variant).then(function (title) {
+            return title !== null && title.indexOf(variant) === 0;
+        });
+    };
+    var addLetters = function (variant, position) {
+        if (variants.length >= MAX_ACCENTED_VARIANTS || search.accentChecks >= MAX_ACCENT_CHECKS || search.status === 'cancelled') {
+            return Promise.resolve();
+        }
+        // Letters that have no accents are added without checking, because the titles are checked at the next letter with accents
+        while (position < base.length && !util.getAccentedLetters(base[position]).length) variant += base[position++];
+        if (position >= base.length) {
+            variants.push(variant);
+            return Promise.resolve();
+        }
+        // Accented letters sort after U+00C0, so if no title continues with such a character, only the letter without accents is tried
+        search.accentChecks++;
+        return findTitleFrom(variant + '\u00c0').then(function (title) {
+            var letters = [base[position]];
+            if (title !== null && title.indexOf(variant) === 0) letters = letters.concat(util.getAccentedLetters(base[position]));
+            return letters.reduce(function (previous, letter) {
+                return previous.then(function () {
+                    if (search.accentChecks >= MAX_ACCENT_CHECKS) return;
+                    return hasTitlesStartingWith(variant + letter).then(function (found) {
+                        if (found) return addLetters(variant + letter, position + 1);
+                    });
+                });
+            }, Promise.resolve());
+        });
+    };
+    return addLetters('', 0).then(function () {
+        return variants;
+    });
+}
+
+export default {
+    TitleIndex: TitleIndex,
+    findDirEntriesWithPrefixCaseSensitive: findDirEntriesWithPrefixCaseSensitive,
+    findAccentedVariantsOfPrefix: findAccentedVariantsOfPrefix
+};
@@ -0,0 +1,98 @@
+/**
+ * titleSearchWorker.js : A Web Worker (loaded as a module) that searches the title index of ZIM archives, so that the many reads of
+ * the binary search and of the scan of the titles do not make the user interface stutter. See titleSearch.js for the search itself.
+ *
+ * The Worker receives messages with an id and an action:
+ *   - 'search': searches the titles of the archive whose files and TitleIndexInfo are given, for a prefix (with the given
+ *     contentNamespace, accented flag, state of the search and size of the block cache), and replies with 'found' messages, listing the serialized
+ *     Directory Entries of the results as they are found, then with a 'done' message (or an 'error' message);
+ *   - 'cancel': cancels the search with the given id.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+/* global self */
+
+'use strict';
+
+import titleSearch from './titleSearch.js';
+import FileCache from './filecache.js';
+
+// The searches in progress, keyed by the id of their message, so that they can be cancelled
+var searches = {};
+
+/**
+ * Copies the properties of a Directory Entry that can be sent to the main thread, where it is rebuilt with the archive's ZIMFile
+ * @param {DirEntry} dirEntry The Directory Entry
+ * @returns {Object} The properties of the Directory Entry
+ */
+function serializeDirEntry (dirEntry) {
+    return {
+        offset: dirEntry.offset,
+        mimetypeInteger: dirEntry.mimetypeInteger,
+        namespace: dirEntry.namespace,
+        redirect: dirEntry.redirect,
+        redirectTarget: dirEntry.redirectTarget,
+        cluster: dirEntry.cluster,
+        blob: dirEntry.blob,
+        url: dirEntry.url,
+        title: dirEntry.title
+    };
+}
+
+self.addEventListener('message', function (event) {
+    var id = event.data.id;
+    if (event.data.action === 'cancel') {
+        if (searches[id]) searches[id].status = 'cancelled';
+        return;
+    }
+    if (event.data.action !== 'search') return;
+    // The Worker has its own block cache, which shares the size set by the user with the block cache of the main thread
+    FileCache.setCacheSize(event.data.fileCacheSize, true);
+    var search = event.data.search;
+    search.scanCount = 0;
+    searches[id] = search;
+    var titleIndex = new titleSearch.TitleIndex(event.data.files, event.data.info);
+    titleSearch.findDirEntriesWithPrefixCaseSensitive(titleIndex, event.data.contentNamespace, event.data.prefix, search,
+        function (dirEntries, countReport, interim) {
+            if (interim) {
+                // On the main thread, the number of results found is updated by the caller, for each result reported
+                search.found += dirEntries.length;
+                self.postMessage({ id: id, action: 'found', dirEntries: dirEntries.map(serializeDirEntry) });
+                return;
+            }
+            delete searches[id];
+            self.postMessage({
+                id: id,
+                action: 'done',
+                nextStart: dirEntries.nextStart,
+                scanCount: search.scanCount,
+                scannedPrefixes: search.scannedPrefixes,
+                accentChecks: search.accentChecks,
+                // The block cache of the Worker is reported in the API panel with that of the main thread
+                fileCacheStats: FileCache.getStats(),
+                // The titles sampled by the search are kept by the main thread, for the next searches
+                titleSamples: titleIndex.titleSamplesChanged ? titleIndex.titleSamples : null
+            });
+        }, event.data.accented
+    ).catch(function (err) {
+        delete searches[id];
+        self.postMessage({ id: id, action: 'error', error: err.message || String(err) });
+    });
+});
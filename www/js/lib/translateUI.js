@@ -86,6 +86,12 @@ function translateApp (languageCode) {
         });
         document.getElementById('prefix').setAttribute('placeholder',
             translateString('home-prefix-placeholder') || 'Search...');
+        document.getElementById('bookmarksSearch').setAttribute('placeholder',
+            translateString('bookmarks-search-placeholder') || 'Search bookmarks...');
+        document.getElementById('historySearch').setAttribute('placeholder',
+            translateString('history-search-placeholder') || 'Search history...');
+        document.getElementById('findInPageInput').setAttribute('placeholder',
+            translateString('findinpage-placeholder') || 'Find in article...');
     }).catch(function (err) {
         console.error('Error translating the UI', err);
         throw err;
@@ -51,6 +51,7 @@ function hideSlidingUIElements () {
     header.style.transform = 'translateY(-' + headerHeight + 'px)';
     articleElement.style.transform = 'translateY(-' + headerHeight + 'px)';
     hideActiveContentWarning();
+    fitTocSidebar(false);
 }
 
 /**
@@ -67,6 +68,20 @@ function showSlidingUIElements () {
     footer.style.transform = 'translateY(0)';
     articleElement.style.height = window.innerHeight - headerHeight + 'px';
     articleContainer.style.height = window.innerHeight - headerHeight + 'px';
+    fitTocSidebar(true);
+}
+
+/**
+ * Fits the table of contents sidebar between the header and the footer, or lets it take the space they free when they slide away
+ * @param {Boolean} isUIVisible Whether the header and footer are displayed (if undefined, this is determined from the header)
+ */
+function fitTocSidebar (isUIVisible) {
+    const tocSidebar = document.getElementById('tocSidebar');
+    if (tocSidebar.style.display === 'none') return;
+    if (isUIVisible === undefined) isUIVisible = !/\(-/.test(header.style.transform);
+    // We use the layout size and position of the header and footer, which do not change while they are sliding
+    tocSidebar.style.top = isUIVisible ? header.offsetTop + header.offsetHeight + 'px' : '0';
+    tocSidebar.style.bottom = isUIVisible ? footer.offsetHeight + 'px' : '0';
 }
 
 let scrollThrottle = false;
@@ -126,8 +141,8 @@ function slideAway (e) {
     const newScrollY = articleContainer.contentWindow.pageYOffset;
     let delta;
     const visibleState = /\(0p?x?\)/.test(header.style.transform);
-    // If the search field is focused and elements are not showing, do not slide away
-    if (document.activeElement === document.getElementById('prefix')) {
+    // If the search field is focused or the find-in-page bar is open, and elements are not showing, do not slide away
+    if (document.activeElement === document.getElementById('prefix') || document.getElementById('findInPageBar').style.display !== 'none') {
         if (!visibleState) showSlidingUIElements();
     } else if (e.type === 'scroll') {
         windowIsScrollable = true;
@@ -581,6 +596,39 @@ function displayFileDownloadAlert (title, download, contentType, content) {
     spinnerDisplay(false);
 }
 
+var resumeAlertSetup = false;
+var resumeAlertCallback = null;
+/**
+ * Displays an alert telling the user that the last-read article of the archive has been reopened, with a link that goes to
+ * the archive's main page instead
+ *
+ * @param {Function} goToMainPage The function to call if the user chooses to go to the main page
+ */
+function displayResumeAlert (goToMainPage) {
+    var resumeAlert = document.getElementById('resumeAlert');
+    resumeAlertCallback = goToMainPage;
+    if (!resumeAlertSetup) {
+        // We are setting up the alert for the first time
+        resumeAlert.querySelector('button[data-hide]').addEventListener('click', hideResumeAlert);
+        document.getElementById('resumeGoToMainPage').addEventListener('click', function (e) {
+            e.preventDefault();
+            var callback = resumeAlertCallback;
+            hideResumeAlert();
+            if (callback) callback();
+        });
+    }
+    resumeAlertSetup = true;
+    resumeAlert.style.display = 'block';
+}
+
+/**
+ * Hides the alert displayed by displayResumeAlert, if it is displayed
+ */
+function hideResumeAlert () {
+    resumeAlertCallback = null;
+    document.getElementById('resumeAlert').style.display = 'none';
+}
+
 /**
  * Check for update of Service Worker (PWA) and display information to user
  */
@@ -700,8 +748,10 @@ function removeAnimationClasses () {
     const about = document.getElementById('about');
     const home = document.getElementById('articleContent');
     const library = document.getElementById('library');
+    const bookmarks = document.getElementById('bookmarks');
+    const history = document.getElementById('history');
 
-    const tabs = [config, about, home, library]
+    const tabs = [config, about, home, library, bookmarks, history]
     tabs.forEach(tab => {
         tab.classList.remove('slideIn_L');
         tab.classList.remove('slideIn_R');
@@ -761,9 +811,13 @@ function fromSection () {
     const isAboutPageVisible = document.getElementById('about').style.display !== 'none';
     const isArticlePageVisible = document.getElementById('articleContent').style.display !== 'none';
     const isLibraryPageVisible = document.getElementById('library').style.display !== 'none';
+    const isBookmarksPageVisible = document.getElementById('bookmarks').style.display !== 'none';
+    const isHistoryPageVisible = document.getElementById('history').style.display !== 'none';
     if (isConfigPageVisible) return 'config';
     if (isLibraryPageVisible) return 'library';
     else if (isAboutPageVisible) return 'about';
+    else if (isBookmarksPageVisible) return 'bookmarks';
+    else if (isHistoryPageVisible) return 'history';
     else if (isArticlePageVisible) return 'home';
 }
 
@@ -779,6 +833,8 @@ function tabTransitionToSection (toSection, isAnimationRequired = false) {
     const config = document.getElementById('configuration');
     const about = document.getElementById('about');
     const library = document.getElementById('library');
+    const bookmarks = document.getElementById('bookmarks');
+    const history = document.getElementById('history');
     const home = document.getElementById('articleContent');
 
     // references of extra elements that are in UI but not tabs
@@ -798,18 +854,40 @@ function tabTransitionToSection (toSection, isAnimationRequired = false) {
             if (from === 'config') slideToRight(home, config);
             if (from === 'about') slideToRight(home, about);
             if (from === 'library') slideToRight(home, library);
+            if (from === 'bookmarks') slideToRight(home, bookmarks);
+            if (from === 'history') slideToRight(home, history);
 
             showElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraKiwixAlert);
+        } else if (toSection === 'bookmarks') {
+            if (from === 'config') slideToRight(bookmarks, config);
+            if (from === 'about') slideToRight(bookmarks, about);
+            if (from === 'library') slideToRight(bookmarks, library);
+            if (from === 'history') slideToRight(bookmarks, history);
+            if (from === 'home') slideToLeft(bookmarks, home);
+
+            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+        } else if (toSection === 'history') {
+            if (from === 'config') slideToRight(history, config);
+            if (from === 'about') slideToRight(history, about);
+            if (from === 'library') slideToRight(history, library);
+            if (from === 'home') slideToLeft(history, home);
+            if (from === 'bookmarks') slideToLeft(history, bookmarks);
+
+            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
         } else if (toSection === 'config') {
             if (from === 'about') slideToRight(config, about);
             if (from === 'library') slideToRight(config, library);
             if (from === 'home') slideToLeft(config, home);
+            if (from === 'bookmarks') slideToLeft(config, bookmarks);
+            if (from === 'history') slideToLeft(config, history);
 
             hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
         } else if (toSection === 'about') {
             if (from === 'library') slideToRight(about, library);
             if (from === 'home') slideToLeft(about, home);
             if (from === 'config') slideToLeft(about, config);
+            if (from === 'bookmarks') slideToLeft(about, bookmarks);
+            if (from === 'history') slideToLeft(about, history);
 
             hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
         } else if (toSection === 'library') {
@@ -819,24 +897,34 @@ function tabTransitionToSection (toSection, isAnimationRequired = false) {
         }
     } else {
         if (toSection === 'home') {
-            hideElements(config, about, library);
+            hideElements(config, about, library, bookmarks, history);
             showElements(home, extraNavBtns, extraArticleSearch, extraWelcomeText);
         }
+        if (toSection === 'bookmarks') {
+            hideElements(config, about, home, library, history, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            showElements(bookmarks);
+        }
+        if (toSection === 'history') {
+            hideElements(config, about, home, library, bookmarks, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            showElements(history);
+        }
         if (toSection === 'config') {
-            hideElements(about, home, library, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(about, home, library, bookmarks, history, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
             showElements(config);
         }
         if (toSection === 'about') {
-            hideElements(config, home, library);
+            hideElements(config, home, library, bookmarks, history);
             showElements(about);
         }
         if (toSection === 'library') {
-            hideElements(config, about, home, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(config, about, home, bookmarks, history, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
             showElements(library);
         }
     }
     // Remove any active content warning (as we will have slidden away, we don't need to use the fade out effect)
     activeContent.style.display = 'none';
+    // The table of contents sidebar belongs to the article, so it is only shown with the article
+    document.getElementById('tocSidebar').style.visibility = toSection === 'home' ? '' : 'hidden';
 }
 
 /**
@@ -941,6 +1029,8 @@ function showReturnLink () {
 function returnToCurrentPage () {
     document.getElementById('liConfigureNav').classList.remove('active');
     document.getElementById('liAboutNav').classList.remove('active');
+    document.getElementById('liBookmarksNav').classList.remove('active');
+    document.getElementById('liHistoryNav').classList.remove('active');
     document.getElementById('liHomeNav').classList.add('active');
     document.getElementById('btnHome').focus();
     var navbarCollapse = document.querySelector('.navbar-collapse');
@@ -976,6 +1066,30 @@ function reportSearchProviderToAPIStatusPanel (provider) {
     }
 }
 
+/**
+ * Displays the snippet of a full-text search result in an element, highlighting the words that match the search. Snippets are HTML
+ * in which the matching words are in <b> tags, but they are made from the text of articles, which is not trusted, so only their text
+ * and highlights are copied into the element. The snippet is parsed in a separate document, where it cannot run scripts or load images.
+ *
+ * @param {Element} element The element in which to display the snippet (any content is replaced)
+ * @param {String} snippet The snippet
+ */
+function displaySearchSnippet (element, snippet) {
+    var doc = new DOMParser().parseFromString('<p>' + snippet + '</p>', 'text/html');
+    var walker = doc.createTreeWalker(doc.body, 4 /* NodeFilter.SHOW_TEXT */, null, false);
+    element.textContent = '';
+    while (walker.nextNode()) {
+        var text = document.createTextNode(walker.currentNode.nodeValue);
+        if (walker.currentNode.parentNode.closest('b')) {
+            var mark = document.createElement('mark');
+            mark.appendChild(text);
+            element.appendChild(mark);
+        } else {
+            element.appendChild(text);
+        }
+    }
+}
+
 /**
  * Warn the user that they clicked on an external link, and open it in a new tab
  *
@@ -1076,6 +1190,7 @@ function getBrowserLanguage () {
 export default {
     hideSlidingUIElements: hideSlidingUIElements,
     showSlidingUIElements: showSlidingUIElements,
+    fitTocSidebar: fitTocSidebar,
     scroller: scroller,
     systemAlert: systemAlert,
     feedNodeWithDataURI: feedNodeWithDataURI,
@@ -1086,6 +1201,8 @@ export default {
     removeUrlParameters: removeUrlParameters,
     displayActiveContentWarning: displayActiveContentWarning,
     displayFileDownloadAlert: displayFileDownloadAlert,
+    displayResumeAlert: displayResumeAlert,
+    hideResumeAlert: hideResumeAlert,
     checkUpdateStatus: checkUpdateStatus,
     checkServerIsAccessible: checkServerIsAccessible,
     spinnerDisplay: spinnerDisplay,
@@ -1096,6 +1213,7 @@ export default {
     isDarkTheme: isDarkTheme,
     reportAssemblerErrorToAPIStatusPanel: reportAssemblerErrorToAPIStatusPanel,
     reportSearchProviderToAPIStatusPanel: reportSearchProviderToAPIStatusPanel,
+    displaySearchSnippet: displaySearchSnippet,
     warnAndOpenExternalLinkInNewTab: warnAndOpenExternalLinkInNewTab,
     closestAnchorEnclosingElement: closestAnchorEnclosingElement,
     getBrowserLanguage: getBrowserLanguage,
@@ -0,0 +1,263 @@
+/**
+ * userDataStore.js : Persistent stores for user data such as bookmarks and the reading history, kept in indexedDB or, where
+ * indexedDB is not available, in localStorage (or failing that, in memory for the current session only)
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+/* global params */
+
+'use strict';
+
+import settingsStore from './settingsStore.js';
+
+/**
+ * The names of all the user data stores. Each is an object store in the params.userDataIDB database, so DEV: when you add a store
+ * to this list, the database version (which is the length of the list) increases, and the new object store is created on upgrade
+ * @type {Array<String>}
+ */
+var USER_DATA_STORES = ['bookmarks', 'history', 'searches', 'archiveIndexes'];
+
+/**
+ * A Promise for the open user data database, shared by all the stores
+ * @type {Promise<IDBDatabase>}
+ */
+var dbPromise = null;
+
+/**
+ * Opens (or creates) the indexedDB database that holds the user data stores
+ * @returns {Promise<IDBDatabase>} A Promise for the open database, which rejects if indexedDB is not available
+ */
+function openDatabase () {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function (resolve, reject) {
+        if (typeof window.indexedDB === 'undefined' || !window.indexedDB) {
+            reject(new Error('indexedDB is not supported'));
+            return;
+        }
+        var open = indexedDB.open(params.userDataIDB, USER_DATA_STORES.length);
+        open.onupgradeneeded = function () {
+            var db = open.result;
+            USER_DATA_STORES.forEach(function (storeName) {
+                if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+            });
+        };
+        open.onsuccess = function () {
+            var db = open.result;
+            // Let the database be deleted or upgraded (e.g. by settingsStore.reset) while it is open
+            db.onversionchange = function () {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        open.onerror = function () {
+            reject(open.error);
+        };
+    });
+    // Allow a later attempt if this one failed
+    dbPromise.catch(function () {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Converts an IDBRequest to a Promise
+ * @param {IDBRequest} request The request
+ * @returns {Promise} A Promise for the result of the request
+ */
+function requestToPromise (request) {
+    return new Promise(function (resolve, reject) {
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * A persistent store of records, each of which has a unique key in one of its properties
+ *
+ * @typedef UserDataStore
+ * @property {String} name The name of the store (an entry in USER_DATA_STORES)
+ * @property {String} keyPath The property of each record that holds its unique key
+ * @property {String} type The kind of storage in use, once the store is ready: 'indexedDB', 'local_storage' or 'memory'
+ */
+
+/**
+ * Creates a store of user data. The storage is chosen when the store is first used: indexedDB is preferred, because it permits
+ * more storage, then localStorage if it is the best available storage API (see settingsStore.getBestAvailableStorageAPI),
+ * else the records are only kept in memory for the current session
+ * @param {String} name The name of the store (it must be listed in USER_DATA_STORES)
+ * @param {String} keyPath The property of each record that holds its unique key
+ */
+function UserDataStore (name, keyPath) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.type = null;
+    // The records, keyed by their key, when they are not kept in indexedDB
+    this._records = null;
+    this._ready = null;
+}
+
+/**
+ * Chooses the storage for the store and loads any records that are not kept in indexedDB
+ * @returns {Promise} A Promise that resolves when the store is ready to use
+ */
+UserDataStore.prototype._whenReady = function () {
+    var that = this;
+    if (this._ready) return this._ready;
+    this._ready = openDatabase().then(function () {
+        that.type = 'indexedDB';
+    }).catch(function (err) {
+        that.type = params.storeType === 'local_storage' ? 'local_storage' : 'memory';
+        console.warn('indexedDB is not available for ' + that.name + ', so it will be stored in ' + that.type, err);
+        that._records = new Map();
+        if (that.type === 'local_storage') {
+            try {
+                JSON.parse(settingsStore.getItem(that.name) || '[]').forEach(function (record) {
+                    that._records.set(record[that.keyPath], record);
+                });
+            } catch (e) {
+                console.error('The stored ' + that.name + ' could not be read', e);
+            }
+        }
+    });
+    return this._ready;
+};
+
+/**
+ * Runs an operation on the store's object store in a new indexedDB transaction
+ * @param {String} mode The transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation A function that receives the IDBObjectStore and returns an IDBRequest
+ * @returns {Promise} A Promise for the result of the request
+ */
+UserDataStore.prototype._transact = function (mode, operation) {
+    var that = this;
+    return openDatabase().then(function (db) {
+        return requestToPromise(operation(db.transaction(that.name, mode).objectStore(that.name)));
+    });
+};
+
+/**
+ * Writes the records kept in memory to localStorage, if that is the storage in use
+ */
+UserDataStore.prototype._persist = function () {
+    if (this.type === 'local_storage') {
+        settingsStore.setItem(this.name, JSON.stringify(Array.from(this._records.values())), Infinity);
+    }
+};
+
+/**
+ * Adds a record to the store, or replaces the record with the same key
+ * @param {Object} record The record to store (it must be serializable)
+ * @returns {Promise<Object>} A Promise for the stored record
+ */
+UserDataStore.prototype.put = function (record) {
+    var that = this;
+    var key = record[this.keyPath];
+    return this._whenReady().then(function () {
+        if (that.type === 'indexedDB') {
+            return that._transact('readwrite', function (store) {
+                return store.put(record, key);
+            });
+        }
+        that._records.set(key, record);
+        that._persist();
+    }).then(function () {
+        return record;
+    });
+};
+
+/**
+ * Gets a record from the store
+ * @param {String} key The key of the record
+ * @returns {Promise<Object>} A Promise for the record, or for null if there is no record with this key
+ */
+UserDataStore.prototype.get = function (key) {
+    var that = this;
+    return this._whenReady().then(function () {
+        if (that.type === 'indexedDB') {
+            return that._transact('readonly', function (store) {
+                return store.get(key);
+            });
+        }
+        return that._records.get(key);
+    }).then(function (record) {
+        return record || null;
+    });
+};
+
+/**
+ * Deletes a record from the store
+ * @param {String} key The key of the record
+ * @returns {Promise} A Promise that resolves when the record has been deleted
+ */
+UserDataStore.prototype.delete = function (key) {
+    var that = this;
+    return this._whenReady().then(function () {
+        if (that.type === 'indexedDB') {
+            return that._transact('readwrite', function (store) {
+                return store.delete(key);
+            });
+        }
+        that._records.delete(key);
+        that._persist();
+    });
+};
+
+/**
+ * Gets all the records in the store
+ * @returns {Promise<Array<Object>>} A Promise for the records (in no particular order)
+ */
+UserDataStore.prototype.getAll = function () {
+    var that = this;
+    return this._whenReady().then(function () {
+        if (that.type === 'indexedDB') {
+            return that._transact('readonly', function (store) {
+                return store.getAll();
+            });
+        }
+        return Array.from(that._records.values());
+    });
+};
+
+/**
+ * Deletes all the records in the store
+ * @returns {Promise} A Promise that resolves when the store has been emptied
+ */
+UserDataStore.prototype.clear = function () {
+    var that = this;
+    return this._whenReady().then(function () {
+        if (that.type === 'indexedDB') {
+            return that._transact('readwrite', function (store) {
+                return store.clear();
+            });
+        }
+        that._records.clear();
+        that._persist();
+    });
+};
+
+export default {
+    UserDataStore: UserDataStore
+};
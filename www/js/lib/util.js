@@ -84,6 +84,46 @@ function allCaseFirstLetters (string, caseMatchType) {
     }
 }
 
+// The combining marks that are separated from letters by Unicode normalization (NFD), such as accents and other diacritics
+var regExpCombiningMarks = /[\u0300-\u036f]/g;
+
+// The letters of the Latin, Greek and Cyrillic scripts that have diacritics, indexed by the letter without them (calculated when first used)
+var accentedLetters = null;
+
+/**
+ * Removes the accents and other diacritics from the letters of a string (e.g. "São Paulo" becomes "Sao Paulo")
+ * NB returns the string unchanged in browsers that do not support Unicode normalization
+ * @param {String} string The string
+ * @returns {String} The string without diacritics
+ */
+function removeDiacritics (string) {
+    if (!String.prototype.normalize) return string;
+    return string.normalize('NFD').replace(regExpCombiningMarks, '').normalize('NFC');
+}
+
+/**
+ * Lists the letters that are written as the given letter with accents or other diacritics (e.g. "ü" and "ú" for "u")
+ * @param {String} letter The letter without diacritics
+ * @returns {Array<String>} The letters with diacritics (an empty array if there are none)
+ */
+function getAccentedLetters (letter) {
+    if (!accentedLetters) {
+        accentedLetters = {};
+        // Latin-1 Supplement and Latin Extended-A and -B, Greek letters with tonos or dialytika, and Cyrillic
+        [[0xc0, 0x24f], [0x386, 0x3ce], [0x400, 0x4ff]].forEach(function (range) {
+            for (var code = range[0]; code <= range[1]; code++) {
+                var accented = String.fromCharCode(code);
+                var base = removeDiacritics(accented);
+                if (base !== accented && base.length === 1) {
+                    accentedLetters[base] = accentedLetters[base] || [];
+                    accentedLetters[base].push(accented);
+                }
+            }
+        });
+    }
+    return accentedLetters[letter] || [];
+}
+
 /**
  * Generates an array of Strings, where all duplicates have been removed
  * (without changing the order)
@@ -103,6 +143,28 @@ function removeDuplicateStringsInSmallArray (array) {
     return unique;
 }
 
+/**
+ * Merges several arrays by taking their elements in turn (the first element of each array, then the second element of each, and so on),
+ * so that the first elements of every array appear near the start of the result
+ * @param {Array<Array>} arrays The arrays to merge
+ * @param {Integer} maxLength The maximum number of elements to return
+ * @returns {Array} The interleaved elements
+ */
+function interleaveArrays (arrays, maxLength) {
+    var merged = [];
+    for (var rank = 0; merged.length < maxLength; rank++) {
+        var found = false;
+        for (var i = 0; i < arrays.length && merged.length < maxLength; i++) {
+            if (rank < arrays[i].length) {
+                merged.push(arrays[i][rank]);
+                found = true;
+            }
+        }
+        if (!found) break;
+    }
+    return merged;
+}
+
 /**
  * Utility function : return true if the given string ends with the suffix
  * @param {String} str
@@ -126,6 +188,22 @@ function readFloatFrom4Bytes (byteArray, firstIndex, littleEndian) {
     return float;
 }
 
+/**
+ * Read a little-endian unsigned integer of up to 8 bytes (integers larger than 2^53 lose precision)
+ * @param {Uint8Array} data The bytes
+ * @param {Integer} offset The index of the first byte of the integer
+ * @param {Integer} size The number of bytes of the integer
+ * @returns {Integer} The integer
+ */
+function readIntegerFrom (data, offset, size) {
+    var r = 0;
+    for (var i = 0; i < size; i++) {
+        var c = (data[offset + i] + 256) & 0xff;
+        r += leftShift(c, 8 * i);
+    }
+    return r;
+}
+
 /**
  * Reads a Uint8Array from the given file starting at byte offset begin until end
  * @param {File} file The file object to be read
@@ -155,6 +233,44 @@ function readFileSlice (file, begin, end) {
     }
 }
 
+/**
+ * Read a slice from a set of one or more files constituting a single archive (e.g. a split ZIM archive), and concatenate the data parts
+ * @param {Array<File>} files The files, in order
+ * @param {Integer} begin The absolute byte offset from which to start reading
+ * @param {Integer} end The absolute byte offset where reading should stop (the end byte is not read)
+ * @returns {Promise<Uint8Array>} A Promise for a Uint8Array containing the concatenated data
+ */
+function readSplitSlice (files, begin, end) {
+    var readRequests = [];
+    var currentOffset = 0;
+    for (var i = 0; i < files.length; currentOffset += files[i].size, ++i) {
+        var currentSize = files[i].size;
+        if (begin < currentOffset + currentSize && currentOffset < end) {
+            // DEV: Math.max is used below because we could be reading the last part of a blob split across two files,
+            // in which case (begin - currentOffset) could be negative!
+            var readStart = Math.max(0, begin - currentOffset);
+            var readEnd = Math.min(currentSize, end - currentOffset);
+            readRequests.push(readFileSlice(files[i], readStart, readEnd));
+        }
+    }
+    if (readRequests.length === 0) {
+        return Promise.resolve(new Uint8Array(0).buffer);
+    } else if (readRequests.length === 1) {
+        return readRequests[0];
+    } else {
+        // Wait until all are resolved and concatenate.
+        return Promise.all(readRequests).then(function (arrays) {
+            var concatenated = new Uint8Array(end - begin);
+            var offset = 0;
+            arrays.forEach(function (item) {
+                concatenated.set(new Uint8Array(item), offset);
+                offset += item.byteLength;
+            });
+            return concatenated;
+        });
+    }
+}
+
 /**
  * Performs a binary search on indices begin <= i < end, utilizing query(i) to return where to
  * continue the search.
@@ -259,6 +375,21 @@ function dataURItoUint8Array (dataURI) {
     }
 }
 
+/**
+ * Converts a Uint8Array to a base64-encoded data URI
+ * @param {Uint8Array} data The binary data to convert
+ * @param {String} mimetype The MIME type to declare in the data URI
+ * @returns {String} The data URI
+ */
+function uint8ArrayToDataURI (data, mimetype) {
+    var binaryString = '';
+    // Convert in chunks, because String.fromCharCode.apply has a limit on the number of arguments
+    for (var i = 0; i < data.length; i += 8192) {
+        binaryString += String.fromCharCode.apply(null, data.subarray(i, i + 8192));
+    }
+    return 'data:' + mimetype + ';base64,' + btoa(binaryString);
+}
+
 /**
  * Queues Promise Factories* to be resolved or rejected sequentially. This helps to avoid overlapping Promise functions.
  * Primarily used by uiUtil.systemAlert, to prevent alerts showing while others are being displayed.
@@ -334,10 +465,16 @@ function getJSONPObject (url) {
 export default {
     allCaseFirstLetters: allCaseFirstLetters,
     removeDuplicateStringsInSmallArray: removeDuplicateStringsInSmallArray,
+    removeDiacritics: removeDiacritics,
+    getAccentedLetters: getAccentedLetters,
+    interleaveArrays: interleaveArrays,
     dataURItoUint8Array: dataURItoUint8Array,
+    uint8ArrayToDataURI: uint8ArrayToDataURI,
     endsWith: endsWith,
     readFloatFrom4Bytes: readFloatFrom4Bytes,
+    readIntegerFrom: readIntegerFrom,
     readFileSlice: readFileSlice,
+    readSplitSlice: readSplitSlice,
     binarySearch: binarySearch,
     leftShift: leftShift,
     PromiseQueue: PromiseQueue,
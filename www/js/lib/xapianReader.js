@@ -0,0 +1,861 @@
+/**
+ * xapianReader.js : A JavaScript reader for the Xapian full-text index that is embedded in ZIM archives (X/fulltext/xapian). It reads
+ * the "glass" database format directly from the archive, so that full-text search is available when the libzim Worker cannot run.
+ * See https://xapian.org/docs/ for a description of the database and of the concepts used below (terms, postings, wdf).
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import inflate from './inflate.js';
+
+/**
+ * The postings of a term: the documents that contain it, in docid order
+ *
+ * @typedef XapianPostings
+ * @property {Integer} termFrequency The number of documents that contain the term
+ * @property {Array<Integer>} docids The ids of the documents
+ * @property {Array<Integer>} wdfs The number of times the term occurs in each document (its within-document frequency)
+ */
+
+/**
+ * A document found by a search
+ *
+ * @typedef XapianSearchResult
+ * @property {String} path The path of the entry in the archive, in the same form as the paths returned by libzim
+ * @property {Integer} score The relevance of the document to the search, as a percentage of the relevance of the best document
+ */
+
+// The magic string at the start of a glass database
+var GLASS_MAGIC = '\x0f\x0dXapian Glass';
+
+// The version header lists the root of each table in this order; we only need the postlist and document data tables
+var POSTLIST_TABLE = 0;
+var DOCDATA_TABLE = 1;
+var TABLE_COUNT = 6;
+
+// The maximum size of the version header, which is at the start of the first block
+var VERSION_HEADER_SIZE = 256;
+
+// Each block starts with its revision (4 bytes), its level (1 byte), two free space counts (2 bytes each) and the end of its
+// directory (2 bytes), followed by the directory, which lists the offset (2 bytes) of each item in the block in key order
+var BLOCK_LEVEL = 4;
+var BLOCK_DIR_END = 9;
+var BLOCK_DIR_START = 11;
+
+// A leaf item starts with 2 bytes combining these flags with the size of the item
+var I_COMPRESSED_BIT = 0x80;
+var I_LAST_BIT = 0x40;
+var I_FIRST_BIT = 0x20;
+var ITEM_SIZE_MASK = 0x1fff;
+
+// The keys of user metadata in the postlist table start with these bytes
+var METADATA_KEY_PREFIX = '\x00\xc0';
+
+// The lengths of the documents are stored in the postlist table as if they were the postings of a term with this key
+var DOCUMENT_LENGTHS_KEY = '\x00\xe0';
+
+// The number of blocks that each database keeps in memory
+var MAX_CACHED_BLOCKS = 32;
+
+// The maximum number of terms to which the last word of a search is expanded
+var MAX_PREFIX_TERMS = 20;
+
+// The BM25 parameters that control how quickly the weight of a term saturates as it occurs more often in a document, and how
+// much the weight is reduced in longer documents
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+
+// The number of best-matching documents whose lengths are read, to rank them more accurately
+var MAX_RANKED_DOCUMENTS = 1000;
+
+// The approximate length of a snippet, and of the text shown before the first match in it
+var SNIPPET_LENGTH = 200;
+var SNIPPET_CONTEXT = 40;
+
+// Characters that separate words in a search (an apostrophe can be part of a word)
+var regexpWordSeparators = /[\s!-&(-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+var regexpWords = /[^\s!-&(-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/g;
+
+// Elements of an article whose text is not displayed, and the entities that commonly occur in the text of articles
+var regexpHiddenHtml = /<(head|script|style|noscript|template)\b[^]*?<\/\1\s*>|<!--[^]*?-->/gi;
+var regexpHtmlTag = /<\/?[a-z!][^>]*>/gi;
+var regexpHtmlEntity = /&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos|nbsp));/gi;
+var HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Converts a string to a string with one character per byte of its UTF-8 encoding, which sorts in the same order as the keys
+ * of the database
+ * @param {String} string The string to convert
+ * @returns {String} The UTF-8 byte string
+ */
+function toByteString (string) {
+    return unescape(encodeURIComponent(string));
+}
+
+/**
+ * Converts a UTF-8 byte string back to a string
+ * @param {String} byteString The UTF-8 byte string
+ * @returns {String} The decoded string (or the byte string itself if it is not valid UTF-8)
+ */
+function fromByteString (byteString) {
+    try {
+        return decodeURIComponent(escape(byteString));
+    } catch (err) {
+        return byteString;
+    }
+}
+
+/**
+ * Splits a search into lowercase words
+ * @param {String} text The search
+ * @returns {Array<String>} The words
+ */
+function getWords (text) {
+    return text.toLocaleLowerCase().split(regexpWordSeparators).filter(function (word) {
+        return word;
+    });
+}
+
+/**
+ * Extracts the displayed text of an article from its HTML, without using the DOM (so that scripts and images in the article
+ * cannot be run or loaded)
+ * @param {String} html The HTML of the article
+ * @returns {String} The text, with runs of whitespace collapsed to a single space
+ */
+function getTextFromHtml (html) {
+    return html.replace(regexpHiddenHtml, ' ').replace(regexpHtmlTag, ' ').replace(regexpHtmlEntity, function (entity, decimal, hex, name) {
+        if (name) return HTML_ENTITIES[name.toLowerCase()];
+        var codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+        if (!codePoint || codePoint > 0x10ffff) return ' ';
+        if (codePoint < 0x10000) return String.fromCharCode(codePoint);
+        codePoint -= 0x10000;
+        return String.fromCharCode(0xD800 | (codePoint >> 10), 0xDC00 | (codePoint & 0x3FF));
+    }).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escapes the characters of a string that have a meaning in HTML
+ * @param {String} text The string
+ * @returns {String} The escaped string
+ */
+function escapeHtml (text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Makes a snippet of the text of a document that shows the words of a search in context, in the same form as the snippets of
+ * libzim: a short passage of HTML-escaped text, in which the matching words are wrapped in <b> tags, and which starts or ends
+ * with "..." if it is cut from a longer text. The passage that matches the most different words of the search is chosen. Words
+ * of the text match a word of the search as they do in search(), so that the stems found in the index are highlighted.
+ * @param {String} text The text of the document (see getTextFromHtml())
+ * @param {String} query The search
+ * @returns {String} The snippet
+ */
+function makeSnippet (text, query) {
+    var words = getWords(query);
+    var matches = [];
+    var match;
+    regexpWords.lastIndex = 0;
+    while ((match = regexpWords.exec(text))) {
+        var token = match[0].toLocaleLowerCase();
+        for (var i = 0; i < words.length; i++) {
+            var minLength = Math.max(Math.min(3, words[i].length), Math.floor(words[i].length / 2));
+            if (token.indexOf(words[i]) === 0 || (words[i].indexOf(token) === 0 && token.length >= minLength)) {
+                matches.push({ start: match.index, end: match.index + match[0].length, word: i });
+                break;
+            }
+        }
+    }
+    // Find the passage that contains the most different words of the search, then the most matches
+    var best = { start: 0, end: 0, words: 0, count: 0 };
+    matches.forEach(function (first, i) {
+        var found = [];
+        var passage = { start: first.start, end: first.end, words: 0, count: 0 };
+        for (var j = i; j < matches.length && matches[j].end - first.start <= SNIPPET_LENGTH - SNIPPET_CONTEXT; j++) {
+            if (found.indexOf(matches[j].word) < 0) found.push(matches[j].word);
+            passage.end = matches[j].end;
+            passage.count++;
+        }
+        passage.words = found.length;
+        if (passage.words > best.words || passage.words === best.words && passage.count > best.count) best = passage;
+    });
+    // Show some of the text before the passage, and fill the rest of the snippet with the text after it, cutting between words
+    var start = Math.max(0, best.start - SNIPPET_CONTEXT);
+    if (start) start = text.indexOf(' ', start) + 1 || best.start;
+    if (start > best.start) start = best.start;
+    var end = Math.min(text.length, Math.max(best.end, start + SNIPPET_LENGTH));
+    if (end < text.length) end = Math.max(best.end, text.lastIndexOf(' ', end));
+    var snippet = start ? '...' : '';
+    var position = start;
+    matches.forEach(function (match) {
+        if (match.start < start || match.end > end) return;
+        snippet += escapeHtml(text.substring(position, match.start)) + '<b>' + escapeHtml(text.substring(match.start, match.end)) + '</b>';
+        position = match.end;
+    });
+    return snippet + escapeHtml(text.substring(position, end)) + (end < text.length ? '...' : '');
+}
+
+/**
+ * Reads bytes from an array as a byte string
+ * @param {Uint8Array} bytes The array
+ * @param {Integer} start The index of the first byte
+ * @param {Integer} end The index after the last byte
+ * @returns {String} The byte string
+ */
+function readByteString (bytes, start, end) {
+    var string = '';
+    for (var i = start; i < end; i++) string += String.fromCharCode(bytes[i]);
+    return string;
+}
+
+function readUint16 (bytes, offset) {
+    return bytes[offset] << 8 | bytes[offset + 1];
+}
+
+function readUint32 (bytes, offset) {
+    return (bytes[offset] << 24 | bytes[offset + 1] << 16 | bytes[offset + 2] << 8 | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Encodes an integer so that the encoded values sort in numerical order (the form used for docids in keys). The top three bits
+ * of the first byte hold the number of bytes that follow it, minus one.
+ * @param {Integer} value The integer
+ * @returns {String} The encoded byte string
+ */
+function encodeSortableUint (value) {
+    var bytes = '';
+    do {
+        bytes = String.fromCharCode(value % 256) + bytes;
+        value = Math.floor(value / 256);
+    } while (value > 0x1f);
+    return String.fromCharCode((bytes.length - 1) << 5 | value) + bytes;
+}
+
+/**
+ * Decodes an integer encoded by encodeSortableUint()
+ * @param {String} byteString The byte string containing the encoded integer
+ * @param {Integer} position The position of the encoded integer in the string
+ * @returns {Integer} The integer
+ */
+function decodeSortableUint (byteString, position) {
+    var first = byteString.charCodeAt(position);
+    var value = first & 0x1f;
+    for (var i = 1; i <= (first >> 5) + 1; i++) value = value * 256 + byteString.charCodeAt(position + i);
+    return value;
+}
+
+/**
+ * Reads the variable-length values that Xapian packs into its tags and headers
+ * @param {Uint8Array} bytes The data to read
+ * @param {Integer} position The position at which to start reading
+ */
+function ByteReader (bytes, position) {
+    this.bytes = bytes;
+    this.position = position || 0;
+}
+
+/**
+ * Reads an unsigned integer stored seven bits per byte, least significant first, with the top bit set on all but the last byte
+ * @returns {Integer} The integer
+ */
+ByteReader.prototype.uint = function () {
+    var value = 0;
+    var multiplier = 1;
+    var byte;
+    do {
+        if (this.position >= this.bytes.length) throw new Error('Unexpected end of Xapian data');
+        byte = this.bytes[this.position++];
+        value += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+    return value;
+};
+
+ByteReader.prototype.bool = function () {
+    return this.bytes[this.position++] === 0x31; // '1'
+};
+
+ByteReader.prototype.skipString = function () {
+    var length = this.uint();
+    this.position += length;
+};
+
+ByteReader.prototype.atEnd = function () {
+    return this.position >= this.bytes.length;
+};
+
+/**
+ * Parses the leaf item at the current position of a cursor
+ * @param {Object} cursor The cursor (see XapianDatabase.prototype._seek())
+ * @returns {Object} The key, component number, flags and tag bytes of the item
+ */
+function getLeafItem (cursor) {
+    var leaf = cursor.path[cursor.path.length - 1];
+    var block = leaf.block;
+    var offset = readUint16(block, BLOCK_DIR_START + 2 * leaf.index);
+    var flags = block[offset];
+    var keyLength = block[offset + 2];
+    var keyEnd = offset + 3 + keyLength;
+    var isFirst = !!(flags & I_FIRST_BIT);
+    // Items that continue a tag split over several items store their component number after the key
+    var tagStart = isFirst ? keyEnd : keyEnd + 2;
+    return {
+        key: readByteString(block, offset + 3, keyEnd),
+        component: isFirst ? 1 : readUint16(block, keyEnd),
+        isLast: !!(flags & I_LAST_BIT),
+        isCompressed: !!(flags & I_COMPRESSED_BIT),
+        tag: block.subarray(tagStart, offset + (readUint16(block, offset) & ITEM_SIZE_MASK) + 3)
+    };
+}
+
+/**
+ * Reads a chunk of a list of postings. The first chunk of a list starts with the frequencies of the term and the docid of the first
+ * posting, while the docid of the first posting of each following chunk is part of the chunk's key.
+ * @param {Uint8Array} tag The tag of the chunk
+ * @param {Integer} firstDocid The docid of the first posting of the chunk, or 0 if this is the first chunk
+ * @param {XapianPostings} postings The postings to which those of the chunk are added
+ * @returns {Boolean} True if this is the last chunk of the list
+ */
+function readPostingChunk (tag, firstDocid, postings) {
+    var reader = new ByteReader(tag);
+    var docid = firstDocid;
+    if (!docid) {
+        postings.termFrequency = reader.uint();
+        reader.uint(); // The number of times that the term occurs in the whole database
+        docid = reader.uint() + 1;
+    }
+    var isLastChunk = reader.bool();
+    reader.uint(); // The increase in docid from the first to the last posting of the chunk
+    postings.docids.push(docid);
+    postings.wdfs.push(reader.uint());
+    while (!reader.atEnd()) {
+        docid += reader.uint() + 1;
+        postings.docids.push(docid);
+        postings.wdfs.push(reader.uint());
+    }
+    return isLastChunk;
+}
+
+/**
+ * Calculates the BM25 weight of a term in a document
+ * @param {Number} idf The inverse document frequency of the term
+ * @param {Integer} wdf The number of times the term occurs in the document
+ * @param {Number} lengthRatio The length of the document divided by the average length of documents
+ * @returns {Number} The weight
+ */
+function getBM25Weight (idf, wdf, lengthRatio) {
+    return idf * wdf * (BM25_K1 + 1) / (wdf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+}
+
+/**
+ * Compares two keys (and the components of the items that hold them) in the order in which they are stored
+ * @returns {Integer} A negative number, 0 or a positive number if the first key comes before, with or after the second key
+ */
+function compareKeys (key1, component1, key2, component2) {
+    if (key1 !== key2) return key1 < key2 ? -1 : 1;
+    return component1 - component2;
+}
+
+/**
+ * A Xapian glass database stored in an uncompressed cluster of a ZIM archive
+ * @param {ZIMFile} zimFile The ZIM file containing the database
+ * @param {Integer} offset The absolute offset of the database in the ZIM file
+ */
+function XapianDatabase (zimFile, offset) {
+    this.file = zimFile;
+    this.offset = offset;
+    this.tables = [];
+    this.blockSize = 0;
+    this.stopwords = [];
+    this._blocks = new Map();
+}
+
+/**
+ * Reads the version header of the database, which locates the root block of each table, and the metadata that affect searches
+ * @returns {Promise<XapianDatabase>} A Promise for the database, which rejects if the index is not a glass database
+ */
+XapianDatabase.prototype.open = function () {
+    var that = this;
+    return this.file._readSlice(this.offset, VERSION_HEADER_SIZE).then(function (header) {
+        header = new Uint8Array(header);
+        if (readByteString(header, 0, GLASS_MAGIC.length) !== GLASS_MAGIC) {
+            throw new Error('The full-text index is not a Xapian glass database');
+        }
+        // Skip the magic, the format version (2 bytes), the UUID (16 bytes) and the revision
+        var reader = new ByteReader(header, GLASS_MAGIC.length + 18);
+        reader.uint();
+        for (var i = 0; i < TABLE_COUNT; i++) {
+            var root = reader.uint();
+            var levelAndFlags = reader.uint();
+            var entryCount = reader.uint();
+            var blockSize = reader.uint() << 11;
+            reader.uint(); // The minimum size of tags that are compressed
+            reader.skipString(); // The free list
+            that.tables.push({
+                root: root,
+                // The lowest bit flags a table that has no blocks yet
+                isEmpty: !!(levelAndFlags & 1) || !entryCount,
+                entryCount: entryCount
+            });
+            if (!that.blockSize) that.blockSize = blockSize;
+        }
+        return Promise.all([that.getMetadata('stopwords'), that.getMetadata('data')]);
+    }).then(function (metadata) {
+        if (metadata[0]) that.stopwords = metadata[0].split(/\s+/);
+        // Recent indexes store the full path of each entry (including its namespace) as the document data
+        that.hasFullPaths = metadata[1] === 'fullPath';
+        return that;
+    });
+};
+
+/**
+ * Gets the number of documents in the database
+ * @returns {Integer} The number of documents
+ */
+XapianDatabase.prototype.getDocumentCount = function () {
+    return this.tables[DOCDATA_TABLE].entryCount;
+};
+
+/**
+ * Reads a block of the database, keeping the most recently read blocks in memory
+ * @param {Integer} number The number of the block
+ * @returns {Promise<Uint8Array>} A Promise for the block
+ */
+XapianDatabase.prototype._readBlock = function (number) {
+    var that = this;
+    var cached = this._blocks.get(number);
+    if (cached) return Promise.resolve(cached);
+    return this.file._readSlice(this.offset + number * this.blockSize, this.blockSize).then(function (block) {
+        block = new Uint8Array(block);
+        if (that._blocks.size >= MAX_CACHED_BLOCKS) that._blocks.delete(that._blocks.keys().next().value);
+        that._blocks.set(number, block);
+        return block;
+    });
+};
+
+/**
+ * Descends from a block to the first or last item of the leaves below it, adding the blocks to the path of a cursor
+ * @param {Array<Object>} path The path of the cursor (the block and item index at each level, from the root down)
+ * @param {Integer} blockNumber The number of the block
+ * @param {Boolean} toLastItem True to descend to the last item, false to descend to the first item
+ * @returns {Promise} A Promise that resolves when the path reaches a leaf
+ */
+XapianDatabase.prototype._descend = function (path, blockNumber, toLastItem) {
+    var that = this;
+    return this._readBlock(blockNumber).then(function (block) {
+        var index = toLastItem ? (readUint16(block, BLOCK_DIR_END) - BLOCK_DIR_START) / 2 - 1 : 0;
+        path.push({ block: block, index: index });
+        if (block[BLOCK_LEVEL]) return that._descend(path, readUint32(block, readUint16(block, BLOCK_DIR_START + 2 * index)), toLastItem);
+    });
+};
+
+/**
+ * Moves a cursor to the next or previous item of its table
+ * @param {Object} cursor The cursor (see _seek())
+ * @param {Integer} step 1 to move to the next item, -1 to move to the previous item
+ * @returns {Promise<Boolean>} A Promise that resolves to false if there are no more items in that direction
+ */
+XapianDatabase.prototype._move = function (cursor, step) {
+    var path = cursor.path;
+    for (var level = path.length - 1; level >= 0; level--) {
+        var entry = path[level];
+        entry.index += step;
+        if (entry.index >= 0 && entry.index < (readUint16(entry.block, BLOCK_DIR_END) - BLOCK_DIR_START) / 2) {
+            if (level === path.length - 1) return Promise.resolve(true);
+            // Go down the adjacent branch to its nearest leaf item
+            var childBlock = readUint32(entry.block, readUint16(entry.block, BLOCK_DIR_START + 2 * entry.index));
+            path.length = level + 1;
+            return this._descend(path, childBlock, step < 0).then(function () {
+                return true;
+            });
+        }
+    }
+    return Promise.resolve(false);
+};
+
+XapianDatabase.prototype._moveToNext = function (cursor) {
+    return this._move(cursor, 1);
+};
+
+/**
+ * Finds the first item of a table whose key is equal to or comes after the given key, or the last item whose key is equal to or
+ * comes before it
+ * @param {Integer} table The index of the table
+ * @param {String} key The key, as a byte string
+ * @param {Boolean} findLast True to find the last item whose key is not after the key (the cursor then points at the first item
+ *     of its tag)
+ * @returns {Promise<Object>} A Promise for a cursor pointing at the item, or for null if there is no such item
+ */
+XapianDatabase.prototype._seek = function (table, key, findLast) {
+    var that = this;
+    var root = this.tables[table];
+    if (root.isEmpty) return Promise.resolve(null);
+    var cursor = { path: [] };
+    var descend = function (blockNumber) {
+        return that._readBlock(blockNumber).then(function (block) {
+            var count = (readUint16(block, BLOCK_DIR_END) - BLOCK_DIR_START) / 2;
+            var low, high, middle, offset;
+            if (block[BLOCK_LEVEL]) {
+                // Find the last branch item whose key is not after the key (the first item of a branch block has no key, and
+                // comes before all keys). A branch item holds a block number (4 bytes), its key and a component number (2 bytes).
+                low = 0;
+                high = count - 1;
+                while (low < high) {
+                    middle = (low + high + 1) >> 1;
+                    offset = readUint16(block, BLOCK_DIR_START + 2 * middle);
+                    var keyEnd = offset + 5 + block[offset + 4];
+                    if (compareKeys(readByteString(block, offset + 5, keyEnd), readUint16(block, keyEnd), key, 1) <= 0) low = middle;
+                    else high = middle - 1;
+                }
+                cursor.path.push({ block: block, index: low });
+                return descend(readUint32(block, readUint16(block, BLOCK_DIR_START + 2 * low)));
+            }
+            // Find the first leaf item whose key is not before the key
+            var leaf = { block: block, index: 0 };
+            cursor.path.push(leaf);
+            low = 0;
+            high = count;
+            while (low < high) {
+                middle = (low + high) >> 1;
+                leaf.index = middle;
+                var item = getLeafItem(cursor);
+                if (compareKeys(item.key, item.component, key, 1) < 0) low = middle + 1;
+                else high = middle;
+            }
+            if (findLast) {
+                leaf.index = low;
+                if (low < count && getLeafItem(cursor).key === key) return cursor;
+                // Step back to the previous item (which may be in the previous leaf), and then to the first item of its tag
+                var moveToFirstComponent = function (found) {
+                    if (!found) return null;
+                    return getLeafItem(cursor).component > 1 ? that._move(cursor, -1).then(moveToFirstComponent) : cursor;
+                };
+                return that._move(cursor, -1).then(moveToFirstComponent);
+            }
+            if (low < count) {
+                leaf.index = low;
+                return cursor;
+            }
+            // All the items in this leaf come before the key, so the item we want is the first one of the next leaf
+            leaf.index = count - 1;
+            return that._moveToNext(cursor).then(function (found) {
+                return found ? cursor : null;
+            });
+        });
+    };
+    return descend(root.root);
+};
+
+/**
+ * Reads the tag of the item at the position of a cursor, joining the items over which it is split and decompressing it.
+ * The cursor is left at the last item of the tag.
+ * @param {Object} cursor The cursor, pointing at the first item of the tag
+ * @returns {Promise<Uint8Array>} A Promise for the tag
+ */
+XapianDatabase.prototype._readTag = function (cursor) {
+    var that = this;
+    var parts = [];
+    var length = 0;
+    var isCompressed = false;
+    var readPart = function () {
+        var item = getLeafItem(cursor);
+        isCompressed = isCompressed || item.isCompressed;
+        parts.push(item.tag);
+        length += item.tag.length;
+        if (item.isLast) {
+            var tag = parts[0];
+            if (parts.length > 1) {
+                tag = new Uint8Array(length);
+                for (var i = 0, position = 0; i < parts.length; position += parts[i].length, i++) tag.set(parts[i], position);
+            }
+            return isCompressed ? inflate.inflateRaw(tag) : tag;
+        }
+        return that._moveToNext(cursor).then(function (found) {
+            if (!found) throw new Error('A Xapian tag is incomplete');
+            return readPart();
+        });
+    };
+    return Promise.resolve().then(readPart);
+};
+
+/**
+ * Reads the tag stored under a key
+ * @param {Integer} table The index of the table
+ * @param {String} key The key, as a byte string
+ * @returns {Promise<Uint8Array>} A Promise for the tag, or for null if the key is not in the table
+ */
+XapianDatabase.prototype._getTag = function (table, key) {
+    var that = this;
+    return this._seek(table, key).then(function (cursor) {
+        if (!cursor || getLeafItem(cursor).key !== key) return null;
+        return that._readTag(cursor);
+    });
+};
+
+/**
+ * Reads an item of the metadata that the indexer stored in the database
+ * @param {String} name The name of the metadata item
+ * @returns {Promise<String>} A Promise for the value, or for null if it is not set
+ */
+XapianDatabase.prototype.getMetadata = function (name) {
+    return this._getTag(POSTLIST_TABLE, METADATA_KEY_PREFIX + toByteString(name)).then(function (tag) {
+        return tag ? fromByteString(readByteString(tag, 0, tag.length)) : null;
+    });
+};
+
+/**
+ * Reads the data stored with a document, which for a ZIM archive is the path of the entry
+ * @param {Integer} docid The id of the document
+ * @returns {Promise<String>} A Promise for the data, or for null if there is no such document
+ */
+XapianDatabase.prototype.getDocumentData = function (docid) {
+    return this._getTag(DOCDATA_TABLE, encodeSortableUint(docid)).then(function (tag) {
+        return tag ? fromByteString(readByteString(tag, 0, tag.length)) : null;
+    });
+};
+
+/**
+ * Reads the postings of a term. The postings are stored in chunks: the first chunk is stored under the term itself and starts
+ * with the frequencies of the term, and each following chunk is stored under the term and the docid of its first posting.
+ * @param {String} term The term
+ * @returns {Promise<XapianPostings>} A Promise for the postings, or for null if the term is not in the index
+ */
+XapianDatabase.prototype.getPostings = function (term) {
+    var that = this;
+    var key = toByteString(term);
+    return this._seek(POSTLIST_TABLE, key).then(function (cursor) {
+        if (!cursor || getLeafItem(cursor).key !== key) return null;
+        var postings = { termFrequency: 0, docids: [], wdfs: [] };
+        var readChunk = function (chunkKey) {
+            return that._readTag(cursor).then(function (tag) {
+                // The keys of the following chunks separate the term from the docid with a zero byte
+                if (readPostingChunk(tag, chunkKey === key ? 0 : decodeSortableUint(chunkKey, key.length + 1), postings)) return postings;
+                return that._moveToNext(cursor).then(function (found) {
+                    var nextKey = found ? getLeafItem(cursor).key : '';
+                    if (nextKey.indexOf(key + '\x00') !== 0) throw new Error('A chunk of the postings of "' + term + '" is missing');
+                    return readChunk(nextKey);
+                });
+            });
+        };
+        return readChunk(key);
+    });
+};
+
+/**
+ * Reads the lengths (the numbers of terms) of some documents
+ * @param {Array<Integer>} docids The ids of the documents, in ascending order
+ * @returns {Promise<Map<Integer, Integer>>} A Promise for the length of each document (documents whose length is not recorded
+ *     in the index are left out)
+ */
+XapianDatabase.prototype.getDocumentLengths = function (docids) {
+    var that = this;
+    var lengths = new Map();
+    var next = 0;
+    var readChunk = function () {
+        if (next >= docids.length) return lengths;
+        // Find the chunk that would contain the next document
+        return that._seek(POSTLIST_TABLE, DOCUMENT_LENGTHS_KEY + encodeSortableUint(docids[next]), true).then(function (cursor) {
+            var chunkKey = cursor ? getLeafItem(cursor).key : '';
+            if (chunkKey.indexOf(DOCUMENT_LENGTHS_KEY) !== 0) return lengths;
+            return that._readTag(cursor).then(function (tag) {
+                var chunk = { docids: [], wdfs: [] };
+                readPostingChunk(tag, chunkKey === DOCUMENT_LENGTHS_KEY ? 0 : decodeSortableUint(chunkKey, DOCUMENT_LENGTHS_KEY.length), chunk);
+                var first = next;
+                var lastDocid = chunk.docids[chunk.docids.length - 1];
+                for (var i = 0; next < docids.length && docids[next] <= lastDocid; next++) {
+                    while (chunk.docids[i] < docids[next]) i++;
+                    if (chunk.docids[i] === docids[next]) lengths.set(docids[next], chunk.wdfs[i]);
+                }
+                // A document that falls between two chunks is not in the index
+                if (next === first) next++;
+                return readChunk();
+            });
+        });
+    };
+    return Promise.resolve().then(readChunk);
+};
+
+/**
+ * Checks whether a term is in the index
+ * @param {String} term The term
+ * @returns {Promise<Boolean>} A Promise that resolves to true if the term is in the index
+ */
+XapianDatabase.prototype.hasTerm = function (term) {
+    var key = toByteString(term);
+    return this._seek(POSTLIST_TABLE, key).then(function (cursor) {
+        return !!cursor && getLeafItem(cursor).key === key;
+    });
+};
+
+/**
+ * Lists the terms of the index that start with a prefix, in sorted order
+ * @param {String} prefix The prefix
+ * @param {Integer} limit The maximum number of terms to list
+ * @returns {Promise<Array<String>>} A Promise for the terms
+ */
+XapianDatabase.prototype.getTermsWithPrefix = function (prefix, limit) {
+    var that = this;
+    var keyPrefix = toByteString(prefix);
+    var terms = [];
+    var findNext = function (key) {
+        return that._seek(POSTLIST_TABLE, key).then(function (cursor) {
+            if (!cursor) return terms;
+            var termKey = getLeafItem(cursor).key;
+            if (termKey.indexOf(keyPrefix) !== 0) return terms;
+            terms.push(fromByteString(termKey));
+            if (terms.length >= limit) return terms;
+            // Skip the other chunks of this term's postings, which are stored under the term followed by a zero byte
+            return findNext(termKey + '\x01');
+        });
+    };
+    return findNext(keyPrefix);
+};
+
+/**
+ * Finds the terms of the index that match a word of a search. Indexes built by libzim may only contain the stems of words (e.g.
+ * "train" for "training"), and we have no stemmer for the archive's language, so we match the terms that start the word (and are
+ * at least half as long), as well as the terms that the word starts if it is still being typed.
+ * @param {String} word The lowercase word
+ * @param {Boolean} isPartial True if the word may be the start of a longer word
+ * @returns {Promise<Array<String>>} A Promise for the matching terms
+ */
+XapianDatabase.prototype._getTermsForWord = function (word, isPartial) {
+    var that = this;
+    var minLength = Math.max(Math.min(3, word.length), Math.floor(word.length / 2));
+    var stems = [];
+    for (var length = word.length; length >= minLength; length--) stems.push(word.substring(0, length));
+    return Promise.all([
+        Promise.all(stems.map(function (stem) {
+            return that.hasTerm(stem);
+        })),
+        isPartial ? this.getTermsWithPrefix(word, MAX_PREFIX_TERMS) : []
+    ]).then(function (found) {
+        var terms = found[1];
+        stems.forEach(function (stem, i) {
+            if (found[0][i] && terms.indexOf(stem) < 0) terms.push(stem);
+        });
+        return terms;
+    });
+};
+
+/**
+ * Searches the index for documents that contain all the words of a search. As in libzim, the words are matched case-insensitively
+ * and common words are ignored, and the last word is also matched as the start of longer words while the user is still typing it.
+ * Documents are ranked with the BM25 formula.
+ * @param {String} text The search
+ * @param {Integer} numResults The maximum number of results
+ * @param {Integer} start The rank of the first result to return, to get the later pages of results (optional, defaults to 0)
+ * @returns {Promise<{entries: Array<XapianSearchResult>}>} A Promise for the results, in the form returned by the libzim Worker
+ */
+XapianDatabase.prototype.search = function (text, numResults, start) {
+    var that = this;
+    start = start || 0;
+    var words = getWords(text);
+    var significantWords = words.filter(function (word) {
+        return that.stopwords.indexOf(word) < 0;
+    });
+    if (significantWords.length) words = significantWords;
+    if (!words.length) return Promise.resolve({ entries: [] });
+    var isLastWordComplete = /\s$/.test(text);
+    var documentCount = this.getDocumentCount();
+    return Promise.all(words.map(function (word, i) {
+        return that._getTermsForWord(word, i === words.length - 1 && !isLastWordComplete).then(function (terms) {
+            return Promise.all(terms.map(function (term) {
+                return that.getPostings(term);
+            }));
+        }).then(function (postingsOfTerms) {
+            // Match each document with the term of this word that weighs most in it
+            var matches = new Map();
+            postingsOfTerms.forEach(function (postings) {
+                if (!postings) return;
+                var idf = Math.log(1 + (documentCount - postings.termFrequency + 0.5) / (postings.termFrequency + 0.5));
+                postings.docids.forEach(function (docid, j) {
+                    var match = { idf: idf, wdf: postings.wdfs[j] };
+                    match.weight = getBM25Weight(match.idf, match.wdf, 1);
+                    if (!matches.has(docid) || matches.get(docid).weight < match.weight) matches.set(docid, match);
+                });
+            });
+            return matches;
+        });
+    })).then(function (matchesOfWords) {
+        // Keep the documents that match every word, starting from the word that matches fewest documents
+        matchesOfWords.sort(function (a, b) {
+            return a.size - b.size;
+        });
+        var results = [];
+        matchesOfWords[0].forEach(function (match, docid) {
+            var result = { docid: docid, matches: [match], score: match.weight };
+            for (var i = 1; i < matchesOfWords.length; i++) {
+                match = matchesOfWords[i].get(docid);
+                if (!match) return;
+                result.matches.push(match);
+                result.score += match.weight;
+            }
+            results.push(result);
+        });
+        var byScore = function (a, b) {
+            return b.score - a.score || a.docid - b.docid;
+        };
+        // Rank the best documents again, taking into account that a term weighs less in a longer document
+        results = results.sort(byScore).slice(0, MAX_RANKED_DOCUMENTS);
+        return that.getDocumentLengths(results.map(function (result) {
+            return result.docid;
+        }).sort(function (a, b) {
+            return a - b;
+        })).then(function (lengths) {
+            var totalLength = 0;
+            lengths.forEach(function (length) {
+                totalLength += length;
+            });
+            var averageLength = totalLength / lengths.size;
+            results.forEach(function (result) {
+                var lengthRatio = lengths.has(result.docid) ? lengths.get(result.docid) / averageLength : 1;
+                result.score = 0;
+                result.matches.forEach(function (match) {
+                    result.score += getBM25Weight(match.idf, match.wdf, lengthRatio);
+                });
+            });
+            results.sort(byScore);
+            return Promise.all(results.slice(start, start + numResults).map(function (result) {
+                return that.getDocumentData(result.docid).then(function (path) {
+                    // libzim returns the paths of entries in the content namespace without the namespace
+                    if (that.hasFullPaths && path) path = path.replace(/^C\//, '');
+                    // Like libzim, report the relevance of each document as a percentage (every document found is at least a little relevant)
+                    return { path: path, score: Math.max(1, Math.round(100 * result.score / results[0].score)) };
+                });
+            }));
+        });
+    }).then(function (entries) {
+        return {
+            entries: entries.filter(function (entry) {
+                return entry.path;
+            })
+        };
+    });
+};
+
+export default {
+    XapianDatabase: XapianDatabase,
+    encodeSortableUint: encodeSortableUint,
+    decodeSortableUint: decodeSortableUint,
+    getTextFromHtml: getTextFromHtml,
+    makeSnippet: makeSnippet
+};
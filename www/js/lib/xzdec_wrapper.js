@@ -23,7 +23,7 @@
 
 /* global self, params */
 
-import uiUtil from './uiUtil.js';
+import decoderPool from './decoderPool.js';
 import XZASM from './xzdec-asm.js';
 import XZWASM from './xzdec-wasm.js';
 
@@ -53,25 +53,30 @@ if ('WebAssembly' in self) {
 var xzdec;
 
 var loadASM = function () {
-    XZASM().then(function (instance) {
+    return XZASM().then(function (instance) {
         params.decompressorAPI.assemblerMachineType = XZMachineType;
         xzdec = instance;
-    }).catch(function (err) {
-        uiUtil.reportAssemblerErrorToAPIStatusPanel('XZ', err, XZMachineType);
     });
 };
 
+/**
+ * A Promise that resolves when the decoder has been instantiated, or rejects if neither the WASM nor the ASM decoder could be loaded.
+ * DEV: the error is reported to the API Status Panel by zimfile.js, because this decoder also runs in Workers (see decoderWorker.js)
+ * @type Promise
+ */
+var ready;
+
 if (XZMachineType === 'WASM') {
-    XZWASM().then(function (instance) {
+    ready = XZWASM().then(function (instance) {
         params.decompressorAPI.assemblerMachineType = XZMachineType;
         xzdec = instance;
     }).catch(function (err) {
         console.warn('WASM xz decoder failed to load, falling back to ASM', err);
         XZMachineType = 'ASM';
-        loadASM();
+        return loadASM();
     });
 } else {
-    loadASM();
+    ready = loadASM();
 };
 
 /**
@@ -131,12 +136,27 @@ Decompressor.prototype.readSlice = function (offset, length) {
 
 /**
  * Reads stream of data from file offset for length of bytes to send to the decompresor
- * This function ensures that only one decompression runs at a time
+ * The data are decompressed in a Worker of the decoder pool, so that several clusters can be decompressed at the same time, or
+ * on this thread if Workers cannot be used (see decoderPool.js)
  * @param {Integer} offset The file offset at which to begin reading compressed data
  * @param {Integer} length The amount of data to read
  * @returns {Promise} A Promise for the read data
  */
 Decompressor.prototype.readSliceSingleThread = function (offset, length) {
+    var that = this;
+    return decoderPool.decompress('xz', this._reader, offset, length, function () {
+        return that._readSliceWhenIdle(offset, length);
+    });
+};
+
+/**
+ * Reads stream of data from file offset for length of bytes to send to the decompresor, on this thread
+ * This function ensures that only one decompression runs at a time
+ * @param {Integer} offset The file offset at which to begin reading compressed data
+ * @param {Integer} length The amount of data to read
+ * @returns {Promise} A Promise for the read data
+ */
+Decompressor.prototype._readSliceWhenIdle = function (offset, length) {
     // Tests whether the decompressor is ready (initiated) and not busy
     if (xzdec && !busy) {
         return this.readSlice(offset, length);
@@ -147,7 +167,7 @@ Decompressor.prototype.readSliceSingleThread = function (offset, length) {
         var that = this;
         return new Promise(function (resolve, reject) {
             setTimeout(function () {
-                that.readSliceSingleThread(offset, length).then(resolve, reject);
+                that._readSliceWhenIdle(offset, length).then(resolve, reject);
             }, DELAY_WAITING_IDLE_DECOMPRESSOR);
         });
     }
@@ -215,5 +235,6 @@ Decompressor.prototype._fillInBufferIfNeeded = function () {
 };
 
 export default {
-    Decompressor: Decompressor
+    Decompressor: Decompressor,
+    ready: ready
 }
@@ -30,6 +30,11 @@ import util from './util.js';
 import uiUtil from './uiUtil.js';
 import utf8 from './utf8.js';
 import translateUI from './translateUI.js';
+import xapianReader from './xapianReader.js';
+import searchQuery from './searchQuery.js';
+import titleSearch from './titleSearch.js';
+import archiveIndexCache from './archiveIndexCache.js';
+import FileCache from './filecache.js';
 
 /**
  * ZIM Archive
@@ -43,7 +48,9 @@ import translateUI from './translateUI.js';
  * @property {String} language Language of the content
  * @property {String} name Name of the archive
  * @property {String} publisher Publisher of the content
+ * @property {String} relation URI of an external resource related to the content (e.g. the website it was scraped from)
  * @property {String} title Title of the content
+ * @property {String} illustration Extended property: the archive's 48x48 illustration (or legacy favicon) as a data URI (calculated entry, see getIllustration())
  * @property {String} zimType Extended property: currently either 'open' for OpenZIM file type, or 'zimit' for the warc2zim file type used by Zimit
  */
 
@@ -62,6 +69,68 @@ import translateUI from './translateUI.js';
  */
 var LZ;
 
+/**
+ * @param {Worker|Boolean} titleSearchWorker A Web Worker to search the title index (see titleSearchWorker.js), null until it is
+ *     needed, or false if it cannot be used
+ */
+var titleSearchWorker = null;
+
+// The number of searches sent to the title search Worker, which gives each search its id, and the searches in progress, keyed by id,
+// each with its appstate.search object and the function that handles its messages
+var titleSearchRequests = 0;
+var pendingTitleSearches = {};
+
+/**
+ * @param {CacheStats} titleSearchCacheStats The statistics of the block cache of the title search Worker (see filecache.js), as reported
+ *     at the end of its last search, or null if it has not searched yet
+ */
+var titleSearchCacheStats = null;
+
+/**
+ * Gets the Worker that searches the title index, starting it the first time it is needed. If the browser cannot run it (it is a
+ * module Worker, which older browsers do not support), the searches in progress are done on the main thread instead.
+ * DEV: the bundled builds of the app load a bundled classic Worker instead of the module Worker (see rollup.config.js)
+ * @returns {Worker} The Worker, or null if it cannot be used
+ */
+function getTitleSearchWorker () {
+    if (titleSearchWorker !== null) return titleSearchWorker || null;
+    titleSearchWorker = false;
+    if (typeof Worker === 'undefined') return null;
+    var worker;
+    try {
+        worker = new Worker(new URL('titleSearchWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('The title search Worker could not be started, so titles will be searched on the main thread', err);
+        return null;
+    }
+    worker.addEventListener('message', function (event) {
+        var titleSearchRequest = pendingTitleSearches[event.data.id];
+        if (titleSearchRequest) titleSearchRequest.handleMessage(event.data);
+    });
+    worker.addEventListener('error', function (err) {
+        console.warn('The title search Worker failed, so titles will be searched on the main thread', err);
+        titleSearchWorker = false;
+        worker.terminate();
+        titleSearchCacheStats = null;
+        FileCache.setCacheSize(params.fileCacheSize, false);
+        Object.keys(pendingTitleSearches).forEach(function (id) {
+            pendingTitleSearches[id].handleMessage({ action: 'error', error: err.message });
+        });
+    });
+    titleSearchWorker = worker;
+    // The block cache of the main thread now shares the size set by the user with that of the Worker
+    FileCache.setCacheSize(params.fileCacheSize, true);
+    return worker;
+}
+
+/**
+ * Gets the statistics of the block cache of the title search Worker, which has its own copy of filecache.js
+ * @returns {CacheStats} The statistics reported at the end of the last search of the Worker, or null if it has not searched yet
+ */
+function getTitleSearchCacheStats () {
+    return titleSearchCacheStats;
+}
+
 /**
  * Creates a ZIM archive object to access the ZIM file at the given path in the given storage.
  * This constructor can also be used with a single File parameter.
@@ -70,8 +139,11 @@ var LZ;
  * @param {String} path The Storage path for an OS that requires this to be specified
  * @param {callbackZIMArchive} callbackReady The function to call when the archive is ready to use
  * @param {callbackZIMArchive} callbackError The function to call when an error occurs
+ * @param {Boolean} inBackground Optional: true if the archive is opened in the background, without being selected (e.g. to search its titles
+ *     along with those of the selected archive). It is then read with the JavaScript backend only, and leaves the libzim Worker, the search
+ *     provider and the ZIM type of the selected archive as they are
  */
-function ZIMArchive (storage, path, callbackReady, callbackError) {
+function ZIMArchive (storage, path, callbackReady, callbackError, inBackground) {
     var that = this;
     that.file = null;
     var whenZimReady = function () {
@@ -87,13 +159,14 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
         ]).then(function () {
             console.debug('ZIMArchive ready, metadata will be added in the background');
             // Add non-time-critical metadata to archive in background so as not to delay opening of the archive
-            // DEV: Note that it does not make sense to extract illustration (icon) metadata here. Instead, if you implement use of the illustration
-            // metadata as icons for the loaded ZIM [kiwix-js #886], you should simply use the ZIMArchive.getMetadata() function when needed
+            // DEV: Note that it does not make sense to extract illustration (icon) metadata here. Instead, use ZIMArchive.getIllustration()
+            // when needed, which caches the illustration once it has been read [kiwix-js #886]
             setTimeout(function () {
                 Promise.all([
                     that.addMetadataToZIMFile('Counter'),
                     that.addMetadataToZIMFile('Date'),
                     that.addMetadataToZIMFile('Description'),
+                    that.addMetadataToZIMFile('Relation'),
                     that.addMetadataToZIMFile('Source'),
                     that.addMetadataToZIMFile('Title')
                 ]).then(function () {
@@ -115,10 +188,12 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
     var createZimfile = function (fileArray) {
         return zimfile.fromFileArray(fileArray).then(function (file) {
             that.file = file;
-            // Clear the previous libzimWoker
-            LZ = null;
-            // Set a global parameter to report the search provider type
-            params.searchProvider = 'title';
+            if (!inBackground) {
+                // Clear the previous libzimWoker
+                LZ = null;
+                // Set a global parameter to report the search provider type
+                params.searchProvider = 'title';
+            }
             // File has been created, but we need to add any Listings which extend the archive metadata
             return that.file.setListings([
                 // Provide here any Listings for which we need to extract metadata as key:value obects to be added to the file
@@ -132,9 +207,11 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                 },
                 {
                     // This defines a new version 1 index that is present in no-namespace ZIMs, and contains a title-ordered list of articles
+                    // (the front articles, which are those that title search should find)
                     path: 'X/listing/titleOrdered/v1',
                     ptrName: 'articlePtrPos',
-                    countName: 'articleCount'
+                    countName: 'articleCount',
+                    minorVersion: 1
                 },
                 {
                     // This tests for and specifies the existence of any Xapian Full Text Index
@@ -144,6 +221,12 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                 }
             ]).then(function () {
                 that.libzimReady = null;
+                if (inBackground) {
+                    return that.addMetadataToZIMFile('Scraper').then(function () {
+                        that.setZimType();
+                        whenZimReady();
+                    });
+                }
                 // There is currently an exception thrown in the libzim wasm if we attempt to load a split ZIM archive, so we work around
                 // In case of a split ZIM, It will not be loaded properly by libzim if libzim is enabled
                 var isSplitZim = /\.zima.$/i.test(that.file._files[0].name);
@@ -154,6 +237,7 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                     if (libzimReaderType === 'default') libzimReaderType = 'WebAssembly' in self ? 'wasm.dev' : 'asm.dev';
                     console.log('[DEBUG] Instantiating libzim ' + libzimReaderType + ' Web Worker...');
                     LZ = new Worker('js/lib/libzim-' + libzimReaderType + '.js');
+                    that._libzimWorker = LZ;
                     that.callLibzimWorker({ action: 'init', files: that.file._files }).then(function () {
                         that.libzimReady = 'ready';
                         // If user is using libzim for reading the file, we have delayed the callback till now
@@ -162,9 +246,12 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                         // Update the API panel
                         uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
                     }).catch(function (err) {
-                        uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider + ': ERROR');
                         console.error('The libzim worker could not be instantiated!', err);
                         that.libzimReady = 'error';
+                        // Fall back to reading the full-text index with JavaScript
+                        return that.openXapianIndex().then(function (opened) {
+                            uiUtil.reportSearchProviderToAPIStatusPanel(opened ? params.searchProvider : params.searchProvider + ': ERROR');
+                        });
                     });
                 } else {
                     // var message = 'Full text searching is not available because ';
@@ -182,6 +269,12 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                         params.searchProvider += ': unknown';
                     }
                     uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+                    // Without libzim, we can still search the full-text index by reading it with JavaScript
+                    if (that.file.fullTextIndex) {
+                        that.openXapianIndex().then(function (opened) {
+                            if (opened) uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+                        });
+                    }
                 }
                 // Set the archive file type ('open', 'zimit' or 'zimit2')
                 return that.addMetadataToZIMFile('Scraper').then(function () {
@@ -275,14 +368,25 @@ ZIMArchive.prototype.setZimType = function () {
 };
 
 /**
- * Looks for the DirEntry of the main page
- * @param {callbackDirEntry} callback
- * @returns {Promise} that resolves to the DirEntry
+ * Looks for the DirEntry of the main page. In archives with the new namespaces (minor version 1), the well-known entry W/mainPage
+ * (a redirect to the main page) takes precedence over the main page given in the archive header, as in libzim.
+ * See https://wiki.openzim.org/wiki/Well_known_entries
+ * @param {callbackDirEntry} callback (optional)
+ * @returns {Promise<DirEntry>} that resolves to the DirEntry, which may be a redirect, or to null if the archive has no main page
  */
 ZIMArchive.prototype.getMainPageDirEntry = function (callback) {
     if (this.isReady()) {
-        var mainPageUrlIndex = this.file.mainPage;
-        this.file.dirEntryByUrlIndex(mainPageUrlIndex).then(callback);
+        var that = this;
+        var wellKnownMainPage = this.file.minorVersion > 0 ? this.getDirEntryByPath('W/mainPage') : Promise.resolve(null);
+        return wellKnownMainPage.then(function (dirEntry) {
+            if (dirEntry) return dirEntry;
+            // The header gives no main page if its index is 0xffffffff
+            if (that.file.mainPage >= that.file.entryCount) return null;
+            return that.file.dirEntryByUrlIndex(that.file.mainPage);
+        }).then(function (dirEntry) {
+            if (callback) callback(dirEntry);
+            return dirEntry;
+        });
     }
 };
 
@@ -306,6 +410,9 @@ ZIMArchive.prototype.parseDirEntryId = function (dirEntryId) {
  * So, as workaround, we try several variants of the prefix to find more results.
  * This should be enhanced when the ZIM format will be modified to store normalized titles
  * See https://phabricator.wikimedia.org/T108536
+ * DEV: libzim's SuggestionSearcher would also find words in the middle of titles, but the libzim Worker only has the actions init, search,
+ * getEntryByPath and getArticleCount, and its binary does not bind the suggestion API. Suggestions as the user types can only be added
+ * once the Worker is rebuilt with a suggest action, and this search should then remain the fallback when libzim is not available.
  *
  * @param {Object} search The current appstate.search object
  * @param {callbackDirEntryList} callback The function to call with the result
@@ -320,8 +427,10 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
     var startArray = [];
     var dirEntries = [];
     search.scanCount = 0;
+    search.scannedPrefixes = [];
+    search.accentChecks = 0;
     // Launch a full-text search if possible
-    if (LZ) {
+    if (that.canSearchFullText()) {
         that.findDirEntriesFromFullTextSearch(search, dirEntries).then(function (fullTextDirEntries) {
             // If user initiated a new search, cancel this one
             // In particular, do not set the search status back to 'complete'
@@ -357,12 +466,22 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
             )
         )
     );
+    // If there are not enough results, the search is then repeated with other accents (only as typed, with an initial uppercase letter
+    // and in lowercase, because each of these searches needs several binary searches), so that titles matching exactly come first.
+    // As this is slow, it is only done if the prefix has accents (which may not be those of the titles), or if nothing was found.
+    var accentedVariants = util.removeDuplicateStringsInSmallArray(startArray);
+    var hasAccents = util.removeDiacritics(search.prefix) !== search.prefix;
+    var accented = false;
     function searchNextVariant () {
         // If user has initiated a new search, cancel this one
         if (search.status === 'cancelled') return callback([], search);
+        if (prefixVariants.length === 0 && !accented && dirEntries.length < search.size && (hasAccents || !dirEntries.length)) {
+            accented = true;
+            prefixVariants = accentedVariants;
+        }
         if (prefixVariants.length === 0 || dirEntries.length >= search.size) {
             // We have found all the title-search entries we are going to get, so indicate search type if we're still searching
-            if (LZ && search.status !== 'complete') search.type = 'fulltext';
+            if (that.canSearchFullText() && search.status !== 'complete') search.type = 'fulltext';
             else search.status = 'complete';
             return callback(dirEntries, search);
         }
@@ -383,12 +502,48 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
                     search.found = dirEntries.length;
                     if (!noInterim && newDirEntries.length) return callback(dirEntries, search);
                 } else return searchNextVariant();
-            }
+            }, accented
         );
     }
     searchNextVariant();
 };
 
+/**
+ * Checks whether the libzim Worker was instantiated for this archive. There is only one Worker, which belongs to the archive that
+ * was loaded most recently, so any other open archive must be read and searched with the JavaScript backend.
+ * @returns {Boolean} True if the libzim Worker can be used with this archive
+ */
+ZIMArchive.prototype.hasLibzimWorker = function () {
+    return !!LZ && LZ === this._libzimWorker;
+};
+
+/**
+ * Opens the archive's Xapian full-text index with the JavaScript reader, so that it can be searched without libzim. The reader needs
+ * the offset of the index in the archive, which is only known if the index is stored in an uncompressed cluster (as libzim does).
+ * @returns {Promise<Boolean>} A Promise that resolves to true if the index can be searched
+ */
+ZIMArchive.prototype.openXapianIndex = function () {
+    var that = this;
+    if (typeof this.file.fullTextIndex !== 'number') return Promise.resolve(false);
+    var xapianIndex = new xapianReader.XapianDatabase(this.file, this.file.fullTextIndex);
+    return xapianIndex.open().then(function () {
+        that._xapianIndex = xapianIndex;
+        params.searchProvider = 'fulltext: js';
+        return true;
+    }).catch(function (err) {
+        console.warn('The full-text index could not be read with JavaScript', err);
+        return false;
+    });
+};
+
+/**
+ * Checks whether the archive's full-text index can be searched, either by the libzim Worker or by the JavaScript reader
+ * @returns {Boolean} True if full-text search is available for this archive
+ */
+ZIMArchive.prototype.canSearchFullText = function () {
+    return this.hasLibzimWorker() || !!this._xapianIndex;
+};
+
 /**
  * A method to return the namespace in the ZIM file that contains the primary user content. In old-format ZIM files (minor
  * version 0) there are a number of content namespaces, but the primary one in which to search for titles is 'A'. In new-format
@@ -411,74 +566,148 @@ ZIMArchive.prototype.getContentNamespace = function () {
 };
 
 /**
- * Look for dirEntries with title starting with the given prefix (case-sensitive)
+ * Look for dirEntries with title starting with the given prefix (case-sensitive), or with the prefix written with other accents or
+ * diacritics (see titleSearch.js). The search runs in a Worker if possible, so that reading the title index does not block the user
+ * interface, and otherwise on the main thread.
  *
  * @param {String} prefix The case-sensitive value against which dirEntry titles (or url) will be compared
  * @param {Object} search The appstate.search object (for comparison, so that we can cancel long binary searches)
  * @param {callbackDirEntryList} callback The function to call with the array of dirEntries with titles that begin with prefix
+ * @param {Boolean} accented If true, only look for the titles that start with the prefix written with other accents
  */
-ZIMArchive.prototype.findDirEntriesWithPrefixCaseSensitive = function (prefix, search, callback) {
+ZIMArchive.prototype.findDirEntriesWithPrefixCaseSensitive = function (prefix, search, callback, accented) {
     var that = this;
     var cns = this.getContentNamespace();
-    // Search v1 article listing if available, otherwise fallback to v0
-    var articleCount = this.file.articleCount || this.file.entryCount;
-    util.binarySearch(0, articleCount, function (i) {
-        return that.file.dirEntryByTitleIndex(i).then(function (dirEntry) {
-            if (search.status === 'cancelled') return 0;
-            var ns = dirEntry.namespace;
-            // DEV: This search is redundant if we managed to populate articlePtrLst and articleCount, but it only takes two instructions and
-            // provides maximum compatibility with rare ZIMs where attempts to find first and last article (in zimArchive.js) may have failed
-            if (ns < cns) return 1;
-            if (ns > cns) return -1;
-            // We should now be in namespace A (old format ZIM) or C (new format ZIM)
-            return prefix <= dirEntry.getTitleOrUrl() ? -1 : 1;
-        });
-    }, true).then(function (firstIndex) {
-        var vDirEntries = [];
-        var addDirEntries = function (index, lastTitle) {
-            if (search.status === 'cancelled' || search.found >= search.size || index >= articleCount ||
-            lastTitle && !~lastTitle.indexOf(prefix)) {
-                // DEV: Diagnostics to be removed before merge
-                if (vDirEntries.length) {
-                    console.debug('Scanned ' + (index - firstIndex) + ' titles for "' + prefix +
-                        '" (found ' + vDirEntries.length + ' match' + (vDirEntries.length === 1 ? ')' : 'es)'));
-                }
-                return {
-                    dirEntries: vDirEntries,
-                    nextStart: index
-                };
-            }
-            return that.file.dirEntryByTitleIndex(index).then(function (dirEntry) {
-                search.scanCount++;
-                var title = dirEntry.getTitleOrUrl();
-                // Only return dirEntries with titles that actually begin with prefix
-                if (dirEntry.namespace === cns && title.indexOf(prefix) === 0) {
-                    vDirEntries.push(dirEntry);
-                    // Report interim result
-                    callback([dirEntry], false, true);
-                }
-                return addDirEntries(index + 1, title);
+    // The titles sampled by the search make the next searches faster, and are cached with the archive's index
+    var saveTitleSamples = function () {
+        if (that.file.titleSamplesChanged) archiveIndexCache.scheduleSave(that.file);
+    };
+    var searchOnMainThread = function () {
+        titleSearch.findDirEntriesWithPrefixCaseSensitive(that.file, cns, prefix, search, function (dirEntries, countReport, interim) {
+            if (!interim) saveTitleSamples();
+            callback(dirEntries, countReport, interim);
+        }, accented);
+    };
+    var worker = getTitleSearchWorker();
+    if (!worker) return searchOnMainThread();
+    var id = ++titleSearchRequests;
+    var vDirEntries = [];
+    var finish = function () {
+        delete pendingTitleSearches[id];
+    };
+    var handleMessage = function (data) {
+        if (data.action === 'found') {
+            data.dirEntries.forEach(function (dirEntryData) {
+                var dirEntry = new zimDirEntry.DirEntry(that.file, dirEntryData);
+                vDirEntries.push(dirEntry);
+                // Report interim result
+                callback([dirEntry], false, true);
             });
-        };
-        return addDirEntries(firstIndex);
-    }).then(callback);
+        } else if (data.action === 'done') {
+            finish();
+            search.scanCount += data.scanCount;
+            search.scannedPrefixes = data.scannedPrefixes;
+            search.accentChecks = data.accentChecks;
+            titleSearchCacheStats = data.fileCacheStats;
+            if (data.titleSamples) {
+                that.file.titleSamples = data.titleSamples;
+                that.file.titleSamplesChanged = true;
+                saveTitleSamples();
+            }
+            callback({ dirEntries: vDirEntries, nextStart: data.nextStart });
+        } else {
+            // If the Worker failed before it found anything, we can still search on the main thread
+            finish();
+            console.error('Error searching the title index in the Worker', data.error);
+            if (vDirEntries.length) callback({ dirEntries: vDirEntries });
+            else searchOnMainThread();
+        }
+    };
+    // The Worker has its own copy of the search, so cancelTitleSearches() tells it when the search is cancelled
+    pendingTitleSearches[id] = { search: search, handleMessage: handleMessage };
+    var message = {
+        action: 'search',
+        id: id,
+        files: this.file._files,
+        info: titleSearch.TitleIndex.getInfo(this.file),
+        contentNamespace: cns,
+        prefix: prefix,
+        fileCacheSize: params.fileCacheSize,
+        search: {
+            status: search.status,
+            size: search.size,
+            found: search.found,
+            query: search.query,
+            scannedPrefixes: search.scannedPrefixes,
+            accentChecks: search.accentChecks
+        },
+        accented: accented
+    };
+    try {
+        worker.postMessage(message);
+    } catch (err) {
+        // The files of some archives cannot be sent to a Worker (e.g. if they are not File objects)
+        finish();
+        console.warn('The title index of this archive cannot be searched in the Worker', err);
+        searchOnMainThread();
+    }
 };
 
 /**
- * Find Directory Entries corresponding to the requested search using Full Text search provided by libzim
+ * Cancels the searches of the title index that the title search Worker is running for a search, which only sees the status of its own
+ * copy of the search. The search itself must also be given the status 'cancelled', so that the searches on the main thread stop.
+ *
+ * @param {Object} search The appstate.search object of the cancelled search (or the search object of one of the archives it searched)
+ */
+function cancelTitleSearches (search) {
+    Object.keys(pendingTitleSearches).forEach(function (id) {
+        if (pendingTitleSearches[id].search !== search) return;
+        // The Worker still reports the end of the search, so that the callers of the search can finish
+        pendingTitleSearches[id].search = null;
+        titleSearchWorker.postMessage({ action: 'cancel', id: Number(id) });
+    });
+}
+
+/**
+ * Find Directory Entries corresponding to the requested search using Full Text search provided by libzim, or by the JavaScript
+ * reader of the full-text index if the libzim Worker is not available. The Directory Entries found by full-text search are given the
+ * relevance (score, as a percentage) of the article, and its snippet (HTML with the matching words in <b> tags) if the search provided one.
+ * Scores and snippets are not supported with libzim: the libzim binary only binds the paths of search results, so its results have a null
+ * score and no snippet (the app makes snippets for the results the user can see from the text of the articles, see getSearchSnippet())
+ * Results are returned a page at a time: the search object records the rank at which the next page starts (in fullTextStart), and whether
+ * there may be more results (in moreFullTextResults), so that the next page can be requested without repeating the title search.
  *
  * @param {Object} search The appstate.search object
  * @param {Array} dirEntries The array of already found Directory Entries
+ * @param {Integer} start The rank of the first full-text result to find (optional, defaults to 0)
  * @returns {Promise<callbackDirEntry>} The augmented array of Directory Entries with titles that correspond to search
  */
-ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEntries) {
+ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEntries, start) {
     var cns = this.getContentNamespace();
     var that = this;
+    start = start || 0;
     // We give ourselves an overhead in caclulating the results needed, because full-text search will return some results already found
     // var resultsNeeded = Math.floor(params.maxSearchResultsSize - dirEntries.length / 2);
     var resultsNeeded = params.maxSearchResultsSize;
-    return this.callLibzimWorker({ action: 'search', text: search.prefix, numResults: resultsNeeded }).then(function (results) {
+    // Quoted phrases are kept for full-text search
+    var text = search.query ? search.query.fullText : search.prefix;
+    var fullTextSearch;
+    if (this.hasLibzimWorker()) {
+        // DEV: the libzim binary cannot start its search at an offset, so we ask it for the results up to the end of the page, and keep the page.
+        // Each page therefore repeats the search for all the earlier pages, until the libzim Worker is rebuilt with an offset for its search
+        fullTextSearch = this.callLibzimWorker({ action: 'search', text: text, numResults: start + resultsNeeded }).then(function (results) {
+            return { entries: results.entries.slice(start) };
+        });
+    } else {
+        fullTextSearch = this._xapianIndex.search(text, resultsNeeded, start).catch(function (err) {
+            console.error('Error searching the full-text index', err);
+            return null;
+        });
+    }
+    return fullTextSearch.then(function (results) {
+        search.moreFullTextResults = !!results && results.entries.length >= resultsNeeded;
         if (results) {
+            search.fullTextStart = start + results.entries.length;
             var dirEntryPaths = [];
             var fullTextPaths = [];
             // Collect all the found paths for the dirEntries
@@ -487,13 +716,24 @@ ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEnt
             }
             // Collect all the paths for full text search, pruning as we go
             var path;
+            var fullTextResults = [];
+            var addSearchResult = function (dirEntry, result) {
+                dirEntry.score = result.score === undefined ? null : result.score;
+                if (result.snippet) dirEntry.snippet = result.snippet;
+            };
             for (var j = 0; j < results.entries.length; j++) {
                 search.scanCount++;
                 path = results.entries[j].path;
                 // Full-text search result paths are missing the namespace in Type 1 ZIMs, so we add it back
                 path = cns === 'C' ? cns + '/' + path : path;
-                if (~dirEntryPaths.indexOf(path)) continue;
+                var index = dirEntryPaths.indexOf(path);
+                // Articles already found by title keep their place, but can still show their snippet
+                if (~index) {
+                    addSearchResult(dirEntries[index], results.entries[j]);
+                    continue;
+                }
                 fullTextPaths.push(path);
+                fullTextResults.push(results.entries[j]);
             }
             var promisesForDirEntries = [];
             for (var k = 0; k < fullTextPaths.length; k++) {
@@ -501,6 +741,8 @@ ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEnt
             }
             return Promise.all(promisesForDirEntries).then(function (fullTextDirEntries) {
                 for (var l = 0; l < fullTextDirEntries.length; l++) {
+                    if (!fullTextDirEntries[l] || !searchQuery.matches(fullTextDirEntries[l], search.query)) continue;
+                    addSearchResult(fullTextDirEntries[l], fullTextResults[l]);
                     dirEntries.push(fullTextDirEntries[l]);
                 }
                 return dirEntries;
@@ -552,6 +794,27 @@ ZIMArchive.prototype.resolveRedirect = function (dirEntry, callback) {
     this.file.dirEntryByUrlIndex(dirEntry.redirectTarget).then(callback);
 };
 
+/**
+ * Makes a snippet of an article found by full-text search, for searches that do not provide one, by finding the words of the search in
+ * the text of the article. The snippet is in the same form as the snippets of libzim (HTML-escaped text with the matching words in <b> tags).
+ *
+ * @param {DirEntry} dirEntry The Directory Entry of the article
+ * @param {String} query The search
+ * @returns {Promise<String>} A Promise for the snippet, or for an empty string if the article has no text
+ */
+ZIMArchive.prototype.getSearchSnippet = function (dirEntry, query) {
+    var that = this;
+    var readArticle = dirEntry.isRedirect() ? new Promise(function (resolve) {
+        that.resolveRedirect(dirEntry, resolve);
+    }) : Promise.resolve(dirEntry);
+    return readArticle.then(function (articleDirEntry) {
+        return articleDirEntry.readData();
+    }).then(function (data) {
+        var text = xapianReader.getTextFromHtml(that.getUtf8FromData(data));
+        return text ? xapianReader.makeSnippet(text, query) : '';
+    });
+};
+
 /**
  * @callback callbackStringContent
  * @param {String} content String content
@@ -594,6 +857,26 @@ ZIMArchive.prototype.readBinaryFile = function (dirEntry, callback) {
     });
 };
 
+/**
+ * @callback callbackBinaryContentRange
+ * @param {DirEntry} dirEntry The Directory Entry of the file
+ * @param {BlobRange} range The bytes read, with their offsets and the size of the whole file (see ZIMFile.blobRange())
+ */
+
+/**
+ * Read a range of bytes of a binary file, without reading the whole file if it is stored uncompressed (e.g. a video or an audio file)
+ * @param {DirEntry} dirEntry The Directory Entry of the file
+ * @param {Integer} begin The offset of the first byte to read
+ * @param {Integer} end The offset at which reading should stop (the end byte is not read)
+ * @param {callbackBinaryContentRange} callback
+ * @returns {Promise} A Promise that resolves once the callback has been called
+ */
+ZIMArchive.prototype.readBinaryFileRange = function (dirEntry, begin, end, callback) {
+    return dirEntry.readDataRange(begin, end).then(function (range) {
+        callback(dirEntry, range);
+    });
+};
+
 /**
  * Gets the UTF-8 string from the binary data
  * @param {Blob} data Binary content
@@ -686,13 +969,83 @@ ZIMArchive.prototype.addMetadataToZIMFile = function (key) {
     });
 };
 
+/**
+ * Get the archive's illustration (icon) as a data URI. This is read from the M/Illustration_48x48@1 metadata entry, or else from
+ * the -/favicon entry found in legacy archives. The result is cached in the archive's illustration property.
+ * @returns {Promise<String>} A Promise for the illustration as a data URI, or null if the archive has no illustration
+ */
+ZIMArchive.prototype.getIllustration = function () {
+    var that = this;
+    if (this.illustration !== undefined) return Promise.resolve(this.illustration);
+    var readIllustration = function (path) {
+        return that.getDirEntryByPath(path).then(function (dirEntry) {
+            if (!dirEntry) return null;
+            if (dirEntry.redirect) {
+                return new Promise(function (resolve) {
+                    that.resolveRedirect(dirEntry, resolve);
+                });
+            }
+            return dirEntry;
+        }).then(function (dirEntry) {
+            if (!dirEntry) return null;
+            return dirEntry.readData().then(function (data) {
+                if (!data || !data.length) return null;
+                var mimetype = dirEntry.getMimetype();
+                // Some archives declare the illustration as text/plain or application/octet-stream, but it is a PNG according to the ZIM spec
+                if (!/^image\//.test(mimetype)) mimetype = 'image/png';
+                return util.uint8ArrayToDataURI(data, mimetype);
+            });
+        });
+    };
+    return readIllustration('M/Illustration_48x48@1').then(function (illustration) {
+        return illustration || readIllustration('-/favicon');
+    }).catch(function (err) {
+        console.warn('Unable to read the archive illustration', err);
+        return null;
+    }).then(function (illustration) {
+        that.illustration = illustration;
+        return illustration;
+    });
+};
+
+/**
+ * Read every entry in the Metadata (M/) namespace of the archive, e.g. for display in an "About this archive" panel
+ * Text metadata are returned as strings, and binary metadata (such as Illustration_48x48@1) as Uint8Arrays
+ * @returns {Promise<Object>} A Promise for an object containing the metadata values keyed by metadata name
+ */
+ZIMArchive.prototype.getAllMetadata = function () {
+    var that = this;
+    var metadata = {};
+    // Entries in the URL pointerlist are ordered by namespace, so we search for the first entry in the M namespace
+    return util.binarySearch(0, this.file.entryCount, function (i) {
+        return that.file.dirEntryByUrlIndex(i).then(function (dirEntry) {
+            return dirEntry.namespace >= 'M' ? -1 : 1;
+        });
+    }, true).then(function (firstIndex) {
+        var readNextEntry = function (index) {
+            if (index >= that.file.entryCount) return metadata;
+            return that.file.dirEntryByUrlIndex(index).then(function (dirEntry) {
+                if (dirEntry.namespace !== 'M') return metadata;
+                if (dirEntry.redirect) return readNextEntry(index + 1);
+                return dirEntry.readData().then(function (data) {
+                    var mimetype = dirEntry.getMimetype() || '';
+                    metadata[dirEntry.url] = /^text\//.test(mimetype) ? that.getUtf8FromData(data) : data;
+                    return readNextEntry(index + 1);
+                });
+            });
+        };
+        return readNextEntry(firstIndex);
+    });
+};
+
 /**
  * Sets the Zimit metadata for the archive
  */
 ZIMArchive.prototype.setZimitMetadata = function () {
     var that = this;
     // Get the landing page
-    return this.file.dirEntryByUrlIndex(this.file.mainPage).then(function (dirEntry) {
+    return this.getMainPageDirEntry().then(function (dirEntry) {
+        if (!dirEntry) return;
         var findRedirectTarget = dirEntry.redirect ? function (dirEntry) {
             // If the landing page is a redirect, we need to find the target
             return that.file.dirEntryByUrlIndex(dirEntry.redirectTarget).then(function (newEntry) {
@@ -727,6 +1080,31 @@ ZIMArchive.prototype.setZimitMetadata = function () {
     });
 }
 
+/**
+ * Parses the Counter metadata of an archive, which lists the number of entries for each MIME type in the form
+ * "text/html=20;image/png=5". Note that a MIME type may itself contain a parameter, e.g. "text/html;raw=true=3".
+ * @param {String} counter The Counter metadata string
+ * @returns {Object} An object containing the number of entries (as an Integer) keyed by MIME type
+ */
+function parseCounter (counter) {
+    var counts = {};
+    var pendingType = '';
+    (counter || '').split(';').forEach(function (token) {
+        var match = /^(.+)=(\d+)$/.exec(token.trim());
+        if (match) {
+            counts[pendingType + match[1]] = parseInt(match[2], 10);
+            pendingType = '';
+        } else if (token) {
+            // The token is the first part of a MIME type that contains a parameter, so prefix it to the next token
+            pendingType += token.trim() + ';';
+        }
+    });
+    return counts;
+}
+
 export default {
-    ZIMArchive: ZIMArchive
+    ZIMArchive: ZIMArchive,
+    parseCounter: parseCounter,
+    cancelTitleSearches: cancelTitleSearches,
+    getTitleSearchCacheStats: getTitleSearchCacheStats
 };
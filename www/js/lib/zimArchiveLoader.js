@@ -43,11 +43,12 @@ function loadArchiveFromDeviceStorage (storage, path, callbackReady, callbackErr
  * @param {Array.<File>} files
  * @param {callbackZIMArchive} callbackReady
  * @param {callbackZIMArchive} callbackError
+ * @param {Boolean} inBackground Optional: true to open the archive without selecting it (see ZIMArchive)
  * @returns {ZIMArchive}
  */
-function loadArchiveFromFiles (files, callbackReady, callbackError) {
+function loadArchiveFromFiles (files, callbackReady, callbackError, inBackground) {
     if (files.length >= 1) {
-        return new zimArchive.ZIMArchive(files, null, callbackReady, callbackError);
+        return new zimArchive.ZIMArchive(files, null, callbackReady, callbackError, inBackground);
     }
 }
 
@@ -22,6 +22,18 @@
 
 'use strict';
 
+import util from './util.js';
+import utf8 from './utf8.js';
+
+/**
+ * The readers of Directory Entries (in zimfile.js and titleSearch.js) make an assumption that no Directory Entry will be larger
+ * that MAX_SUPPORTED_DIRENTRY_SIZE bytes.
+ * If a larger dirEntry is encountered, a warning will display in console. Increase this value if necessary.
+ * See https://stackoverflow.com/questions/417142/what-is-the-maximum-length-of-a-url-in-different-browsers to understand
+ * why 5120 has been chosen here (maximum that IE11 can deal with in code).
+ */
+const MAX_SUPPORTED_DIRENTRY_SIZE = 5120;
+
 function DirEntry (zimfile, dirEntryData) {
     this._zimfile = zimfile;
     this.redirect = dirEntryData.redirect;
@@ -63,6 +75,16 @@ DirEntry.prototype.readData = function () {
     return this._zimfile.blob(this.cluster, this.blob);
 };
 
+/**
+ * Reads a range of bytes of the data of the Directory Entry (see ZIMFile.blobRange())
+ * @param {Integer} begin The offset of the first byte to read
+ * @param {Integer} end The offset at which reading should stop (the end byte is not read)
+ * @returns {Promise<BlobRange>} A Promise for the bytes read, with their offsets and the size of the whole data
+ */
+DirEntry.prototype.readDataRange = function (begin, end) {
+    return this._zimfile.blobRange(this.cluster, this.blob, begin, end);
+};
+
 /**
  *
  * @param {File} zimfile
@@ -84,6 +106,47 @@ DirEntry.fromStringId = function (zimfile, stringId) {
     return new DirEntry(zimfile, data);
 };
 
+/**
+ * Parses a Directory Entry read from the archive
+ *
+ * @param {ZIMFile} zimfile The ZIM file containing the Directory Entry
+ * @param {Integer} offset The offset of the Directory Entry in the archive
+ * @param {Uint8Array} data The bytes of the archive from the offset (enough of them to contain the URL and the title)
+ * @returns {DirEntry} The parsed Directory Entry
+ */
+DirEntry.fromData = function (zimfile, offset, data) {
+    var readInt = util.readIntegerFrom;
+    var dirEntry = {
+        offset: offset,
+        mimetypeInteger: readInt(data, 0, 2),
+        namespace: String.fromCharCode(data[3])
+    };
+    dirEntry.redirect = (dirEntry.mimetypeInteger === 0xffff);
+    if (dirEntry.redirect) {
+        dirEntry.redirectTarget = readInt(data, 8, 4);
+    } else {
+        dirEntry.cluster = readInt(data, 8, 4);
+        dirEntry.blob = readInt(data, 12, 4);
+    }
+    var pos = dirEntry.redirect ? 12 : 16;
+    if (data.subarray) {
+        dirEntry.url = utf8.parse(data.subarray(pos), true);
+        for (pos; pos <= data.length; pos++) {
+            if (data[pos] === 0) break;
+        }
+        if (data[pos] === 0) {
+            dirEntry.title = utf8.parse(data.subarray(pos + 1), true);
+        } else {
+            // DEV: If you encounter this warning in console, it means that a very large dirEntry.url has exceeded the maximum supported
+            // dirEntry size. Consider increasing MAX_SUPPORTED_DIRENTRY_SIZE (above) if such warnings are encountered regularly with a ZIM.
+            console.warn('WARNING! A Directory Entry URL larger than ' + data.length + ' bytes was encountered! ' +
+                'The dirEntry.url is likely to be invalid.', dirEntry.url
+            );
+        }
+        return new DirEntry(zimfile, dirEntry);
+    }
+};
+
 /**
  * Defines a function that returns the URL if the title is empty, as per the specification
  * See https://wiki.openzim.org/wiki/ZIM_file_format#Directory_Entries
@@ -104,5 +167,6 @@ DirEntry.prototype.getMimetype = function () {
 };
 
 export default {
+    MAX_SUPPORTED_DIRENTRY_SIZE: MAX_SUPPORTED_DIRENTRY_SIZE,
     DirEntry: DirEntry
 };
@@ -30,14 +30,16 @@ import util from './util.js';
 import utf8 from './utf8.js';
 import zimDirEntry from './zimDirEntry.js';
 import FileCache from './filecache.js';
+import ClusterCache from './clustercache.js';
+import uiUtil from './uiUtil.js';
+import md5 from './md5.js';
+import archiveIndexCache from './archiveIndexCache.js';
 
 /**
- * This code makes an assumption that no Directory Entry will be larger that MAX_SUPPORTED_DIRENTRY_SIZE bytes.
- * If a larger dirEntry is encountered, a warning will display in console. Increase this value if necessary.
- * See https://stackoverflow.com/questions/417142/what-is-the-maximum-length-of-a-url-in-different-browsers to understand
- * why 5120 has been chosen here (maximum that IE11 can deal with in code).
+ * The number of bytes read from the archive at a time when verifying its checksum. Chunks are read directly from the file(s),
+ * bypassing the FileCache, so that verifying a large archive does not evict useful blocks from the cache.
  */
-const MAX_SUPPORTED_DIRENTRY_SIZE = 5120;
+const CHECKSUM_CHUNK_SIZE = 4 * 1024 * 1024;
 
 /**
  * Add Polyfill currently required by IE11 to run zstddec-asm and xzdec-asm
@@ -74,14 +76,17 @@ var tempFileId = 0;
  */
 var fileIDs = new Map();
 
-var readInt = function (data, offset, size) {
-    var r = 0;
-    for (var i = 0; i < size; i++) {
-        var c = (data[offset + i] + 256) & 0xff;
-        r += util.leftShift(c, 8 * i);
-    }
-    return r;
-};
+var readInt = util.readIntegerFrom;
+
+// Report a failure to load the decoders to the API Status Panel (the decoders cannot do this themselves, because they also run in the
+// decoder Workers, which have no user interface). The decoders only fail once the ASM decoder, which replaces a failed WASM decoder,
+// has failed too.
+xz.ready.catch(function (err) {
+    uiUtil.reportAssemblerErrorToAPIStatusPanel('XZ', err, 'ASM');
+});
+zstd.ready.catch(function (err) {
+    uiUtil.reportAssemblerErrorToAPIStatusPanel('ZSTD', err, 'ASM');
+});
 
 /**
  * A ZIM File
@@ -93,6 +98,7 @@ var readInt = function (data, offset, size) {
  * @property {Array<File>} _files Array of ZIM files
  * @property {String} name Abstract archive name for file set
  * @property {Integer} id Arbitrary numeric ZIM id used to track the currently loaded archive
+ * @property {String} uuid The archive's unique identifier, formatted as a hyphenated hexadecimal string
  * @property {Integer} entryCount Total number of entries in the URL pointerlist
  * @property {Integer} articleCount Total number of article titles in the v1 article-only pointerlist (async calculated entry)
  * @property {Integer} clusterCount Total number of clusters
@@ -105,7 +111,10 @@ var readInt = function (data, offset, size) {
  * @property {Integer} mimeListPos Position of the MIME type list (also header size)
  * @property {Integer} mainPage Main page or 0xffffffff if no main page
  * @property {Integer} layoutPage Layout page or 0xffffffffff if no layout page
+ * @property {Integer} checksumPos Position of the MD5 checksum (also the size of the archive minus the 16-byte checksum)
  * @property {Map} mimeTypes Extended property: the ZIM file's MIME type table rendered as a Map (calculated entry)
+ * @property {Object} titleSamples Extended property: the titles sampled from the title pointerlists by searches (see titleSearch.js)
+ * @property {Boolean} titleSamplesChanged Extended property: true if titles have been sampled since the archive index was cached
  */
 
 /**
@@ -145,35 +154,7 @@ ZIMFile.prototype._readSlice = function (offset, size) {
  * @returns {Promise<Uint8Array>} A Promise for a Uint8Array containing the concatenated data
  */
 ZIMFile.prototype._readSplitSlice = function (begin, end) {
-    var file = this;
-    var readRequests = [];
-    var currentOffset = 0;
-    for (var i = 0; i < file._files.length; currentOffset += file._files[i].size, ++i) {
-        var currentSize = file._files[i].size;
-        if (begin < currentOffset + currentSize && currentOffset < end) {
-            // DEV: Math.max is used below because we could be reading the last part of a blob split across two files,
-            // in which case (begin - currentOffset) could be negative!
-            var readStart = Math.max(0, begin - currentOffset);
-            var readEnd = Math.min(currentSize, end - currentOffset);
-            readRequests.push(util.readFileSlice(file._files[i], readStart, readEnd));
-        }
-    }
-    if (readRequests.length === 0) {
-        return Promise.resolve(new Uint8Array(0).buffer);
-    } else if (readRequests.length === 1) {
-        return readRequests[0];
-    } else {
-        // Wait until all are resolved and concatenate.
-        return Promise.all(readRequests).then(function (arrays) {
-            var concatenated = new Uint8Array(end - begin);
-            var offset = 0;
-            arrays.forEach(function (item) {
-                concatenated.set(new Uint8Array(item), offset);
-                offset += item.byteLength;
-            });
-            return concatenated;
-        });
-    }
+    return util.readSplitSlice(this._files, begin, end);
 };
 
 /**
@@ -183,36 +164,8 @@ ZIMFile.prototype._readSplitSlice = function (begin, end) {
  */
 ZIMFile.prototype.dirEntry = function (offset) {
     var that = this;
-    return this._readSlice(offset, MAX_SUPPORTED_DIRENTRY_SIZE).then(function (data) {
-        var dirEntry = {
-            offset: offset,
-            mimetypeInteger: readInt(data, 0, 2),
-            namespace: String.fromCharCode(data[3])
-        };
-        dirEntry.redirect = (dirEntry.mimetypeInteger === 0xffff);
-        if (dirEntry.redirect) {
-            dirEntry.redirectTarget = readInt(data, 8, 4);
-        } else {
-            dirEntry.cluster = readInt(data, 8, 4);
-            dirEntry.blob = readInt(data, 12, 4);
-        }
-        var pos = dirEntry.redirect ? 12 : 16;
-        if (data.subarray) {
-            dirEntry.url = utf8.parse(data.subarray(pos), true);
-            for (pos; pos <= MAX_SUPPORTED_DIRENTRY_SIZE; pos++) {
-                if (data[pos] === 0) break;
-            }
-            if (data[pos] === 0) {
-                dirEntry.title = utf8.parse(data.subarray(pos + 1), true);
-            } else {
-                // DEV: If you encounter this warning in console, it means that a very large dirEntry.url has exceeded the maximum supported
-                // dirEntry size. Consider increasing MAX_SUPPORTED_DIRENTRY_SIZE if such warnings are encountered regularly with a ZIM.
-                console.warn('WARNING! A Directory Entry URL larger than ' + MAX_SUPPORTED_DIRENTRY_SIZE + ' bytes was encountered! ' +
-                    'The dirEntry.url is likely to be invalid.', dirEntry.url
-                );
-            }
-            return new zimDirEntry.DirEntry(that, dirEntry);
-        }
+    return this._readSlice(offset, zimDirEntry.MAX_SUPPORTED_DIRENTRY_SIZE).then(function (data) {
+        return zimDirEntry.DirEntry.fromData(that, offset, data);
     });
 };
 
@@ -231,12 +184,13 @@ ZIMFile.prototype.dirEntryByUrlIndex = function (index) {
 /**
  * Find a Directory Entry based on its Title Pointer index
  * @param {Integer} index The Title Pointer index to the DirEntry
+ * @param {Boolean} allEntries If true, use the legacy v0 list, which lists the entries of every namespace (optional)
  * @returns {Promise<DirEntry>} A Promise for the requested DirEntry
  */
-ZIMFile.prototype.dirEntryByTitleIndex = function (index) {
+ZIMFile.prototype.dirEntryByTitleIndex = function (index, allEntries) {
     var that = this;
     // Use v1 title pointerlist if available, or fall back to legacy v0 list
-    var ptrList = that.articlePtrPos || that.titlePtrPos;
+    var ptrList = allEntries ? that.titlePtrPos : that.articlePtrPos || that.titlePtrPos;
     return that._readInteger(ptrList + index * 4, 4).then(function (urlIndex) {
         return that.dirEntryByUrlIndex(urlIndex);
     });
@@ -257,7 +211,11 @@ ZIMFile.prototype.blob = function (cluster, blob, meta) {
         var nextCluster = readInt(clusterOffsets, 8, 8);
         // DEV: The method below of calculating cluster size is not safe: see https://github.com/openzim/libzim/issues/84#issuecomment-612962250
         // var thisClusterLength = nextCluster - clusterOffset - 1;
-        return that._readSlice(clusterOffset, 1).then(function (compressionType) {
+        return that._readSlice(clusterOffset, 1).then(function (clusterInfo) {
+            // The lower four bits of the cluster's info byte give its compression type, and the fifth bit is set if the
+            // cluster is extended, i.e. if its blob offsets are 8 bytes long instead of 4 (for clusters larger than 4GiB)
+            var compressionType = clusterInfo[0] & 0x0f;
+            var offsetSize = clusterInfo[0] & 0x10 ? 8 : 4;
             var decompressor;
             var plainBlobReader = function (offset, size, dataPass) {
                 // Check that we are not reading beyond the end of the cluster
@@ -283,32 +241,154 @@ ZIMFile.prototype.blob = function (cluster, blob, meta) {
             // If only metadata were requested and the cluster is compressed, return null (this is probably a ZIM format error)
             // DEV: This is because metadata are only requested for finding absolute offsets into uncompressed clusters,
             // principally for finding the start and size of a title pointer listing
-            if (meta && compressionType[0] > 1) return null;
-            if (compressionType[0] === 0 || compressionType[0] === 1) {
+            if (meta && compressionType > 1) return null;
+            if (compressionType === 0 || compressionType === 1) {
                 // uncompressed
                 decompressor = { readSliceSingleThread: plainBlobReader };
-            } else if (compressionType[0] === 4) {
+            } else if (compressionType === 4) {
                 decompressor = new xz.Decompressor(plainBlobReader);
-            } else if (compressionType[0] === 5) {
+            } else if (compressionType === 5) {
                 decompressor = new zstd.Decompressor(plainBlobReader);
             } else {
                 return new Uint8Array(); // unsupported compression type
             }
-            return decompressor.readSliceSingleThread(blob * 4, 8, false).then(function (data) {
-                var blobOffset = readInt(data, 0, 4);
-                var nextBlobOffset = readInt(data, 4, 4);
-                return decompressor.readSliceSingleThread(blobOffset, nextBlobOffset - blobOffset, true);
+            var readBlob = function () {
+                return decompressor.readSliceSingleThread(blob * offsetSize, offsetSize * 2, false).then(function (data) {
+                    var blobOffset = readInt(data, 0, offsetSize);
+                    var nextBlobOffset = readInt(data, offsetSize, offsetSize);
+                    return decompressor.readSliceSingleThread(blobOffset, nextBlobOffset - blobOffset, true);
+                });
+            };
+            if (compressionType < 2) return readBlob();
+            // A compressed cluster is decompressed whole and kept in the cluster cache, so that its other blobs (e.g. the other
+            // images of an article) can be read without decompressing it again
+            return ClusterCache.read(that, cluster, function () {
+                return decompressCluster(decompressor, offsetSize);
+            }).then(function (data) {
+                // Clusters that are too large to be cached are read blob by blob
+                if (!data) return readBlob();
+                var blobOffset = readInt(data, blob * offsetSize, offsetSize);
+                var nextBlobOffset = readInt(data, (blob + 1) * offsetSize, offsetSize);
+                // We return a copy, so that the cached cluster cannot be changed (or its buffer transferred) by the caller
+                return data.slice(blobOffset, nextBlobOffset);
             });
         });
     });
 };
 
+/**
+ * A range of bytes read from a BLOB
+ * @typedef {Object} BlobRange
+ * @property {Uint8Array} data The bytes read
+ * @property {Integer} begin The offset in the BLOB of the first byte read
+ * @property {Integer} end The offset in the BLOB of the byte after the last byte read
+ * @property {Integer} size The size of the whole BLOB
+ */
+
+/**
+ * Read a range of bytes of a BLOB, e.g. for the browser to stream a long video or audio file. Only the requested bytes are read from an
+ * uncompressed cluster (where large media are stored), but a compressed cluster has to be decompressed from its start, so the whole
+ * BLOB is read, and all of it from <begin> is returned (which may spare the browser some requests for the following bytes)
+ * @param {Integer} cluster The cluster number where the blob is to be found
+ * @param {Integer} blob The blob number within the cluster
+ * @param {Integer} begin The offset in the BLOB of the first byte to read
+ * @param {Integer} end The offset in the BLOB at which reading should stop (the end byte is not read), reduced to the size of the BLOB
+ * @returns {Promise<BlobRange>} A Promise for the bytes read (which are empty if <begin> is beyond the end of the BLOB)
+ */
+ZIMFile.prototype.blobRange = function (cluster, blob, begin, end) {
+    var that = this;
+    return this.blob(cluster, blob, true).then(function (metadata) {
+        if (!metadata || !metadata.size) {
+            // The cluster is compressed (or the BLOB is empty)
+            return that.blob(cluster, blob).then(function (data) {
+                begin = Math.min(begin, data.length);
+                return { data: data.subarray(begin), begin: begin, end: data.length, size: data.length };
+            });
+        }
+        begin = Math.min(begin, metadata.size);
+        end = Math.max(begin, Math.min(end, metadata.size));
+        var read = end > begin ? that._readSlice(metadata.ptr + begin, end - begin) : Promise.resolve(new Uint8Array(0));
+        return read.then(function (data) {
+            return { data: data, begin: begin, end: end, size: metadata.size };
+        });
+    });
+};
+
+/**
+ * Decompresses the whole of a compressed cluster, if it is small enough to be cached (see clustercache.js)
+ * @param {Decompressor} decompressor The xz or zstandard decompressor of the cluster
+ * @param {Integer} offsetSize The size of the cluster's blob offsets: 8 bytes for an extended cluster, otherwise 4 bytes
+ * @returns {Promise<Int8Array>} A Promise for the decompressed data, or for null if the cluster is too large to be cached
+ */
+function decompressCluster (decompressor, offsetSize) {
+    // The first offset of the blob list is the size of the list, and its last offset is the size of the decompressed data
+    return decompressor.readSliceSingleThread(0, offsetSize).then(function (data) {
+        return decompressor.readSliceSingleThread(readInt(data, 0, offsetSize) - offsetSize, offsetSize);
+    }).then(function (data) {
+        var size = readInt(data, 0, offsetSize);
+        if (!ClusterCache.isCacheable(size)) return null;
+        return decompressor.readSliceSingleThread(0, size);
+    });
+}
+
+/**
+ * The result of an archive checksum verification
+ * @typedef {Object} ChecksumResult
+ * @property {String} status The outcome of the verification: 'valid'|'invalid'|'truncated'|'cancelled'
+ * @property {String} expected The checksum stored in the archive as a hexadecimal string (null if it could not be read)
+ * @property {String} computed The checksum calculated from the archive's contents as a hexadecimal string (null unless fully read)
+ */
+
+/**
+ * Verify the integrity of the archive by streaming its contents (across all parts of a split archive) through an MD5 digest,
+ * and compare the result with the 16-byte checksum stored at the end of the archive. Because this reads the entire archive,
+ * it should only be run at the user's request.
+ * @param {Function} progressCallback An optional function called after each chunk with the number of bytes read and the total to read
+ * @param {Object} cancelToken An optional object: set its 'cancelled' property to true to stop the verification after the current chunk
+ * @returns {Promise<ChecksumResult>} A Promise for the result of the verification
+ */
+ZIMFile.prototype.verifyChecksum = function (progressCallback, cancelToken) {
+    var that = this;
+    var end = this.checksumPos;
+    var archiveSize = this._files.reduce(function (size, file) {
+        return size + file.size;
+    }, 0);
+    // If the archive is shorter than the header says, there is no point reading it: the checksum itself is missing or incomplete
+    if (!end || archiveSize < end + 16) {
+        return Promise.resolve({ status: 'truncated', expected: null, computed: null });
+    }
+    var digest = new md5.MD5();
+    var readChunk = function (begin) {
+        if (cancelToken && cancelToken.cancelled) return false;
+        if (begin >= end) return true;
+        var chunkEnd = Math.min(begin + CHECKSUM_CHUNK_SIZE, end);
+        return that._readSplitSlice(begin, chunkEnd).then(function (data) {
+            digest.update(data instanceof Uint8Array ? data : new Uint8Array(data));
+            if (progressCallback) progressCallback(chunkEnd, end);
+            return readChunk(chunkEnd);
+        });
+    };
+    return Promise.resolve(readChunk(0)).then(function (completed) {
+        return that._readSplitSlice(end, end + 16).then(function (checksum) {
+            var expected = md5.toHex(new Uint8Array(checksum));
+            if (!completed) return { status: 'cancelled', expected: expected, computed: null };
+            var computed = md5.toHex(digest.digest());
+            return {
+                status: computed === expected ? 'valid' : 'invalid',
+                expected: expected,
+                computed: computed
+            };
+        });
+    });
+};
+
 /**
  * A Directory Listing object
  * @typedef {Object} DirListing A list of pointers to directory entries (via the URL pointerlist)
  * @property {String} path The path (url) to the directory entry for the Listing
  * @property {String} ptrName The name of the pointer to the Listing's data that will be added to the ZIMFile obect
  * @property {String} countName The name of the key that will contain the number of entries in the Listing, to be added to the ZIMFile object
+ * @property {Integer} [minorVersion] The lowest minor version of the ZIM format whose archives can contain the Listing (optional)
  */
 
 /**
@@ -321,9 +401,10 @@ ZIMFile.prototype.blob = function (cluster, blob, meta) {
  */
 ZIMFile.prototype.setListings = function (listings) {
     var that = this;
+    var articleCountCalculated = Promise.resolve();
     // If we are in a legacy ZIM archive, we need to calculate the true article count (of entries in the A namespace)
-    // This effectively emulates the v1 article pointerlist
-    if (this.minorVersion === 0) {
+    // This effectively emulates the v1 article pointerlist (unless the count was read from the archive index cache)
+    if (this.minorVersion === 0 && !(this.articlePtrPos && this.articleCount)) {
         // Initiate a binary search for the first or last article
         var getArticleIndexByOrdinal = function (ordinal) {
             return util.binarySearch(0, that.entryCount, function (i) {
@@ -339,7 +420,7 @@ ZIMFile.prototype.setListings = function (listings) {
                 return index;
             });
         };
-        getArticleIndexByOrdinal('first').then(function (idxFirstArticle) {
+        articleCountCalculated = getArticleIndexByOrdinal('first').then(function (idxFirstArticle) {
             return getArticleIndexByOrdinal('last').then(function (idxLastArticle) {
                 // Technically idxLastArticle points to the entry after the last article in the 'A' namespace,
                 // We subtract the first from the last to get the number of entries in the 'A' namespace
@@ -358,6 +439,11 @@ ZIMFile.prototype.setListings = function (listings) {
             if (that.fullTextIndex) console.debug('ZIM has fullTextIndex with listed size: ' + that.fullTextIndexSize);
             return null;
         }
+        // Skip listings that cannot be found in this version of the ZIM format: in particular, the article list of a legacy
+        // archive (minor version 0) is calculated above from its 'A' namespace, rather than read from a v1 listing
+        if (listing.minorVersion && that.minorVersion < listing.minorVersion) {
+            return listingAccessor(listings.pop());
+        }
         // Check if we already have this listing's values, so we don't do redundant binary searches
         if (that[listing.ptrName] && that[listing.countName]) {
             highestListingVersion = Math.max(~~listing.path.replace(/.+(\d)$/, '$1'), highestListingVersion);
@@ -386,8 +472,17 @@ ZIMFile.prototype.setListings = function (listings) {
                 that[listing.ptrName] = dirEntry.namespace + '/' + dirEntry.url;
             }
             // Request the metadata for the blob represented by the dirEntry
-            return that.blob(dirEntry.cluster, dirEntry.blob, true);
+            return that.blob(dirEntry.cluster, dirEntry.blob, true).then(function (metadata) {
+                // We can only use the pointers of a title listing in place if it is stored in an uncompressed cluster
+                if (!metadata) console.warn('The Directory Listing ' + listing.path + ' is compressed, so it cannot be used');
+                return metadata;
+            });
         }).then(function (metadata) {
+            // A title listing holds one 4-byte pointer for each of the entries it lists, so it cannot list more entries than the archive
+            if (metadata && /\/listing\//.test(listing.path) && (metadata.size % 4 || metadata.size / 4 > that.entryCount)) {
+                console.warn('The Directory Listing ' + listing.path + ' has an invalid size, so it cannot be used', metadata);
+                metadata = null;
+            }
             // Note that we do not accept a listing if its size is 0, i.e. if it contains no data
             // (although this should not occur, we have been asked to handle it - see kiwix-js #708)
             if (metadata && metadata.size) {
@@ -401,7 +496,12 @@ ZIMFile.prototype.setListings = function (listings) {
             console.warn('There was an error accessing a Directory Listing', err);
         });
     };
-    return listingAccessor(listings.pop());
+    return listingAccessor(listings.pop()).then(function () {
+        // Cache the calculated values, so that they do not need to be calculated again the next time the archive is opened
+        articleCountCalculated.then(function () {
+            archiveIndexCache.save(that);
+        });
+    });
 };
 
 /**
@@ -463,7 +563,14 @@ export default {
         return util.readFileSlice(fileArray[0], 0, 80).then(function (header) {
             var mimeListPos = readInt(header, 56, 8);
             var urlPtrPos = readInt(header, 32, 8);
-            return readMimetypeMap(fileArray[0], mimeListPos, urlPtrPos).then(function (mapData) {
+            var uuid = md5.toHex(header.subarray(8, 24)).replace(/^(.{8})(.{4})(.{4})(.{4})/, '$1-$2-$3-$4-');
+            var cachedIndex;
+            // If the archive has been opened before, its MIME type list and the values calculated by setListings() are cached
+            return archiveIndexCache.get(uuid, readInt(header, 24, 4), urlPtrPos).then(function (archiveIndex) {
+                cachedIndex = archiveIndex;
+                if (cachedIndex) return new Map(cachedIndex.mimeTypes);
+                return readMimetypeMap(fileArray[0], mimeListPos, urlPtrPos);
+            }).then(function (mapData) {
                 var zf = new ZIMFile(fileArray);
                 // Add an abstract archive name (ignoring split file extensions)
                 // Be careful because some file names may contain a path, e.g. when setting remote files as blobs in testing
@@ -477,6 +584,7 @@ export default {
                 // For a description of these values, see https://wiki.openzim.org/wiki/ZIM_file_format
                 zf.majorVersion = readInt(header, 4, 2); // Not currently used by this implementation
                 zf.minorVersion = readInt(header, 6, 2); // Used to determine the User Content namespace
+                zf.uuid = uuid;
                 zf.entryCount = readInt(header, 24, 4);
                 zf.articleCount = null; // Calculated async by setListings() called from zimArchive.js
                 zf.clusterCount = readInt(header, 28, 4);
@@ -489,7 +597,17 @@ export default {
                 zf.mimeListPos = mimeListPos;
                 zf.mainPage = readInt(header, 64, 4);
                 zf.layoutPage = readInt(header, 68, 4);
+                zf.checksumPos = readInt(header, 72, 8); // Used by verifyChecksum()
                 zf.mimeTypes = mapData;
+                zf.titleSamples = {}; // Sampled by title searches (see titleSearch.js)
+                zf.titleSamplesChanged = false;
+                if (cachedIndex) {
+                    zf.articlePtrPos = cachedIndex.articlePtrPos;
+                    zf.articleCount = cachedIndex.articleCount;
+                    zf.fullTextIndex = cachedIndex.fullTextIndex;
+                    zf.fullTextIndexSize = cachedIndex.fullTextIndexSize;
+                    zf.titleSamples = cachedIndex.titleSamples || {};
+                }
                 return zf;
             });
         });
@@ -25,7 +25,7 @@
 /* global params */
 /* eslint-disable no-multi-spaces */
 
-import uiUtil from './uiUtil.js';
+import decoderPool from './decoderPool.js';
 import ZDASM from './zstddec-asm.js';
 import ZDWASM from './zstddec-wasm.js';
 
@@ -104,25 +104,30 @@ if ('WebAssembly' in self) {
 }
 
 var loadASM = function () {
-    ZDASM().then(function (inst) {
+    return ZDASM().then(function (inst) {
         params.decompressorAPI.assemblerMachineType = ZSTDMachineType;
         instantiateDecoder(inst);
-    }).catch(function (err) {
-        uiUtil.reportAssemblerErrorToAPIStatusPanel('ZSTD', err, ZSTDMachineType);
     });
 };
 
+/**
+ * A Promise that resolves when the decoder has been instantiated, or rejects if neither the WASM nor the ASM decoder could be loaded.
+ * DEV: the error is reported to the API Status Panel by zimfile.js, because this decoder also runs in Workers (see decoderWorker.js)
+ * @type Promise
+ */
+var ready;
+
 if (ZSTDMachineType === 'WASM') {
-    ZDWASM().then(function (inst) {
+    ready = ZDWASM().then(function (inst) {
         params.decompressorAPI.assemblerMachineType = ZSTDMachineType;
         instantiateDecoder(inst);
     }).catch(function (err) {
         console.warn('Could not load the WASM, falling back to ASM', err);
         ZSTDMachineType = 'ASM';
-        loadASM();
+        return loadASM();
     });
 } else {
-    loadASM();
+    ready = loadASM();
 }
 
 /**
@@ -188,13 +193,27 @@ Decompressor.prototype.readSlice = function (offset, length) {
 };
 
 /**
- * This function ensures that only one decompression runs at a time, launching readSlice() only when
+ * Decompresses <length> bytes from <offset> in a Worker of the decoder pool, so that several clusters can be decompressed at the
+ * same time, or on this thread if Workers cannot be used (see decoderPool.js)
+ * @param {Integer} offset The cluster offset (in decompressed stream) at which the requested blob resides
+ * @param {Integer} length The number of decompressed bytes to read
+ * @returns {Promise} A Promise for the decompressed data
+ */
+Decompressor.prototype.readSliceSingleThread = function (offset, length) {
+    var that = this;
+    return decoderPool.decompress('zstd', this._reader, offset, length, function () {
+        return that._readSliceWhenIdle(offset, length);
+    });
+};
+
+/**
+ * This function ensures that only one decompression runs at a time on this thread, launching readSlice() only when
  * the decompressor is no longer busy
  * @param {Integer} offset The cluster offset (in decompressed stream) at which the requested blob resides
  * @param {Integer} length The number of decompressed bytes to read
  * @returns {Promise} A Promise for the readSlice() function
  */
-Decompressor.prototype.readSliceSingleThread = function (offset, length) {
+Decompressor.prototype._readSliceWhenIdle = function (offset, length) {
     // Tests whether the decompressor is ready (initiated) and not busy
     if (zd && !busy) {
         return this.readSlice(offset, length);
@@ -205,7 +224,7 @@ Decompressor.prototype.readSliceSingleThread = function (offset, length) {
         var that = this;
         return new Promise(function (resolve, reject) {
             setTimeout(function () {
-                that.readSliceSingleThread(offset, length).then(resolve, reject);
+                that._readSliceWhenIdle(offset, length).then(resolve, reject);
             }, DELAY_WAITING_IDLE_DECOMPRESSOR);
         });
     }
@@ -303,5 +322,6 @@ function mallocOrDie (sizeOfData) {
 }
 
 export default {
-    Decompressor: Decompressor
+    Decompressor: Decompressor,
+    ready: ready
 }